@@ -0,0 +1,117 @@
+// Generate public/data/index.json - the recording manifest the app loads bundled recordings from.
+//
+// Usage: npm run data:manifest
+//
+// Every .csv/.tsv/.txt file below public/data becomes one entry. Details come from, in order:
+//   1. a sidecar JSON file next to the recording (e.g. "Moonboard 6B+.json" for "Moonboard 6B+.csv")
+//      with any of { name, grade, setter, date, tags }
+//   2. the existing entry in index.json, so edits made there survive a regeneration
+//   3. defaults: name from the file name, date from the file's modification time, tag from the folder
+// Ids stay the same for files that were already listed, because per-boulder settings are stored by id.
+// They are never handed out twice: lastId remembers the highest one, also after its file was removed.
+
+import { readdir, readFile, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DATA_DIR = path.join(ROOT, 'public', 'data');
+const MANIFEST_PATH = path.join(DATA_DIR, 'index.json');
+const MANIFEST_VERSION = 1;
+const RECORDING_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+
+async function readJSON(filepath) {
+    try {
+        return JSON.parse(await readFile(filepath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`Could not read ${path.relative(ROOT, filepath)}: ${error.message}`);
+    }
+}
+
+// All recording files below dir, as paths relative to DATA_DIR with forward slashes
+async function findRecordings(dir) {
+    const recordings = [];
+    const entries = await readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+            recordings.push(...await findRecordings(fullPath));
+        } else if (RECORDING_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            recordings.push(path.relative(DATA_DIR, fullPath).split(path.sep).join('/'));
+        }
+    }
+
+    return recordings;
+}
+
+function nameFromFile(file) {
+    return path.basename(file, path.extname(file)).replace(/[_]+/g, ' ').trim();
+}
+
+function toDateString(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    return [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+}
+
+async function buildEntry(file, previous, newId) {
+    const fullPath = path.join(DATA_DIR, file);
+    const sidecar = await readJSON(fullPath.slice(0, -path.extname(fullPath).length) + '.json') || {};
+    const folder = file.includes('/') ? file.split('/')[0] : null;
+
+    const entry = {
+        id: previous?.id ?? newId,
+        file,
+        name: sidecar.name ?? previous?.name ?? nameFromFile(file),
+        grade: sidecar.grade ?? previous?.grade,
+        setter: sidecar.setter ?? previous?.setter,
+        date: sidecar.date ?? previous?.date ?? toDateString((await stat(fullPath)).mtime),
+        tags: normalizeTags(sidecar.tags ?? previous?.tags ?? (folder ? [folder] : []))
+    };
+
+    // Leave out fields nobody filled in
+    Object.keys(entry).forEach(key => entry[key] === undefined && delete entry[key]);
+    return entry;
+}
+
+async function main() {
+    const previousManifest = await readJSON(MANIFEST_PATH);
+    const previousEntries = new Map((previousManifest?.recordings || []).map(entry => [entry.file, entry]));
+    let lastId = [...previousEntries.values()].reduce((max, entry) => Math.max(max, entry.id || 0), previousManifest?.lastId || 0);
+
+    const files = (await findRecordings(DATA_DIR)).sort((a, b) => a.localeCompare(b));
+    const recordings = [];
+
+    for (const file of files) {
+        const previous = previousEntries.get(file);
+        const entry = await buildEntry(file, previous, previous ? null : lastId + 1);
+        if (!previous) lastId++;
+        recordings.push(entry);
+    }
+
+    const removed = [...previousEntries.keys()].filter(file => !files.includes(file));
+    const added = files.filter(file => !previousEntries.has(file));
+
+    const manifest = {
+        version: MANIFEST_VERSION,
+        lastId,
+        recordings
+    };
+    await writeFile(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+
+    console.log(`📋 Wrote ${path.relative(ROOT, MANIFEST_PATH)} with ${recordings.length} recordings`);
+    added.forEach(file => console.log(`  + ${file}`));
+    removed.forEach(file => console.log(`  - ${file} (file no longer exists)`));
+}
+
+main().catch(error => {
+    console.error('❌ Failed to generate the recording manifest:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,347 @@
+// Phyphox simulator - a stand-in for a phone running Phyphox with remote access enabled.
+//
+// Usage: npm run simulator -- [recording.csv] [--speed 2] [--loop] [--port 8080] [--host 127.0.0.1]
+//
+// Serves the parts of the Phyphox remote interface the app uses (/get, /control, /config, /meta,
+// /time) for the "Acceleration with g" experiment and replays a recording into its buffers while
+// measuring. Without a recording a synthetic climb is generated. --speed only changes how fast
+// samples arrive: acc_time keeps the recording's own timestamps, so move detection sees the same
+// data as the original. --loop starts the recording over instead of stopping at its end.
+// Select "Simulated device" in the app's server field to connect to it.
+//
+// createPhyphoxSimulator() is exported for scripts that need a device to talk to, e.g. to feed
+// RemoteDataHandler.processRemoteData real /get responses. Use port 0 for a free port.
+
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const DEFAULT_SIMULATOR_PORT = 8080;
+
+const TIME_BUFFER = 'acc_time';
+const BUFFER_NAMES = ['acc_time', 'accX', 'accY', 'accZ', 'acc'];
+const CONTROL_COMMANDS = ['start', 'stop', 'clear', 'set'];
+
+// --- Recordings ---
+
+function detectDelimiter(headerLine) {
+    return [',', ';', '\t'].reduce((best, delimiter) =>
+        headerLine.split(delimiter).length > headerLine.split(best).length ? delimiter : best, ',');
+}
+
+function parseNumber(value, decimalComma) {
+    const trimmed = value.trim().replace(/^"|"$/g, '');
+    return Number(decimalComma ? trimmed.replace(',', '.') : trimmed);
+}
+
+// Reads Phyphox CSV exports and other logger files with a time column and either acceleration
+// axes or an absolute acceleration column (replayed on the y axis). Times start at 0.
+export function parseRecording(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) {
+        throw new Error('Recording is too short');
+    }
+
+    const delimiter = detectDelimiter(lines[0]);
+    const headers = lines[0].split(delimiter).map(header => header.trim().replace(/^"|"$/g, '').toLowerCase());
+    const decimalComma = delimiter !== ',' && /\d,\d/.test(lines[1]);
+
+    const find = pattern => headers.findIndex(header => pattern.test(header));
+    const time = find(/time|zeit|^t\b/);
+    const axes = ['x', 'y', 'z'].map(axis => find(new RegExp(`(acc|beschleunigung).*\\b${axis}\\b|^acc${axis}$`)));
+    const absolute = find(/(absolute|betrag|magnitude).*(acc|beschleunigung)|(acc|beschleunigung).*(absolute|betrag|magnitude)/);
+
+    if (time === -1 || (axes.includes(-1) && absolute === -1)) {
+        throw new Error(`No time and acceleration columns in header: ${lines[0]}`);
+    }
+    const timeScale = /\(ms\)|\bms\b/.test(headers[time]) ? 0.001 : 1;
+
+    const samples = [];
+    for (const line of lines.slice(1)) {
+        const values = line.split(delimiter);
+        const t = parseNumber(values[time] ?? '', decimalComma) * timeScale;
+        const [x, y, z] = axes.includes(-1)
+            ? [0, parseNumber(values[absolute] ?? '', decimalComma), 0]
+            : axes.map(index => parseNumber(values[index] ?? '', decimalComma));
+        if ([t, x, y, z].every(Number.isFinite)) samples.push({ t, x, y, z });
+    }
+    if (samples.length < 2) {
+        throw new Error('Recording has no readable samples');
+    }
+
+    // Rounded to µs so thresholds from /get responses compare equal to the replayed times
+    const start = samples[0].t;
+    samples.forEach(sample => { sample.t = Math.round((sample.t - start) * 1e6) / 1e6; });
+    return samples;
+}
+
+// 40 s at 100 Hz: hanging on the wall with a move every few seconds, harder ones towards the top
+export function generateSyntheticClimb(duration = 40, rate = 100) {
+    const moveTimes = [];
+    for (let t = 3; t < duration - 2; t += 2.5 + (moveTimes.length % 3) * 0.8) moveTimes.push(t);
+
+    const samples = [];
+    for (let i = 0; i <= duration * rate; i++) {
+        const t = i / rate;
+        const noise = () => (Math.sin(t * 37.1 + i) + Math.sin(t * 51.7)) * 0.15;
+        const move = moveTimes.reduce((sum, moveTime, index) => {
+            const strength = 4 + (index / moveTimes.length) * 12;
+            return sum + strength * Math.exp(-(((t - moveTime) / 0.12) ** 2));
+        }, 0);
+        samples.push({ t, x: noise() + move * 0.3, y: 9.81 + noise() + move, z: noise() - move * 0.2 });
+    }
+    return samples;
+}
+
+// --- Simulated device ---
+
+export function createPhyphoxSimulator(samples, { speed = 1, loop = false } = {}) {
+    if (!(speed > 0)) {
+        throw new Error('Speed must be a positive number');
+    }
+
+    const recordingDuration = samples[samples.length - 1].t;
+    const loopLength = recordingDuration + (samples.length > 1 ? recordingDuration / (samples.length - 1) : 0);
+
+    const state = {
+        session: Math.random().toString(16).slice(2, 8),
+        measuring: false,
+        experimentTime: 0, // Recording seconds replayed so far
+        resumedAt: null, // Date.now() when measuring started, null while paused
+        nextSample: 0, // Index into samples counted over all replays
+        replayEnd: samples.length, // Without --loop measuring stops at this sample
+        buffers: {},
+        timeEvents: []
+    };
+
+    function resetBuffers() {
+        BUFFER_NAMES.forEach(name => { state.buffers[name] = []; });
+    }
+    resetBuffers();
+
+    function currentExperimentTime() {
+        return state.resumedAt === null
+            ? state.experimentTime
+            : state.experimentTime + (Date.now() - state.resumedAt) / 1000 * speed;
+    }
+
+    function addTimeEvent(event) {
+        const systemTime = Date.now() / 1000;
+        state.timeEvents.push({
+            event,
+            experimentTime: currentExperimentTime(),
+            systemTime,
+            systemTimeText: new Date(systemTime * 1000).toISOString()
+        });
+    }
+
+    function pause(experimentTime = currentExperimentTime()) {
+        state.experimentTime = experimentTime;
+        state.resumedAt = null;
+        state.measuring = false;
+        addTimeEvent('PAUSE');
+    }
+
+    // Move every sample that is due into the buffers
+    function advance() {
+        if (!state.measuring) return;
+        const now = currentExperimentTime();
+
+        while (true) {
+            if (!loop && state.nextSample >= state.replayEnd) {
+                // Like a timed run ending: the phone stops measuring after the last sample
+                pause(state.buffers.acc_time[state.buffers.acc_time.length - 1]);
+                return;
+            }
+
+            const cycle = Math.floor(state.nextSample / samples.length);
+            const sample = samples[state.nextSample % samples.length];
+            const t = Math.round((cycle * loopLength + sample.t) * 1e6) / 1e6;
+            if (t > now) return;
+
+            state.buffers.acc_time.push(t);
+            state.buffers.accX.push(sample.x);
+            state.buffers.accY.push(sample.y);
+            state.buffers.accZ.push(sample.z);
+            state.buffers.acc.push(Math.sqrt(sample.x ** 2 + sample.y ** 2 + sample.z ** 2));
+            state.nextSample++;
+        }
+    }
+
+    // /get?acc_time=full&accX=1.5|acc_time - "full" for everything, a threshold for values whose
+    // reference buffer (itself when none is given) is greater, nothing for the last value only
+    function getBuffers(query) {
+        advance();
+        const buffer = {};
+
+        for (const [name, request] of query) {
+            const values = state.buffers[name];
+            if (!values) continue;
+
+            if (request === 'full') {
+                buffer[name] = { size: 0, updateMode: 'full', buffer: values.slice() };
+            } else if (request === '') {
+                buffer[name] = { size: 1, updateMode: 'single', buffer: values.slice(-1) };
+            } else {
+                const [threshold, referenceName = name] = request.split('|');
+                const reference = state.buffers[referenceName] || values;
+                const since = Number(threshold);
+                const start = reference.findIndex(value => value > since);
+                buffer[name] = { size: 0, updateMode: 'partial', buffer: start === -1 ? [] : values.slice(start) };
+            }
+        }
+
+        return {
+            buffer,
+            status: {
+                session: state.session,
+                measuring: state.measuring,
+                timedRun: false,
+                countDown: 0
+            }
+        };
+    }
+
+    function control(query) {
+        advance();
+        const command = query.get('cmd');
+
+        if (command === 'start' && !state.measuring) {
+            // Replayed to the end: play it again, appended to the old data as Phyphox would
+            if (state.nextSample >= state.replayEnd) state.replayEnd += samples.length;
+            state.measuring = true;
+            addTimeEvent('START');
+            state.resumedAt = Date.now();
+        } else if (command === 'stop' && state.measuring) {
+            pause();
+        } else if (command === 'clear') {
+            resetBuffers();
+            state.measuring = false;
+            state.resumedAt = null;
+            state.experimentTime = 0;
+            state.nextSample = 0;
+            state.replayEnd = samples.length;
+            state.timeEvents = [];
+        } else if (command === 'set') {
+            const value = Number(query.get('value'));
+            if (!state.buffers[query.get('buffer')] || !Number.isFinite(value)) return { result: false };
+            state.buffers[query.get('buffer')] = [value];
+        } else if (!CONTROL_COMMANDS.includes(command)) {
+            return { result: false };
+        }
+        return { result: true };
+    }
+
+    function config() {
+        return {
+            crc32: '5e1e7a00',
+            title: 'Acceleration with g',
+            localTitle: 'Acceleration with g',
+            category: 'Raw Sensors',
+            buffers: BUFFER_NAMES.map(name => ({ name, size: 0 })),
+            inputs: [{
+                source: 'accelerometer',
+                outputs: [{ x: 'accX' }, { y: 'accY' }, { z: 'accZ' }, { abs: 'acc' }, { t: TIME_BUFFER }]
+            }],
+            export: [{
+                set: 'Raw Data',
+                sources: [
+                    { label: 'Time (s)', buffer: TIME_BUFFER },
+                    { label: 'Acceleration x (m/s^2)', buffer: 'accX' },
+                    { label: 'Acceleration y (m/s^2)', buffer: 'accY' },
+                    { label: 'Acceleration z (m/s^2)', buffer: 'accZ' },
+                    { label: 'Absolute acceleration (m/s^2)', buffer: 'acc' }
+                ]
+            }]
+        };
+    }
+
+    function meta() {
+        return {
+            version: '1.2.0',
+            build: 'simulator',
+            fileFormat: '1.16',
+            deviceModel: 'Phyphox Simulator',
+            deviceBrand: 'Climbing-Viz',
+            deviceBoard: 'node',
+            deviceManufacturer: 'Climbing-Viz',
+            deviceBaseOS: process.platform,
+            deviceCodename: 'simulator',
+            deviceRelease: process.version,
+            replaySpeed: speed
+        };
+    }
+
+    function handleRequest(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        let body;
+
+        switch (url.pathname) {
+            case '/get': body = getBuffers(url.searchParams); break;
+            case '/control': body = control(url.searchParams); break;
+            case '/config': body = config(); break;
+            case '/meta': body = meta(); break;
+            case '/time': advance(); body = state.timeEvents; break;
+            default:
+                response.writeHead(404, { 'Access-Control-Allow-Origin': '*' });
+                response.end('Not found');
+                return;
+        }
+
+        // The app runs on another origin (the Vite dev server)
+        response.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'no-store'
+        });
+        response.end(JSON.stringify(body));
+    }
+
+    return {
+        server: createServer(handleRequest),
+        getState: () => ({ ...state, experimentTime: currentExperimentTime() })
+    };
+}
+
+// --- Command line ---
+
+function parseArguments(args) {
+    const options = { recording: null, speed: 1, loop: false, port: DEFAULT_SIMULATOR_PORT, host: '127.0.0.1' };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--loop') options.loop = true;
+        else if (arg === '--speed') options.speed = Number(args[++i]);
+        else if (arg === '--port') options.port = Number(args[++i]);
+        else if (arg === '--host') options.host = args[++i];
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else options.recording = arg;
+    }
+
+    if (!(options.speed > 0)) throw new Error('--speed needs a positive number');
+    if (!Number.isInteger(options.port) || options.port < 0) throw new Error('--port needs a port number');
+    return options;
+}
+
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const samples = options.recording
+        ? parseRecording(await readFile(path.resolve(options.recording), 'utf8'))
+        : generateSyntheticClimb();
+
+    const { server } = createPhyphoxSimulator(samples, options);
+    server.listen(options.port, options.host, () => {
+        const { port } = server.address();
+        const source = options.recording ? path.basename(options.recording) : 'synthetic climb';
+        console.log(`📱 Phyphox simulator on http://${options.host}:${port}`);
+        console.log(`   Replaying ${source}: ${samples.length} samples, ${samples[samples.length - 1].t.toFixed(1)}s at ${options.speed}x${options.loop ? ', looped' : ''}`);
+    });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+    main().catch(error => {
+        console.error('❌ Phyphox simulator failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -2,16 +2,28 @@ import React, { useState, useCallback, useEffect, useRef, useMemo } from 'react'
 import { AddCustomBoulder } from './components/AddCustomBoulder'
 import { BoulderVisualizerSimple } from './components/BoulderVisualizerSimple'
 import { StatisticsView } from './components/StatisticsView'
+import { SessionsView } from './components/SessionsView'
+import { ClimbersView } from './components/ClimbersView'
 import { ControlPanel } from './components/ControlPanel'
+import { PhyphoxBufferMappingDialog } from './components/PhyphoxBufferMappingDialog'
+import { PlaybackBar } from './components/PlaybackBar'
 import { ErrorBoundary } from './components/ErrorBoundary'
 import { BoulderConfigProvider, useBoulderConfig } from './context/BoulderConfigContext'
 import { useCSVData } from './hooks/useCSVData'
+import { usePhyphoxConnection } from './hooks/usePhyphoxConnection'
 import SplitText from './components/SplitText'
 import type { BoulderData } from './utils/csvLoader'
 import { setBoulderThresholdGetter } from './utils/csvLoader'
 import { performStartupCleanup, manualClearAllData } from './utils/dataCleanup'
+import { DEFAULT_MOVE_DETECTION_STRATEGY } from './utils/moveDetection'
+import { isPhyphoxConnected, sendPhyphoxCommand, confirmPhyphoxBufferMapping, disconnectFromPhyphox, disconnectPhyphoxDevice, MAIN_PHYPHOX_DEVICE_ID } from './utils/phyphoxConnection'
+import type { PhyphoxCommand } from './utils/phyphoxConnection'
+import { playStartCountdown } from './utils/liveCues'
+import { armRecording, disarmRecording, RECORDING_TRIGGER_STATE_LABELS } from './utils/recordingTriggers'
+import { useRecordingTriggerStatus } from './hooks/useRecordingTriggers'
+import { stopPlayback } from './utils/playback'
 import Silk from './components/ui/Silk'
-import { Play, Square, RotateCcw } from 'lucide-react'
+import { Play, Square, RotateCcw, Crosshair } from 'lucide-react'
 import { 
   updateSelectedBoulder, 
   updateVisualizerSettings,
@@ -21,7 +33,7 @@ import {
 import './utils/corsHelper' // Initialize CORS helper
 import './App.css'
 
-type View = 'visualizer' | 'add-boulder';
+type View = 'visualizer' | 'add-boulder' | 'sessions' | 'climbers';
 type VisualizationMode = '3d' | 'statistics' | 'simple';
 
 // Component to set up threshold getter inside BoulderConfigProvider
@@ -41,11 +53,14 @@ function App() {
   const [currentView, setCurrentView] = useState<View>('add-boulder')
   const [isControlPanelVisible, setIsControlPanelVisible] = useState(false)
   const [visualizationMode, setVisualizationMode] = useState<VisualizationMode>('3d')
-  const [isServerConnected, setIsServerConnected] = useState(false)
-  const [isRecording, setIsRecording] = useState(false)
+  const [editingBoulderId, setEditingBoulderId] = useState<number | undefined>(undefined)
+  const [focusedMoveIndex, setFocusedMoveIndex] = useState<number | null>(null) // Move opened from the visualization
   const [isLoading, setIsLoading] = useState(true)
   const viewChangeTimeoutRef = useRef<NodeJS.Timeout | null>(null)
-  const liveDataUpdateIntervalRef = useRef<NodeJS.Timeout | null>(null)
+  const phyphoxConnection = usePhyphoxConnection()
+  const recordingTrigger = useRecordingTriggerStatus()
+  const isServerConnected = isPhyphoxConnected(phyphoxConnection.state)
+  const pendingMappingDevice = [phyphoxConnection, ...phyphoxConnection.devices].find(device => device.pendingMapping)
   
   // Loading screen effect - show for 3 seconds
   useEffect(() => {
@@ -72,6 +87,9 @@ function App() {
     organicNoise: 1.27,
     moveColor: '#252cf4', // Blue from user's RGB (37, 44, 244)
     cruxColor: '#8b5cf6', // Purple from user's RGB (139, 92, 246)
+    colorByRotation: false,
+    rotationColor: '#f97316',
+    showDeviceLayers: true,
     
     // Dynamic Effects
     cruxEmphasis: 3.7,
@@ -100,6 +118,7 @@ function App() {
     circularTextSpeed: 60,
     
     // Move Detection Algorithm Parameters - Updated to user's settings
+    moveDetectionStrategy: DEFAULT_MOVE_DETECTION_STRATEGY,
     moveThreshold: 1.0,
     stillThreshold: 3.0,
     minStillDuration: 0.65,
@@ -152,6 +171,9 @@ function App() {
     visualizerSettings.organicNoise,
     visualizerSettings.moveColor,
     visualizerSettings.cruxColor,
+    visualizerSettings.colorByRotation,
+    visualizerSettings.rotationColor,
+    visualizerSettings.showDeviceLayers,
     visualizerSettings.cruxEmphasis,
     visualizerSettings.animationEnabled,
     visualizerSettings.rotationSpeed,
@@ -167,6 +189,7 @@ function App() {
     visualizerSettings.attemptWaveEffect,
     visualizerSettings.maxRadiusScale,
     // Add move detection parameters
+    visualizerSettings.moveDetectionStrategy,
     visualizerSettings.moveThreshold,
     visualizerSettings.minStillDuration,
     visualizerSettings.minMoveDuration,
@@ -199,7 +222,7 @@ function App() {
 
   // Perform startup cleanup once when app loads
   useEffect(() => {
-    performStartupCleanup()
+    performStartupCleanup().catch(error => console.error('[App] Startup cleanup failed:', error))
   }, [])
 
   // Debug logging for boulder data changes - reduce frequency to prevent spam
@@ -215,6 +238,12 @@ function App() {
     }
   }, [selectedBoulder?.id, currentView, visualizationMode, boulders.length]) // Only log when ID changes, not name
 
+  // A focused move and the playback position belong to the recording they were picked on
+  useEffect(() => {
+    setFocusedMoveIndex(null)
+    stopPlayback()
+  }, [selectedBoulder?.id])
+
   const handleViewChange = useCallback((view: View) => {
     console.log('[App] View changing to:', view)
     
@@ -226,12 +255,13 @@ function App() {
     // Debounce the view change
     viewChangeTimeoutRef.current = setTimeout(() => {
       setCurrentView(view)
+      setEditingBoulderId(undefined) // Navigation always starts a fresh boulder
       
       // Auto-hide control panel when switching to Add Boulder mode
-      // Auto-show control panel when switching to Visualizer mode
+      // Auto-show control panel when switching to any other view
       if (view === 'add-boulder') {
         setIsControlPanelVisible(false)
-      } else if (view === 'visualizer') {
+      } else {
         setIsControlPanelVisible(true)
       }
       
@@ -255,109 +285,36 @@ function App() {
       if (viewChangeTimeoutRef.current) {
         clearTimeout(viewChangeTimeoutRef.current)
       }
-      if (liveDataUpdateIntervalRef.current) {
-        clearInterval(liveDataUpdateIntervalRef.current)
-      }
     }
   }, [])
 
-  const handleServerToggle = useCallback((connected: boolean) => {
-    setIsServerConnected(connected)
-    console.log('Server connection:', connected)
-  }, [])
-
-  const handleServerCommand = useCallback(async (command: string) => {
-    console.log('Server command:', command)
-    
-    if (!isServerConnected) {
-      console.warn('Not connected to server')
-      return
-    }
-
+  // The floating remote controls, every panel follows the recording state through the connection
+  const handleServerCommand = useCallback(async (command: PhyphoxCommand) => {
     try {
-      // Use the current server URL from localStorage or default
-      const savedServerUrl = localStorage.getItem('phyphox-server-url') || 'http://10.237.1.101'
-      
-      const response = await fetch(`${savedServerUrl}/control?cmd=${command}`, {
-        method: 'GET',
-        mode: 'cors',
-        headers: {
-          'Accept': 'application/json'
-        },
-        signal: AbortSignal.timeout(5000)
-      })
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
-      }
-      
-      const result = await response.json()
-      console.log(`[App] Server command '${command}' result:`, result)
-      
-      if (result.result === true) {
-        console.log(`✅ ${command.toUpperCase()} successful`)
-        
-        // Update recording status and handle live data
-        if (command === 'start') {
-          setIsRecording(true)
-          startLiveDataPolling(savedServerUrl)
-        } else if (command === 'stop') {
-          setIsRecording(false)
-          stopLiveDataPolling()
-        } else if (command === 'clear') {
-          setIsRecording(false)
-          stopLiveDataPolling()
-        }
-      } else {
-        console.warn(`⚠️ ${command.toUpperCase()} failed: ${result.message || 'Unknown error'}`)
+      if (command === 'start') {
+        await playStartCountdown()
       }
-      
-      return result
-      
+      await sendPhyphoxCommand(command)
     } catch (error) {
       console.error(`[App] Server command '${command}' failed:`, error)
-      throw error
+      alert(`Failed to ${command} the recording: ` + (error instanceof Error ? error.message : 'Unknown error'))
     }
-  }, [isServerConnected])
-
-  // Live data polling for visualization updates
-  const startLiveDataPolling = useCallback((serverUrl: string) => {
-    if (liveDataUpdateIntervalRef.current) return // Already polling
-
-    console.log('[App] Starting live data polling for visualization updates')
-    
-    liveDataUpdateIntervalRef.current = setInterval(async () => {
-      try {
-        const response = await fetch(`${serverUrl}/get?acc_time=full&accX=full&accY=full&accZ=full`, {
-          method: 'GET',
-          mode: 'cors',
-        })
-        
-        if (response.ok) {
-          const data = await response.json()
-          
-          // Dispatch event to update any listening visualizations
-          window.dispatchEvent(new CustomEvent('liveDataUpdate', {
-            detail: { 
-              data: data.buffer,
-              isRecording,
-              timestamp: Date.now()
-            }
-          }))
-        }
-      } catch (error) {
-        console.warn('[App] Live data polling error:', error)
-      }
-    }, 1000) // Poll every second
-  }, [isRecording])
+  }, [])
 
-  const stopLiveDataPolling = useCallback(() => {
-    if (liveDataUpdateIntervalRef.current) {
-      clearInterval(liveDataUpdateIntervalRef.current)
-      liveDataUpdateIntervalRef.current = null
-      console.log('[App] Stopped live data polling')
+  // Armed, the recording starts with the climber's first moves and stops on a fall or at the top
+  const handleArmToggle = useCallback(async () => {
+    if (recordingTrigger.state === 'armed' || recordingTrigger.state === 'recording') {
+      disarmRecording()
+      return
     }
-  }, [])
+    try {
+      await playStartCountdown()
+      await armRecording()
+    } catch (error) {
+      console.error('[App] Arming the recording failed:', error)
+      alert('Failed to arm the recording: ' + (error instanceof Error ? error.message : 'Unknown error'))
+    }
+  }, [recordingTrigger.state])
 
   const handleSettingsChange = useCallback((settings: any) => {
     console.log('[App] Settings change received:', {
@@ -518,13 +475,14 @@ function App() {
   // Listen for navigation events from boulder save confirmation
   useEffect(() => {
     const handleNavigateToStatistics = (event: CustomEvent) => {
-      const { boulderId } = event.detail
-      console.log('[App] Navigating to statistics view for boulder:', boulderId)
+      const { boulderId, moveIndex } = event.detail
+      console.log('[App] Navigating to statistics view for boulder:', boulderId, moveIndex !== undefined ? `move ${moveIndex}` : '')
       
       // Switch to visualizer view and statistics mode
       setCurrentView('visualizer')
       setVisualizationMode('statistics')
       setIsControlPanelVisible(true)
+      setFocusedMoveIndex(typeof moveIndex === 'number' ? moveIndex : null)
       
       // Select the boulder if ID is provided
       if (boulderId) {
@@ -539,6 +497,51 @@ function App() {
     return () => window.removeEventListener('navigateToStatistics', handleNavigateToStatistics as EventListener)
   }, [selectBoulder])
 
+  // Open a manual boulder in the creator (dispatched from the control panel)
+  useEffect(() => {
+    const handleEditManualBoulder = (event: CustomEvent) => {
+      const { boulderId } = event.detail
+      console.log('[App] Editing manual boulder:', boulderId)
+      
+      setEditingBoulderId(boulderId)
+      setCurrentView('add-boulder')
+      setIsControlPanelVisible(false)
+    }
+    
+    window.addEventListener('editManualBoulder', handleEditManualBoulder as EventListener)
+    return () => window.removeEventListener('editManualBoulder', handleEditManualBoulder as EventListener)
+  }, [])
+
+  // Boulder to select as soon as the refreshed boulder list has it
+  const [pendingSelectionId, setPendingSelectionId] = useState<number | null>(null)
+  useEffect(() => {
+    if (pendingSelectionId === null || !boulders.some(boulder => boulder.id === pendingSelectionId)) return
+    selectBoulder(pendingSelectionId)
+    setPendingSelectionId(null)
+  }, [boulders, pendingSelectionId, selectBoulder])
+
+  // Show a freshly saved manual boulder in the 3D view. It is stored by now, the boulderSaved
+  // event refreshes the list.
+  const handleManualBoulderSaved = useCallback((boulderId: number) => {
+    console.log('[App] Manual boulder saved, showing it in the visualizer:', boulderId)
+    
+    setEditingBoulderId(undefined)
+    setCurrentView('visualizer')
+    setVisualizationMode('3d')
+    setIsControlPanelVisible(true)
+    setPendingSelectionId(boulderId)
+  }, [])
+
+  // Open a recording from the session timeline in the 3D view
+  const handleOpenSessionRecording = useCallback((boulderId: number) => {
+    console.log('[App] Opening session recording in the visualizer:', boulderId)
+    
+    setCurrentView('visualizer')
+    setVisualizationMode('3d')
+    setIsControlPanelVisible(true)
+    handleBoulderChange(boulderId)
+  }, [handleBoulderChange])
+
   const renderView = () => {
     switch (currentView) {
       case 'add-boulder':
@@ -546,15 +549,35 @@ function App() {
           <div className={`transition-all duration-300 ${isControlPanelVisible ? 'mr-[25rem]' : 'mr-0'}`}>
             <AddCustomBoulder 
               uploadFile={uploadFile}
-              onServerToggle={handleServerToggle}
-              onServerCommand={handleServerCommand}
-              isServerConnected={isServerConnected}
               currentView={currentView}
               isControlPanelVisible={isControlPanelVisible}
               onViewChange={handleViewChange}
+              key={editingBoulderId ?? 'new'}
+              editBoulderId={editingBoulderId}
+              onManualBoulderSaved={handleManualBoulderSaved}
             />
           </div>
         )
+      case 'sessions':
+        return (
+          <ErrorBoundary>
+            <SessionsView
+              boulders={boulders}
+              isControlPanelVisible={isControlPanelVisible}
+              onOpenRecording={handleOpenSessionRecording}
+            />
+          </ErrorBoundary>
+        )
+      case 'climbers':
+        return (
+          <ErrorBoundary>
+            <ClimbersView
+              boulders={boulders}
+              selectedBoulder={selectedBoulder}
+              isControlPanelVisible={isControlPanelVisible}
+            />
+          </ErrorBoundary>
+        )
       case 'visualizer':
       default:
         if (visualizationMode === 'statistics') {
@@ -564,6 +587,8 @@ function App() {
                 selectedBoulder={selectedBoulder}
                 onBoulderDataUpdate={handleBoulderDataUpdate}
                 isControlPanelVisible={isControlPanelVisible}
+                focusedMoveIndex={focusedMoveIndex}
+                onFocusedMoveChange={setFocusedMoveIndex}
               />
             </ErrorBoundary>
           )
@@ -611,8 +636,6 @@ function App() {
               setVisualizerSettings={setVisualizerSettings}
               onBoulderChange={handleBoulderChange}
               onBoulderDataUpdate={handleBoulderDataUpdate}
-              onServerToggle={handleServerToggle}
-              onServerCommand={handleServerCommand}
               currentBoulderId={selectedBoulder?.id || 0}
               boulders={boulders}
               selectedBoulder={selectedBoulder}
@@ -621,11 +644,28 @@ function App() {
               selectBoulder={selectBoulder}
               uploadFile={uploadFile}
               refreshBoulders={refreshBoulders}
-              isServerConnected={isServerConnected}
               onVisibilityChange={handleControlPanelVisibilityChange}
             />
           )}
           
+          {/* Buffer mapping for Phyphox experiments that don't say which buffer holds what, one device at a time */}
+          {pendingMappingDevice?.pendingMapping && (
+            <PhyphoxBufferMappingDialog
+              key={pendingMappingDevice.id}
+              pendingMapping={pendingMappingDevice.pendingMapping}
+              deviceLabel={pendingMappingDevice.id === MAIN_PHYPHOX_DEVICE_ID ? null : pendingMappingDevice.label}
+              onConfirm={(mapping) => confirmPhyphoxBufferMapping(mapping, pendingMappingDevice.id)}
+              onCancel={() => pendingMappingDevice.id === MAIN_PHYPHOX_DEVICE_ID ? disconnectFromPhyphox() : disconnectPhyphoxDevice(pendingMappingDevice.id)}
+            />
+          )}
+          
+          {/* Recording playback in the 3D view, the statistics view has it under the plot */}
+          {!isLoading && currentView === 'visualizer' && visualizationMode !== 'statistics' && (
+            <div className={`fixed left-1/2 transform -translate-x-1/2 z-40 w-[36rem] max-w-[90vw] ${isServerConnected ? 'bottom-32' : 'bottom-8'}`}>
+              <PlaybackBar recording={selectedBoulder} />
+            </div>
+          )}
+          
           {/* Floating Playback Controls - only show when server is connected and not in add-boulder view */}
           {isServerConnected && currentView !== 'add-boulder' && (
             <div className="fixed bottom-8 left-1/2 transform -translate-x-1/2 z-50">
@@ -644,6 +684,17 @@ function App() {
                 >
                   <Square size={20} className="text-red-100" fill="currentColor" />
                 </button>
+                <button
+                  onClick={handleArmToggle}
+                  className={`px-4 py-2 text-white rounded-lg transition-all flex items-center justify-center ${
+                    recordingTrigger.state === 'armed' ? 'bg-yellow-500/80 hover:bg-yellow-500 animate-pulse'
+                      : recordingTrigger.state === 'recording' ? 'bg-yellow-500/80 hover:bg-yellow-500'
+                      : 'bg-cyan-500/60 hover:bg-cyan-500'
+                  }`}
+                  title={recordingTrigger.state === 'armed' || recordingTrigger.state === 'recording' ? 'Disarm Triggers' : 'Arm: start on motion, stop on fall or at the top'}
+                >
+                  <Crosshair size={20} className="text-yellow-50" />
+                </button>
                 <button
                   onClick={() => handleServerCommand('clear')}
                   className="px-4 py-2 bg-gray-500/80 hover:bg-gray-500 text-white rounded-lg transition-all flex items-center justify-center"
@@ -651,6 +702,13 @@ function App() {
                 >
                   <RotateCcw size={20} className="text-gray-100" />
                 </button>
+                {recordingTrigger.state !== 'off' && (
+                  <span className="text-xs text-yellow-300">
+                    {RECORDING_TRIGGER_STATE_LABELS[recordingTrigger.state]}
+                    {recordingTrigger.stopReason === 'fall' && ' · fall detected'}
+                    {recordingTrigger.stopReason === 'top' && ' · topped out'}
+                  </span>
+                )}
               </div>
             </div>
           )}
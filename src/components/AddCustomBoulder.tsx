@@ -3,29 +3,28 @@ import { ManualBoulderCreator } from './ManualBoulderCreator'
 import { PhyphoxTutorial } from './PhyphoxTutorial'
 import SpotlightCard from './ui/SpotlightCard'
 import { Edit3, Smartphone, Check, Eye } from 'lucide-react'
+import type { UploadCSVFile } from '../utils/csvLoader'
 
 type BoulderCreationMode = 'selection' | 'manual' | 'phyphox'
 
 interface AddCustomBoulderProps {
-  uploadFile?: (file: File) => Promise<void>
-  onServerToggle?: (connected: boolean) => void
-  onServerCommand?: (command: string) => void
-  isServerConnected?: boolean
+  uploadFile?: UploadCSVFile
   currentView?: string
   isControlPanelVisible?: boolean
   onViewChange?: (view: 'visualizer' | 'add-boulder') => void
+  editBoulderId?: number // Open the manual creator on an existing boulder
+  onManualBoulderSaved?: (boulderId: number) => void
 }
 
 export function AddCustomBoulder({ 
   uploadFile, 
-  onServerToggle, 
-  onServerCommand, 
-  isServerConnected = false,
   currentView,
   isControlPanelVisible = true,
-  onViewChange
+  onViewChange,
+  editBoulderId,
+  onManualBoulderSaved
 }: AddCustomBoulderProps = {}) {
-  const [mode, setMode] = useState<BoulderCreationMode>('selection')
+  const [mode, setMode] = useState<BoulderCreationMode>(editBoulderId !== undefined ? 'manual' : 'selection')
 
   const handleBackToSelection = () => {
     setMode('selection')
@@ -35,16 +34,20 @@ export function AddCustomBoulder({
   const isControlPanelEffectivelyVisible = isControlPanelVisible && currentView !== 'add-boulder'
 
   if (mode === 'manual') {
-    return <ManualBoulderCreator onBack={handleBackToSelection} isControlPanelVisible={isControlPanelEffectivelyVisible} />
+    return (
+      <ManualBoulderCreator 
+        onBack={handleBackToSelection}
+        onSaved={onManualBoulderSaved}
+        boulderId={editBoulderId}
+        isControlPanelVisible={isControlPanelEffectivelyVisible}
+      />
+    )
   }
 
   if (mode === 'phyphox') {
     return (
       <PhyphoxTutorial 
         onBack={handleBackToSelection}
-        onServerToggle={onServerToggle}
-        onServerCommand={onServerCommand}
-        isServerConnected={isServerConnected}
         uploadFile={uploadFile}
         isControlPanelVisible={isControlPanelEffectivelyVisible}
       />
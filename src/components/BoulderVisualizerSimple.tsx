@@ -1,5 +1,6 @@
-import React, { useRef, useEffect, Suspense } from 'react'
-import { Canvas, useFrame, extend } from '@react-three/fiber'
+import React, { useRef, useEffect, useState, useCallback, Suspense } from 'react'
+import { Canvas, useFrame, useThree, extend } from '@react-three/fiber'
+import type { ThreeEvent } from '@react-three/fiber'
 import { OrbitControls } from '@react-three/drei'
 import * as THREE from 'three'
 import { 
@@ -8,12 +9,79 @@ import {
   ProcessedMove, 
   VisualizationState,
   updateSelectedBoulder,
-  detectAndProcessMoves
+  getMoveDetectionConfig,
+  createLiveMoveDetector,
+  requestVisualizationRefresh
 } from '../store/visualizationStore'
+import { getAttemptsForBoulder, getAttemptHighPoint } from '../utils/attemptLog'
+import { saveStoredBoulder } from '../utils/boulderStorage'
+import type { StoredBoulder } from '../utils/boulderStorage'
+import { subscribeToPhyphoxConnection, getPhyphoxConnection, getPhyphoxDeviceStreams } from '../utils/phyphoxConnection'
+import type { PhyphoxConnection } from '../utils/phyphoxConnection'
+import { ACCELERATION_BUFFERS, readPhyphoxSensorChannels, trimPhyphoxBuffers } from '../utils/phyphoxPolling'
+import { analyzeMoveSensors, getRotationLevels } from '../utils/sensorAnalysis'
+import { measureMovesOn } from '../utils/moveDetection'
+import { createFallDetector, getRecordingFall, locateFall, GRAVITY } from '../utils/fallDetection'
+import type { FallDetector, FallEvent } from '../utils/fallDetection'
+import type { StreamingMoveDetector } from '../utils/moveDetection'
+import { createLiveCueTracker } from '../utils/liveCues'
+import type { LiveCueTracker } from '../utils/liveCues'
+import { getRecordingTriggerStatus, subscribeToRecordingTriggers } from '../utils/recordingTriggers'
+import { DEVICE_STREAM_COLORS } from '../utils/csvLoader'
+import { getPlaybackState, getPlaybackRange, getPlaybackRevealFraction } from '../utils/playback'
+import { registerPosterRenderer, renderSceneTiles } from '../utils/posterExport'
+import { registerVectorSource, setVectorText } from '../utils/vectorExport'
+import { registerAnimationRenderer } from '../utils/animationExport'
+
+const DEVICE_LAYER_SPACING = 0.6 // Depth between the ring sets of the devices
+const DEVICE_LAYER_OPACITY = 0.5 // Ring sets of the other devices relative to the main one
+const FALL_COLOR = 0xef4444 // Attempts that ended in a fall
+const CLICK_DRAG_TOLERANCE = 2 // px the pointer may move for a click, more is orbiting
+
+interface MoveHover {
+  index: number
+  move: ProcessedMove
+  clientX: number
+  clientY: number
+}
+
+interface VisualizationSceneProps {
+  onMoveHover: (hover: MoveHover | null) => void
+  onMoveSelect: (moveIndex: number) => void
+}
+
+// Move whose sector contains the angle. Moves go clockwise from 12 o'clock like the rings and the
+// move lines, each line in the middle of its sector.
+function getMoveIndexAtAngle(angle: number, moveCount: number): number {
+  const position = (Math.PI / 2 - angle) / (Math.PI * 2) // Clockwise turns from 12 o'clock
+  return ((Math.round(position * moveCount) % moveCount) + moveCount) % moveCount
+}
+
+// Clockwise position (0..1 from 12 o'clock) of each cross-section of a ring tube, which is where
+// playback stops drawing it
+function getCrossSectionPositions(geometry: THREE.TubeGeometry): number[] {
+  const { tubularSegments, radialSegments } = geometry.parameters
+  const vertices = geometry.attributes.position
+  const positions = [0]
+  
+  for (let i = 1; i <= tubularSegments; i++) {
+    let x = 0
+    let y = 0
+    for (let j = 0; j < radialSegments; j++) {
+      x += vertices.getX(i * (radialSegments + 1) + j)
+      y += vertices.getY(i * (radialSegments + 1) + j)
+    }
+    const turn = (((Math.PI / 2 - Math.atan2(y, x)) / (Math.PI * 2)) % 1 + 1) % 1
+    positions.push(Math.max(positions[i - 1], turn < positions[i - 1] - 0.5 ? turn + 1 : turn))
+  }
+  positions[tubularSegments] = 1 // Closed tube, back at the start
+  return positions
+}
 
 // The visualization component that reads from global store at 15 FPS
-function VisualizationScene() {
+function VisualizationScene({ onMoveHover, onMoveSelect }: VisualizationSceneProps) {
   const meshRef = useRef<THREE.Group>(null)
+  const pickAreaRef = useRef<THREE.Mesh>(null) // Invisible disc under the rings the pointer is raycast against
   const ringsRef = useRef<THREE.Group>(null)
   const centerTextRef = useRef<THREE.Mesh | null>(null)
   const circularTextRef = useRef<THREE.Group>(null) // Add ref for circular text group
@@ -23,6 +91,8 @@ function VisualizationScene() {
   const lastUpdateRef = useRef<number>(0)
   const lastSettingsRef = useRef<any>(null)
   const frameCountRef = useRef<number>(0)
+  const revealRef = useRef<number>(1) // Fraction of the rings drawn, below 1 during playback
+  const { gl, scene, camera } = useThree()
   
   // Clean up materials on unmount
   useEffect(() => {
@@ -41,7 +111,59 @@ function VisualizationScene() {
     }
   }, [])
   
-  // Seeded random function for consistent attempt generation
+  // Exports render this scene as it is on screen, with the circular text as they ask
+  const renderExportImage = (ctx: CanvasRenderingContext2D, width: number, height: number, showCircularText: boolean) => {
+    const settings = getVisualizationState().visualizerSettings
+    const circularText = circularTextRef.current
+    const buildText = showCircularText && !!circularText && circularText.children.length === 0
+    if (buildText) createCircularText(settings)
+    if (circularText) circularText.visible = showCircularText
+    
+    try {
+      const filter = buildFilterString(settings, width / gl.domElement.clientWidth)
+      if (filter === 'none') {
+        renderSceneTiles(gl, scene, camera, ctx, width, height)
+        return
+      }
+      
+      // The filter has to see the whole picture, the glow would break at the tile edges
+      const art = document.createElement('canvas')
+      art.width = width
+      art.height = height
+      const artCtx = art.getContext('2d')
+      if (!artCtx) throw new Error('Canvas is not available for an image this large')
+      renderSceneTiles(gl, scene, camera, artCtx, width, height)
+      ctx.save()
+      ctx.filter = filter
+      ctx.drawImage(art, 0, 0)
+      ctx.restore()
+      art.width = 0
+    } finally {
+      if (circularText) {
+        circularText.visible = true
+        if (buildText) circularText.clear() // Disposed with the rest on the next rebuild
+      }
+    }
+  }
+  
+  useEffect(() => registerPosterRenderer((ctx, width, height, options) => {
+    renderExportImage(ctx, width, height, options.circularText)
+  }), [gl, scene, camera])
+  
+  // Animation export steps the animations to each frame's time instead of the clock's
+  useEffect(() => registerAnimationRenderer((ctx, width, height, time) => {
+    const settings = getVisualizationState().visualizerSettings
+    applyAnimations(time, settings)
+    renderExportImage(ctx, width, height, settings.showCircularText)
+  }), [gl, scene, camera])
+  
+  // Vector export projects the objects of this scene through the same camera
+  useEffect(() => registerVectorSource(() => meshRef.current
+    ? { root: meshRef.current, camera, screenWidth: gl.domElement.clientWidth }
+    : null
+  ), [gl, camera])
+  
+  // Seeded random function for a stable per-attempt wave phase
   const seededRandom = (seed: number) => {
     const x = Math.sin(seed) * 10000
     return x - Math.floor(x)
@@ -80,34 +202,74 @@ function VisualizationScene() {
       }
     }
     
-    // Apply continuous animations without recreating geometry
-    if (meshRef.current && vizState.visualizerSettings.animationEnabled) {
-      // Rotation animation
-      if (vizState.visualizerSettings.rotationSpeed > 0) {
-        meshRef.current.rotation.z = state.clock.elapsedTime * vizState.visualizerSettings.rotationSpeed * 0.5
-      }
-      
-      // Circular text rotation animation with smooth hover speed transitions
-      if (circularTextRef.current && vizState.visualizerSettings.showCircularText) {
-        // Convert spin duration to rotation speed (duration is in seconds for full rotation)
-        const baseRotationSpeed = (Math.PI * 2) / vizState.visualizerSettings.circularTextSpeed
-        // Use smooth interpolated speed instead of instant changes
-        const rotationSpeed = baseRotationSpeed * 1.0 // Fixed speed
-        circularTextRef.current.rotation.z = state.clock.elapsedTime * rotationSpeed
-      }
-      
-      // Update liquid effects by modifying existing ring positions
-      if (vizState.visualizerSettings.liquidEffect && ringsRef.current && ringsRef.current.children.length > 0) {
-        updateLiquidAnimation(state.clock.elapsedTime, vizState.visualizerSettings)
-      }
-      
-      // Update attempt line animations
-      if (vizState.visualizerSettings.showAttemptLines && attemptLinesRef.current && attemptLinesRef.current.children.length > 0) {
-        updateAttemptAnimation(state.clock.elapsedTime, vizState.visualizerSettings)
-      }
+    // Playback grows the finished rings up to the current time. Applied every frame while it
+    // runs, rings created in the meantime start out complete.
+    const playback = getPlaybackState()
+    const playbackRange = playback.active ? getPlaybackRange() : null
+    const reveal = playbackRange && vizState.processedMoves
+      ? getPlaybackRevealFraction(vizState.processedMoves, playback.time, playbackRange.end)
+      : 1
+    if (reveal < 1 || revealRef.current < 1) {
+      applyPlaybackReveal(reveal, vizState.processedMoves?.length || 1)
     }
+    revealRef.current = reveal
+    
+    applyAnimations(state.clock.elapsedTime, vizState.visualizerSettings)
   })
   
+  // Apply continuous animations without recreating geometry, at elapsedTime seconds
+  const applyAnimations = (elapsedTime: number, settings: VisualizationState['visualizerSettings']) => {
+    if (!meshRef.current || !settings.animationEnabled) return
+    
+    // Rotation animation
+    if (settings.rotationSpeed > 0) {
+      meshRef.current.rotation.z = elapsedTime * settings.rotationSpeed * 0.5
+    }
+    
+    // Circular text rotation animation with smooth hover speed transitions
+    if (circularTextRef.current && settings.showCircularText) {
+      // Convert spin duration to rotation speed (duration is in seconds for full rotation)
+      const baseRotationSpeed = (Math.PI * 2) / settings.circularTextSpeed
+      // Use smooth interpolated speed instead of instant changes
+      const rotationSpeed = baseRotationSpeed * 1.0 // Fixed speed
+      circularTextRef.current.rotation.z = elapsedTime * rotationSpeed
+    }
+    
+    // Update liquid effects by modifying existing ring positions
+    if (settings.liquidEffect && ringsRef.current && ringsRef.current.children.length > 0) {
+      updateLiquidAnimation(elapsedTime, settings)
+    }
+    
+    // Update attempt line animations
+    if (settings.showAttemptLines && attemptLinesRef.current && attemptLinesRef.current.children.length > 0) {
+      updateAttemptAnimation(elapsedTime, settings)
+    }
+  }
+  
+  const applyPlaybackReveal = (reveal: number, moveCount: number) => {
+    ringsRef.current?.children.forEach(ring => {
+      if (!(ring instanceof THREE.Mesh) || !(ring.geometry instanceof THREE.TubeGeometry)) return
+      const geometry = ring.geometry
+      if (reveal >= 1) {
+        geometry.setDrawRange(0, Infinity)
+        return
+      }
+      
+      // The tube's indices run cross-section by cross-section, 6 per radial segment
+      const { tubularSegments, radialSegments } = geometry.parameters
+      if (!ring.userData.revealPositions) ring.userData.revealPositions = getCrossSectionPositions(geometry)
+      const positions: number[] = ring.userData.revealPositions
+      let segments = 0
+      while (segments < tubularSegments && positions[segments + 1] <= reveal) segments++
+      geometry.setDrawRange(0, segments * radialSegments * 6)
+    })
+    
+    // Move lines appear once the ring reaches them
+    moveLinesRef.current?.children.forEach(child => {
+      child.visible = reveal >= 1 || child.userData.moveIndex / moveCount <= reveal
+    })
+  }
+  
   const updateLiquidAnimation = (elapsedTime: number, settings: any) => {
     // Update existing ring vertices for liquid animation without recreating geometry
     if (!ringsRef.current) return
@@ -319,6 +481,7 @@ function VisualizationScene() {
       
       centerTextRef.current = new THREE.Mesh(textGeometry, textMaterial)
       centerTextRef.current.position.z = 0.01
+      setVectorText(centerTextRef.current, { text: displayText, size: 2.5 * settings.centerTextSize * 220 / canvas.height, color: '#cccccc', fontFamily })
     } else {
       // Fallback to sphere if canvas context fails
       const sphereRadius = 0.3 * settings.centerTextSize
@@ -337,10 +500,16 @@ function VisualizationScene() {
       createCircularText(settings)
     }
     
+    // Rotation mode colours the rings by how much the body rotated during each move
+    const csvData = vizState.selectedBoulder?.csvData
+    const rotationLevels = settings.colorByRotation && csvData?.gyroscope
+      ? getRotationLevels(analyzeMoveSensors(csvData, moves))
+      : null
+    
     // Create rings
     let ringsCreated = 0
     for (let ringIndex = 0; ringIndex < settings.ringCount; ringIndex++) {
-      const ring = createSingleRing(ringIndex, moves, settings)
+      const ring = createSingleRing(ringIndex, moves, settings, rotationLevels)
       if (ring) {
         ringsRef.current.add(ring)
         managedObjects.current.push(ring)
@@ -348,6 +517,28 @@ function VisualizationScene() {
       }
     }
     
+    // Other devices of the recording as fainter ring sets stacked behind, their moves are the main
+    // device's moves measured on their acceleration so the layers line up move by move
+    if (settings.showDeviceLayers && csvData?.streams) {
+      csvData.streams.forEach((stream, streamIndex) => {
+        const streamMoves = measureMovesOn(moves, csvData.time, stream.absoluteAcceleration)
+        const layerSettings = {
+          ...settings,
+          moveColor: DEVICE_STREAM_COLORS[streamIndex % DEVICE_STREAM_COLORS.length],
+          opacity: settings.opacity * DEVICE_LAYER_OPACITY
+        }
+        for (let ringIndex = 0; ringIndex < settings.ringCount; ringIndex++) {
+          const ring = createSingleRing(ringIndex, streamMoves, layerSettings)
+          if (ring) {
+            ring.position.z = -(streamIndex + 1) * DEVICE_LAYER_SPACING
+            ringsRef.current?.add(ring)
+            managedObjects.current.push(ring)
+            ringsCreated++
+          }
+        }
+      })
+    }
+    
     // Create attempt lines if enabled
     if (settings.showAttemptLines && settings.attemptCount > 0) {
       createAttemptLines(moves, settings)
@@ -356,47 +547,80 @@ function VisualizationScene() {
     // Create move position lines - straight lines from center to specific radius
     createMovePositionLines(moves, settings)
     
+    updatePickArea(settings)
+    
     console.log(`[BoulderVisualizerSimple] Successfully created ${ringsCreated} rings`)
   }
   
+  // Sizes the picking disc to the rings and move lines just created
+  const updatePickArea = (settings: any) => {
+    if (!pickAreaRef.current || !ringsRef.current) return
+    
+    const startRadius = settings.baseRadius * settings.combinedSize
+    const bounds = new THREE.Box3().setFromObject(ringsRef.current)
+    const ringRadius = bounds.isEmpty() ? 0 : Math.max(-bounds.min.x, bounds.max.x, -bounds.min.y, bounds.max.y)
+    const outerRadius = Math.max(ringRadius, startRadius + settings.moveLineLength)
+    
+    pickAreaRef.current.geometry.dispose()
+    pickAreaRef.current.geometry = new THREE.RingGeometry(startRadius * 0.5, outerRadius, 96)
+  }
+  
+  // Move under the pointer, from where the ray meets the disc
+  const pickMove = (event: ThreeEvent<PointerEvent | MouseEvent>) => {
+    const moves = getVisualizationState().processedMoves
+    if (!moves || moves.length === 0 || !meshRef.current) return null
+    
+    const point = meshRef.current.worldToLocal(event.point.clone())
+    const index = getMoveIndexAtAngle(Math.atan2(point.y, point.x), moves.length)
+    return { index, move: moves[index] }
+  }
+  
+  const handlePointerMove = (event: ThreeEvent<PointerEvent>) => {
+    const picked = pickMove(event)
+    if (!picked) return
+    document.body.style.cursor = 'pointer'
+    onMoveHover({ ...picked, clientX: event.nativeEvent.clientX, clientY: event.nativeEvent.clientY })
+  }
+  
+  const handlePointerOut = () => {
+    document.body.style.cursor = ''
+    onMoveHover(null)
+  }
+  
+  const handleClick = (event: ThreeEvent<MouseEvent>) => {
+    if (event.delta > CLICK_DRAG_TOLERANCE) return
+    const picked = pickMove(event)
+    if (picked) onMoveSelect(picked.index)
+  }
+  
   const createAttemptLines = (moves: ProcessedMove[], settings: any) => {
     if (!attemptLinesRef.current) return
     
-    // Use maxAttempts instead of attemptCount for proper original logic
-    const attemptCount = Math.floor(settings.maxAttempts || settings.attemptCount || 71)
+    const boulderId = getVisualizationState().selectedBoulder?.id
+    if (boulderId === undefined) return
+    
+    // Real attempt history for this boulder, most recent attempts win when capped
+    const allAttempts = getAttemptsForBoulder(boulderId)
+    const maxShown = Math.floor(settings.maxAttempts || settings.attemptCount || allAttempts.length)
+    const attempts = allAttempts.slice(-maxShown)
+    if (attempts.length === 0) return
+    
     const baseRadius = settings.baseRadius * settings.combinedSize
     const maxRadius = (baseRadius + (settings.ringCount * settings.ringSpacing) + 0.5) * (settings.attemptRadius || 1.0)
+    const totalMoves = Math.max(0, moves.length - 1) // Exclude the start move
     
-    console.log(`[BoulderVisualizerSimple] Creating ${attemptCount} attempt lines`)
-    
-    // Calculate how many attempts should be completed (25%)
-    const completedAttemptCount = Math.floor(attemptCount * 0.25)
+    console.log(`[BoulderVisualizerSimple] Creating ${attempts.length} attempt lines from attempt log`)
     
-    for (let i = 0; i < attemptCount; i++) {
-      // Generate attempt data like the original
-      const boulderSeed = 789.123 // Simple seed
-      const angle = seededRandom(boulderSeed + i * 100.123) * Math.PI * 2
+    for (let i = 0; i < attempts.length; i++) {
+      const attempt = attempts[i]
       
-      // Determine if this attempt is completed (first 25% are completed)
-      const isCompleted = i < completedAttemptCount
+      // Spread attempts evenly around the circle with the golden angle
+      const angle = i * Math.PI * (3 - Math.sqrt(5))
       
-      // Generate completion percentage
-      let completionPercent
-      if (isCompleted) {
-        // Completed attempts always reach 100%
-        completionPercent = 1.0
-      } else {
-        // Non-completed attempts have exponential distribution (more failures early)
-        const randomValue = seededRandom(boulderSeed + i * 200.456)
-        if (randomValue < 0.5) {
-          completionPercent = 0.1 + randomValue * 0.4 // 10-30%
-        } else if (randomValue < 0.8) {
-          completionPercent = 0.3 + (randomValue - 0.5) * 1.0 // 30-60%
-        } else {
-          completionPercent = 0.6 + (randomValue - 0.8) * 1.25 // 60-85%
-        }
-        completionPercent = Math.min(0.85, Math.max(0.1, completionPercent)) // Cap at 85% for non-completed
-      }
+      const isCompleted = attempt.completed
+      const fell = !isCompleted && !!attempt.fellAtMove // The line ends where the climber fell
+      // Keep a short stub for attempts that fell before the first move
+      const completionPercent = Math.max(0.05, getAttemptHighPoint(attempt, totalMoves))
       
       // Calculate dramatic completion for more visual impact
       const dramaticCompletion = Math.pow(completionPercent, 1.8)
@@ -405,7 +629,7 @@ function VisualizationScene() {
       // Create wavy line points
       const points = []
       const segments = Math.max(20, Math.floor((endRadius - baseRadius) * 4))
-      const attemptSpecificRandomPhase = seededRandom(i * 12.345) * Math.PI * 2
+      const attemptSpecificRandomPhase = seededRandom(attempt.id * 12.345) * Math.PI * 2
       
       for (let j = 0; j <= segments; j++) {
         const t = j / segments
@@ -463,7 +687,7 @@ function VisualizationScene() {
       // Different colors for completed vs incomplete attempts
       // Black for completed attempts, white for incomplete
       const completedColor = new THREE.Color(0xffffff) // Black for completed
-      const lineColor = isCompleted ? completedColor : new THREE.Color(0xDAF8F3) // Black for completed, white for incomplete
+      const lineColor = isCompleted ? completedColor : new THREE.Color(fell ? FALL_COLOR : 0xDAF8F3) // Black for completed, white for incomplete
       
       // Use custom shader material for smooth opacity gradient
       const material = new THREE.ShaderMaterial({
@@ -499,13 +723,13 @@ function VisualizationScene() {
       const lastPoint = points[points.length - 1]
       const baseDotSize = 0.1 * completionPercent
       // Finished dots are BIGGER, unfinished dots are SMALLER (swapped logic)
-      const dotSize = isCompleted ? baseDotSize * 0.4 : baseDotSize * 0.2
+      const dotSize = isCompleted || fell ? baseDotSize * 0.4 : baseDotSize * 0.2
       const dotGeometry = new THREE.SphereGeometry(dotSize, 10, 6)
       // Custom opacity mapping: 0.35 attempt opacity = 100% dot opacity
       const attemptOpacity = settings.attemptOpacity || 1.0
       const dotOpacity = attemptOpacity <= 0.35 ? (attemptOpacity / 0.35) : 1.0
       const dotMaterial = new THREE.MeshBasicMaterial({
-        color: isCompleted ? 0xffffff : 0xDAF8F3, // White for completed, light turquoise for incomplete
+        color: isCompleted ? 0xffffff : fell ? FALL_COLOR : 0xDAF8F3, // White for completed, red for falls, light turquoise for incomplete
         transparent: true, // Enable transparency to use opacity
         opacity: dotOpacity // Use custom mapped opacity
       })
@@ -520,7 +744,7 @@ function VisualizationScene() {
     }
   }
   
-  const createSingleRing = (ringIndex: number, moves: ProcessedMove[], settings: any) => {
+  const createSingleRing = (ringIndex: number, moves: ProcessedMove[], settings: any, rotationLevels: number[] | null = null) => {
     const moveCount = moves.length
     if (moveCount < 2) return null
 
@@ -636,10 +860,20 @@ function VisualizationScene() {
 
       const geometry = new THREE.BufferGeometry().setFromPoints(validSmoothPoints)
       
-      // Create colors with crux influence
-      const colorsArray = []
-      for (let i = 0; i < validSmoothPoints.length; i++) {
-        const normPos = i / validSmoothPoints.length
+      // Color at a position around the ring: crux influence, or rotation energy in rotation mode
+      const normalColor = new THREE.Color(settings.moveColor)
+      const cruxColor = new THREE.Color(settings.cruxColor)
+      const rotationColor = new THREE.Color(settings.rotationColor)
+      const colorAt = (normPos: number) => {
+        if (rotationLevels) {
+          const movePosition = normPos * moveCount
+          const index1 = Math.floor(movePosition) % moveCount
+          const index2 = (index1 + 1) % moveCount
+          const lerpFactor = movePosition - Math.floor(movePosition)
+          const level = rotationLevels[index1] * (1 - lerpFactor) + rotationLevels[index2] * lerpFactor
+          return normalColor.clone().lerp(rotationColor, level)
+        }
+        
         let cInf = 0
         for (let j = 0; j < moveCount; j++) {
           const move = moves[j]
@@ -650,9 +884,12 @@ function VisualizationScene() {
             if (dist < 0.12) cInf = Math.max(cInf, 1 - (dist / 0.12))
           }
         }
-        const normalColor = new THREE.Color(settings.moveColor)
-        const cruxColor = new THREE.Color(settings.cruxColor)
-        colorsArray.push(...normalColor.lerp(cruxColor, cInf).toArray())
+        return normalColor.clone().lerp(cruxColor, cInf)
+      }
+      
+      const colorsArray = []
+      for (let i = 0; i < validSmoothPoints.length; i++) {
+        colorsArray.push(...colorAt(i / validSmoothPoints.length).toArray())
       }
       geometry.setAttribute('color', new THREE.Float32BufferAttribute(colorsArray, 3))
       
@@ -671,19 +908,7 @@ function VisualizationScene() {
       
       for (let i = 0; i < segmentCount; i++) {
         const normPos = (i % (validSmoothPoints.length * 8)) / (validSmoothPoints.length * 8)
-        let cInf = 0
-        for (let j = 0; j < moveCount; j++) {
-          const move = moves[j]
-          if (move && move.isCrux) {
-            const cPos = j / moveCount
-            let dist = Math.abs(normPos - cPos)
-            dist = Math.min(dist, 1 - dist)
-            if (dist < 0.12) cInf = Math.max(cInf, 1 - (dist / 0.12))
-          }
-        }
-        const normalColor = new THREE.Color(settings.moveColor)
-        const cruxColor = new THREE.Color(settings.cruxColor)
-        const finalColor = normalColor.lerp(cruxColor, cInf)
+        const finalColor = colorAt(normPos)
         tubeColors.push(finalColor.r, finalColor.g, finalColor.b)
       }
       tubeGeometry.setAttribute('color', new THREE.Float32BufferAttribute(tubeColors, 3))
@@ -712,8 +937,14 @@ function VisualizationScene() {
     const startRadius = settings.baseRadius * settings.combinedSize
     const endRadius = startRadius + settings.moveLineLength
     
+    // The move the climber fell on, when the recording ends in a fall
+    const selectedBoulder = getVisualizationState().selectedBoulder
+    const fall = selectedBoulder ? getRecordingFall(selectedBoulder, moves) : null
+    const fallMoveIndex = fall ? Math.min(fall.moveIndex, moveCount - 1) : -1
+    
     for (let i = 0; i < moveCount; i++) {
       const move = moves[i]
+      const firstChild = moveLinesRef.current.children.length
       
       // Calculate angle for this move - start at 12 o'clock (top) and go clockwise
       const anglePerMove = (Math.PI * 2) / moveCount
@@ -739,6 +970,8 @@ function VisualizationScene() {
       let lineColor = 0xffffff // Default white
       if (isStartMove) {
         lineColor = 0x00ff00 // Green for start move
+      } else if (i === fallMoveIndex) {
+        lineColor = FALL_COLOR
       } else if (isCrux) {
         lineColor = parseInt(settings.cruxColor.replace('#', ''), 16) // Crux color
       } else {
@@ -890,10 +1123,14 @@ function VisualizationScene() {
         // Create label mesh
         const label = new THREE.Mesh(labelGeometry, labelMaterial)
         label.position.set(labelX, labelY, 0.2)
+        setVectorText(label, { text: moveLabel, size: 0.4 * 48 / canvas.height, color: '#ffffff', fontFamily: 'Arial' })
         
         moveLinesRef.current.add(label)
         managedObjects.current.push(label)
       }
+      
+      // Playback shows the line, its range and label together
+      moveLinesRef.current.children.slice(firstChild).forEach(child => { child.userData.moveIndex = i })
     }
   }
   
@@ -967,6 +1204,7 @@ function VisualizationScene() {
         
         // Store reference for identification
         ;(charMesh as any).isCircularTextChar = true
+        setVectorText(charMesh, { text: char, size: charSize * fontSize / canvas.height, color: '#22d3ee', fontFamily })
         
         circularTextRef.current!.add(charMesh)
         managedObjects.current.push(charMesh)
@@ -976,6 +1214,9 @@ function VisualizationScene() {
   
   return (
     <group ref={meshRef}>
+      <mesh ref={pickAreaRef} onPointerMove={handlePointerMove} onPointerOut={handlePointerOut} onClick={handleClick}>
+        <meshBasicMaterial colorWrite={false} depthWrite={false} />
+      </mesh>
       <group ref={ringsRef} />
       <group ref={attemptLinesRef} />
       <group ref={moveLinesRef} />
@@ -984,261 +1225,414 @@ function VisualizationScene() {
   )
 }
 
+// CSS filter of the post-processing settings. scale grows the glow for renders larger than the
+// screen, like poster exports.
+function buildFilterString(settings: VisualizationState['visualizerSettings'], scale = 1) {
+  const filters = []
+  
+  // Black & White filter
+  if (settings.postProcessingBW) {
+    const intensity = (settings.postProcessingBWIntensity || 50) / 100
+    filters.push(`grayscale(${intensity})`)
+  }
+  
+  // Contrast filter
+  if (settings.postProcessingContrast) {
+    const intensity = (settings.postProcessingContrastIntensity || 50) / 100
+    const contrastValue = 1 + intensity * 1.5 // 1.0 to 2.5 range
+    filters.push(`contrast(${contrastValue})`)
+  }
+  
+  // Bloom/Glow effect using drop-shadow and brightness with actual visualization colors
+  if (settings.postProcessingBloom) {
+    const intensity = (settings.postProcessingBloomIntensity || 50) / 100
+    const brightnessValue = 1 + intensity * 0.5 // 1.0 to 1.5 range
+    const glowSize = intensity * 4 * scale // Reduced from 10 to 4 for smaller radius
+    
+    // Use the actual visualization colors from settings (dynamic)
+    const moveColorHex = settings.moveColor || '#252cf4'
+    const cruxColorHex = settings.cruxColor || '#8b5cf6'
+    
+    // Convert hex to RGB for CSS
+    const hexToRgb = (hex: string) => {
+      const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex)
+      return result ? {
+        r: parseInt(result[1], 16),
+        g: parseInt(result[2], 16),
+        b: parseInt(result[3], 16)
+      } : { r: 37, g: 44, b: 244 } // fallback to blue
+    }
+    
+    const moveRgb = hexToRgb(moveColorHex)
+    const cruxRgb = hexToRgb(cruxColorHex)
+    const moveColor = `${moveRgb.r}, ${moveRgb.g}, ${moveRgb.b}`
+    const cruxColor = `${cruxRgb.r}, ${cruxRgb.g}, ${cruxRgb.b}`
+    
+    filters.push(`brightness(${brightnessValue})`)
+    
+    // Multi-layered bloom with tighter radius and dynamic colors
+    // Primary move color glow - smaller radius
+    filters.push(`drop-shadow(0 0 ${glowSize}px rgba(${moveColor}, ${intensity * 0.8}))`)
+    filters.push(`drop-shadow(0 0 ${glowSize * 1.5}px rgba(${moveColor}, ${intensity * 0.3}))`) // Reduced from 2x to 1.5x
+    
+    // Secondary crux color glow - smaller radius
+    filters.push(`drop-shadow(0 0 ${glowSize * 0.7}px rgba(${cruxColor}, ${intensity * 0.6}))`) // Reduced from 0.8x
+    filters.push(`drop-shadow(0 0 ${glowSize * 1.2}px rgba(${cruxColor}, ${intensity * 0.25}))`) // Reduced from 1.5x
+    
+    // Subtle accent glow for depth - much smaller
+    const accentColor = `147, 51, 234` // Keep this as accent
+    filters.push(`drop-shadow(0 0 ${glowSize * 0.3}px rgba(${accentColor}, ${intensity * 0.3}))`) // Reduced from 0.5x
+  }
+  
+  return filters.length > 0 ? filters.join(' ') : 'none'
+}
+
+// A live recording while it grows. Every update only adds the new samples: to the arrays here, to
+// the move detector and to the fall detector.
+interface LiveRecording {
+  id: number
+  recordingNumber: number
+  firstTime: number // Experiment time (s) of the first sample, the recording's 0
+  lastTime: number // Experiment time (s) of the last sample
+  time: number[] // s since firstTime
+  magnitude: number[]
+  sum: number // Of the magnitudes, for the average
+  max: number
+  detector: StreamingMoveDetector
+  detectorConfig: string
+  cues: LiveCueTracker
+  fallDetector: FallDetector
+  fall: FallEvent | null // First fall, ends the attempt
+  connection: PhyphoxConnection // Latest snapshot holding all samples, read for the library
+  savedSamples: number // Samples in the library, 0 before the first save
+}
+
 // Main component
 export function BoulderVisualizerSimple() {
-  // Add live data event listener
+  // Follow the live data of the shared Phyphox connection. The store follows the detectors' events
+  // and the recording goes to the library once it stops.
   useEffect(() => {
-    let liveRecordingId: number | null = null
-    
-    const handleLiveDataUpdate = (event: CustomEvent) => {
-      const { data, isRecording, timestamp } = event.detail
-      
-      if (data && data.acc_time && data.accX && data.accY && data.accZ) {
-        console.log('[BoulderVisualizerSimple] Received live data update:', {
-          timePoints: data.acc_time.buffer?.length || 0,
-          isRecording,
-          timestamp
+    let recording: LiveRecording | null = null
+    let lastBuffers: PhyphoxConnection['buffers'][] = []
+    let lastState: PhyphoxConnection['state'] | null = null
+    let lastTriggerStatus = getRecordingTriggerStatus()
+    let liveTriggerStart: number | null = null
+    let consumedSamples = 0 // Samples of the main device's buffers processed, kept or not
+    let bufferStart: number | null = null // Time of their first sample, another one means a new session
+
+    const createRecording = (firstTime: number, firstMagnitude: number, connection: PhyphoxConnection): LiveRecording => {
+      const id = Date.now() // Use timestamp as unique ID
+      console.log('[BoulderVisualizerSimple] Created new live recording ID:', id)
+      return {
+        id,
+        recordingNumber: Math.floor(id / 1000) % 1000,
+        firstTime,
+        lastTime: firstTime,
+        time: [],
+        magnitude: [],
+        sum: 0,
+        max: -Infinity,
+        detector: createLiveMoveDetector(),
+        detectorConfig: JSON.stringify(getMoveDetectionConfig()),
+        cues: createLiveCueTracker(),
+        // With or without g, the first sample tells which one it is
+        fallDetector: createFallDetector(firstMagnitude > GRAVITY / 2 ? GRAVITY : 0),
+        fall: null,
+        connection,
+        savedSamples: 0
+      }
+    }
+
+    // The recording as the store and the library see it. Sensor channels and the other devices'
+    // streams are resampled from the buffers only here, when the recording is shown or saved.
+    const readRecording = (live: LiveRecording) => {
+      const data = trimPhyphoxBuffers(live.connection.buffers, live.firstTime, live.lastTime)
+      const streams = getPhyphoxDeviceStreams(data.acc_time.buffer, live.connection.devices)
+      const moves = live.detector.getMoves()
+      const fall = live.fall && locateFall(live.fall, moves)
+      const duration = live.time[live.time.length - 1]
+      const avgAcceleration = live.sum / live.time.length
+      const filename = `live-recordings/live-recording-${live.id}.csv` // Save in organized folder
+
+      const boulder = {
+        id: live.id,
+        name: `LiveRecording${live.recordingNumber} (${Math.floor(duration)}s)`,
+        grade: 'Live',
+        type: 'csv' as const,
+        description: `Live recording - ${Math.floor(duration)}s duration`,
+        csvFile: filename,
+        routeSetter: 'Live Recording',
+        numberOfMoves: moves.length,
+        moves: [],
+        csvData: {
+          time: live.time.slice(), // The recording keeps growing, the store gets what it has now
+          absoluteAcceleration: live.magnitude.slice(),
+          filename,
+          duration,
+          maxAcceleration: live.max,
+          avgAcceleration,
+          sampleCount: live.time.length,
+          acceleration: { x: data.accX.buffer, y: data.accY.buffer, z: data.accZ.buffer },
+          ...readPhyphoxSensorChannels(data), // Gyroscope and pressure when the experiment records them
+          ...(streams.length > 0 ? { streams } : {})
+        },
+        stats: {
+          duration: duration.toFixed(1),
+          maxAcceleration: live.max.toFixed(2),
+          avgAcceleration: avgAcceleration.toFixed(2),
+          moveCount: moves.length,
+          sampleCount: live.time.length
+        },
+        recordedAt: new Date().toISOString(), // When the recording ended, like Phyphox recordings
+        source: 'live' as const,
+        fall
+      }
+      return { boulder, data, streams, moves }
+    }
+
+    // Replaces the entry of this recording if it was saved before
+    const saveRecording = (live: LiveRecording, { boulder, data, streams, moves }: ReturnType<typeof readRecording>) => {
+      live.savedSamples = live.time.length
+      const boulderForStorage: StoredBoulder = {
+        id: boulder.id,
+        name: boulder.name,
+        grade: boulder.grade,
+        routeSetter: boulder.routeSetter,
+        numberOfMoves: boulder.numberOfMoves,
+        date: new Date().toISOString().split('T')[0],
+        recordedAt: boulder.recordedAt,
+        moves: moves,
+        rawData: data,
+        // rawData only holds the main device, keep the other devices' streams with the converted data
+        ...(streams.length > 0 ? { csvData: boulder.csvData } : {}),
+        source: 'phyphox',
+        isLiveRecording: true,
+        fall: boulder.fall
+      }
+
+      saveStoredBoulder(boulderForStorage)
+        .then(() => {
+          console.log(`[BoulderVisualizerSimple] Saved live recording "${boulder.name}" with ${moves.length} moves`)
+          // Trigger boulder list refresh and selection
+          window.dispatchEvent(new CustomEvent('boulderSaved', {
+            detail: { boulder }
+          }))
+          // Auto-select this boulder in the UI
+          document.dispatchEvent(new CustomEvent('boulderSelectionChanged', {
+            detail: { boulderId: boulder.id, source: 'live-recording' }
+          }))
         })
-        
-        // Convert Phyphox data to CSV format for compatibility with the store
-        const timeArray = data.acc_time.buffer || []
-        const accXArray = data.accX.buffer || []
-        const accYArray = data.accY.buffer || []
-        const accZArray = data.accZ.buffer || []
-        
-        if (timeArray.length > 0) {
-          // Create or update live recording ID
-          if (liveRecordingId === null) {
-            liveRecordingId = Date.now() // Use timestamp as unique ID
-            console.log('[BoulderVisualizerSimple] Created new live recording ID:', liveRecordingId)
-          }
-          
-          const duration = timeArray.length > 0 ? timeArray[timeArray.length - 1] - timeArray[0] : 0
-          const recordingNumber = Math.floor(Date.now() / 1000) % 1000 // Simple incrementing number
-          
-          // Create a live boulder data object
-          const liveBoulderData = {
-            id: liveRecordingId,
-            name: `LiveRecording${recordingNumber} (${Math.floor(duration)}s)`,
-            grade: 'Live',
-            type: 'csv' as const,
-            description: `Live recording - ${Math.floor(duration)}s duration`,
-            csvFile: `live-recordings/live-recording-${liveRecordingId}.csv`, // Save in organized folder
-            routeSetter: 'Live Recording',
-            numberOfMoves: 0,
-            moves: [],
-            csvData: {
-              time: timeArray.map((t: number) => t - timeArray[0]), // Normalize to start at 0
-              absoluteAcceleration: timeArray.map((_: number, i: number) => {
-                const x = accXArray[i] || 0
-                const y = accYArray[i] || 0
-                const z = accZArray[i] || 0
-                return Math.sqrt(x * x + y * y + z * z)
-              }),
-              filename: `live-recordings/live-recording-${liveRecordingId}.csv`, // Organized path
-              duration: duration,
-              maxAcceleration: 0, // Will be calculated
-              avgAcceleration: 0, // Will be calculated
-              sampleCount: timeArray.length
-            },
-            stats: {
-              duration: '0',
-              maxAcceleration: '0',
-              avgAcceleration: '0',
-              moveCount: 0,
-              sampleCount: timeArray.length
-            },
-            recordedAt: new Date().toISOString(),
-            source: 'live' as const
-          }
-          
-          // Calculate acceleration statistics
-          if (liveBoulderData.csvData) {
-            const accels = liveBoulderData.csvData.absoluteAcceleration
-            liveBoulderData.csvData.maxAcceleration = Math.max(...accels)
-            liveBoulderData.csvData.avgAcceleration = accels.reduce((a: number, b: number) => a + b, 0) / accels.length
-            liveBoulderData.stats.maxAcceleration = liveBoulderData.csvData.maxAcceleration.toFixed(2)
-            liveBoulderData.stats.avgAcceleration = liveBoulderData.csvData.avgAcceleration.toFixed(2)
-            liveBoulderData.stats.duration = liveBoulderData.csvData.duration.toFixed(1)
-          }
-          
-          // Get current threshold for move detection
-          const currentState = getVisualizationState()
-          const threshold = currentState.threshold || 12.0
-          
-          // Process moves from live data
-          if (liveBoulderData.csvData) {
-            const moves = detectAndProcessMoves(
-              liveBoulderData.csvData.time,
-              liveBoulderData.csvData.absoluteAcceleration
-            )
-            
-            liveBoulderData.numberOfMoves = moves.length
-            liveBoulderData.stats.moveCount = moves.length
-            
-            // Save to localStorage as Phyphox boulder
-            const existingBoulders = JSON.parse(localStorage.getItem('climbing-boulders') || '[]')
-            const existingIndex = existingBoulders.findIndex((b: any) => b.id === liveRecordingId)
-            
-            const boulderForStorage = {
-              id: liveBoulderData.id,
-              name: liveBoulderData.name,
-              grade: liveBoulderData.grade,
-              routeSetter: liveBoulderData.routeSetter,
-              numberOfMoves: liveBoulderData.numberOfMoves,
-              date: new Date().toISOString().split('T')[0],
-              recordedAt: liveBoulderData.recordedAt,
-              moves: moves,
-              rawData: {
-                acc_time: { buffer: timeArray },
-                accX: { buffer: accXArray },
-                accY: { buffer: accYArray },
-                accZ: { buffer: accZArray }
-              },
-              source: 'phyphox',
-              isLiveRecording: true
-            }
-            
-            if (existingIndex >= 0) {
-              // Update existing entry
-              existingBoulders[existingIndex] = boulderForStorage
-            } else {
-              // Add new entry
-              existingBoulders.push(boulderForStorage)
-            }
-            
-            localStorage.setItem('climbing-boulders', JSON.stringify(existingBoulders))
-            
-            // Update the store
-            updateSelectedBoulder(liveBoulderData)
-            
-            // Trigger boulder list refresh and selection
-            window.dispatchEvent(new CustomEvent('boulderSaved', { 
-              detail: { boulder: liveBoulderData }
-            }))
-            
-            // Auto-select this boulder in the UI
-            document.dispatchEvent(new CustomEvent('boulderSelectionChanged', {
-              detail: { boulderId: liveBoulderData.id, source: 'live-recording' }
-            }))
-            
-            console.log('[BoulderVisualizerSimple] Updated live recording:', {
-              name: liveBoulderData.name,
-              moves: moves.length,
-              dataPoints: liveBoulderData.csvData.time.length,
-              duration: liveBoulderData.stats.duration
-            })
-          }
+        .catch(error => console.error('[BoulderVisualizerSimple] Failed to store live recording:', error))
+    }
+
+    // Saves what the current recording has that the library doesn't yet, the next samples start a new one
+    const finishRecording = () => {
+      if (recording && recording.time.length > recording.savedSamples) {
+        saveRecording(recording, readRecording(recording))
+      }
+      recording = null
+    }
+
+    const handleLiveDataUpdate = (connection: PhyphoxConnection) => {
+      // Buffers of the main device first, then of the devices recording along
+      const buffers = [connection.buffers, ...connection.devices.map(device => device.buffers)]
+      const triggerStatus = getRecordingTriggerStatus()
+      if (buffers.length === lastBuffers.length && buffers.every((deviceBuffers, i) => deviceBuffers === lastBuffers[i]) &&
+          connection.state === lastState && triggerStatus === lastTriggerStatus) {
+        return // Nothing new for the recording
+      }
+      lastBuffers = buffers
+      lastState = connection.state
+      lastTriggerStatus = triggerStatus
+
+      const [time, x, y, z] = ACCELERATION_BUFFERS.map(name => connection.buffers[name]?.buffer || [])
+      const samples = Math.min(time.length, x.length, y.length, z.length)
+
+      // Cleared on the phone, a new session or a new triggered recording: the next samples are a
+      // new recording
+      if (samples < consumedSamples || (samples > 0 && time[0] !== bufferStart) || triggerStatus.startTime !== liveTriggerStart) {
+        finishRecording()
+        consumedSamples = 0
+        bufferStart = samples > 0 ? time[0] : null
+        liveTriggerStart = triggerStatus.startTime
+      }
+
+      // Armed recordings only start once the climber moves and keep to the trigger bounds
+      if (triggerStatus.state === 'armed') return
+      const { startTime, stopTime } = triggerStatus
+
+      let created = false
+      const newTime: number[] = []
+      const newMagnitude: number[] = []
+      for (let i = consumedSamples; i < samples; i++) {
+        if ((startTime !== null && time[i] < startTime) || (stopTime !== null && time[i] > stopTime)) continue
+        const magnitude = Math.sqrt(x[i] * x[i] + y[i] * y[i] + z[i] * z[i])
+        if (!recording) {
+          recording = createRecording(time[i], magnitude, connection)
+          created = true
         }
+        newTime.push(time[i] - recording.firstTime)
+        newMagnitude.push(magnitude)
+        recording.time.push(time[i] - recording.firstTime)
+        recording.magnitude.push(magnitude)
+        recording.sum += magnitude
+        recording.max = Math.max(recording.max, magnitude)
+        recording.lastTime = time[i]
+      }
+      consumedSamples = samples
+      if (!recording) return
+      if (newTime.length > 0) recording.connection = connection
+
+      // The detector starts over on the whole recording when the detection settings changed
+      const detectorConfig = JSON.stringify(getMoveDetectionConfig())
+      const restarted = detectorConfig !== recording.detectorConfig
+      if (restarted) {
+        recording.detector = createLiveMoveDetector()
+        recording.detectorConfig = detectorConfig
+        recording.cues = createLiveCueTracker()
+      }
+      const detectedSamples = recording.detector.getSampleCount()
+      const events = recording.detector.push(recording.time.slice(detectedSamples), recording.magnitude.slice(detectedSamples))
+      events.forEach(event => {
+        if (event.type === 'move-end') {
+          console.log(`[BoulderVisualizerSimple] Live move ${event.move.index} ended at ${event.move.endTime.toFixed(2)}s`)
+        }
+      })
+      // Tempo cues only while the phone records, not for buffers read after the stop
+      if (connection.state === 'measuring') {
+        recording.cues.handle(events, recording.time[recording.time.length - 1])
+      }
+
+      const [fall] = recording.fallDetector.push(newTime, newMagnitude)
+      const fell = !recording.fall && !!fall
+      if (fell) {
+        recording.fall = fall
+        console.log(`[BoulderVisualizerSimple] Live fall at ${fall.impactTime.toFixed(2)}s`)
+      }
+
+      // Stopped on the phone, or past the stop of the triggers
+      const stopped = (connection.state !== 'measuring' && connection.state !== 'stalled') ||
+        (stopTime !== null && samples > 0 && time[samples - 1] >= stopTime)
+      const unsaved = recording.time.length > recording.savedSamples
+      if (created || restarted || fell || events.length > 0 || (stopped && unsaved)) {
+        const snapshot = readRecording(recording)
+        updateSelectedBoulder(snapshot.boulder, undefined, snapshot.moves)
+        console.log('[BoulderVisualizerSimple] Updated live recording:', {
+          name: snapshot.boulder.name,
+          moves: snapshot.moves.length,
+          dataPoints: recording.time.length,
+          duration: snapshot.boulder.stats.duration
+        })
+        if (stopped && unsaved) saveRecording(recording, snapshot)
       }
     }
     
-    // Listen for live data updates
-    window.addEventListener('liveDataUpdate', handleLiveDataUpdate as EventListener)
+    const unsubscribe = subscribeToPhyphoxConnection(handleLiveDataUpdate)
+    // The triggers start and stop recordings between two polls of new samples
+    const unsubscribeTriggers = subscribeToRecordingTriggers(() => handleLiveDataUpdate(getPhyphoxConnection()))
     
     // Cleanup
     return () => {
-      window.removeEventListener('liveDataUpdate', handleLiveDataUpdate as EventListener)
-      liveRecordingId = null
+      unsubscribe()
+      unsubscribeTriggers()
+      finishRecording()
+    }
+  }, [])
+
+  // Redraw attempt lines when the attempt log of the shown boulder changes
+  useEffect(() => {
+    const handleAttemptsUpdated = (event: CustomEvent) => {
+      const selectedId = getVisualizationState().selectedBoulder?.id
+      if (event.detail?.boulderId === selectedId) {
+        console.log('[BoulderVisualizerSimple] Attempt log changed, refreshing attempt lines')
+        requestVisualizationRefresh()
+      }
     }
+
+    window.addEventListener('attemptsUpdated', handleAttemptsUpdated as EventListener)
+    return () => window.removeEventListener('attemptsUpdated', handleAttemptsUpdated as EventListener)
+  }, [])
+
+  // Move under the pointer, shown next to it
+  const containerRef = useRef<HTMLDivElement>(null)
+  const [hoveredMove, setHoveredMove] = useState<MoveHover | null>(null)
+  
+  // Clicking a move opens its time window in the statistics view. Designed boulders have no
+  // sensor data to show there.
+  const handleMoveSelect = useCallback((moveIndex: number) => {
+    if (!getVisualizationState().selectedBoulder?.csvData) return
+    document.body.style.cursor = ''
+    setHoveredMove(null)
+    window.dispatchEvent(new CustomEvent('navigateToStatistics', {
+      detail: { moveIndex }
+    }))
+  }, [])
+  
+  useEffect(() => {
+    return () => { document.body.style.cursor = '' }
   }, [])
 
   // Get current visualization state for post-processing
   const vizState = getVisualizationState()
   const settings = vizState.visualizerSettings
   
-  // Build CSS filter string based on post-processing settings
-  const buildFilterString = () => {
-    const filters = []
-    
-    // Black & White filter
-    if (settings.postProcessingBW) {
-      const intensity = (settings.postProcessingBWIntensity || 50) / 100
-      filters.push(`grayscale(${intensity})`)
-    }
-    
-    // Contrast filter
-    if (settings.postProcessingContrast) {
-      const intensity = (settings.postProcessingContrastIntensity || 50) / 100
-      const contrastValue = 1 + intensity * 1.5 // 1.0 to 2.5 range
-      filters.push(`contrast(${contrastValue})`)
-    }
-    
-    // Bloom/Glow effect using drop-shadow and brightness with actual visualization colors
-    if (settings.postProcessingBloom) {
-      const intensity = (settings.postProcessingBloomIntensity || 50) / 100
-      const brightnessValue = 1 + intensity * 0.5 // 1.0 to 1.5 range
-      const glowSize = intensity * 4 // Reduced from 10 to 4 for smaller radius
-      
-      // Use the actual visualization colors from settings (dynamic)
-      const moveColorHex = settings.moveColor || '#252cf4'
-      const cruxColorHex = settings.cruxColor || '#8b5cf6'
-      
-      // Convert hex to RGB for CSS
-      const hexToRgb = (hex: string) => {
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex)
-        return result ? {
-          r: parseInt(result[1], 16),
-          g: parseInt(result[2], 16),
-          b: parseInt(result[3], 16)
-        } : { r: 37, g: 44, b: 244 } // fallback to blue
-      }
-      
-      const moveRgb = hexToRgb(moveColorHex)
-      const cruxRgb = hexToRgb(cruxColorHex)
-      const moveColor = `${moveRgb.r}, ${moveRgb.g}, ${moveRgb.b}`
-      const cruxColor = `${cruxRgb.r}, ${cruxRgb.g}, ${cruxRgb.b}`
-      
-      filters.push(`brightness(${brightnessValue})`)
-      
-      // Multi-layered bloom with tighter radius and dynamic colors
-      // Primary move color glow - smaller radius
-      filters.push(`drop-shadow(0 0 ${glowSize}px rgba(${moveColor}, ${intensity * 0.8}))`)
-      filters.push(`drop-shadow(0 0 ${glowSize * 1.5}px rgba(${moveColor}, ${intensity * 0.3}))`) // Reduced from 2x to 1.5x
-      
-      // Secondary crux color glow - smaller radius
-      filters.push(`drop-shadow(0 0 ${glowSize * 0.7}px rgba(${cruxColor}, ${intensity * 0.6}))`) // Reduced from 0.8x
-      filters.push(`drop-shadow(0 0 ${glowSize * 1.2}px rgba(${cruxColor}, ${intensity * 0.25}))`) // Reduced from 1.5x
-      
-      // Subtle accent glow for depth - much smaller
-      const accentColor = `147, 51, 234` // Keep this as accent
-      filters.push(`drop-shadow(0 0 ${glowSize * 0.3}px rgba(${accentColor}, ${intensity * 0.3}))`) // Reduced from 0.5x
-    }
-    
-    return filters.length > 0 ? filters.join(' ') : 'none'
-  }
+  const containerRect = hoveredMove && containerRef.current?.getBoundingClientRect()
+  const hasSensorData = !!vizState.selectedBoulder?.csvData
 
   return (
-    <div 
-      className="w-full h-full relative overflow-hidden" 
-      style={{ 
-        background: 'transparent',
-        filter: buildFilterString(),
-        transition: 'filter 0.3s ease-in-out'
-      }}
-    >
-      <Canvas
-        camera={{ position: [0, 0, 15], fov: 50 }}
-        style={{ background: 'transparent' }}
-        gl={{ alpha: true, antialias: true, premultipliedAlpha: false }}
+    <div ref={containerRef} className="w-full h-full relative">
+      <div 
+        className="w-full h-full relative overflow-hidden" 
+        style={{ 
+          background: 'transparent',
+          filter: buildFilterString(settings),
+          transition: 'filter 0.3s ease-in-out'
+        }}
       >
-        <Suspense fallback={null}>
-          <ambientLight intensity={0.6} />
-          <pointLight position={[10, 10, 10]} />
-          <VisualizationScene />
-          <OrbitControls 
-            enablePan={true}
-            enableZoom={true}
-            enableRotate={true}
-            zoomSpeed={0.6}
-            panSpeed={0.8}
-            rotateSpeed={0.4}
-            minDistance={3}
-            maxDistance={50}
-            target={[0, 0, 0]}
-          />
-        </Suspense>
-      </Canvas>
+        <Canvas
+          camera={{ position: [0, 0, 15], fov: 50 }}
+          style={{ background: 'transparent' }}
+          gl={{ alpha: true, antialias: true, premultipliedAlpha: false }}
+        >
+          <Suspense fallback={null}>
+            <ambientLight intensity={0.6} />
+            <pointLight position={[10, 10, 10]} />
+            <VisualizationScene onMoveHover={setHoveredMove} onMoveSelect={handleMoveSelect} />
+            <OrbitControls 
+              enablePan={true}
+              enableZoom={true}
+              enableRotate={true}
+              zoomSpeed={0.6}
+              panSpeed={0.8}
+              rotateSpeed={0.4}
+              minDistance={3}
+              maxDistance={50}
+              target={[0, 0, 0]}
+            />
+          </Suspense>
+        </Canvas>
+      </div>
+
+      {/* Outside the post-processing filter so it stays readable */}
+      {hoveredMove && containerRect && (
+        <div
+          className="absolute pointer-events-none z-10 bg-black/90 border border-cyan-400/40 rounded-lg px-3 py-2 text-xs text-gray-300 backdrop-blur-sm whitespace-nowrap"
+          style={{ left: hoveredMove.clientX - containerRect.left + 16, top: hoveredMove.clientY - containerRect.top + 16 }}
+        >
+          <div className={`font-bold mb-1 ${hoveredMove.move.isCrux ? 'text-purple-400' : 'text-cyan-400'}`}>
+            {hoveredMove.index === 0 ? 'Start' : `Move ${hoveredMove.index}`}{hoveredMove.move.isCrux ? ' · Crux' : ''}
+          </div>
+          <div>Duration: {hoveredMove.move.duration.toFixed(2)}s</div>
+          <div>Peak: {hoveredMove.move.acceleration.toFixed(1)} m/s²</div>
+          {hoveredMove.move.accelerationRange && (
+            <div>
+              Range: {hoveredMove.move.accelerationRange.min.toFixed(1)}–{hoveredMove.move.accelerationRange.max.toFixed(1)} m/s²
+              {' '}(avg {hoveredMove.move.accelerationRange.avg.toFixed(1)})
+            </div>
+          )}
+          {hasSensorData && <div className="text-gray-500 mt-1">Click to open in statistics</div>}
+        </div>
+      )}
     </div>
   )
 } 
\ No newline at end of file
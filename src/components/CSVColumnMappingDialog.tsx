@@ -0,0 +1,183 @@
+import React, { useState } from 'react'
+import { Table, X } from 'lucide-react'
+import { isMappingComplete, SENSOR_CHANNELS } from '../utils/csvImport'
+import type { CSVColumnMapping, AxisColumns, SensorChannel } from '../utils/csvImport'
+import type { PendingCSVImport } from '../hooks/useCSVImport'
+
+interface CSVColumnMappingDialogProps {
+  pendingImport: PendingCSVImport
+  onConfirm: (mapping: CSVColumnMapping) => void
+  onCancel: () => void
+}
+
+const CHANNEL_LABELS: Record<SensorChannel, string> = {
+  acceleration: 'Acceleration',
+  linearAcceleration: 'Linear Acceleration',
+  gyroscope: 'Gyroscope'
+}
+
+type AxisSelection = Record<keyof AxisColumns, number | null>
+
+// Shown when the headers of an uploaded file weren't recognized
+export function CSVColumnMappingDialog({ pendingImport, onConfirm, onCancel }: CSVColumnMappingDialogProps) {
+  const { file, table, mapping: detected } = pendingImport
+
+  const [time, setTime] = useState<number | null>(detected.time)
+  const [timeScale, setTimeScale] = useState(detected.timeScale)
+  const [absoluteAcceleration, setAbsoluteAcceleration] = useState<number | null>(detected.absoluteAcceleration)
+  const [pressure, setPressure] = useState<number | null>(detected.pressure)
+  const [axes, setAxes] = useState<Record<SensorChannel, AxisSelection>>(() => {
+    const initial = {} as Record<SensorChannel, AxisSelection>
+    SENSOR_CHANNELS.forEach(channel => {
+      initial[channel] = detected[channel] || { x: null, y: null, z: null }
+    })
+    return initial
+  })
+
+  // A channel only counts when all three axes are mapped
+  const completeAxes = (channel: SensorChannel): AxisColumns | null => {
+    const { x, y, z } = axes[channel]
+    return x !== null && y !== null && z !== null ? { x, y, z } : null
+  }
+
+  const mapping: CSVColumnMapping = {
+    time,
+    timeScale,
+    absoluteAcceleration,
+    acceleration: completeAxes('acceleration'),
+    linearAcceleration: completeAxes('linearAcceleration'),
+    gyroscope: completeAxes('gyroscope'),
+    pressure
+  }
+  const canImport = isMappingComplete(mapping)
+
+  const setAxis = (channel: SensorChannel, axis: keyof AxisColumns, value: number | null) => {
+    setAxes(prev => ({ ...prev, [channel]: { ...prev[channel], [axis]: value } }))
+  }
+
+  const columnSelect = (value: number | null, onChange: (value: number | null) => void, emptyLabel: string) => (
+    <select
+      value={value === null ? '' : value.toString()}
+      onChange={(e) => onChange(e.target.value === '' ? null : parseInt(e.target.value))}
+      className="w-full px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-lg text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+    >
+      <option value="">{emptyLabel}</option>
+      {table.headers.map((header, index) => (
+        <option key={index} value={index.toString()}>
+          {header || `Column ${index + 1}`}
+        </option>
+      ))}
+    </select>
+  )
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 backdrop-blur-sm">
+      <div className="bg-black/90 border border-cyan-400/40 rounded-2xl p-6 max-w-2xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-cyan-400 flex items-center gap-2">
+              <Table size={20} />
+              Map CSV Columns
+            </h3>
+            <p className="text-gray-400 text-sm mt-1">
+              The columns of "{file.name}" weren't recognized. Pick which column holds which value.
+            </p>
+          </div>
+          <button onClick={onCancel} className="text-gray-400 hover:text-white">
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Preview of the first rows */}
+        <div className="overflow-x-auto mb-6 border border-cyan-400/20 rounded-lg">
+          <table className="text-xs text-gray-300 w-full">
+            <thead>
+              <tr className="bg-cyan-400/10 text-cyan-400">
+                {table.headers.map((header, index) => (
+                  <th key={index} className="px-2 py-1 text-left whitespace-nowrap">{header || `Column ${index + 1}`}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {table.rows.slice(0, 4).map((row, rowIndex) => (
+                <tr key={rowIndex} className="border-t border-cyan-400/10">
+                  {table.headers.map((_, index) => (
+                    <td key={index} className="px-2 py-1 whitespace-nowrap">{row[index]}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-gray-500 mb-6">
+          Detected {table.delimiter === '\t' ? 'tab' : `"${table.delimiter}"`} separated values with decimal "{table.decimalSeparator}".
+        </p>
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-3 gap-3">
+            <div className="col-span-2">
+              <label className="block text-sm font-medium text-cyan-400 mb-2">Time *</label>
+              {columnSelect(time, setTime, 'Select column')}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-cyan-400 mb-2">Unit</label>
+              <select
+                value={timeScale.toString()}
+                onChange={(e) => setTimeScale(parseFloat(e.target.value))}
+                className="w-full px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-lg text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+              >
+                <option value="1">Seconds</option>
+                <option value="0.001">Milliseconds</option>
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-cyan-400 mb-2">Absolute Acceleration</label>
+            {columnSelect(absoluteAcceleration, setAbsoluteAcceleration, 'Calculate from acceleration axes')}
+          </div>
+
+          {SENSOR_CHANNELS.map(channel => (
+            <div key={channel}>
+              <label className="block text-sm font-medium text-cyan-400 mb-2">{CHANNEL_LABELS[channel]} (x / y / z)</label>
+              <div className="grid grid-cols-3 gap-3">
+                {(['x', 'y', 'z'] as const).map(axis => (
+                  <div key={axis}>
+                    {columnSelect(axes[channel][axis], (value) => setAxis(channel, axis, value), `${axis} —`)}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <div>
+            <label className="block text-sm font-medium text-cyan-400 mb-2">Pressure (hPa)</label>
+            {columnSelect(pressure, setPressure, 'Not recorded')}
+          </div>
+        </div>
+
+        {!canImport && (
+          <p className="text-xs text-orange-400 mt-4">
+            Map the time column and either absolute acceleration or all three acceleration axes.
+          </p>
+        )}
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={onCancel}
+            className="flex-1 px-6 py-3 bg-gray-500/20 border border-gray-500/40 text-gray-300 rounded-xl font-medium transition-all hover:bg-gray-500/30"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(mapping)}
+            disabled={!canImport}
+            className="flex-1 px-6 py-3 bg-cyan-400/20 border border-cyan-400/40 text-cyan-400 rounded-xl font-medium transition-all hover:bg-cyan-400/30 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,348 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react'
+import { Users, Plus, Pencil, Trash2 } from 'lucide-react'
+import type { BoulderData } from '../utils/csvLoader'
+import {
+  getClimbers,
+  saveClimber,
+  deleteClimber,
+  getBoulderRecordings,
+  buildClimberComparison,
+  normalizeDynamicsAcross,
+  accelerationToForce
+} from '../utils/climbers'
+import type { ClimberProfile, ClimberDetails } from '../utils/climbers'
+import { MoveRing } from './MoveRing'
+
+interface ClimbersViewProps {
+  boulders: BoulderData[]
+  selectedBoulder: BoulderData | null
+  isControlPanelVisible: boolean
+}
+
+// Form values are kept as text so fields can be left empty
+interface ClimberForm {
+  name: string
+  height: string
+  apeIndex: string
+  bodyMass: string
+}
+
+const EMPTY_FORM: ClimberForm = { name: '', height: '', apeIndex: '', bodyMass: '' }
+const CLIMBER_COLORS = ['#22d3ee', '#f472b6', '#facc15', '#4ade80', '#a78bfa', '#fb923c']
+// Moves in the upper half of the compared acceleration range count as dynamic
+const DYNAMIC_MOVE_THRESHOLD = 0.55
+
+const inputClassName = 'w-full px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-lg text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm'
+
+function parseOptionalNumber(value: string): number | undefined {
+  const number = parseFloat(value.replace(',', '.'))
+  return isFinite(number) ? number : undefined
+}
+
+function describeClimber(climber: ClimberProfile): string {
+  const details = [
+    climber.height !== undefined ? `${climber.height} cm` : null,
+    climber.apeIndex !== undefined ? `ape ${climber.apeIndex > 0 ? '+' : ''}${climber.apeIndex} cm` : null,
+    climber.bodyMass !== undefined ? `${climber.bodyMass} kg` : null
+  ].filter(Boolean)
+  return details.length > 0 ? details.join(' · ') : 'No body measurements'
+}
+
+export function ClimbersView({ boulders, selectedBoulder, isControlPanelVisible }: ClimbersViewProps) {
+  const [climbers, setClimbers] = useState<ClimberProfile[]>(() => getClimbers())
+  // Profile being edited, editingClimberId is null for a new climber
+  const [form, setForm] = useState<ClimberForm | null>(null)
+  const [editingClimberId, setEditingClimberId] = useState<number | null>(null)
+  const [comparedBoulderId, setComparedBoulderId] = useState<number | null>(null)
+  // Recording shown per climber (defaults to their best one) and climbers hidden from the overlay
+  const [chosenRecordings, setChosenRecordings] = useState<Record<number, number>>({})
+  const [hiddenClimbers, setHiddenClimbers] = useState<number[]>([])
+
+  // Keep the list in sync with changes made here and in the control panel
+  useEffect(() => {
+    const loadClimbers = () => setClimbers(getClimbers())
+    window.addEventListener('climbersUpdated', loadClimbers)
+    return () => window.removeEventListener('climbersUpdated', loadClimbers)
+  }, [])
+
+  // Boulders with at least one recording attributed to a climber
+  const comparableBoulders = useMemo(() => {
+    const attributed = new Set(climbers.flatMap(climber => climber.recordingIds))
+    return boulders.filter(boulder => getBoulderRecordings(boulder, boulders).some(recording => attributed.has(recording.id)))
+  }, [boulders, climbers])
+
+  const comparedBoulder = comparableBoulders.find(boulder => boulder.id === comparedBoulderId)
+    || comparableBoulders.find(boulder => boulder.id === selectedBoulder?.id)
+    || comparableBoulders[0]
+    || null
+
+  const comparison = useMemo(
+    () => comparedBoulder ? buildClimberComparison(comparedBoulder, boulders) : [],
+    [comparedBoulder, boulders, climbers]
+  )
+
+  // The recording shown for every climber, with dynamics rescaled over everything on screen
+  const overlay = useMemo(() => {
+    const shown = comparison
+      .map((entry, index) => ({
+        ...entry,
+        color: CLIMBER_COLORS[index % CLIMBER_COLORS.length],
+        shown: entry.recordings.find(({ recording }) => recording.id === chosenRecordings[entry.climber.id]) || entry.recordings[0]
+      }))
+      .filter(entry => !hiddenClimbers.includes(entry.climber.id))
+    const normalized = normalizeDynamicsAcross(shown.map(entry => entry.shown.moves))
+    return shown.map((entry, index) => ({ ...entry, moves: normalized[index] }))
+  }, [comparison, chosenRecordings, hiddenClimbers])
+
+  const moveCount = Math.max(0, ...overlay.map(entry => entry.moves.length - 1))
+
+  const handleNewClimber = () => {
+    setEditingClimberId(null)
+    setForm(EMPTY_FORM)
+  }
+
+  const handleEditClimber = (climber: ClimberProfile) => {
+    setEditingClimberId(climber.id)
+    setForm({
+      name: climber.name,
+      height: climber.height?.toString() ?? '',
+      apeIndex: climber.apeIndex?.toString() ?? '',
+      bodyMass: climber.bodyMass?.toString() ?? ''
+    })
+  }
+
+  const handleSaveClimber = useCallback(async () => {
+    if (!form) return
+    const details: ClimberDetails = {
+      name: form.name,
+      height: parseOptionalNumber(form.height),
+      apeIndex: parseOptionalNumber(form.apeIndex),
+      bodyMass: parseOptionalNumber(form.bodyMass)
+    }
+
+    try {
+      await saveClimber(details, editingClimberId ?? undefined)
+      setForm(null)
+    } catch (error) {
+      console.error('[ClimbersView] Failed to save climber:', error)
+      alert('Failed to save climber: ' + (error instanceof Error ? error.message : 'Unknown error'))
+    }
+  }, [form, editingClimberId])
+
+  const handleDeleteClimber = useCallback(async (climber: ClimberProfile) => {
+    try {
+      await deleteClimber(climber.id)
+    } catch (error) {
+      console.error('[ClimbersView] Failed to delete climber:', error)
+      alert('Failed to delete climber: ' + (error instanceof Error ? error.message : 'Unknown error'))
+    }
+  }, [])
+
+  const toggleClimber = (climberId: number) => {
+    setHiddenClimbers(prev => prev.includes(climberId) ? prev.filter(id => id !== climberId) : [...prev, climberId])
+  }
+
+  // Peak acceleration of a move, in newtons as well when the climber's body mass is known
+  const formatMoveLoad = (acceleration: number, climber: ClimberProfile) => climber.bodyMass
+    ? `${Math.round(accelerationToForce(acceleration, climber.bodyMass))} N`
+    : `${acceleration.toFixed(1)} m/s²`
+
+  return (
+    <div className={`h-full flex flex-col transition-all duration-300 ${isControlPanelVisible ? 'mr-[25rem]' : 'mr-0'} p-6`}>
+      {/* Header */}
+      <div className="mb-6 flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-cyan-400">Climbers</h1>
+        <button
+          onClick={handleNewClimber}
+          className="px-4 py-2 bg-cyan-400/20 hover:bg-cyan-400/30 text-cyan-400 border border-cyan-400/40 rounded-xl transition-all text-sm font-medium flex items-center gap-2"
+        >
+          <Plus size={16} />
+          New Climber
+        </button>
+      </div>
+
+      <div className="flex-1 min-h-0 flex gap-6">
+        {/* Climber list */}
+        <div className="w-72 shrink-0 bg-black/70 border border-cyan-400/40 rounded-xl p-3 backdrop-blur-sm overflow-y-auto">
+          {climbers.length === 0 ? (
+            <p className="text-sm text-gray-400 p-3">No climbers yet. Add a profile, then pick the climber of a recording in the control panel.</p>
+          ) : (
+            climbers.map(climber => (
+              <div key={climber.id} className="px-3 py-2 mb-1 rounded-lg border border-transparent hover:bg-cyan-400/10 flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="text-sm font-medium text-gray-200 truncate">{climber.name}</div>
+                  <div className="text-xs text-gray-400">{describeClimber(climber)}</div>
+                  <div className="text-xs text-gray-500">{climber.recordingIds.length} recordings</div>
+                </div>
+                <div className="flex shrink-0">
+                  <button
+                    onClick={() => handleEditClimber(climber)}
+                    className="p-1 text-gray-400 hover:text-cyan-400"
+                    title="Edit climber"
+                  >
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    onClick={() => handleDeleteClimber(climber)}
+                    className="p-1 text-gray-400 hover:text-red-400"
+                    title="Delete climber (their recordings stay in the library)"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="flex-1 min-w-0 overflow-y-auto">
+          {form ? (
+            <div className="bg-black/70 border border-cyan-400/40 rounded-xl p-6 backdrop-blur-sm space-y-4 max-w-xl">
+              <h2 className="text-lg font-bold text-cyan-400">{editingClimberId === null ? 'New Climber' : 'Edit Climber'}</h2>
+              <div>
+                <label className="block text-sm font-medium text-cyan-400 mb-2">Name *</label>
+                <input type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} className={inputClassName} />
+              </div>
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-cyan-400 mb-2">Height (cm)</label>
+                  <input type="number" value={form.height} onChange={(e) => setForm({ ...form, height: e.target.value })} className={inputClassName} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-cyan-400 mb-2">Ape Index (cm)</label>
+                  <input type="number" value={form.apeIndex} onChange={(e) => setForm({ ...form, apeIndex: e.target.value })} placeholder="Span − height" className={inputClassName} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-cyan-400 mb-2">Body Mass (kg)</label>
+                  <input type="number" value={form.bodyMass} onChange={(e) => setForm({ ...form, bodyMass: e.target.value })} className={inputClassName} />
+                </div>
+              </div>
+              <p className="text-xs text-gray-400">With a body mass, statistics report forces in newtons.</p>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setForm(null)}
+                  className="flex-1 px-6 py-3 bg-gray-500/20 border border-gray-500/40 text-gray-300 rounded-xl font-medium transition-all hover:bg-gray-500/30"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveClimber}
+                  disabled={!form.name.trim()}
+                  className="flex-1 px-6 py-3 bg-cyan-400/20 border border-cyan-400/40 text-cyan-400 rounded-xl font-medium transition-all hover:bg-cyan-400/30 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Save Climber
+                </button>
+              </div>
+            </div>
+          ) : comparedBoulder ? (
+            <div className="space-y-6">
+              {/* Boulder to compare on */}
+              <div className="bg-black/70 border border-cyan-400/40 rounded-xl p-6 backdrop-blur-sm">
+                <label className="block text-sm font-medium text-cyan-400 mb-2">Compare Climbers On</label>
+                <select
+                  value={comparedBoulder.id.toString()}
+                  onChange={(e) => setComparedBoulderId(parseInt(e.target.value))}
+                  className={inputClassName}
+                >
+                  {comparableBoulders.map(boulder => (
+                    <option key={boulder.id} value={boulder.id.toString()}>{boulder.name}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-400 mt-2">
+                  Uses the boulder's own recording and the recordings tagged as attempts of it.
+                  {comparison.length < 2 && ' Attribute attempts to more climbers to compare them.'}
+                </p>
+              </div>
+
+              <div className="flex gap-6 items-start">
+                {/* Overlaid rings */}
+                <div className="bg-black/70 border border-cyan-400/40 rounded-xl p-4 backdrop-blur-sm shrink-0">
+                  <MoveRing rings={overlay.map(entry => ({ moves: entry.moves, color: entry.color }))} size={320} />
+                </div>
+
+                {/* Legend */}
+                <div className="flex-1 min-w-0 bg-black/70 border border-cyan-400/40 rounded-xl p-4 backdrop-blur-sm space-y-3">
+                  {comparison.map((entry, index) => {
+                    const color = CLIMBER_COLORS[index % CLIMBER_COLORS.length]
+                    const hidden = hiddenClimbers.includes(entry.climber.id)
+                    return (
+                      <div key={entry.climber.id} className={`space-y-2 ${hidden ? 'opacity-40' : ''}`}>
+                        <label className="flex items-center gap-2 text-sm text-gray-200 cursor-pointer">
+                          <input type="checkbox" checked={!hidden} onChange={() => toggleClimber(entry.climber.id)} />
+                          <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: color }} />
+                          <span className="font-medium">{entry.climber.name}</span>
+                          <span className="text-xs text-gray-400">{describeClimber(entry.climber)}</span>
+                        </label>
+                        {entry.recordings.length > 1 && (
+                          <select
+                            value={(chosenRecordings[entry.climber.id] ?? entry.recordings[0].recording.id).toString()}
+                            onChange={(e) => setChosenRecordings(prev => ({ ...prev, [entry.climber.id]: parseInt(e.target.value) }))}
+                            className={inputClassName}
+                          >
+                            {entry.recordings.map(({ recording, moves }) => (
+                              <option key={recording.id} value={recording.id.toString()}>
+                                {recording.name} ({Math.max(0, moves.length - 1)} moves)
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                      </div>
+                    )
+                  })}
+                </div>
+              </div>
+
+              {/* Move by move */}
+              {moveCount > 0 && (
+                <div className="bg-black/70 border border-cyan-400/40 rounded-xl p-4 backdrop-blur-sm overflow-x-auto">
+                  <table className="w-full text-sm text-gray-300">
+                    <thead>
+                      <tr className="text-cyan-400 text-left">
+                        <th className="px-2 py-1">Move</th>
+                        {overlay.map(entry => (
+                          <th key={entry.climber.id} className="px-2 py-1" style={{ color: entry.color }}>{entry.climber.name}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Array.from({ length: moveCount }, (_, i) => i + 1).map(moveIndex => (
+                        <tr key={moveIndex} className="border-t border-cyan-400/10">
+                          <td className="px-2 py-1 text-gray-400">{moveIndex}</td>
+                          {overlay.map(entry => {
+                            const move = entry.moves[moveIndex]
+                            if (!move) return <td key={entry.climber.id} className="px-2 py-1 text-gray-600">—</td>
+                            const dynamic = move.dynamics >= DYNAMIC_MOVE_THRESHOLD
+                            return (
+                              <td key={entry.climber.id} className="px-2 py-1">
+                                <span className={dynamic ? 'text-orange-300' : 'text-gray-300'}>
+                                  {dynamic ? 'Dynamic' : 'Static'}
+                                </span>
+                                <span className="text-xs text-gray-500 ml-2">
+                                  {formatMoveLoad(move.acceleration, entry.climber)}{move.isCrux ? ' · crux' : ''}
+                                </span>
+                              </td>
+                            )
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          ) : (
+            <div className="h-full flex items-center justify-center">
+              <div className="text-center text-gray-400">
+                <div className="mb-4 flex justify-center">
+                  <Users size={64} className="text-cyan-400" strokeWidth={1.5} />
+                </div>
+                <h2 className="text-2xl font-bold mb-2">Nothing to Compare Yet</h2>
+                <p>Pick the climber of a recording in the control panel, then compare climbers on the same boulder here</p>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,9 +1,31 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react'
-import { RefreshCwIcon, SettingsIcon, WifiIcon, WifiOffIcon, RotateCw, MapPin, Target, Database, Zap, Search, Cog, Palette, Waves, BarChart3, Mountain, Plus, Save } from 'lucide-react'
-import type { BoulderData } from '../utils/csvLoader'
+import { RefreshCwIcon, SettingsIcon, WifiIcon, WifiOffIcon, RotateCw, MapPin, Target, Database, Zap, Search, Cog, Palette, Waves, BarChart3, Mountain, Plus, Save, CalendarDays, Users, X } from 'lucide-react'
+import type { BoulderData, UploadCSVFile } from '../utils/csvLoader'
+import { isSupportedCSVFile } from '../utils/csvLoader'
+import { getBoulderSettings, saveBoulderSettings } from '../utils/boulderStorage'
 import { useBoulderConfig } from '../context/BoulderConfigContext'
 import ElasticSlider from "./ui/ElasticSlider"
 import { debounce } from '../utils/debounce'
+import { getAttemptsForBoulder, getAttemptForRecording, tagRecordingAsAttempt, untagRecording, AttemptRecord } from '../utils/attemptLog'
+import { getSessions, getSessionForRecording, assignRecordingToSession } from '../utils/sessions'
+import type { ClimbingSession } from '../utils/sessions'
+import { getClimbers, getClimberForRecording, assignRecordingToClimber } from '../utils/climbers'
+import type { ClimberProfile } from '../utils/climbers'
+import { getMoveDetectionStrategies, loadBoulderDetectionConfig } from '../utils/moveDetection'
+import { connectToPhyphox, disconnectFromPhyphox, getPhyphoxServerUrl, addPhyphoxDevice, connectPhyphoxDevice, removePhyphoxDevice, isPhyphoxConnected, PHYPHOX_STATE_LABELS, PHYPHOX_SIMULATOR_URL, DEFAULT_PHYPHOX_SERVER_URL } from '../utils/phyphoxConnection'
+import { usePhyphoxConnection } from '../hooks/usePhyphoxConnection'
+import { useLiveCueSettings } from '../hooks/useLiveCueSettings'
+import { saveLiveCueSettings, unlockLiveCueAudio, playLiveCue } from '../utils/liveCues'
+import type { LiveCueSettings } from '../utils/liveCues'
+import { useRecordingTriggerSettings } from '../hooks/useRecordingTriggers'
+import { saveRecordingTriggerSettings } from '../utils/recordingTriggers'
+import type { RecordingTriggerSettings } from '../utils/recordingTriggers'
+import { exportPoster, POSTER_SIZES, DEFAULT_POSTER_EXPORT_OPTIONS } from '../utils/posterExport'
+import type { PosterExportOptions } from '../utils/posterExport'
+import { exportVector, VECTOR_SIZES, DEFAULT_VECTOR_EXPORT_OPTIONS } from '../utils/vectorExport'
+import type { VectorExportOptions, VectorFormat } from '../utils/vectorExport'
+import { exportAnimation, ANIMATION_SIZES, ANIMATION_FRAME_RATES, DEFAULT_ANIMATION_EXPORT_OPTIONS } from '../utils/animationExport'
+import type { AnimationExportOptions, AnimationExportProgress, AnimationFormat } from '../utils/animationExport'
 import { 
   updateThreshold, 
   updateVisualizerSettings,
@@ -12,8 +34,8 @@ import {
 
 interface ControlPanelProps {
   // View management
-  currentView: 'visualizer' | 'add-boulder'
-  onViewChange: (view: 'visualizer' | 'add-boulder') => void
+  currentView: 'visualizer' | 'add-boulder' | 'sessions' | 'climbers'
+  onViewChange: (view: 'visualizer' | 'add-boulder' | 'sessions' | 'climbers') => void
   
   // Visualization mode (within visualizer view)
   visualizationMode: '3d' | 'statistics' | 'simple'
@@ -31,13 +53,10 @@ interface ControlPanelProps {
   isLoading: boolean
   error: string | null
   selectBoulder: (id: number) => void
-  uploadFile: (file: File) => Promise<void>
+  uploadFile: UploadCSVFile
   refreshBoulders: () => void
   
   // Server controls
-  onServerToggle: (connected: boolean) => void
-  onServerCommand: (command: string) => void
-  isServerConnected: boolean
   
   // Visibility control
   onVisibilityChange: (visible: boolean) => void
@@ -75,9 +94,6 @@ export function ControlPanel({
   selectBoulder, 
   uploadFile, 
   refreshBoulders,
-  onServerToggle, 
-  onServerCommand, 
-  isServerConnected, 
   onVisibilityChange,
   visualizerSettings,
   setVisualizerSettings
@@ -86,12 +102,16 @@ export function ControlPanel({
   const [isVisible, setIsVisible] = useState(false)
   const [currentFolder, setCurrentFolder] = useState<string>('selection')
   const [isCollapsed, setIsCollapsed] = useState(false)
-  const [serverUrl, setServerUrl] = useState('10.237.1.101')
+  const [serverUrl, setServerUrl] = useState(getPhyphoxServerUrl)
   const [customServerUrl, setCustomServerUrl] = useState('')
   const [showCustomServer, setShowCustomServer] = useState(false)
-  const [isLiveModeActive, setIsLiveModeActive] = useState(false)
   const [selectedServer, setSelectedServer] = useState(0)
-  const [connectionStatus, setConnectionStatus] = useState<'checking' | 'connected' | 'disconnected'>('disconnected')
+  const phyphoxConnection = usePhyphoxConnection()
+  const isLiveModeActive = phyphoxConnection.state !== 'disconnected'
+  const [newDeviceLabel, setNewDeviceLabel] = useState('')
+  const [newDeviceUrl, setNewDeviceUrl] = useState('')
+  const liveCueSettings = useLiveCueSettings()
+  const triggerSettings = useRecordingTriggerSettings()
   const [fontLoaded, setFontLoaded] = useState(false)
   const [autoSaveBlinking, setAutoSaveBlinking] = useState(false)
   
@@ -101,6 +121,29 @@ export function ControlPanel({
   const [showCropPreview, setShowCropPreview] = useState(false)
   const [showSaveConfirmation, setShowSaveConfirmation] = useState(false)
   
+  // Attempt log state - attempts on the selected boulder and the boulder this recording is an attempt of
+  const [boulderAttempts, setBoulderAttempts] = useState<AttemptRecord[]>([])
+  const [attemptOfId, setAttemptOfId] = useState<number | null>(null)
+  
+  // Climbing sessions and the one the selected recording belongs to
+  const [sessions, setSessions] = useState<ClimbingSession[]>([])
+  const [recordingSessionId, setRecordingSessionId] = useState<number | null>(null)
+  
+  // Climber profiles and who climbed the selected recording
+  const [climbers, setClimbers] = useState<ClimberProfile[]>([])
+  const [recordingClimberId, setRecordingClimberId] = useState<number | null>(null)
+  
+  // Poster export of the 3D view
+  const [posterOptions, setPosterOptions] = useState<PosterExportOptions>(DEFAULT_POSTER_EXPORT_OPTIONS)
+  const [isExportingPoster, setIsExportingPoster] = useState(false)
+  
+  // SVG/PDF export of the 3D view
+  const [vectorOptions, setVectorOptions] = useState<VectorExportOptions>(DEFAULT_VECTOR_EXPORT_OPTIONS)
+  
+  // Video or PNG frames of the animations
+  const [animationOptions, setAnimationOptions] = useState<AnimationExportOptions>(DEFAULT_ANIMATION_EXPORT_OPTIONS)
+  const [animationProgress, setAnimationProgress] = useState<AnimationExportProgress | null>(null)
+  
   // Scroll position ref to maintain scroll position
   const scrollContainerRef = useRef<HTMLDivElement>(null)
   const [scrollPosition, setScrollPosition] = useState(0)
@@ -119,19 +162,6 @@ export function ControlPanel({
     onVisibilityChange(isVisible)
   }, []) // Only run on mount
   
-  // Load saved server URL on mount
-  useEffect(() => {
-    const savedServerUrl = localStorage.getItem('phyphox-server-url')
-    if (savedServerUrl) {
-      setServerUrl(savedServerUrl)
-      console.log('[ControlPanel] Loaded saved server URL:', savedServerUrl)
-    } else {
-      // Set default server URL if none saved
-      setServerUrl('10.237.1.101')
-      console.log('[ControlPanel] Using default server URL: 10.237.1.101')
-    }
-  }, [])
-  
   // Check font loading status
   useEffect(() => {
     const checkFont = async () => {
@@ -173,7 +203,7 @@ export function ControlPanel({
     if (!selectedBoulder?.csvData) return {
       maxAccel: 0,
       avgAccel: 0,
-      moveCount: 0,
+      moveCount: selectedBoulder?.source === 'manual' ? selectedBoulder.moves.length : 0,
       duration: 0,
       sampleCount: 0
     };
@@ -216,7 +246,7 @@ export function ControlPanel({
     debouncedSettingsUpdate(newSettings)
     
     // If it's a move detection setting, trigger move recalculation
-    const moveDetectionKeys = ['moveThreshold', 'minStillDuration', 'minMoveDuration', 'maxMoveDuration', 'maxMoveSequence']
+    const moveDetectionKeys = ['moveDetectionStrategy', 'moveThreshold', 'minStillDuration', 'minMoveDuration', 'maxMoveDuration', 'maxMoveSequence']
     if (moveDetectionKeys.includes(key) && selectedBoulder) {
       console.log(`🔧 [ControlPanel] Move detection setting changed: ${key} = ${value}, triggering recalculation`)
       // The global store will automatically recalculate when settings are updated
@@ -242,25 +272,23 @@ export function ControlPanel({
       console.log(`🗂️ [ControlPanel] Syncing saved threshold ${savedThreshold} to global store`)
       updateThreshold(savedThreshold)
       
+      // Each boulder has its own detection strategy, boulders without one use the default
+      updateVisualizerSettings({ moveDetectionStrategy: loadBoulderDetectionConfig(id).strategy })
+      
       // Load saved move detection settings for this boulder
-      const savedSettings = localStorage.getItem(`boulder-settings-${id}`)
-      if (savedSettings) {
-        try {
-          const settings = JSON.parse(savedSettings)
-          const moveDetectionUpdates: any = {}
-          
-          if (settings.moveThreshold !== undefined) moveDetectionUpdates.moveThreshold = settings.moveThreshold
-          if (settings.minStillDuration !== undefined) moveDetectionUpdates.minStillDuration = settings.minStillDuration
-          if (settings.minMoveDuration !== undefined) moveDetectionUpdates.minMoveDuration = settings.minMoveDuration
-          if (settings.maxMoveDuration !== undefined) moveDetectionUpdates.maxMoveDuration = settings.maxMoveDuration
-          if (settings.maxMoveSequence !== undefined) moveDetectionUpdates.maxMoveSequence = settings.maxMoveSequence
-          
-          if (Object.keys(moveDetectionUpdates).length > 0) {
-            console.log(`🔧 [ControlPanel] Loading saved move detection settings for boulder ${id}:`, moveDetectionUpdates)
-            updateVisualizerSettings(moveDetectionUpdates)
-          }
-        } catch (error) {
-          console.error('Error loading boulder settings:', error)
+      const settings = getBoulderSettings(id)
+      if (settings) {
+        const moveDetectionUpdates: any = {}
+        
+        if (settings.moveThreshold !== undefined) moveDetectionUpdates.moveThreshold = settings.moveThreshold
+        if (settings.minStillDuration !== undefined) moveDetectionUpdates.minStillDuration = settings.minStillDuration
+        if (settings.minMoveDuration !== undefined) moveDetectionUpdates.minMoveDuration = settings.minMoveDuration
+        if (settings.maxMoveDuration !== undefined) moveDetectionUpdates.maxMoveDuration = settings.maxMoveDuration
+        if (settings.maxMoveSequence !== undefined) moveDetectionUpdates.maxMoveSequence = settings.maxMoveSequence
+        
+        if (Object.keys(moveDetectionUpdates).length > 0) {
+          console.log(`🔧 [ControlPanel] Loading saved move detection settings for boulder ${id}:`, moveDetectionUpdates)
+          updateVisualizerSettings(moveDetectionUpdates)
         }
       }
     }
@@ -271,6 +299,7 @@ export function ControlPanel({
     if (!selectedBoulder?.id) return
     
     const moveDetectionSettings = {
+      moveDetectionStrategy: state.visualizerSettings.moveDetectionStrategy,
       moveThreshold: state.visualizerSettings.moveThreshold,
       minStillDuration: state.visualizerSettings.minStillDuration,
       minMoveDuration: state.visualizerSettings.minMoveDuration,
@@ -279,12 +308,10 @@ export function ControlPanel({
     }
     
     const timeoutId = setTimeout(() => {
-      const settings = {
+      saveBoulderSettings(selectedBoulder.id, {
         ...moveDetectionSettings,
         savedAt: new Date().toISOString()
-      }
-      
-      localStorage.setItem(`boulder-settings-${selectedBoulder.id}`, JSON.stringify(settings))
+      })
       console.log(`💾 [ControlPanel] Auto-saved move detection settings for boulder ${selectedBoulder.id}`)
       
       // Trigger blink animation
@@ -293,7 +320,7 @@ export function ControlPanel({
     }, 15000) // 15 second delay
     
     return () => clearTimeout(timeoutId)
-  }, [selectedBoulder?.id, state.visualizerSettings.moveThreshold, state.visualizerSettings.minStillDuration, state.visualizerSettings.minMoveDuration, state.visualizerSettings.maxMoveDuration, state.visualizerSettings.maxMoveSequence])
+  }, [selectedBoulder?.id, state.visualizerSettings.moveDetectionStrategy, state.visualizerSettings.moveThreshold, state.visualizerSettings.minStillDuration, state.visualizerSettings.minMoveDuration, state.visualizerSettings.maxMoveDuration, state.visualizerSettings.maxMoveSequence])
 
   // Regular blink timer every 15 seconds to show auto-save is active
   useEffect(() => {
@@ -309,7 +336,7 @@ export function ControlPanel({
 
   const handleFileUpload = useCallback(async (event: React.ChangeEvent<HTMLInputElement>) => {
     const file = event.target.files?.[0]
-    if (file && file.name.endsWith('.csv')) {
+    if (file && isSupportedCSVFile(file)) {
       try {
         await uploadFile(file)
       } catch (error) {
@@ -324,121 +351,76 @@ export function ControlPanel({
     }
   }, [uploadFile])
 
-  // Server connection logic
-  const testConnection = useCallback(async (serverUrl: string) => {
+  // Live mode is the shared Phyphox connection, the tutorial and the visualizer follow it too
+  const handleLiveModeToggle = useCallback(async () => {
+    if (isLiveModeActive) {
+      disconnectFromPhyphox()
+      console.log('[ControlPanel] Live mode deactivated')
+      return
+    }
+
     try {
-      // Ensure URL has proper protocol
-      let formattedUrl = serverUrl.trim()
-      if (!formattedUrl.startsWith('http://') && !formattedUrl.startsWith('https://')) {
-        formattedUrl = 'http://' + formattedUrl
-      }
-      
-      const response = await fetch(`${formattedUrl}/get?acc_time`, {
-        method: 'GET',
-        mode: 'cors',
-        signal: AbortSignal.timeout(5000)
-      })
-      
-      if (response.ok) {
-        return formattedUrl // Return the properly formatted URL
-      } else {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
-      }
+      await connectToPhyphox(serverUrl)
+      console.log('[ControlPanel] Live mode activated, live recording will be auto-created and selected')
     } catch (error) {
-      const err = error as Error
-      if (err.name === 'AbortError') {
-        throw new Error('Connection timeout - check if Phyphox is running and accessible')
-      } else if (err.message.includes('Failed to fetch')) {
-        throw new Error('Cannot reach server - check IP address and WiFi connection')
-      } else {
-        throw new Error(err.message)
-      }
+      console.error('[ControlPanel] Live mode connection failed:', error)
     }
-  }, [])
+  }, [isLiveModeActive, serverUrl])
 
-  const handleLiveModeToggle = useCallback(async () => {
-    const newState = !isLiveModeActive
-    
-    if (newState) {
-      setConnectionStatus('checking')
-      
-      try {
-        // Test connection and get properly formatted URL
-        const formattedUrl = await testConnection(serverUrl)
-        
-        // Store properly formatted server URL for later use
-        localStorage.setItem('phyphox-server-url', formattedUrl)
-        
-        setIsLiveModeActive(true)
-        setConnectionStatus('connected')
-        onServerToggle(true)
-        
-        console.log('[ControlPanel] Live mode activated with server:', formattedUrl)
-        console.log('[ControlPanel] Live recording will be auto-created and selected')
-        
-      } catch (error) {
-        setIsLiveModeActive(false)
-        setConnectionStatus('disconnected')
-        onServerToggle(false)
-        console.error('[ControlPanel] Live mode connection failed:', error)
-      }
-    } else {
-      setIsLiveModeActive(false)
-      setConnectionStatus('disconnected')
-      onServerToggle(false)
-      
-      console.log('[ControlPanel] Live mode deactivated')
+  // Another phone recording along, e.g. on a wrist. Connect failures show next to the device.
+  const handleAddDevice = useCallback(async () => {
+    if (!newDeviceUrl.trim()) return
+    setNewDeviceLabel('')
+    setNewDeviceUrl('')
+
+    try {
+      await addPhyphoxDevice(newDeviceUrl, newDeviceLabel)
+    } catch (error) {
+      console.error('[ControlPanel] Adding Phyphox device failed:', error)
     }
-  }, [isLiveModeActive, serverUrl, testConnection, onServerToggle])
+  }, [newDeviceLabel, newDeviceUrl])
 
-  // Live data polling functions
-  const liveDataIntervalRef = useRef<NodeJS.Timeout | null>(null)
-  
-  const startLiveDataPolling = useCallback((serverUrl: string) => {
-    if (liveDataIntervalRef.current) return // Already polling
+  const handleLiveCueToggle = (key: keyof LiveCueSettings, checked: boolean) => {
+    // The checkbox click is the user gesture browsers want before audio may play
+    if (key === 'enabled' && checked) unlockLiveCueAudio()
+    saveLiveCueSettings({ [key]: checked })
+  }
 
-    console.log('[ControlPanel] Starting live data polling for visualization')
-    
-    liveDataIntervalRef.current = setInterval(async () => {
-      try {
-        const response = await fetch(`${serverUrl}/get?acc_time=full&accX=full&accY=full&accZ=full`, {
-          method: 'GET',
-          mode: 'cors',
-        })
-        
-        if (response.ok) {
-          const data = await response.json()
-          
-          // Dispatch event to update visualizations
-          window.dispatchEvent(new CustomEvent('liveDataUpdate', {
-            detail: { 
-              data: data.buffer,
-              isRecording: isLiveModeActive,
-              timestamp: Date.now(),
-              serverUrl: serverUrl
-            }
-          }))
-        }
-      } catch (error) {
-        console.warn('[ControlPanel] Live data polling error:', error)
-      }
-    }, 500) // Poll every 500ms for responsive updates
-  }, [isLiveModeActive])
+  const handlePosterExport = async () => {
+    if (!selectedBoulder) return
+    setIsExportingPoster(true)
+    try {
+      await exportPoster(selectedBoulder, posterOptions)
+    } catch (error) {
+      console.error('[ControlPanel] Poster export failed:', error)
+      alert('Failed to export poster: ' + (error instanceof Error ? error.message : 'Unknown error'))
+    } finally {
+      setIsExportingPoster(false)
+    }
+  }
 
-  const stopLiveDataPolling = useCallback(() => {
-    if (liveDataIntervalRef.current) {
-      clearInterval(liveDataIntervalRef.current)
-      liveDataIntervalRef.current = null
-      console.log('[ControlPanel] Stopped live data polling')
+  const handleVectorExport = (format: VectorFormat) => {
+    if (!selectedBoulder) return
+    try {
+      exportVector(selectedBoulder, { ...vectorOptions, format })
+    } catch (error) {
+      console.error('[ControlPanel] Vector export failed:', error)
+      alert('Failed to export vectors: ' + (error instanceof Error ? error.message : 'Unknown error'))
     }
-  }, [])
+  }
 
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      stopLiveDataPolling()
+  const handleAnimationExport = async (format: AnimationFormat) => {
+    if (!selectedBoulder) return
+    setAnimationProgress({ frame: 0, frames: Math.round(animationOptions.duration * animationOptions.fps) })
+    try {
+      await exportAnimation(selectedBoulder, { ...animationOptions, format }, setAnimationProgress)
+    } catch (error) {
+      console.error('[ControlPanel] Animation export failed:', error)
+      alert('Failed to export animation: ' + (error instanceof Error ? error.message : 'Unknown error'))
+    } finally {
+      setAnimationProgress(null)
     }
-  }, [stopLiveDataPolling])
+  }
 
   const folders = [
     {
@@ -492,10 +474,13 @@ export function ControlPanel({
       ],
       colorControls: [
         { key: 'moveColor', name: 'Move Color' },
-        { key: 'cruxColor', name: 'Crux Color' }
+        { key: 'cruxColor', name: 'Crux Color' },
+        { key: 'rotationColor', name: 'Rotation Color' }
       ],
       toggleControls: [
-        { key: 'showCircularText', name: 'Show Circular Text' }
+        { key: 'showCircularText', name: 'Show Circular Text' },
+        { key: 'colorByRotation', name: 'Color by Rotation' },
+        { key: 'showDeviceLayers', name: 'Show Other Devices' }
       ]
     },
     {
@@ -537,7 +522,7 @@ export function ControlPanel({
       name: 'Attempts',
       icon: <Target size={16} className="text-purple-400" />,
       controls: [
-        { key: 'maxAttempts', name: 'Number of Attempts', min: 10, max: 200, step: 5 },
+        { key: 'maxAttempts', name: 'Attempts Shown', min: 10, max: 200, step: 5 },
         { key: 'attemptOpacity', name: 'Attempt Opacity', min: 0.0, max: 1.0, step: 0.05 },
         { key: 'attemptWaviness', name: 'Line Waviness', min: 0.0, max: 0.1, step: 0.001 },
         { key: 'attemptThickness', name: 'Line Thickness', min: 0.1, max: 2.0, step: 0.1 },
@@ -901,6 +886,97 @@ export function ControlPanel({
     return () => window.removeEventListener('boulderSaved', handleBoulderSaved as EventListener)
   }, [refreshBoulders, selectBoulder, onBoulderChange])
 
+  // Load the attempt log for the selected boulder and keep it in sync
+  useEffect(() => {
+    const loadAttempts = () => {
+      if (!selectedBoulder) {
+        setBoulderAttempts([])
+        setAttemptOfId(null)
+        return
+      }
+      setBoulderAttempts(getAttemptsForBoulder(selectedBoulder.id))
+      setAttemptOfId(getAttemptForRecording(selectedBoulder.id)?.boulderId ?? null)
+    }
+    
+    loadAttempts()
+    window.addEventListener('attemptsUpdated', loadAttempts)
+    return () => window.removeEventListener('attemptsUpdated', loadAttempts)
+  }, [selectedBoulder])
+
+  // Tag the selected recording as an attempt of another boulder
+  const handleAttemptOfChange = useCallback(async (value: string) => {
+    if (!selectedBoulder) return
+    
+    const targetBoulder = value ? boulders.find(b => b.id === parseInt(value)) : null
+    if (value && !targetBoulder) return
+    
+    try {
+      if (targetBoulder) {
+        await tagRecordingAsAttempt(selectedBoulder, targetBoulder)
+      } else {
+        await untagRecording(selectedBoulder.id)
+      }
+    } catch (error) {
+      console.error('[ControlPanel] Failed to tag attempt:', error)
+      alert('Failed to tag attempt: ' + (error instanceof Error ? error.message : 'Unknown error'))
+    }
+  }, [selectedBoulder, boulders])
+
+  const handleRemoveAttempt = useCallback(async (recordingId: number) => {
+    try {
+      await untagRecording(recordingId)
+    } catch (error) {
+      console.error('[ControlPanel] Failed to remove attempt:', error)
+      alert('Failed to remove attempt: ' + (error instanceof Error ? error.message : 'Unknown error'))
+    }
+  }, [])
+
+  // Load sessions and the selected recording's session, keep them in sync with the sessions view
+  useEffect(() => {
+    const loadSessions = () => {
+      setSessions(getSessions())
+      setRecordingSessionId(selectedBoulder ? getSessionForRecording(selectedBoulder.id)?.id ?? null : null)
+    }
+    
+    loadSessions()
+    window.addEventListener('sessionsUpdated', loadSessions)
+    return () => window.removeEventListener('sessionsUpdated', loadSessions)
+  }, [selectedBoulder])
+
+  const handleSessionChange = useCallback(async (value: string) => {
+    if (!selectedBoulder) return
+    
+    try {
+      await assignRecordingToSession(selectedBoulder.id, value ? parseInt(value) : null)
+    } catch (error) {
+      console.error('[ControlPanel] Failed to assign session:', error)
+      alert('Failed to assign session: ' + (error instanceof Error ? error.message : 'Unknown error'))
+    }
+  }, [selectedBoulder])
+
+  // Load climbers and the selected recording's climber, keep them in sync with the climbers view
+  useEffect(() => {
+    const loadClimbers = () => {
+      setClimbers(getClimbers())
+      setRecordingClimberId(selectedBoulder ? getClimberForRecording(selectedBoulder.id)?.id ?? null : null)
+    }
+    
+    loadClimbers()
+    window.addEventListener('climbersUpdated', loadClimbers)
+    return () => window.removeEventListener('climbersUpdated', loadClimbers)
+  }, [selectedBoulder])
+
+  const handleClimberChange = useCallback(async (value: string) => {
+    if (!selectedBoulder) return
+    
+    try {
+      await assignRecordingToClimber(selectedBoulder.id, value ? parseInt(value) : null)
+    } catch (error) {
+      console.error('[ControlPanel] Failed to assign climber:', error)
+      alert('Failed to assign climber: ' + (error instanceof Error ? error.message : 'Unknown error'))
+    }
+  }, [selectedBoulder])
+
   // Data cropping handlers
   const handleCropPreview = useCallback(() => {
     if (!selectedBoulder?.csvData || !cropStartTime || !cropEndTime) {
@@ -1014,7 +1090,7 @@ export function ControlPanel({
           </div>
           
           {/* View Switcher */}
-          <div className="flex space-x-2 mb-4">
+          <div className="flex flex-wrap gap-2 mb-4">
             <button
               onClick={() => {
                 if (currentView === 'visualizer') {
@@ -1058,6 +1134,32 @@ export function ControlPanel({
                 Add Boulder
               </div>
             </button>
+            <button
+              onClick={() => onViewChange('sessions')}
+              className={`px-4 py-2 rounded-lg transition-all text-sm font-medium ${
+                currentView === 'sessions'
+                  ? 'bg-cyan-400/20 text-cyan-400 border border-cyan-400/40'
+                  : 'text-gray-300 hover:text-cyan-400 hover:bg-cyan-400/10'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <CalendarDays size={16} />
+                Sessions
+              </div>
+            </button>
+            <button
+              onClick={() => onViewChange('climbers')}
+              className={`px-4 py-2 rounded-lg transition-all text-sm font-medium ${
+                currentView === 'climbers'
+                  ? 'bg-cyan-400/20 text-cyan-400 border border-cyan-400/40'
+                  : 'text-gray-300 hover:text-cyan-400 hover:bg-cyan-400/10'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <Users size={16} />
+                Climbers
+              </div>
+            </button>
           </div>
           
           {/* CSV Data Selector */}
@@ -1140,6 +1242,78 @@ export function ControlPanel({
                       <div className="text-xs text-gray-400">Avg (m/s²)</div>
                     </div>
                   </div>
+                  
+                  {selectedBoulder.deviceMetadata && (
+                    <p className="text-xs text-gray-400 mt-3">
+                      Recorded on {[selectedBoulder.deviceMetadata.device.deviceBrand, selectedBoulder.deviceMetadata.device.deviceModel].filter(Boolean).join(' ') || 'unknown device'}
+                      {selectedBoulder.deviceMetadata.device.version ? ` · Phyphox ${selectedBoulder.deviceMetadata.device.version}` : ''}
+                      {' · '}{selectedBoulder.deviceMetadata.sensorFiles.length} sensor file{selectedBoulder.deviceMetadata.sensorFiles.length === 1 ? '' : 's'}
+                    </p>
+                  )}
+                  
+                  {/* Manual boulders have no recording to tag, they can be edited instead */}
+                  {selectedBoulder.source === 'manual' ? (
+                  <div className="mt-4">
+                    <button
+                      onClick={() => window.dispatchEvent(new CustomEvent('editManualBoulder', {
+                        detail: { boulderId: selectedBoulder.id }
+                      }))}
+                      className="w-full px-4 py-2 bg-cyan-400/20 hover:bg-cyan-400/30 text-cyan-400 border border-cyan-400/40 rounded-xl transition-all text-sm font-medium"
+                    >
+                      Edit Boulder
+                    </button>
+                  </div>
+                  ) : (
+                  /* Attempt tagging */
+                  <div className="mt-4">
+                    <label className="block text-sm font-medium text-cyan-400 mb-2">Attempt Of</label>
+                    <select
+                      value={attemptOfId?.toString() || ''}
+                      onChange={(e) => handleAttemptOfChange(e.target.value)}
+                      className="w-full px-4 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none backdrop-blur-sm transition-all text-sm"
+                    >
+                      <option value="">Not an attempt</option>
+                      {boulders
+                        .filter(boulder => boulder.id !== selectedBoulder.id)
+                        .map((boulder) => (
+                          <option key={boulder.id} value={boulder.id.toString()}>
+                            {boulder.name}
+                          </option>
+                        ))}
+                    </select>
+                    <p className="text-xs text-gray-400 mt-2">
+                      Tag this recording as an attempt to add it to that boulder's attempt lines.
+                    </p>
+
+                    <label className="block text-sm font-medium text-cyan-400 mb-2 mt-4">Session</label>
+                    <select
+                      value={recordingSessionId?.toString() || ''}
+                      onChange={(e) => handleSessionChange(e.target.value)}
+                      className="w-full px-4 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none backdrop-blur-sm transition-all text-sm"
+                    >
+                      <option value="">No session</option>
+                      {sessions.map((session) => (
+                        <option key={session.id} value={session.id.toString()}>
+                          {session.date}{session.location ? ` · ${session.location}` : ''}{session.climber ? ` · ${session.climber}` : ''}
+                        </option>
+                      ))}
+                    </select>
+
+                    <label className="block text-sm font-medium text-cyan-400 mb-2 mt-4">Climber</label>
+                    <select
+                      value={recordingClimberId?.toString() || ''}
+                      onChange={(e) => handleClimberChange(e.target.value)}
+                      className="w-full px-4 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none backdrop-blur-sm transition-all text-sm"
+                    >
+                      <option value="">Unknown climber</option>
+                      {climbers.map((climber) => (
+                        <option key={climber.id} value={climber.id.toString()}>
+                          {climber.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  )}
                 </div>
               )}
 
@@ -1150,16 +1324,15 @@ export function ControlPanel({
                   <div className="flex items-center space-x-2">
                     <div 
                       className={`w-3 h-3 rounded-full ${
-                        connectionStatus === 'connected' 
+                        phyphoxConnection.state === 'idle' || phyphoxConnection.state === 'measuring'
                           ? 'bg-green-400' 
-                          : connectionStatus === 'checking'
+                          : phyphoxConnection.state === 'connecting' || phyphoxConnection.state === 'stalled'
                           ? 'bg-yellow-400 animate-pulse'
                           : 'bg-red-400'
-                      }`} 
+                      } ${phyphoxConnection.state === 'measuring' || phyphoxConnection.state === 'error' ? 'animate-pulse' : ''}`} 
                     />
                     <span className="text-xs text-gray-400">
-                      {connectionStatus === 'connected' ? 'Connected' : 
-                       connectionStatus === 'checking' ? 'Connecting...' : 'Disconnected'}
+                      {PHYPHOX_STATE_LABELS[phyphoxConnection.state]}
                     </span>
                   </div>
                 </div>
@@ -1175,6 +1348,13 @@ export function ControlPanel({
                   {isLiveModeActive ? 'Disconnect Live Mode' : 'Go Live Mode'}
                 </button>
 
+                {phyphoxConnection.error && (
+                  <p className="text-xs text-red-400 -mt-2 mb-4">{phyphoxConnection.error}</p>
+                )}
+                {isLiveModeActive && phyphoxConnection.experimentTitle && (
+                  <p className="text-xs text-gray-400 -mt-2 mb-4">Experiment: {phyphoxConnection.experimentTitle}</p>
+                )}
+
                 {/* Server Selection - only show when not connected */}
                 {!isLiveModeActive && (
                   <div>
@@ -1184,8 +1364,18 @@ export function ControlPanel({
                       value={serverUrl}
                       onChange={(e) => setServerUrl(e.target.value)}
                       placeholder="10.237.1.101 or http://10.237.1.101"
-                      className="w-full px-4 py-3 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm backdrop-blur-sm transition-all"
+                      disabled={serverUrl === PHYPHOX_SIMULATOR_URL}
+                      className="w-full px-4 py-3 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm backdrop-blur-sm transition-all disabled:opacity-50"
                     />
+                    <label className="flex items-center gap-2 mt-2 text-xs text-gray-400 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={serverUrl === PHYPHOX_SIMULATOR_URL}
+                        onChange={(e) => setServerUrl(e.target.checked ? PHYPHOX_SIMULATOR_URL : DEFAULT_PHYPHOX_SERVER_URL)}
+                        className="rounded border-cyan-400/40 bg-black/50 text-cyan-400"
+                      />
+                      Simulated device (<code className="bg-black/50 px-1 rounded">npm run simulator</code>)
+                    </label>
                     
                     {/* HTTPS Warning */}
                     {window.location.protocol === 'https:' && (
@@ -1206,6 +1396,193 @@ export function ControlPanel({
                     )}
                   </div>
                 )}
+
+                {/* More phones recording along with the main one */}
+                <div className="mt-6">
+                  <label className="block text-sm font-medium text-cyan-400 mb-3">Other Devices</label>
+                  {phyphoxConnection.devices.map((device) => (
+                    <div key={device.id} className="mb-3 px-3 py-2 bg-black/30 border border-cyan-400/20 rounded-xl">
+                      <div className="flex items-center justify-between gap-2">
+                        <div className="flex items-center gap-2 min-w-0">
+                          <div className={`w-2 h-2 rounded-full flex-shrink-0 ${
+                            isPhyphoxConnected(device.state) ? 'bg-green-400' : device.state === 'connecting' ? 'bg-yellow-400 animate-pulse' : 'bg-red-400'
+                          }`} />
+                          <span className="text-sm text-gray-200 truncate">{device.label}</span>
+                          <span className="text-xs text-gray-500 truncate">{device.serverUrl}</span>
+                        </div>
+                        <div className="flex items-center gap-2 flex-shrink-0">
+                          {device.state === 'disconnected' ? (
+                            <button onClick={() => connectPhyphoxDevice(device.id).catch(() => {})} className="text-xs text-cyan-400 hover:text-cyan-300">
+                              Connect
+                            </button>
+                          ) : (
+                            <span className="text-xs text-gray-400">{PHYPHOX_STATE_LABELS[device.state]}</span>
+                          )}
+                          <button onClick={() => removePhyphoxDevice(device.id)} className="text-gray-400 hover:text-white" title="Remove device">
+                            <X size={14} />
+                          </button>
+                        </div>
+                      </div>
+                      {device.error && <p className="text-xs text-red-400 mt-1">{device.error}</p>}
+                      {isPhyphoxConnected(device.state) && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          {device.clockOffset === null
+                            ? 'Clock aligns on the next start'
+                            : `Clock offset ${device.clockOffset >= 0 ? '+' : ''}${device.clockOffset.toFixed(3)}s`}
+                        </p>
+                      )}
+                    </div>
+                  ))}
+                  <div className="grid grid-cols-2 gap-2">
+                    <input
+                      type="text"
+                      value={newDeviceLabel}
+                      onChange={(e) => setNewDeviceLabel(e.target.value)}
+                      placeholder="Wrist"
+                      className="px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+                    />
+                    <input
+                      type="text"
+                      value={newDeviceUrl}
+                      onChange={(e) => setNewDeviceUrl(e.target.value)}
+                      placeholder="10.237.1.102"
+                      className="px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+                    />
+                  </div>
+                  <button
+                    onClick={handleAddDevice}
+                    disabled={!newDeviceUrl.trim()}
+                    className="w-full mt-2 px-4 py-2 bg-cyan-400/20 hover:bg-cyan-400/30 text-cyan-400 border border-cyan-400/40 rounded-xl text-sm font-medium transition-all flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <Plus size={14} />
+                    Add Device
+                  </button>
+                  <p className="text-xs text-gray-400 mt-2">
+                    Start, stop and clear go to every device. Their clocks are aligned with the main device when a recording starts.
+                  </p>
+                </div>
+
+                {/* Tempo drills: sounds for the moves the live detection recognises */}
+                <div className="mt-6">
+                  <label className="flex items-center gap-2 text-sm font-medium text-cyan-400 mb-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={liveCueSettings.enabled}
+                      onChange={(e) => handleLiveCueToggle('enabled', e.target.checked)}
+                      className="rounded border-cyan-400/40 bg-black/50 text-cyan-400"
+                    />
+                    Audio Cues
+                  </label>
+                  {liveCueSettings.enabled && (
+                    <div className="space-y-3">
+                      <div className="grid grid-cols-2 gap-2">
+                        {([
+                          ['moveTick', 'Tick per move'],
+                          ['cruxTone', 'Crux tone'],
+                          ['vibrate', 'Vibrate']
+                        ] as const).map(([key, label]) => (
+                          <label key={key} className="flex items-center gap-2 text-xs text-gray-300 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={liveCueSettings[key]}
+                              onChange={(e) => handleLiveCueToggle(key, e.target.checked)}
+                              className="rounded border-cyan-400/40 bg-black/50 text-cyan-400"
+                            />
+                            {label}
+                          </label>
+                        ))}
+                      </div>
+                      <div className="grid grid-cols-2 gap-2">
+                        <label className="text-xs text-gray-400">
+                          Stall tone after (s)
+                          <input
+                            type="number"
+                            min={0}
+                            max={60}
+                            value={liveCueSettings.stallSeconds}
+                            onChange={(e) => saveLiveCueSettings({ stallSeconds: Math.max(0, Number(e.target.value) || 0) })}
+                            className="w-full mt-1 px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+                          />
+                        </label>
+                        <label className="text-xs text-gray-400">
+                          Start countdown (s)
+                          <input
+                            type="number"
+                            min={0}
+                            max={10}
+                            value={liveCueSettings.countdownSeconds}
+                            onChange={(e) => saveLiveCueSettings({ countdownSeconds: Math.max(0, Number(e.target.value) || 0) })}
+                            className="w-full mt-1 px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+                          />
+                        </label>
+                      </div>
+                      <div className="flex items-center gap-3">
+                        <span className="text-xs text-gray-400">Volume</span>
+                        <input
+                          type="range"
+                          min={0}
+                          max={1}
+                          step={0.05}
+                          value={liveCueSettings.volume}
+                          onChange={(e) => saveLiveCueSettings({ volume: Number(e.target.value) })}
+                          className="flex-1 accent-cyan-400"
+                        />
+                        <button onClick={() => playLiveCue('move')} className="text-xs text-cyan-400 hover:text-cyan-300">
+                          Test
+                        </button>
+                      </div>
+                      <p className="text-xs text-gray-400">
+                        A tick when a move starts, a higher tone for crux moves and a low tone when no move followed for the stall time. 0 turns the stall tone or countdown off.
+                      </p>
+                    </div>
+                  )}
+                </div>
+
+                {/* Armed recordings start and stop themselves, the Arm button sits next to start and stop */}
+                <div className="mt-6">
+                  <label className="block text-sm font-medium text-cyan-400 mb-3">Recording Triggers</label>
+                  <div className="grid grid-cols-2 gap-2">
+                    {([
+                      ['autoStart', 'Start on motion'],
+                      ['stopOnFall', 'Stop on fall'],
+                      ['stopOnTop', 'Stop at the top']
+                    ] as const).map(([key, label]) => (
+                      <label key={key} className="flex items-center gap-2 text-xs text-gray-300 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={triggerSettings[key]}
+                          onChange={(e) => saveRecordingTriggerSettings({ [key]: e.target.checked })}
+                          className="rounded border-cyan-400/40 bg-black/50 text-cyan-400"
+                        />
+                        {label}
+                      </label>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-2 gap-2 mt-3">
+                    {([
+                      ['startMotion', 'Motion level (m/s²)', 0.5, 10, 0.1],
+                      ['startDuration', 'Motion lasts (s)', 0.2, 5, 0.1],
+                      ['topStillSeconds', 'Still at the top (s)', 2, 60, 1],
+                      ['margin', 'Keep around (s)', 0, 5, 0.5]
+                    ] as [keyof RecordingTriggerSettings, string, number, number, number][]).map(([key, label, min, max, step]) => (
+                      <label key={key} className="text-xs text-gray-400">
+                        {label}
+                        <input
+                          type="number"
+                          min={min}
+                          max={max}
+                          step={step}
+                          value={Number(triggerSettings[key])}
+                          onChange={(e) => saveRecordingTriggerSettings({ [key]: Math.min(max, Math.max(min, Number(e.target.value) || 0)) })}
+                          className="w-full mt-1 px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-400 mt-2">
+                    Arm (crosshair next to start and stop) and the recording begins once the motion lasts, then stops on a freefall followed by an impact or when the climber stayed still at the top. The saved recording is trimmed to those bounds.
+                  </p>
+                </div>
               </div>
             </div>
           )}
@@ -1395,6 +1772,266 @@ export function ControlPanel({
                 </div>
               </div>
 
+              {/* Print-resolution PNG of the rings */}
+              <div>
+                <h4 className="text-cyan-400 font-medium mb-4">Export Poster</h4>
+                <div className="space-y-3">
+                  <select
+                    value={POSTER_SIZES.findIndex(size => size.width === posterOptions.width && size.height === posterOptions.height)}
+                    onChange={(e) => {
+                      const size = POSTER_SIZES[Number(e.target.value)]
+                      if (size) setPosterOptions(prev => ({ ...prev, width: size.width, height: size.height }))
+                    }}
+                    className="w-full px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+                  >
+                    <option value={-1}>Custom size</option>
+                    {POSTER_SIZES.map((size, index) => (
+                      <option key={size.label} value={index}>{size.label}</option>
+                    ))}
+                  </select>
+                  <div className="grid grid-cols-2 gap-2">
+                    {(['width', 'height'] as const).map(key => (
+                      <label key={key} className="text-xs text-gray-400">
+                        {key === 'width' ? 'Width (px)' : 'Height (px)'}
+                        <input
+                          type="number"
+                          min={1}
+                          max={16384}
+                          value={posterOptions[key]}
+                          onChange={(e) => setPosterOptions(prev => ({ ...prev, [key]: Math.max(1, Math.round(Number(e.target.value) || 0)) }))}
+                          className="w-full mt-1 px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    {([
+                      ['transparent', 'Transparent'],
+                      ['caption', 'Caption'],
+                      ['circularText', 'Circular text']
+                    ] as const).map(([key, label]) => (
+                      <label key={key} className="flex items-center gap-2 text-xs text-gray-300 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={posterOptions[key]}
+                          onChange={(e) => setPosterOptions(prev => ({ ...prev, [key]: e.target.checked }))}
+                          className="rounded border-cyan-400/40 bg-black/50 text-cyan-400"
+                        />
+                        {label}
+                      </label>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    {!posterOptions.transparent && (
+                      <label className="flex items-center gap-2 text-xs text-gray-400">
+                        <input
+                          type="color"
+                          value={posterOptions.background}
+                          onChange={(e) => setPosterOptions(prev => ({ ...prev, background: e.target.value }))}
+                          className="w-8 h-8 rounded border border-cyan-400/40 bg-transparent cursor-pointer"
+                        />
+                        Background
+                      </label>
+                    )}
+                    {posterOptions.caption && (
+                      <label className="flex items-center gap-2 text-xs text-gray-400">
+                        <input
+                          type="color"
+                          value={posterOptions.captionColor}
+                          onChange={(e) => setPosterOptions(prev => ({ ...prev, captionColor: e.target.value }))}
+                          className="w-8 h-8 rounded border border-cyan-400/40 bg-transparent cursor-pointer"
+                        />
+                        Caption
+                      </label>
+                    )}
+                  </div>
+                  <button
+                    onClick={handlePosterExport}
+                    disabled={!selectedBoulder || isExportingPoster}
+                    className="w-full px-4 py-3 bg-cyan-400/20 hover:bg-cyan-400/30 text-cyan-400 border border-cyan-400/40 rounded-xl font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isExportingPoster ? 'Rendering…' : 'Export PNG'}
+                  </button>
+                  <p className="text-xs text-gray-400">
+                    Renders the 3D view as it is, with the post-processing, at the size above. The caption shows the name, grade and setter of the boulder.
+                  </p>
+                </div>
+              </div>
+
+              {/* SVG/PDF of the rings for print layouts */}
+              <div>
+                <h4 className="text-cyan-400 font-medium mb-4">Export Vector</h4>
+                <div className="space-y-3">
+                  <select
+                    value={VECTOR_SIZES.findIndex(size => size.width === vectorOptions.width && size.height === vectorOptions.height)}
+                    onChange={(e) => {
+                      const size = VECTOR_SIZES[Number(e.target.value)]
+                      if (size) setVectorOptions(prev => ({ ...prev, width: size.width, height: size.height }))
+                    }}
+                    className="w-full px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+                  >
+                    <option value={-1}>Custom size</option>
+                    {VECTOR_SIZES.map((size, index) => (
+                      <option key={size.label} value={index}>{size.label}</option>
+                    ))}
+                  </select>
+                  <div className="grid grid-cols-2 gap-2">
+                    {(['width', 'height'] as const).map(key => (
+                      <label key={key} className="text-xs text-gray-400">
+                        {key === 'width' ? 'Width (mm)' : 'Height (mm)'}
+                        <input
+                          type="number"
+                          min={1}
+                          max={5000}
+                          value={vectorOptions[key]}
+                          onChange={(e) => setVectorOptions(prev => ({ ...prev, [key]: Math.max(1, Math.round(Number(e.target.value) || 0)) }))}
+                          className="w-full mt-1 px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <label className="flex items-center gap-2 text-xs text-gray-300 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={vectorOptions.transparent}
+                        onChange={(e) => setVectorOptions(prev => ({ ...prev, transparent: e.target.checked }))}
+                        className="rounded border-cyan-400/40 bg-black/50 text-cyan-400"
+                      />
+                      Transparent
+                    </label>
+                    {!vectorOptions.transparent && (
+                      <label className="flex items-center gap-2 text-xs text-gray-400">
+                        <input
+                          type="color"
+                          value={vectorOptions.background}
+                          onChange={(e) => setVectorOptions(prev => ({ ...prev, background: e.target.value }))}
+                          className="w-8 h-8 rounded border border-cyan-400/40 bg-transparent cursor-pointer"
+                        />
+                        Background
+                      </label>
+                    )}
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    {(['svg', 'pdf'] as const).map(format => (
+                      <button
+                        key={format}
+                        onClick={() => handleVectorExport(format)}
+                        disabled={!selectedBoulder}
+                        className="px-4 py-3 bg-cyan-400/20 hover:bg-cyan-400/30 text-cyan-400 border border-cyan-400/40 rounded-xl font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Export {format.toUpperCase()}
+                      </button>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-400">
+                    Rings, attempt lines, move lines and text as editable paths from the current camera angle. Glow and blur are left out.
+                  </p>
+                </div>
+              </div>
+
+              {/* Frame-stepped video of the animations */}
+              <div>
+                <h4 className="text-cyan-400 font-medium mb-4">Export Animation</h4>
+                <div className="space-y-3">
+                  <select
+                    value={ANIMATION_SIZES.findIndex(size => size.width === animationOptions.width && size.height === animationOptions.height)}
+                    onChange={(e) => {
+                      const size = ANIMATION_SIZES[Number(e.target.value)]
+                      if (size) setAnimationOptions(prev => ({ ...prev, width: size.width, height: size.height }))
+                    }}
+                    className="w-full px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+                  >
+                    <option value={-1}>Custom size</option>
+                    {ANIMATION_SIZES.map((size, index) => (
+                      <option key={size.label} value={index}>{size.label}</option>
+                    ))}
+                  </select>
+                  <div className="grid grid-cols-2 gap-2">
+                    {(['width', 'height'] as const).map(key => (
+                      <label key={key} className="text-xs text-gray-400">
+                        {key === 'width' ? 'Width (px)' : 'Height (px)'}
+                        <input
+                          type="number"
+                          min={1}
+                          max={4096}
+                          value={animationOptions[key]}
+                          onChange={(e) => setAnimationOptions(prev => ({ ...prev, [key]: Math.max(1, Math.round(Number(e.target.value) || 0)) }))}
+                          className="w-full mt-1 px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+                        />
+                      </label>
+                    ))}
+                    <label className="text-xs text-gray-400">
+                      Duration (s)
+                      <input
+                        type="number"
+                        min={1}
+                        max={60}
+                        value={animationOptions.duration}
+                        onChange={(e) => setAnimationOptions(prev => ({ ...prev, duration: Math.max(1, Math.round(Number(e.target.value) || 0)) }))}
+                        className="w-full mt-1 px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+                      />
+                    </label>
+                    <label className="text-xs text-gray-400">
+                      Frame rate
+                      <select
+                        value={animationOptions.fps}
+                        onChange={(e) => setAnimationOptions(prev => ({ ...prev, fps: Number(e.target.value) }))}
+                        className="w-full mt-1 px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+                      >
+                        {ANIMATION_FRAME_RATES.map(fps => (
+                          <option key={fps} value={fps}>{fps} fps</option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <label className="flex items-center gap-2 text-xs text-gray-300 cursor-pointer" title="PNG frames only, videos always get the background">
+                      <input
+                        type="checkbox"
+                        checked={animationOptions.transparent}
+                        onChange={(e) => setAnimationOptions(prev => ({ ...prev, transparent: e.target.checked }))}
+                        className="rounded border-cyan-400/40 bg-black/50 text-cyan-400"
+                      />
+                      Transparent
+                    </label>
+                    <label className="flex items-center gap-2 text-xs text-gray-400">
+                      <input
+                        type="color"
+                        value={animationOptions.background}
+                        onChange={(e) => setAnimationOptions(prev => ({ ...prev, background: e.target.value }))}
+                        className="w-8 h-8 rounded border border-cyan-400/40 bg-transparent cursor-pointer"
+                      />
+                      Background
+                    </label>
+                  </div>
+                  {animationProgress ? (
+                    <div className="w-full px-4 py-3 bg-cyan-400/10 text-cyan-400 border border-cyan-400/40 rounded-xl font-medium text-center">
+                      Rendering frame {animationProgress.frame} / {animationProgress.frames}…
+                    </div>
+                  ) : (
+                    <div className="grid grid-cols-2 gap-2">
+                      {([
+                        ['webm', 'Export WebM'],
+                        ['png', 'Export PNG frames']
+                      ] as const).map(([format, label]) => (
+                        <button
+                          key={format}
+                          onClick={() => handleAnimationExport(format)}
+                          disabled={!selectedBoulder}
+                          className="px-4 py-3 bg-cyan-400/20 hover:bg-cyan-400/30 text-cyan-400 border border-cyan-400/40 rounded-xl font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <p className="text-xs text-gray-400">
+                    Steps the rotation, liquid and attempt waves frame by frame from the start, so the video plays smoothly however long the rendering takes. PNG frames come as a ZIP, optionally transparent.
+                  </p>
+                </div>
+              </div>
+
               {/* Preset Info */}
               <div className="bg-cyan-400/10 border border-cyan-400/40 rounded-lg p-4">
                 <h5 className="text-cyan-400 font-medium mb-2">About Presets (11 Total)</h5>
@@ -1440,6 +2077,39 @@ export function ControlPanel({
                   ))}
                 </div>
               )}
+              
+              {/* Recorded attempts on the selected boulder */}
+              <div className="bg-cyan-400/10 border border-cyan-400/40 rounded-lg p-4">
+                <h5 className="text-cyan-400 font-medium mb-2">Recorded Attempts ({boulderAttempts.length})</h5>
+                {boulderAttempts.length === 0 ? (
+                  <p className="text-xs text-gray-400">
+                    No attempts yet. Select a recording and use "Attempt Of" in the Data tab to add one.
+                  </p>
+                ) : (
+                  <ul className="text-xs text-gray-400 space-y-2">
+                    {boulderAttempts.map((attempt) => (
+                      <li key={attempt.id} className="flex items-center justify-between gap-2">
+                        <span className="truncate">
+                          {new Date(attempt.recordedAt).toLocaleDateString()} · {attempt.recordingName}
+                        </span>
+                        <span className="flex items-center gap-2 shrink-0">
+                          <span className={attempt.completed ? 'text-green-400' : attempt.fellAtMove ? 'text-red-400' : 'text-orange-400'}>
+                            {attempt.completed ? 'Topped' : `${attempt.movesReached}/${attempt.totalMoves}`}
+                            {!attempt.completed && attempt.fellAtMove ? ` · fell on ${attempt.fellAtMove}` : ''}
+                          </span>
+                          <button
+                            onClick={() => handleRemoveAttempt(attempt.recordingId)}
+                            className="text-gray-500 hover:text-red-400 transition-all"
+                            title="Remove attempt"
+                          >
+                            ✕
+                          </button>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
             </div>
           )}
           
@@ -1585,15 +2255,60 @@ export function ControlPanel({
                 </div>
               )}
               
+              {/* Detection strategy - saved per boulder with the settings below */}
+              <div>
+                <label className="block text-sm font-medium text-cyan-400 mb-2">Detection Strategy</label>
+                <select
+                  value={state.visualizerSettings.moveDetectionStrategy}
+                  onChange={(e) => handleSettingChange('moveDetectionStrategy', e.target.value)}
+                  className="w-full px-4 py-2 bg-black/50 border border-cyan-400/40 rounded-xl text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none backdrop-blur-sm transition-all text-sm"
+                >
+                  {getMoveDetectionStrategies().map((strategy) => (
+                    <option key={strategy.id} value={strategy.id}>
+                      {strategy.name}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-400 mt-2">
+                  {getMoveDetectionStrategies().find(s => s.id === state.visualizerSettings.moveDetectionStrategy)?.description}
+                </p>
+              </div>
+              
               <div className="space-y-4">
-                {folders.find(f => f.id === 'moveDetection')?.controls.map((control) => (
-                  <ControlSlider key={control.key} control={control} />
-                ))}
+                {state.visualizerSettings.moveDetectionStrategy === 'stillness' &&
+                  folders.find(f => f.id === 'moveDetection')?.controls.map((control) => (
+                    <ControlSlider key={control.key} control={control} />
+                  ))}
+                
+                {(state.visualizerSettings.moveDetectionStrategy === 'peak-threshold' ||
+                  state.visualizerSettings.moveDetectionStrategy === 'live-peak') && (
+                  <div className="mb-6">
+                    <div className="flex justify-between items-center mb-3">
+                      <label className="text-sm font-medium text-cyan-400">Peak Threshold</label>
+                      <span className="text-xs text-cyan-400 bg-cyan-400/10 px-2 py-1 rounded-lg border border-cyan-400/40">
+                        {currentThreshold.toFixed(1)} m/s²
+                      </span>
+                    </div>
+                    <ElasticSlider
+                      key={`peakThreshold-${currentThreshold}`}
+                      defaultValue={currentThreshold}
+                      startingValue={5}
+                      maxValue={40}
+                      isStepped={true}
+                      stepSize={0.5}
+                      className="w-full"
+                      onChange={handleThresholdChange}
+                    />
+                  </div>
+                )}
               </div>
               
               <div className="bg-cyan-400/10 border border-cyan-400/40 rounded-lg p-4">
                 <h5 className="text-cyan-400 font-medium mb-2">Move Detection Algorithm</h5>
                 <ul className="text-xs text-gray-400 space-y-1">
+                  <li>• <strong>Stillness (default):</strong> Movement phases between periods of holding still</li>
+                  <li>• <strong>Peak Threshold / Live Peaks:</strong> Every peak above the threshold is a move</li>
+                  <li>• <strong>Prominence:</strong> Most prominent peaks of the smoothed signal</li>
                   <li>• <strong>Move Threshold:</strong> Acceleration above this = potential move</li>
                   <li>• <strong>Everything is either:</strong> <span className="text-green-400">Move</span> or <span className="text-gray-300">Stillness</span> (rest)</li>
                   <li>• <strong>Min Still Duration:</strong> Must hold still this long before/after moves</li>
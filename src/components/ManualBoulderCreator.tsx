@@ -2,6 +2,7 @@ import React, { useState, useRef, useLayoutEffect } from 'react'
 import * as RadioGroup from '@radix-ui/react-radio-group'
 import MoveList from './MoveList'
 import { MoveItem } from './MoveList'
+import { saveManualBoulder, loadManualBoulder } from '../utils/manualBoulders'
 
 export interface Move {
   id: string
@@ -14,20 +15,27 @@ export interface Move {
 
 interface ManualBoulderCreatorProps {
   onBack: () => void
+  onSaved?: (boulderId: number) => void
+  boulderId?: number // Edit an existing manual boulder instead of creating a new one
   isControlPanelVisible?: boolean
 }
 
-export function ManualBoulderCreator({ onBack, isControlPanelVisible = true }: ManualBoulderCreatorProps) {
-  const [boulderName, setBoulderName] = useState('')
-  const [selectedGrade, setSelectedGrade] = useState('')
-  const [gradeSystem, setGradeSystem] = useState<'V' | 'Font' | 'YDS'>('V')
-  const [routeSetter, setRouteSetter] = useState('')
-  const [numberOfMoves, setNumberOfMoves] = useState('')
-  const [date, setDate] = useState(new Date().toISOString().split('T')[0])
-  const [betaInsight, setBetaInsight] = useState('')
-  const [moves, setMoves] = useState<Move[]>([
-    { id: '1', name: 'Describe the move', moveType: 0, isCrux: false }
-  ])
+export function ManualBoulderCreator({ onBack, onSaved, boulderId, isControlPanelVisible = true }: ManualBoulderCreatorProps) {
+  // Load the stored boulder once when editing
+  const [existingBoulder] = useState(() => boulderId !== undefined ? loadManualBoulder(boulderId) : null)
+  
+  const [boulderName, setBoulderName] = useState(existingBoulder?.name || '')
+  const [selectedGrade, setSelectedGrade] = useState(existingBoulder?.grade || '')
+  const [gradeSystem, setGradeSystem] = useState<'V' | 'Font' | 'YDS'>(existingBoulder?.gradeSystem || 'V')
+  const [routeSetter, setRouteSetter] = useState(existingBoulder?.routeSetter || '')
+  const [numberOfMoves, setNumberOfMoves] = useState(existingBoulder ? existingBoulder.moves.length.toString() : '')
+  const [date, setDate] = useState(existingBoulder?.date || new Date().toISOString().split('T')[0])
+  const [betaInsight, setBetaInsight] = useState(existingBoulder?.betaInsight || '')
+  const [moves, setMoves] = useState<Move[]>(
+    existingBoulder && existingBoulder.moves.length > 0
+      ? existingBoulder.moves
+      : [{ id: '1', name: 'Describe the move', moveType: 0, isCrux: false }]
+  )
   const [boulderInfoOpen, setBoulderInfoOpen] = useState(true)
   
   const headerRef = useRef<HTMLDivElement>(null)
@@ -148,21 +156,33 @@ export function ManualBoulderCreator({ onBack, isControlPanelVisible = true }: M
     setMoves(moves.filter(move => move.id !== id))
   }
 
-  const saveBoulder = () => {
-    const boulderData = {
-      name: boulderName,
-      grade: selectedGrade,
-      moves: moves,
-      createdAt: new Date().toISOString()
-    }
+  const canSave = boulderName.trim() && selectedGrade && moves.length > 0
+
+  const saveBoulder = async () => {
+    if (!canSave) return
     
-    console.log('Saving boulder:', boulderData)
-    // Here you would typically save to your data store
-    onBack() // Navigate back after saving
+    try {
+      const savedId = await saveManualBoulder({
+        name: boulderName,
+        grade: selectedGrade,
+        gradeSystem,
+        routeSetter,
+        date,
+        betaInsight,
+        moves: moves.map(({ id, name, moveType, isCrux }) => ({ id, name, moveType, isCrux }))
+      }, existingBoulder?.id)
+      
+      if (onSaved) {
+        onSaved(savedId)
+      } else {
+        onBack() // Navigate back after saving
+      }
+    } catch (error) {
+      console.error('Error saving boulder:', error)
+      alert('Failed to save boulder: ' + (error instanceof Error ? error.message : 'Unknown error'))
+    }
   }
 
-  const canSave = boulderName.trim() && selectedGrade && moves.length > 0
-
   return (
     <div className="h-screen relative">
       <div className={`h-full flex items-center justify-center transition-all duration-300 ${
@@ -180,10 +200,12 @@ export function ManualBoulderCreator({ onBack, isControlPanelVisible = true }: M
               </button>
               <div>
                 <h1 className="text-white tracking-light text-3xl font-bold leading-tight">
-                  Add Boulder Manually
+                  {existingBoulder ? 'Edit Boulder' : 'Add Boulder Manually'}
                 </h1>
                 <p className="text-gray-400 text-base mt-1">
-                  Create a custom boulder with moves and difficulty settings
+                  {existingBoulder
+                    ? `Update the moves and details of "${existingBoulder.name}"`
+                    : 'Create a custom boulder with moves and difficulty settings'}
                 </p>
               </div>
             </div>
@@ -356,7 +378,9 @@ export function ManualBoulderCreator({ onBack, isControlPanelVisible = true }: M
               </button>
               <button
                 onClick={saveBoulder}
-                className="w-48 px-4 py-4 bg-cyan-400 text-black rounded-xl font-bold text-lg shadow-lg transition-all hover:bg-cyan-300 hover:text-cyan-900 backdrop-blur-md border border-cyan-400/60"
+                disabled={!canSave}
+                title={canSave ? undefined : 'Add a name, a grade and at least one move'}
+                className="w-48 px-4 py-4 bg-cyan-400 text-black rounded-xl font-bold text-lg shadow-lg transition-all hover:bg-cyan-300 hover:text-cyan-900 backdrop-blur-md border border-cyan-400/60 disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 Save Boulder
               </button>
@@ -0,0 +1,68 @@
+import React from 'react'
+import type { ProcessedMove } from '../utils/moveDetection'
+import { getVisualizationState } from '../store/visualizationStore'
+
+export interface MoveRingOutline {
+  moves: ProcessedMove[] // Start move included
+  color?: string // Defaults to the visualizer's move color
+}
+
+interface MoveRingProps {
+  rings: MoveRingOutline[]
+  size?: number
+}
+
+// Flat version of the 3D rings: one bump per move, radius from its dynamics, crux moves marked.
+// Overlaid rings share their move positions, so move n of every ring sits at the same angle.
+export function MoveRing({ rings, size = 120 }: MoveRingProps) {
+  const { moveColor, cruxColor } = getVisualizationState().visualizerSettings
+  const center = size / 2
+  const baseRadius = size * 0.22
+  const amplitude = size * 0.24
+  const slots = Math.max(0, ...rings.map(ring => ring.moves.length))
+
+  if (slots < 2) {
+    return (
+      <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`}>
+        <circle cx={center} cy={center} r={baseRadius} fill="none" stroke="#4b5563" strokeDasharray="4 4" />
+      </svg>
+    )
+  }
+
+  const pointAt = (angle: number, radius: number) => ({
+    x: center + Math.cos(angle - Math.PI / 2) * radius,
+    y: center + Math.sin(angle - Math.PI / 2) * radius
+  })
+
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`}>
+      <circle cx={center} cy={center} r={baseRadius} fill="none" stroke="#374151" strokeWidth={0.5} />
+      {rings.map(({ moves, color = moveColor }, ringIndex) => {
+        // Moves a shorter recording didn't reach stay on the base circle
+        const radiusAt = (index: number) => baseRadius + (moves[index % slots]?.dynamics ?? 0) * amplitude
+
+        // Cosine interpolation between the moves keeps the outline smooth
+        const samples = 180
+        const outline = Array.from({ length: samples }, (_, i) => {
+          const position = (i / samples) * slots
+          const index = Math.floor(position)
+          const blend = (1 - Math.cos((position - index) * Math.PI)) / 2
+          const radius = radiusAt(index) * (1 - blend) + radiusAt(index + 1) * blend
+          const { x, y } = pointAt((i / samples) * Math.PI * 2, radius)
+          return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`
+        }).join(' ') + ' Z'
+
+        return (
+          <g key={ringIndex}>
+            <path d={outline} fill="none" stroke={color} strokeWidth={1.5} strokeOpacity={rings.length > 1 ? 0.85 : 1} />
+            {moves.map((move, index) => {
+              if (!move.isCrux) return null
+              const { x, y } = pointAt((index / slots) * Math.PI * 2, radiusAt(index))
+              return <circle key={index} cx={x} cy={y} r={3} fill={rings.length > 1 ? color : cruxColor} />
+            })}
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
@@ -0,0 +1,123 @@
+import React, { useState } from 'react'
+import { Radio, X } from 'lucide-react'
+import type { PhyphoxPendingMapping } from '../utils/phyphoxConnection'
+import type { PhyphoxAxisBuffers, PhyphoxBufferMapping } from '../utils/phyphoxConfig'
+
+interface PhyphoxBufferMappingDialogProps {
+  pendingMapping: PhyphoxPendingMapping
+  deviceLabel?: string | null // Set for the devices recording along with the main one
+  onConfirm: (mapping: PhyphoxBufferMapping) => void
+  onCancel: () => void
+}
+
+type AxisSelection = Record<keyof PhyphoxAxisBuffers, string>
+
+const EMPTY_AXES: AxisSelection = { time: '', x: '', y: '', z: '' }
+const AXIS_LABELS: Record<keyof PhyphoxAxisBuffers, string> = { time: 'Time', x: 'x', y: 'y', z: 'z' }
+
+// A sensor only counts when its time and all three axes are picked
+function completeAxes(selection: AxisSelection): PhyphoxAxisBuffers | null {
+  const { time, x, y, z } = selection
+  return time && x && y && z ? { time, x, y, z } : null
+}
+
+// Shown when connecting to an experiment whose buffers couldn't be mapped from its /config
+export function PhyphoxBufferMappingDialog({ pendingMapping, deviceLabel, onConfirm, onCancel }: PhyphoxBufferMappingDialogProps) {
+  const { config, detection } = pendingMapping
+  const detected = detection.mapping
+  const bufferNames = config.buffers.map(buffer => buffer.name)
+
+  const [acceleration, setAcceleration] = useState<AxisSelection>(detected?.acceleration || EMPTY_AXES)
+  const [gyroscope, setGyroscope] = useState<AxisSelection>(detected?.gyroscope || EMPTY_AXES)
+  const [pressure, setPressure] = useState({ time: detected?.pressure?.time || '', value: detected?.pressure?.value || '' })
+
+  const accelerationAxes = completeAxes(acceleration)
+  const mapping: PhyphoxBufferMapping | null = accelerationAxes && {
+    acceleration: accelerationAxes,
+    gyroscope: completeAxes(gyroscope),
+    pressure: pressure.time && pressure.value ? pressure : null
+  }
+
+  const bufferSelect = (value: string, onChange: (value: string) => void, emptyLabel: string) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-lg text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm"
+    >
+      <option value="">{emptyLabel}</option>
+      {bufferNames.map(name => (
+        <option key={name} value={name}>{name}</option>
+      ))}
+    </select>
+  )
+
+  const axesRow = (label: string, selection: AxisSelection, onChange: (selection: AxisSelection) => void) => (
+    <div>
+      <label className="block text-sm font-medium text-cyan-400 mb-2">{label}</label>
+      <div className="grid grid-cols-4 gap-3">
+        {(['time', 'x', 'y', 'z'] as const).map(axis => (
+          <div key={axis}>
+            {bufferSelect(selection[axis], (value) => onChange({ ...selection, [axis]: value }), `${AXIS_LABELS[axis]} —`)}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 backdrop-blur-sm">
+      <div className="bg-black/90 border border-cyan-400/40 rounded-2xl p-6 max-w-2xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-cyan-400 flex items-center gap-2">
+              <Radio size={20} />
+              Map Phyphox Buffers{deviceLabel ? ` · ${deviceLabel}` : ''}
+            </h3>
+            <p className="text-gray-400 text-sm mt-1">
+              {detection.reason || 'The buffers of this experiment weren\'t recognized.'} Pick which buffer holds which value
+              of "{config.localTitle || config.title || 'Untitled experiment'}". Your choice is remembered for this experiment.
+            </p>
+          </div>
+          <button onClick={onCancel} className="text-gray-400 hover:text-white">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {axesRow('Acceleration * (time / x / y / z)', acceleration, setAcceleration)}
+          {axesRow('Gyroscope (time / x / y / z)', gyroscope, setGyroscope)}
+
+          <div>
+            <label className="block text-sm font-medium text-cyan-400 mb-2">Pressure (time / value)</label>
+            <div className="grid grid-cols-2 gap-3">
+              {bufferSelect(pressure.time, (time) => setPressure(prev => ({ ...prev, time })), 'Time —')}
+              {bufferSelect(pressure.value, (value) => setPressure(prev => ({ ...prev, value })), 'Pressure —')}
+            </div>
+          </div>
+        </div>
+
+        {!mapping && (
+          <p className="text-xs text-orange-400 mt-4">
+            Map the time buffer and all three axes of the acceleration.
+          </p>
+        )}
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={onCancel}
+            className="flex-1 px-6 py-3 bg-gray-500/20 border border-gray-500/40 text-gray-300 rounded-xl font-medium transition-all hover:bg-gray-500/30"
+          >
+            Disconnect
+          </button>
+          <button
+            onClick={() => mapping && onConfirm(mapping)}
+            disabled={!mapping}
+            className="flex-1 px-6 py-3 bg-cyan-400/20 border border-cyan-400/40 text-cyan-400 rounded-xl font-medium transition-all hover:bg-cyan-400/30 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Connect
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,14 +1,25 @@
-import React, { useState, useEffect, useRef } from 'react'
+import React, { useState, useMemo } from 'react'
 import { Stepper, Step } from './Stepper'
 import { ChevronRight, ChevronLeft, Play, Square, Trash2, Upload, ArrowLeft, Smartphone, Globe, Link, Film, Clipboard, CheckCircle, X, BarChart3, Save, Check } from 'lucide-react'
 import ElasticSlider from './ui/ElasticSlider'
+import type { UploadCSVFile } from '../utils/csvLoader'
+import { saveStoredBoulder } from '../utils/boulderStorage'
+import type { StoredBoulder } from '../utils/boulderStorage'
+import type { CSVColumnMapping } from '../utils/csvImport'
+import { useCSVImport } from '../hooks/useCSVImport'
+import { CSVColumnMappingDialog } from './CSVColumnMappingDialog'
+import { connectToPhyphox, sendPhyphoxCommand, getPhyphoxServerUrl, isPhyphoxConnected, getPhyphoxConnection, getPhyphoxDeviceStreams, PHYPHOX_SIMULATOR_URL, DEFAULT_PHYPHOX_SERVER_URL } from '../utils/phyphoxConnection'
+import type { PhyphoxCommand } from '../utils/phyphoxConnection'
+import { usePhyphoxConnection } from '../hooks/usePhyphoxConnection'
+import { phyphoxBuffersToCSVData } from '../utils/phyphoxPolling'
+import { playStartCountdown } from '../utils/liveCues'
+import { applyRecordingTriggers } from '../utils/recordingTriggers'
+import { findRecordingFall } from '../utils/fallDetection'
+import { detectRecordingMoves } from '../utils/moveDetection'
 
 interface PhyphoxTutorialProps {
   onBack: () => void
-  onServerToggle?: (connected: boolean) => void
-  onServerCommand?: (command: string) => void
-  isServerConnected?: boolean
-  uploadFile?: (file: File) => Promise<void>
+  uploadFile?: UploadCSVFile
   isControlPanelVisible?: boolean
 }
 
@@ -20,22 +31,33 @@ interface LiveDataPoint {
 
 export function PhyphoxTutorial({ 
   onBack, 
-  onServerToggle, 
-  onServerCommand, 
-  isServerConnected = false,
   uploadFile,
   isControlPanelVisible = true
 }: PhyphoxTutorialProps) {
   const [currentStep, setCurrentStep] = useState(0)
-  const [serverIP, setServerIP] = useState('10.237.1.101')
+  const [serverIP, setServerIP] = useState(() => {
+    const url = getPhyphoxServerUrl()
+    return url === PHYPHOX_SIMULATOR_URL ? url : url.replace(/^https?:\/\//, '')
+  })
   const [connectionAttempted, setConnectionAttempted] = useState(false)
-  const [isRecording, setIsRecording] = useState(false)
   const [recordingSuccess, setRecordingSuccess] = useState(false)
   
-  // Live data tracking
-  const [liveData, setLiveData] = useState<LiveDataPoint[]>([])
-  const [recordingStartTime, setRecordingStartTime] = useState<number | null>(null)
-  const pollIntervalRef = useRef<NodeJS.Timeout | null>(null)
+  // Connection and live data come from the shared Phyphox connection, so recordings started
+  // from the control panel, the floating controls or the phone show up here as well
+  const phyphoxConnection = usePhyphoxConnection()
+  const isServerConnected = isPhyphoxConnected(phyphoxConnection.state)
+  const isRecording = phyphoxConnection.state === 'measuring' || phyphoxConnection.state === 'stalled'
+  
+  const liveData = useMemo<LiveDataPoint[]>(() => {
+    const { acc_time, accX, accY, accZ } = phyphoxConnection.buffers
+    return (acc_time?.buffer || []).map((time, index) => {
+      const x = accX?.buffer[index] || 0
+      const y = accY?.buffer[index] || 0
+      const z = accZ?.buffer[index] || 0
+      return { time, magnitude: Math.sqrt(x * x + y * y + z * z) }
+    })
+  }, [phyphoxConnection.buffers])
+  const recordingStartTime = liveData.length > 0 ? liveData[0].time * 1000 : null
   
   // Boulder form data
   const [boulderName, setBoulderName] = useState('')
@@ -131,165 +153,122 @@ export function PhyphoxTutorial({
     setConnectionAttempted(true)
     
     try {
-      // Real server connection logic - using correct endpoint
-      const response = await fetch(`http://${serverIP}/get?acc_time`, {
-        method: 'GET',
-        mode: 'cors',
-      })
-      
-      if (response.ok) {
-        if (onServerToggle) {
-          onServerToggle(true)
-        }
-      } else {
-        throw new Error('Server not responding')
-      }
+      await connectToPhyphox(serverIP)
     } catch (error) {
-      console.error('Connection failed:', error)
-      if (onServerToggle) {
-        onServerToggle(false)
-      }
+      console.error('[PhyphoxTutorial] Connection failed:', error)
     }
   }
 
-  const handleStartRecording = async () => {
+  const runCommand = async (command: PhyphoxCommand) => {
     try {
-      const response = await fetch(`http://${serverIP}/control?cmd=start`, {
-        method: 'GET',
-        mode: 'cors',
-      })
-      
-      if (response.ok) {
-        setIsRecording(true)
-        setLiveData([]) // Clear previous data
-        setRecordingStartTime(null) // Will be set when first data arrives
-        
-        console.log('[PhyphoxTutorial] Recording started, waiting for first data...')
-        
-        // Start polling for live data immediately
-        startLiveDataPolling()
-        
-        if (onServerCommand) {
-          onServerCommand('start')
-        }
+      if (command === 'start') {
+        await playStartCountdown()
       }
+      await sendPhyphoxCommand(command)
+      return true
     } catch (error) {
-      console.error('Start recording failed:', error)
+      console.error(`[PhyphoxTutorial] ${command} failed:`, error)
+      alert(`Failed to ${command} the recording: ` + (error instanceof Error ? error.message : 'Unknown error'))
+      return false
+    }
+  }
+
+  const handleStartRecording = async () => {
+    if (await runCommand('start')) {
+      setRecordingSuccess(false)
+      console.log('[PhyphoxTutorial] Recording started, waiting for first data...')
     }
   }
 
   const handleStopRecording = async () => {
-    try {
-      const response = await fetch(`http://${serverIP}/control?cmd=stop`, {
-        method: 'GET',
-        mode: 'cors',
-      })
-      
-      if (response.ok) {
-        setIsRecording(false)
-        setRecordingSuccess(true)
-        
-        // Stop polling
-        stopLiveDataPolling()
-        
-        if (onServerCommand) {
-          onServerCommand('stop')
-        }
-      }
-    } catch (error) {
-      console.error('Stop recording failed:', error)
+    if (await runCommand('stop')) {
+      setRecordingSuccess(true)
     }
   }
 
   const handleClearData = async () => {
-    try {
-      const response = await fetch(`http://${serverIP}/control?cmd=clear`, {
-        method: 'GET',
-        mode: 'cors',
-      })
-      
-      if (response.ok) {
-        setIsRecording(false)
-        setRecordingSuccess(false)
-        setLiveData([])
-        
-        // Stop polling
-        stopLiveDataPolling()
-        
-        if (onServerCommand) {
-          onServerCommand('clear')
-        }
-      }
-    } catch (error) {
-      console.error('Clear data failed:', error)
+    if (await runCommand('clear')) {
+      setRecordingSuccess(false)
     }
   }
 
+  const { pendingImport, importFile, confirmMapping, cancelMapping } = useCSVImport(uploadFile)
+
   const handleFileUpload = async (event: React.ChangeEvent<HTMLInputElement>) => {
     const file = event.target.files?.[0]
+    event.target.value = '' // Allow picking the same file again
     if (file && uploadFile) {
-      try {
-        await uploadFile(file)
+      const result = await importFile(file)
+      if (result) {
         console.log('File uploaded successfully')
         // Navigate back to visualizer after successful upload
         onBack()
-      } catch (error) {
-        console.error('Upload failed:', error)
       }
     }
   }
 
+  const handleConfirmMapping = async (mapping: CSVColumnMapping) => {
+    const result = await confirmMapping(mapping)
+    if (result) {
+      console.log('File uploaded successfully')
+      onBack()
+    }
+  }
+
   const handleSaveBoulder = async () => {
     try {
-      // Fetch the final recorded data from Phyphox
-      const response = await fetch(`http://${serverIP}/get?acc_time=full&accX=full&accY=full&accZ=full`, {
-        method: 'GET',
-        mode: 'cors',
-      })
+      // Everything the connection received while recording, trimmed when the recording triggers found its bounds
+      const recording = getPhyphoxConnection().buffers
+      if (recording.acc_time.buffer.length === 0) {
+        throw new Error('No samples received from Phyphox yet')
+      }
+      const buffers = applyRecordingTriggers(recording) || recording
+      // Phones recording along with the main one, as streams on its time base
+      const streams = getPhyphoxDeviceStreams(buffers.acc_time.buffer)
+      const recordingData = phyphoxBuffersToCSVData(buffers)
+      const csvData = streams.length > 0 ? recordingData : null
+      const id = Date.now() // Simple ID generation
+      // On the moves shown for this recording, detected with its own settings
+      const fall = recordingData
+        ? findRecordingFall(recordingData, detectRecordingMoves({ id, csvData: recordingData }))
+        : null
       
-      if (response.ok) {
-        const data = await response.json()
-        
-        // Create boulder data object with the form information and recorded data
-        const boulderData = {
-          id: Date.now(), // Simple ID generation
-          name: boulderName || 'Unnamed Boulder',
-          routeSetter: routeSetter || 'Unknown',
-          grade: grade || 'Ungraded',
-          gradeSystem: gradeSystem,
-          numberOfMoves: numberOfMoves ? parseInt(numberOfMoves) : 0,
-          date: date,
-          recordedAt: new Date().toISOString(),
-          moves: [], // Will be processed from the raw data
-          rawData: data.buffer, // Store the raw Phyphox data
-          source: 'phyphox',
-          totalDataPoints: data.buffer?.acc_time?.buffer?.length || 0
-        }
-        
-        // Save to localStorage
-        const existingBoulders = JSON.parse(localStorage.getItem('climbing-boulders') || '[]')
-        existingBoulders.push(boulderData)
-        localStorage.setItem('climbing-boulders', JSON.stringify(existingBoulders))
-        
-        console.log('Boulder saved successfully:', boulderData)
-        
-        // Store boulder data for confirmation popup
-        setSavedBoulderData(boulderData)
-        setShowSaveConfirmation(true)
-        
-        // Dispatch event to notify other components
-        window.dispatchEvent(new CustomEvent('boulderSaved', { 
-          detail: { boulder: boulderData } 
-        }))
-        
-      } else {
-        throw new Error('Failed to fetch final recording data')
+      // Create boulder data object with the form information and recorded data
+      const boulderData: StoredBoulder = {
+        id,
+        name: boulderName || 'Unnamed Boulder',
+        routeSetter: routeSetter || 'Unknown',
+        grade: grade || 'Ungraded',
+        gradeSystem: gradeSystem,
+        numberOfMoves: numberOfMoves ? parseInt(numberOfMoves) : 0,
+        date: date,
+        recordedAt: new Date().toISOString(),
+        moves: [], // Will be processed from the raw data
+        rawData: buffers, // Store the raw Phyphox data
+        ...(csvData ? { csvData: { ...csvData, streams } } : {}),
+        source: 'phyphox',
+        totalDataPoints: buffers.acc_time.buffer.length,
+        fall
       }
+      
+      // Save to the boulder library
+      await saveStoredBoulder(boulderData)
+      
+      console.log('Boulder saved successfully:', boulderData)
+      
+      // Store boulder data for confirmation popup
+      setSavedBoulderData(boulderData)
+      setShowSaveConfirmation(true)
+      
+      // Dispatch event to notify other components
+      window.dispatchEvent(new CustomEvent('boulderSaved', { 
+        detail: { boulder: boulderData } 
+      }))
     } catch (error) {
       console.error('Error saving boulder:', error)
       
       // Save without raw data as fallback
-      const boulderData = {
+      const boulderData: StoredBoulder = {
         id: Date.now(),
         name: boulderName || 'Unnamed Boulder',
         routeSetter: routeSetter || 'Unknown',
@@ -303,9 +282,8 @@ export function PhyphoxTutorial({
         error: 'Could not fetch recording data'
       }
       
-      const existingBoulders = JSON.parse(localStorage.getItem('climbing-boulders') || '[]')
-      existingBoulders.push(boulderData)
-      localStorage.setItem('climbing-boulders', JSON.stringify(existingBoulders))
+      saveStoredBoulder(boulderData)
+        .catch(storageError => console.error('Error storing boulder:', storageError))
       
       console.log('Boulder saved without raw data:', boulderData)
       
@@ -486,74 +464,6 @@ export function PhyphoxTutorial({
     handleSaveBoulder()
   }
 
-  // Live data polling functions
-  const startLiveDataPolling = () => {
-    if (pollIntervalRef.current) return // Already polling
-    
-    console.log('[PhyphoxTutorial] Starting live data polling')
-    
-    pollIntervalRef.current = setInterval(async () => {
-      try {
-        const response = await fetch(`http://${serverIP}/get?acc_time=full&accX=full&accY=full&accZ=full`, {
-          method: 'GET',
-          mode: 'cors',
-        })
-        
-        if (response.ok) {
-          const data = await response.json()
-          
-          if (data.buffer && data.buffer.acc_time && data.buffer.accX && data.buffer.accY && data.buffer.accZ) {
-            const timeArray = data.buffer.acc_time.buffer || []
-            const accXArray = data.buffer.accX.buffer || []
-            const accYArray = data.buffer.accY.buffer || []
-            const accZArray = data.buffer.accZ.buffer || []
-            
-            // Set recording start time from first data point if not set
-            if (recordingStartTime === null && timeArray.length > 0) {
-              const firstTime = timeArray[0]
-              setRecordingStartTime(firstTime * 1000) // Convert to milliseconds
-              console.log('[PhyphoxTutorial] Recording start time set from first data point:', firstTime)
-            }
-            
-            // Process all data points from recording start
-            const newDataPoints: LiveDataPoint[] = timeArray.map((time: number, index: number) => {
-              const x = accXArray[index] || 0
-              const y = accYArray[index] || 0
-              const z = accZArray[index] || 0
-              const magnitude = Math.sqrt(x * x + y * y + z * z)
-              
-              return { time, magnitude }
-            })
-            
-            // Keep all data points to show full recording timeline
-            setLiveData(newDataPoints)
-            
-            // Log progress every 100 points to avoid console spam
-            if (newDataPoints.length > 0 && newDataPoints.length % 100 === 0) {
-              console.log(`[PhyphoxTutorial] Live data updated: ${newDataPoints.length} points, duration: ${(newDataPoints[newDataPoints.length - 1].time - newDataPoints[0].time).toFixed(1)}s`)
-            }
-          }
-        }
-      } catch (error) {
-        console.warn('[PhyphoxTutorial] Live data polling error:', error)
-      }
-    }, 200) // Poll every 200ms for smoother updates
-  }
-
-  const stopLiveDataPolling = () => {
-    if (pollIntervalRef.current) {
-      clearInterval(pollIntervalRef.current)
-      pollIntervalRef.current = null
-    }
-  }
-
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      stopLiveDataPolling()
-    }
-  }, [])
-
   const renderStepContent = () => {
     switch (currentStep) {
       case 0: // Connect
@@ -632,8 +542,18 @@ export function PhyphoxTutorial({
                         value={serverIP}
                         onChange={(e) => setServerIP(e.target.value)}
                         placeholder="10.237.1.101"
-                        className="w-full px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-lg text-cyan-400 placeholder-cyan-400/50 focus:border-cyan-400 focus:outline-none"
+                        disabled={serverIP === PHYPHOX_SIMULATOR_URL}
+                        className="w-full px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-lg text-cyan-400 placeholder-cyan-400/50 focus:border-cyan-400 focus:outline-none disabled:opacity-50"
                       />
+                      <label className="flex items-center gap-2 mt-2 text-xs text-cyan-400/70 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={serverIP === PHYPHOX_SIMULATOR_URL}
+                          onChange={(e) => setServerIP(e.target.checked ? PHYPHOX_SIMULATOR_URL : DEFAULT_PHYPHOX_SERVER_URL.replace(/^https?:\/\//, ''))}
+                          className="rounded border-cyan-400/40 bg-black/50 text-cyan-400"
+                        />
+                        Simulated device - no phone needed, run <code className="bg-black/50 px-1 rounded">npm run simulator</code> first
+                      </label>
                     </div>
                     
                     <button
@@ -643,7 +563,12 @@ export function PhyphoxTutorial({
                       Connect to Server
                     </button>
                     
-                    {connectionAttempted && (
+                    {connectionAttempted && phyphoxConnection.state === 'connecting' && (
+                      <div className="text-sm p-3 rounded-lg flex items-center gap-2 text-yellow-400 bg-yellow-400/10">
+                        Connecting...
+                      </div>
+                    )}
+                    {connectionAttempted && phyphoxConnection.state !== 'connecting' && (
                       <div className={`text-sm p-3 rounded-lg flex items-center gap-2 ${
                         isServerConnected 
                           ? 'text-green-400 bg-green-400/10' 
@@ -657,7 +582,7 @@ export function PhyphoxTutorial({
                         ) : (
                           <>
                             <X size={16} className="text-red-400" />
-                            Connection failed
+                            Connection failed{phyphoxConnection.error ? `: ${phyphoxConnection.error}` : ''}
                           </>
                         )}
                       </div>
@@ -671,13 +596,13 @@ export function PhyphoxTutorial({
                 <div className="border border-cyan-400/40 rounded-lg bg-black/30 backdrop-blur-sm w-full">
                   <div className="p-3 space-y-3">
                     <p className="text-purple-400/80 text-xs text-center">
-                      Already have climbing data? Upload a CSV file instead.
+                      Already have climbing data? Upload a CSV file, a Phyphox zip export or a saved .phyphox experiment instead.
                     </p>
                     
                     <div>
                       <input
                         type="file"
-                        accept=".csv"
+                        accept=".csv,.tsv,.txt,.zip,.phyphox"
                         onChange={handleFileUpload}
                         className="hidden"
                         id="csv-upload"
@@ -687,7 +612,7 @@ export function PhyphoxTutorial({
                         className="flex items-center justify-center gap-2 px-3 py-2 bg-purple-400/20 text-purple-400 rounded-lg border border-purple-400/40 hover:bg-purple-400/30 transition-all cursor-pointer text-xs font-medium"
                       >
                         <Upload size={14} />
-                        Choose CSV File
+                        Choose File
                       </label>
                     </div>
                   </div>
@@ -762,7 +687,7 @@ export function PhyphoxTutorial({
                     : 'bg-gray-600/20 text-gray-400'
                 }`}>
                   <div className={`w-2 h-2 rounded-full ${isRecording ? 'bg-red-400 animate-pulse' : 'bg-gray-400'}`}></div>
-                  {isRecording ? 'Recording...' : 'Ready to record'}
+                  {phyphoxConnection.state === 'stalled' ? 'Recording, waiting for new data...' : isRecording ? 'Recording...' : 'Ready to record'}
                 </div>
               </div>
 
@@ -923,6 +848,15 @@ export function PhyphoxTutorial({
 
   return (
     <div className="h-screen relative">
+      {/* Column mapping for CSV files with unrecognized headers */}
+      {pendingImport && (
+        <CSVColumnMappingDialog
+          pendingImport={pendingImport}
+          onConfirm={handleConfirmMapping}
+          onCancel={cancelMapping}
+        />
+      )}
+
       {/* Save Confirmation Popup */}
       {showSaveConfirmation && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 backdrop-blur-sm">
@@ -0,0 +1,60 @@
+import React from 'react'
+import { Play, Pause, X } from 'lucide-react'
+import type { BoulderData } from '../utils/csvLoader'
+import { usePlayback } from '../hooks/usePlayback'
+import { PLAYBACK_SPEEDS, playPlayback, pausePlayback, seekPlayback, setPlaybackSpeed, stopPlayback } from '../utils/playback'
+
+interface PlaybackBarProps {
+  recording: BoulderData | null
+  className?: string
+}
+
+// Timeline of the selected recording, shared by the visualizer and the statistics plot
+export function PlaybackBar({ recording, className = '' }: PlaybackBarProps) {
+  const playback = usePlayback()
+  const time = recording?.csvData?.time
+  if (!time || time.length < 2) return null // Designed boulders have nothing to play back
+
+  const start = time[0]
+  const end = time[time.length - 1]
+  const current = playback.active ? playback.time : end
+
+  return (
+    <div className={`bg-black/70 border border-cyan-400/40 rounded-2xl px-4 py-3 backdrop-blur-sm flex items-center gap-4 ${className}`}>
+      <button
+        onClick={() => playback.playing ? pausePlayback() : playPlayback()}
+        className="px-3 py-2 bg-cyan-400/20 border border-cyan-400/40 text-cyan-400 rounded-lg transition-all hover:bg-cyan-400/30 flex items-center justify-center"
+        title={playback.playing ? 'Pause' : 'Play back the recording'}
+      >
+        {playback.playing ? <Pause size={16} fill="currentColor" /> : <Play size={16} fill="currentColor" />}
+      </button>
+      <input
+        type="range"
+        min={start}
+        max={end}
+        step={0.01}
+        value={current}
+        onChange={(e) => seekPlayback(Number(e.target.value))}
+        className="flex-1 accent-cyan-400"
+      />
+      <span className="text-xs text-gray-300 tabular-nums whitespace-nowrap">
+        {(current - start).toFixed(1)} / {(end - start).toFixed(1)}s
+      </span>
+      <select
+        value={playback.speed}
+        onChange={(e) => setPlaybackSpeed(Number(e.target.value))}
+        className="px-2 py-1 bg-black/50 border border-cyan-400/40 rounded-lg text-gray-200 text-xs focus:outline-none"
+        title="Playback speed"
+      >
+        {PLAYBACK_SPEEDS.map(speed => (
+          <option key={speed} value={speed}>{speed}×</option>
+        ))}
+      </select>
+      {playback.active && (
+        <button onClick={stopPlayback} className="text-gray-400 hover:text-white" title="Show the finished boulder">
+          <X size={16} />
+        </button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,346 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react'
+import { CalendarDays, MapPin, User, Plus, Pencil, Trash2, X, Clock } from 'lucide-react'
+import type { BoulderData } from '../utils/csvLoader'
+import {
+  getSessions,
+  saveSession,
+  deleteSession,
+  assignRecordingToSession,
+  getSessionForRecording,
+  buildSessionTimeline,
+  computeSessionTotals,
+  todayDateString,
+  DEFAULT_HARD_MOVE_ACCELERATION
+} from '../utils/sessions'
+import type { ClimbingSession, SessionDetails } from '../utils/sessions'
+import { getClimbers } from '../utils/climbers'
+import { MoveRing } from './MoveRing'
+
+interface SessionsViewProps {
+  boulders: BoulderData[]
+  isControlPanelVisible: boolean
+  onOpenRecording: (boulderId: number) => void
+}
+
+const EMPTY_DETAILS: SessionDetails = { date: '', location: '', climber: '', notes: '' }
+
+const inputClassName = 'w-full px-3 py-2 bg-black/50 border border-cyan-400/40 rounded-lg text-gray-200 hover:border-cyan-400 focus:border-cyan-400 focus:outline-none text-sm'
+
+function formatDuration(seconds: number): string {
+  const total = Math.round(seconds)
+  if (total < 60) return `${total}s`
+  if (total < 3600) return `${Math.floor(total / 60)}m ${String(total % 60).padStart(2, '0')}s`
+  return `${Math.floor(total / 3600)}h ${String(Math.floor((total % 3600) / 60)).padStart(2, '0')}m`
+}
+
+function formatClockTime(time: number): string {
+  return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+}
+
+function formatSessionDate(date: string): string {
+  const parsed = new Date(`${date}T00:00:00`)
+  return isFinite(parsed.getTime())
+    ? parsed.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })
+    : date
+}
+
+export function SessionsView({ boulders, isControlPanelVisible, onOpenRecording }: SessionsViewProps) {
+  const [sessions, setSessions] = useState<ClimbingSession[]>(() => getSessions())
+  const [selectedSessionId, setSelectedSessionId] = useState<number | null>(() => getSessions()[0]?.id ?? null)
+  // Session details being edited, editingSessionId is null for a new session
+  const [form, setForm] = useState<SessionDetails | null>(null)
+  const [editingSessionId, setEditingSessionId] = useState<number | null>(null)
+
+  // Keep the list in sync with changes made here and in the control panel
+  useEffect(() => {
+    const loadSessions = () => setSessions(getSessions())
+    window.addEventListener('sessionsUpdated', loadSessions)
+    return () => window.removeEventListener('sessionsUpdated', loadSessions)
+  }, [])
+
+  const selectedSession = sessions.find(session => session.id === selectedSessionId) || null
+
+  const timeline = useMemo(
+    () => selectedSession ? buildSessionTimeline(selectedSession, boulders) : [],
+    [selectedSession, boulders]
+  )
+  const totals = useMemo(() => computeSessionTotals(timeline), [timeline])
+
+  // Recordings that can be added: sensor recordings that aren't in this session yet
+  const availableRecordings = useMemo(
+    () => boulders.filter(boulder => boulder.source !== 'manual' && (boulder.csvData?.time.length ?? 0) > 0 && !selectedSession?.recordingIds.includes(boulder.id)),
+    [boulders, selectedSession]
+  )
+
+  const handleNewSession = () => {
+    setEditingSessionId(null)
+    setForm({ ...EMPTY_DETAILS, date: todayDateString() })
+  }
+
+  const handleEditSession = (session: ClimbingSession) => {
+    setEditingSessionId(session.id)
+    setForm({ date: session.date, location: session.location, climber: session.climber, notes: session.notes, hardMoveAcceleration: session.hardMoveAcceleration })
+  }
+
+  const handleSaveSession = useCallback(async () => {
+    if (!form) return
+    try {
+      const saved = await saveSession(form, editingSessionId ?? undefined)
+      setSelectedSessionId(saved.id)
+      setForm(null)
+    } catch (error) {
+      console.error('[SessionsView] Failed to save session:', error)
+      alert('Failed to save session: ' + (error instanceof Error ? error.message : 'Unknown error'))
+    }
+  }, [form, editingSessionId])
+
+  const handleDeleteSession = useCallback(async (session: ClimbingSession) => {
+    try {
+      await deleteSession(session.id)
+      setSelectedSessionId(getSessions()[0]?.id ?? null)
+    } catch (error) {
+      console.error('[SessionsView] Failed to delete session:', error)
+      alert('Failed to delete session: ' + (error instanceof Error ? error.message : 'Unknown error'))
+    }
+  }, [])
+
+  const handleAssignRecording = useCallback(async (recordingId: number, sessionId: number | null) => {
+    try {
+      await assignRecordingToSession(recordingId, sessionId)
+    } catch (error) {
+      console.error('[SessionsView] Failed to update session recordings:', error)
+      alert('Failed to update session: ' + (error instanceof Error ? error.message : 'Unknown error'))
+    }
+  }, [])
+
+  const totalCards = [
+    { label: 'Moves', value: totals.moves.toString(), color: 'text-blue-400' },
+    { label: 'Hard Moves', value: totals.hardMoves.toString(), color: 'text-purple-400' },
+    { label: 'Time on Wall', value: formatDuration(totals.timeOnWall), color: 'text-yellow-400' },
+    { label: 'Rest', value: formatDuration(totals.restTime), color: 'text-green-400' },
+    { label: 'Rest Ratio', value: totals.timeOnWall > 0 ? `${totals.restRatio.toFixed(1)} : 1` : '—', color: 'text-cyan-400' }
+  ]
+
+  return (
+    <div className={`h-full flex flex-col transition-all duration-300 ${isControlPanelVisible ? 'mr-[25rem]' : 'mr-0'} p-6`}>
+      {/* Header */}
+      <div className="mb-6 flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-cyan-400">Sessions</h1>
+        <button
+          onClick={handleNewSession}
+          className="px-4 py-2 bg-cyan-400/20 hover:bg-cyan-400/30 text-cyan-400 border border-cyan-400/40 rounded-xl transition-all text-sm font-medium flex items-center gap-2"
+        >
+          <Plus size={16} />
+          New Session
+        </button>
+      </div>
+
+      <div className="flex-1 min-h-0 flex gap-6">
+        {/* Session list */}
+        <div className="w-72 shrink-0 bg-black/70 border border-cyan-400/40 rounded-xl p-3 backdrop-blur-sm overflow-y-auto">
+          {sessions.length === 0 ? (
+            <p className="text-sm text-gray-400 p-3">No sessions yet. Create one and add the recordings you made that day.</p>
+          ) : (
+            sessions.map(session => (
+              <button
+                key={session.id}
+                onClick={() => {
+                  setSelectedSessionId(session.id)
+                  setForm(null)
+                }}
+                className={`w-full text-left px-3 py-2 mb-1 rounded-lg transition-all ${
+                  session.id === selectedSessionId
+                    ? 'bg-cyan-400/20 border border-cyan-400/40'
+                    : 'border border-transparent hover:bg-cyan-400/10'
+                }`}
+              >
+                <div className="text-sm font-medium text-gray-200">{formatSessionDate(session.date)}</div>
+                <div className="text-xs text-gray-400">
+                  {[session.location, session.climber].filter(Boolean).join(' · ') || 'No details'}
+                  {' · '}{session.recordingIds.length} recordings
+                </div>
+              </button>
+            ))
+          )}
+        </div>
+
+        {/* Session details */}
+        <div className="flex-1 min-w-0 overflow-y-auto">
+          {form ? (
+            <div className="bg-black/70 border border-cyan-400/40 rounded-xl p-6 backdrop-blur-sm space-y-4 max-w-xl">
+              <h2 className="text-lg font-bold text-cyan-400">{editingSessionId === null ? 'New Session' : 'Edit Session'}</h2>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-cyan-400 mb-2">Date *</label>
+                  <input type="date" value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} className={inputClassName} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-cyan-400 mb-2">Climber</label>
+                  <input type="text" list="session-climbers" value={form.climber} onChange={(e) => setForm({ ...form, climber: e.target.value })} className={inputClassName} />
+                  <datalist id="session-climbers">
+                    {getClimbers().map(climber => <option key={climber.id} value={climber.name} />)}
+                  </datalist>
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-cyan-400 mb-2">Location</label>
+                <input type="text" value={form.location} onChange={(e) => setForm({ ...form, location: e.target.value })} placeholder="Gym or crag" className={inputClassName} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-cyan-400 mb-2">Hard Move Threshold (m/s²)</label>
+                <input
+                  type="number"
+                  min={0.5}
+                  step={0.5}
+                  value={form.hardMoveAcceleration ?? ''}
+                  onChange={(e) => setForm({ ...form, hardMoveAcceleration: e.target.value === '' ? undefined : Number(e.target.value) })}
+                  placeholder={String(DEFAULT_HARD_MOVE_ACCELERATION)}
+                  className={inputClassName}
+                />
+                <div className="text-xs text-gray-400 mt-1">Moves peaking this far above the resting acceleration count as hard</div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-cyan-400 mb-2">Notes</label>
+                <textarea value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} rows={3} className={inputClassName} />
+              </div>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setForm(null)}
+                  className="flex-1 px-6 py-3 bg-gray-500/20 border border-gray-500/40 text-gray-300 rounded-xl font-medium transition-all hover:bg-gray-500/30"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveSession}
+                  disabled={!form.date}
+                  className="flex-1 px-6 py-3 bg-cyan-400/20 border border-cyan-400/40 text-cyan-400 rounded-xl font-medium transition-all hover:bg-cyan-400/30 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Save Session
+                </button>
+              </div>
+            </div>
+          ) : selectedSession ? (
+            <div className="space-y-6">
+              {/* Session header */}
+              <div className="flex items-start justify-between">
+                <div>
+                  <h2 className="text-xl font-bold text-gray-100 flex items-center gap-2">
+                    <CalendarDays size={20} className="text-cyan-400" />
+                    {formatSessionDate(selectedSession.date)}
+                  </h2>
+                  <div className="flex gap-4 text-sm text-gray-400 mt-1">
+                    {selectedSession.location && <span className="flex items-center gap-1"><MapPin size={14} />{selectedSession.location}</span>}
+                    {selectedSession.climber && <span className="flex items-center gap-1"><User size={14} />{selectedSession.climber}</span>}
+                  </div>
+                  {selectedSession.notes && <p className="text-sm text-gray-300 mt-2 whitespace-pre-line">{selectedSession.notes}</p>}
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleEditSession(selectedSession)}
+                    className="p-2 text-gray-300 hover:text-cyan-400 hover:bg-cyan-400/10 rounded-lg transition-all"
+                    title="Edit session"
+                  >
+                    <Pencil size={16} />
+                  </button>
+                  <button
+                    onClick={() => handleDeleteSession(selectedSession)}
+                    className="p-2 text-gray-300 hover:text-red-400 hover:bg-red-400/10 rounded-lg transition-all"
+                    title="Delete session (its recordings stay in the library)"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+
+              {/* Session totals */}
+              <div className="grid grid-cols-5 gap-4">
+                {totalCards.map(card => (
+                  <div key={card.label} className="bg-black/70 border border-cyan-400/40 rounded-xl p-4 text-center backdrop-blur-sm">
+                    <div className={`text-xl font-bold ${card.color}`}>{card.value}</div>
+                    <div className="text-xs text-gray-400">{card.label}</div>
+                  </div>
+                ))}
+              </div>
+
+              {/* Timeline */}
+              <div className="bg-black/70 border border-cyan-400/40 rounded-xl p-6 backdrop-blur-sm">
+                <h3 className="text-sm font-medium text-cyan-400 mb-4">Timeline</h3>
+                {timeline.length === 0 ? (
+                  <p className="text-sm text-gray-400">No recordings in this session yet. Add them below.</p>
+                ) : (
+                  <div className="flex items-stretch overflow-x-auto pb-2">
+                    {timeline.map((entry, index) => (
+                      <React.Fragment key={entry.recording.id}>
+                        {index > 0 && (
+                          <div className="shrink-0 w-20 flex flex-col items-center justify-center text-xs text-gray-500">
+                            <div className="w-full border-t border-dashed border-gray-600" />
+                            <span className="mt-1 flex items-center gap-1"><Clock size={10} />{formatDuration(entry.restBefore)}</span>
+                          </div>
+                        )}
+                        <div className="shrink-0 w-40 bg-black/50 border border-cyan-400/20 rounded-xl p-3 flex flex-col items-center relative">
+                          <button
+                            onClick={() => handleAssignRecording(entry.recording.id, null)}
+                            className="absolute top-2 right-2 text-gray-500 hover:text-red-400"
+                            title="Remove from session"
+                          >
+                            <X size={14} />
+                          </button>
+                          <span className="text-xs text-gray-400">{formatClockTime(entry.startedAt)}</span>
+                          <MoveRing rings={[{ moves: entry.moves }]} />
+                          <button
+                            onClick={() => onOpenRecording(entry.recording.id)}
+                            className="text-sm font-medium text-gray-200 hover:text-cyan-400 truncate max-w-full"
+                            title="Open in the visualizer"
+                          >
+                            {entry.recording.name}
+                          </button>
+                          <span className="text-xs text-gray-400">
+                            {entry.moveCount} moves · {entry.hardMoveCount} hard · {formatDuration(entry.duration)}
+                          </span>
+                        </div>
+                      </React.Fragment>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {/* Add recordings */}
+              <div className="bg-black/70 border border-cyan-400/40 rounded-xl p-6 backdrop-blur-sm">
+                <label className="block text-sm font-medium text-cyan-400 mb-2">Add Recording</label>
+                <select
+                  value=""
+                  onChange={(e) => e.target.value && handleAssignRecording(parseInt(e.target.value), selectedSession.id)}
+                  className={inputClassName}
+                  disabled={availableRecordings.length === 0}
+                >
+                  <option value="">{availableRecordings.length === 0 ? 'No other recordings in the library' : 'Select a recording'}</option>
+                  {availableRecordings.map(boulder => {
+                    const otherSession = getSessionForRecording(boulder.id)
+                    return (
+                      <option key={boulder.id} value={boulder.id.toString()}>
+                        {boulder.name}{otherSession ? ` (moves from ${otherSession.date})` : ''}
+                      </option>
+                    )
+                  })}
+                </select>
+                <p className="text-xs text-gray-400 mt-2">
+                  A recording belongs to one session. Recordings are ordered by when they were recorded.
+                </p>
+              </div>
+            </div>
+          ) : (
+            <div className="h-full flex items-center justify-center">
+              <div className="text-center text-gray-400">
+                <div className="mb-4 flex justify-center">
+                  <CalendarDays size={64} className="text-cyan-400" strokeWidth={1.5} />
+                </div>
+                <h2 className="text-2xl font-bold mb-2">No Session Selected</h2>
+                <p>Create a session to group the recordings of a day at the wall</p>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
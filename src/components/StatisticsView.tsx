@@ -1,13 +1,24 @@
 import React, { useEffect, useRef, useCallback, useMemo, useState } from 'react'
 import type { BoulderData } from '../utils/csvLoader'
+import { sliceSensorChannels, DEVICE_STREAM_COLORS } from '../utils/csvLoader'
+import { getRecordingFall, getRecordingFallEvent, cropFall, locateFall } from '../utils/fallDetection'
 import { useBoulderConfig } from '../context/BoulderConfigContext'
-import { getVisualizationState, updateVisualizerSettings } from '../store/visualizationStore'
-import { BarChart3, Settings, Save } from 'lucide-react'
+import { getVisualizationState, updateVisualizerSettings, detectAndProcessMoves } from '../store/visualizationStore'
+import { isMoveDetectionStrategy } from '../utils/moveDetection'
+import { getStoredBoulder, saveStoredBoulder, getBoulderSettings, saveBoulderSettings } from '../utils/boulderStorage'
+import { getRecordingBodyMass, accelerationToForce } from '../utils/climbers'
+import { analyzeMoveSensors, summarizeSensors } from '../utils/sensorAnalysis'
+import type { ProcessedMove } from '../utils/moveDetection'
+import { getPlaybackState, subscribeToPlayback } from '../utils/playback'
+import { PlaybackBar } from './PlaybackBar'
+import { BarChart3, Settings, Save, X } from 'lucide-react'
 
 interface StatisticsViewProps {
   selectedBoulder: BoulderData | null
   onBoulderDataUpdate: (boulder: BoulderData) => void
   isControlPanelVisible: boolean
+  focusedMoveIndex?: number | null // Move picked in the visualization, the plot zooms to it
+  onFocusedMoveChange?: (moveIndex: number | null) => void
 }
 
 interface StatData {
@@ -18,6 +29,16 @@ interface StatData {
   sampleCount: number
 }
 
+// Where the last plot put its time axis, for drawing the playback cursor on top
+interface PlotAxis {
+  minTime: number
+  maxTime: number
+  left: number
+  width: number
+  top: number
+  height: number
+}
+
 interface CropSelection {
   startTime: number
   endTime: number
@@ -26,9 +47,26 @@ interface CropSelection {
   endX: number
 }
 
-export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControlPanelVisible }: StatisticsViewProps) {
+const FOCUS_MARGIN = 1.0 // s shown on either side of a focused move
+
+// Time axis of the plot: the whole recording, or a focused move with some of the climb around it
+function getTimeWindow(time: number[], focusedMove: ProcessedMove | null) {
+  const minTime = Math.min(...time)
+  const maxTime = Math.max(...time)
+  if (!focusedMove) return { minTime, maxTime }
+  
+  const margin = Math.max(FOCUS_MARGIN, focusedMove.duration / 2)
+  return {
+    minTime: Math.max(minTime, focusedMove.startTime - margin),
+    maxTime: Math.min(maxTime, focusedMove.endTime + margin)
+  }
+}
+
+export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControlPanelVisible, focusedMoveIndex = null, onFocusedMoveChange }: StatisticsViewProps) {
   const plotRef = useRef<HTMLDivElement>(null)
   const canvasRef = useRef<HTMLCanvasElement>(null)
+  const cursorCanvasRef = useRef<HTMLCanvasElement>(null)
+  const plotAxisRef = useRef<PlotAxis | null>(null)
   const { getThreshold } = useBoulderConfig()
   
   // Cropping state
@@ -46,13 +84,28 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
   // Settings persistence
   const [settingsChanged, setSettingsChanged] = useState(false)
   
+  // Body mass of the recording's climber, forces are shown in newtons when it is known
+  const [bodyMass, setBodyMass] = useState<number | null>(null)
+  
+  useEffect(() => {
+    const loadBodyMass = () => setBodyMass(selectedBoulder ? getRecordingBodyMass(selectedBoulder.id) : null)
+    
+    loadBodyMass()
+    window.addEventListener('climbersUpdated', loadBodyMass)
+    return () => window.removeEventListener('climbersUpdated', loadBodyMass)
+  }, [selectedBoulder?.id])
+  
   // Get data from global store instead of calculating locally
   const vizState = getVisualizationState()
   const currentThreshold = vizState.visualizerSettings.moveThreshold // Use moveThreshold from settings
   const globalMoves = vizState.processedMoves || []
+  
+  // Not while previewing a crop, that plot has its own time axis
+  const focusedMove = focusedMoveIndex !== null && !showCropPreview ? globalMoves[focusedMoveIndex] || null : null
 
   // Get all move detection settings from global store
   const moveDetectionSettings = useMemo(() => ({
+    moveDetectionStrategy: vizState.visualizerSettings.moveDetectionStrategy,
     moveThreshold: vizState.visualizerSettings.moveThreshold,
     minStillDuration: vizState.visualizerSettings.minStillDuration,
     minMoveDuration: vizState.visualizerSettings.minMoveDuration,
@@ -80,6 +133,21 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
     };
   }, [selectedBoulder, globalMoves.length]);
 
+  // Swings and height per move, when the recording has gyroscope or pressure data
+  const hasGyroscope = !!selectedBoulder?.csvData?.gyroscope
+  const hasPressure = !!selectedBoulder?.csvData?.pressure
+  const moveSensorMetrics = useMemo(() => (
+    selectedBoulder?.csvData && (hasGyroscope || hasPressure) ? analyzeMoveSensors(selectedBoulder.csvData, globalMoves) : []
+  ), [selectedBoulder, globalMoves, hasGyroscope, hasPressure])
+  const sensorSummary = useMemo(() => (
+    selectedBoulder?.csvData && (hasGyroscope || hasPressure) ? summarizeSensors(selectedBoulder.csvData, globalMoves) : null
+  ), [selectedBoulder, globalMoves, hasGyroscope, hasPressure])
+
+  // First fall of the recording, on the moves shown
+  const fall = useMemo(() => (
+    selectedBoulder ? getRecordingFall(selectedBoulder, globalMoves) : null
+  ), [selectedBoulder, globalMoves])
+
   // Smoothing function
   const smoothData = useCallback((data: number[], strength: number, threshold: number) => {
     if (!smoothingEnabled || strength <= 1) return data
@@ -121,6 +189,10 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
     
     // Apply smoothing first
     const smoothedAcceleration = smoothData(absoluteAcceleration, smoothingStrength, baselineThreshold)
+    const smoothedStreams = (selectedBoulder.csvData.streams || []).map(stream => ({
+      label: stream.label,
+      absoluteAcceleration: smoothData(stream.absoluteAcceleration, smoothingStrength, baselineThreshold)
+    }))
     
     // Apply cropping if selection exists
     if (showCropPreview && cropSelection && cropStartTime && cropEndTime) {
@@ -134,6 +206,7 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
         return {
           time: time.slice(startIndex, endIndex + 1).map(t => t - time[startIndex]), // Normalize to start at 0
           absoluteAcceleration: smoothedAcceleration.slice(startIndex, endIndex + 1),
+          streams: smoothedStreams.map(stream => ({ ...stream, absoluteAcceleration: stream.absoluteAcceleration.slice(startIndex, endIndex + 1) })),
           originalStartIndex: startIndex,
           originalEndIndex: endIndex
         }
@@ -143,6 +216,7 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
     return {
       time,
       absoluteAcceleration: smoothedAcceleration,
+      streams: smoothedStreams,
       originalStartIndex: 0,
       originalEndIndex: time.length - 1
     }
@@ -160,12 +234,10 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
     const relativeX = x - rect.left - padding.left
     const timeRatio = relativeX / plotWidth
     
-    const { time } = selectedBoulder.csvData
-    const minTime = Math.min(...time)
-    const maxTime = Math.max(...time)
+    const { minTime, maxTime } = getTimeWindow(selectedBoulder.csvData.time, focusedMove)
     
     return minTime + timeRatio * (maxTime - minTime)
-  }, [selectedBoulder])
+  }, [selectedBoulder, focusedMove])
 
   // Mouse event handlers for cropping
   const handleMouseDown = useCallback((event: React.MouseEvent<HTMLCanvasElement>) => {
@@ -259,7 +331,8 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
         duration: normalizedTime[normalizedTime.length - 1] - normalizedTime[0],
         maxAcceleration: Math.max(...smoothedAcceleration),
         avgAcceleration: smoothedAcceleration.reduce((a, b) => a + b, 0) / smoothedAcceleration.length,
-        sampleCount: normalizedTime.length
+        sampleCount: normalizedTime.length,
+        ...sliceSensorChannels(selectedBoulder.csvData, startIndex, endIndex + 1)
       }
       
       console.log(`[StatisticsView] Created new CSV data:`, {
@@ -269,10 +342,15 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
         newMaxAccel: newCsvData.maxAcceleration
       })
       
+      // A fall inside the kept range moves along with the time axis
+      const croppedFall = cropFall(getRecordingFallEvent(selectedBoulder), croppedTime[0], croppedTime[croppedTime.length - 1])
+      const fall = croppedFall && locateFall(croppedFall, detectAndProcessMoves(normalizedTime, smoothedAcceleration))
+      
       // Update boulder data
       const updatedBoulder = {
         ...selectedBoulder,
         csvData: newCsvData,
+        fall,
         stats: {
           ...selectedBoulder.stats,
           duration: newCsvData.duration.toFixed(1),
@@ -282,34 +360,35 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
         }
       }
       
-      // Update localStorage if this is a saved boulder
+      // Update the boulder library if this is a saved boulder
       if (selectedBoulder.source === 'csv-upload' || selectedBoulder.source === 'phyphox') {
-        const existingBoulders = JSON.parse(localStorage.getItem('climbing-boulders') || '[]')
-        const boulderIndex = existingBoulders.findIndex((b: any) => b.id === selectedBoulder.id)
+        const storedBoulder = getStoredBoulder(selectedBoulder.id)
         
-        if (boulderIndex !== -1) {
+        if (storedBoulder) {
           // Update the stored boulder data
-          existingBoulders[boulderIndex] = {
-            ...existingBoulders[boulderIndex],
+          const updatedStoredBoulder = {
+            ...storedBoulder,
             csvData: newCsvData,
             stats: updatedBoulder.stats,
+            fall,
             rawData: selectedBoulder.source === 'phyphox' ? {
               acc_time: { buffer: normalizedTime },
-              accX: { buffer: normalizedTime.map(() => 0) },
-              accY: { buffer: normalizedTime.map(() => 0) },
-              accZ: { buffer: smoothedAcceleration }
+              accX: { buffer: newCsvData.acceleration?.x || normalizedTime.map(() => 0) },
+              accY: { buffer: newCsvData.acceleration?.y || normalizedTime.map(() => 0) },
+              accZ: { buffer: newCsvData.acceleration?.z || smoothedAcceleration }
             } : undefined
           }
           
-          localStorage.setItem('climbing-boulders', JSON.stringify(existingBoulders))
-          console.log(`[StatisticsView] Updated localStorage for boulder ${selectedBoulder.id}`)
+          saveStoredBoulder(updatedStoredBoulder)
+            .catch(error => console.error(`[StatisticsView] Failed to store cropped boulder ${selectedBoulder.id}:`, error))
+          console.log(`[StatisticsView] Updated stored boulder ${selectedBoulder.id}`)
           
           // Dispatch event to refresh boulder list
           window.dispatchEvent(new CustomEvent('boulderSaved', { 
-            detail: { boulder: existingBoulders[boulderIndex] } 
+            detail: { boulder: updatedStoredBoulder } 
           }))
         } else {
-          console.warn(`[StatisticsView] Boulder ${selectedBoulder.id} not found in localStorage`)
+          console.warn(`[StatisticsView] Boulder ${selectedBoulder.id} not found in the boulder library`)
         }
       }
       
@@ -327,6 +406,7 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
       setShowCropPreview(false)
       setCropStartTime('')
       setCropEndTime('')
+      onFocusedMoveChange?.(null) // The moves are detected anew on the cropped data
       
       console.log(`[StatisticsView] ✅ Applied crop: ${startTime.toFixed(2)}s - ${endTime.toFixed(2)}s with smoothing: ${smoothingEnabled ? smoothingStrength : 'disabled'}`)
       
@@ -334,7 +414,7 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
       console.error('[StatisticsView] Error during crop operation:', error)
       alert('Error applying crop: ' + (error instanceof Error ? error.message : 'Unknown error'))
     }
-  }, [selectedBoulder, smoothData, smoothingStrength, baselineThreshold, onBoulderDataUpdate, smoothingEnabled])
+  }, [selectedBoulder, smoothData, smoothingStrength, baselineThreshold, onBoulderDataUpdate, onFocusedMoveChange, smoothingEnabled])
 
   // Apply crop to boulder data
   const applyCrop = useCallback(async () => {
@@ -386,7 +466,8 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
         duration: normalizedTime[normalizedTime.length - 1] - normalizedTime[0],
         maxAcceleration: Math.max(...smoothedAcceleration),
         avgAcceleration: smoothedAcceleration.reduce((a, b) => a + b, 0) / smoothedAcceleration.length,
-        sampleCount: normalizedTime.length
+        sampleCount: normalizedTime.length,
+        ...sliceSensorChannels(selectedBoulder.csvData, startIndex, endIndex + 1)
       }
       
       console.log(`[StatisticsView] Created new CSV data:`, {
@@ -396,10 +477,15 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
         newMaxAccel: newCsvData.maxAcceleration
       })
       
+      // A fall inside the kept range moves along with the time axis
+      const croppedFall = cropFall(getRecordingFallEvent(selectedBoulder), croppedTime[0], croppedTime[croppedTime.length - 1])
+      const fall = croppedFall && locateFall(croppedFall, detectAndProcessMoves(normalizedTime, smoothedAcceleration))
+      
       // Update boulder data
       const updatedBoulder = {
         ...selectedBoulder,
         csvData: newCsvData,
+        fall,
         stats: {
           ...selectedBoulder.stats,
           duration: newCsvData.duration.toFixed(1),
@@ -409,34 +495,35 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
         }
       }
       
-      // Update localStorage if this is a saved boulder
+      // Update the boulder library if this is a saved boulder
       if (selectedBoulder.source === 'csv-upload' || selectedBoulder.source === 'phyphox') {
-        const existingBoulders = JSON.parse(localStorage.getItem('climbing-boulders') || '[]')
-        const boulderIndex = existingBoulders.findIndex((b: any) => b.id === selectedBoulder.id)
+        const storedBoulder = getStoredBoulder(selectedBoulder.id)
         
-        if (boulderIndex !== -1) {
+        if (storedBoulder) {
           // Update the stored boulder data
-          existingBoulders[boulderIndex] = {
-            ...existingBoulders[boulderIndex],
+          const updatedStoredBoulder = {
+            ...storedBoulder,
             csvData: newCsvData,
             stats: updatedBoulder.stats,
+            fall,
             rawData: selectedBoulder.source === 'phyphox' ? {
               acc_time: { buffer: normalizedTime },
-              accX: { buffer: normalizedTime.map(() => 0) },
-              accY: { buffer: normalizedTime.map(() => 0) },
-              accZ: { buffer: smoothedAcceleration }
+              accX: { buffer: newCsvData.acceleration?.x || normalizedTime.map(() => 0) },
+              accY: { buffer: newCsvData.acceleration?.y || normalizedTime.map(() => 0) },
+              accZ: { buffer: newCsvData.acceleration?.z || smoothedAcceleration }
             } : undefined
           }
           
-          localStorage.setItem('climbing-boulders', JSON.stringify(existingBoulders))
-          console.log(`[StatisticsView] Updated localStorage for boulder ${selectedBoulder.id}`)
+          saveStoredBoulder(updatedStoredBoulder)
+            .catch(error => console.error(`[StatisticsView] Failed to store cropped boulder ${selectedBoulder.id}:`, error))
+          console.log(`[StatisticsView] Updated stored boulder ${selectedBoulder.id}`)
           
           // Dispatch event to refresh boulder list
           window.dispatchEvent(new CustomEvent('boulderSaved', { 
-            detail: { boulder: existingBoulders[boulderIndex] } 
+            detail: { boulder: updatedStoredBoulder } 
           }))
         } else {
-          console.warn(`[StatisticsView] Boulder ${selectedBoulder.id} not found in localStorage`)
+          console.warn(`[StatisticsView] Boulder ${selectedBoulder.id} not found in the boulder library`)
         }
       }
       
@@ -454,6 +541,7 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
       setShowCropPreview(false)
       setCropStartTime('')
       setCropEndTime('')
+      onFocusedMoveChange?.(null) // The moves are detected anew on the cropped data
       
       console.log(`[StatisticsView] ✅ Applied crop: ${startTime.toFixed(2)}s - ${endTime.toFixed(2)}s with smoothing: ${smoothingEnabled ? smoothingStrength : 'disabled'}`)
       
@@ -461,9 +549,48 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
       console.error('[StatisticsView] Error during crop operation:', error)
       alert('Error applying crop: ' + (error instanceof Error ? error.message : 'Unknown error'))
     }
-  }, [selectedBoulder, cropStartTime, cropEndTime, smoothData, smoothingStrength, baselineThreshold, onBoulderDataUpdate, smoothingEnabled])
+  }, [selectedBoulder, cropStartTime, cropEndTime, smoothData, smoothingStrength, baselineThreshold, onBoulderDataUpdate, onFocusedMoveChange, smoothingEnabled])
 
   // Canvas plot rendering
+  // Playback cursor on its own canvas over the plot, redrawn on every frame of the playback
+  // without repainting the recording
+  const drawPlaybackCursor = useCallback(() => {
+    const canvas = cursorCanvasRef.current
+    const ctx = canvas?.getContext('2d')
+    if (!canvas || !ctx) return
+    
+    const rect = canvas.getBoundingClientRect()
+    const dpr = window.devicePixelRatio || 1
+    if (canvas.width !== Math.round(rect.width * dpr) || canvas.height !== Math.round(rect.height * dpr)) {
+      canvas.width = Math.round(rect.width * dpr)
+      canvas.height = Math.round(rect.height * dpr)
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+    ctx.clearRect(0, 0, rect.width, rect.height)
+    
+    const playback = getPlaybackState()
+    const axis = plotAxisRef.current
+    if (!playback.active || !axis || playback.time < axis.minTime || playback.time > axis.maxTime) return
+    
+    const x = axis.left + ((playback.time - axis.minTime) / (axis.maxTime - axis.minTime)) * axis.width
+    ctx.strokeStyle = '#facc15'
+    ctx.lineWidth = 2
+    ctx.beginPath()
+    ctx.moveTo(x, axis.top)
+    ctx.lineTo(x, axis.top + axis.height)
+    ctx.stroke()
+    
+    ctx.fillStyle = '#facc15'
+    ctx.font = 'bold 12px Arial'
+    ctx.textAlign = 'left'
+    ctx.fillText(`${playback.time.toFixed(1)}s`, x + 4, axis.top + axis.height - 8)
+  }, [])
+  
+  useEffect(() => {
+    drawPlaybackCursor()
+    return subscribeToPlayback(drawPlaybackCursor)
+  }, [drawPlaybackCursor])
+
   const updatePlot = useCallback(() => {
     if (!selectedBoulder?.csvData || !plotRef.current) return
 
@@ -477,7 +604,7 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
       const croppedData = getCroppedData()
       if (!croppedData) return
       
-      const { time, absoluteAcceleration } = croppedData
+      const { time, absoluteAcceleration, streams } = croppedData
       
       if (time.length === 0) return
 
@@ -495,16 +622,20 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
       const padding = { top: 80, right: 40, bottom: 80, left: 80 }
       const plotWidth = rect.width - padding.left - padding.right
       const plotHeight = rect.height - padding.top - padding.bottom
+      // Other devices of the recording get a lane each below the main trace, sharing its time axis
+      const laneHeight = streams.length > 0 ? Math.min(80, plotHeight / (streams.length + 2)) : 0
+      const mainHeight = plotHeight - streams.length * laneHeight
 
       // Scales
-      const minTime = Math.min(...time)
-      const maxTime = Math.max(...time)
+      const { minTime, maxTime } = getTimeWindow(time, focusedMove)
       const minAccel = 0
       const dataMaxAccel = Math.max(...absoluteAcceleration, currentThreshold + 5)
       const maxAccel = dataMaxAccel * 1.2 // Add 20% headroom so peaks don't hit the top
 
       const xScale = (t: number) => padding.left + ((t - minTime) / (maxTime - minTime)) * plotWidth
-      const yScale = (a: number) => padding.top + plotHeight - ((a - minAccel) / (maxAccel - minAccel)) * plotHeight
+      // A crop preview starts its time at 0, playback runs on the recording's own time
+      plotAxisRef.current = showCropPreview ? null : { minTime, maxTime, left: padding.left, width: plotWidth, top: padding.top, height: plotHeight }
+      const yScale = (a: number) => padding.top + mainHeight - ((a - minAccel) / (maxAccel - minAccel)) * mainHeight
 
       // Grid
       ctx.strokeStyle = '#333'
@@ -531,6 +662,12 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
       
       ctx.setLineDash([])
 
+      // Zoomed to a move, everything in the plot is cut off at its edges
+      ctx.save()
+      ctx.beginPath()
+      ctx.rect(padding.left, 0, plotWidth, rect.height)
+      ctx.clip()
+
       // Movement threshold line - this is the key threshold
       ctx.strokeStyle = '#00ff00' // Green for the main threshold
       ctx.lineWidth = 2
@@ -579,6 +716,17 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
       })
       }
 
+      // Move picked in the visualization
+      if (focusedMove) {
+        const startX = xScale(focusedMove.startTime)
+        const endX = xScale(focusedMove.endTime)
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.12)'
+        ctx.fillRect(startX, padding.top, endX - startX, plotHeight)
+        ctx.strokeStyle = '#ffffff'
+        ctx.lineWidth = 2
+        ctx.strokeRect(startX, padding.top, endX - startX, plotHeight)
+      }
+
       // Data line
       ctx.strokeStyle = showCropPreview ? '#ff6b35' : '#00ffcc' // Orange for preview, cyan for normal
       ctx.lineWidth = 2.3 // Reduced from 3 to 2.4 (80% of original)
@@ -596,6 +744,34 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
       }
       ctx.stroke()
 
+      // Stacked traces of the other devices, each scaled to its own peak
+      streams.forEach((stream, laneIndex) => {
+        const laneTop = padding.top + mainHeight + laneIndex * laneHeight
+        const laneMax = stream.absoluteAcceleration.reduce((max, a) => Math.max(max, a), 1) * 1.2 // No spread, streams are as long as the recording
+        const laneY = (a: number) => laneTop + laneHeight - (a / laneMax) * laneHeight
+
+        ctx.strokeStyle = '#333'
+        ctx.lineWidth = 1
+        ctx.beginPath()
+        ctx.moveTo(padding.left, laneTop)
+        ctx.lineTo(padding.left + plotWidth, laneTop)
+        ctx.stroke()
+
+        ctx.strokeStyle = DEVICE_STREAM_COLORS[laneIndex % DEVICE_STREAM_COLORS.length]
+        ctx.lineWidth = 1.5
+        ctx.beginPath()
+        stream.absoluteAcceleration.forEach((a, i) => {
+          if (i === 0) ctx.moveTo(xScale(time[i]), laneY(a))
+          else ctx.lineTo(xScale(time[i]), laneY(a))
+        })
+        ctx.stroke()
+
+        ctx.fillStyle = DEVICE_STREAM_COLORS[laneIndex % DEVICE_STREAM_COLORS.length]
+        ctx.font = 'bold 12px Arial'
+        ctx.textAlign = 'left'
+        ctx.fillText(`${stream.label} · ${laneMax.toFixed(0)} m/s²`, padding.left + 10, laneTop + 14)
+      })
+
       // Draw crop selection overlay
       if (cropSelection && isMouseDown) {
         const startX = Math.min(cropSelection.startX, cropSelection.endX)
@@ -647,10 +823,44 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
         // Add average strength below the move label
         ctx.font = 'bold 11px Arial' // Increased from 9px and made bold
         ctx.fillStyle = '#ddd' // Lighter color from #999
-        ctx.fillText(`${avgAccel.toFixed(1)} m/s²`, centerX, labelY + 16) // Moved down from +12 to +16
+        const moveLoad = bodyMass ? `${Math.round(accelerationToForce(avgAccel, bodyMass))} N` : `${avgAccel.toFixed(1)} m/s²`
+        ctx.fillText(moveLoad, centerX, labelY + 16) // Moved down from +12 to +16
+        
+        // Height gained and swings from the barometer and gyroscope
+        const sensorMetrics = moveSensorMetrics[index]
+        if (sensorMetrics) {
+          const details = [
+            sensorMetrics.heightGain !== null ? `${sensorMetrics.heightGain >= 0 ? '+' : ''}${sensorMetrics.heightGain.toFixed(1)} m` : null,
+            sensorMetrics.isSwing ? 'swing' : null
+          ].filter(Boolean).join(' · ')
+          ctx.fillStyle = sensorMetrics.isSwing ? '#f97316' : '#999'
+          ctx.fillText(details, centerX, labelY + 30)
+        }
       })
       }
 
+      // Fall: freefall shaded up to the landing, where the attempt ended
+      if (!showCropPreview && fall) {
+        const freefallX = xScale(fall.freefallStart)
+        const impactX = xScale(fall.impactTime)
+        ctx.fillStyle = 'rgba(239, 68, 68, 0.25)'
+        ctx.fillRect(freefallX, padding.top, impactX - freefallX, plotHeight)
+
+        ctx.strokeStyle = '#ef4444'
+        ctx.lineWidth = 2
+        ctx.beginPath()
+        ctx.moveTo(impactX, padding.top)
+        ctx.lineTo(impactX, padding.top + plotHeight)
+        ctx.stroke()
+
+        ctx.fillStyle = '#ef4444'
+        ctx.font = 'bold 12px Arial'
+        ctx.textAlign = 'right'
+        ctx.fillText(`Fall · move ${fall.moveIndex}`, impactX - 6, padding.top + 14)
+      }
+      
+      ctx.restore()
+
       // Axes
       ctx.strokeStyle = '#666'
       ctx.lineWidth = 2
@@ -667,7 +877,7 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
       
       // Y-axis label
       ctx.save()
-      ctx.translate(25, padding.top + plotHeight / 2)
+      ctx.translate(25, padding.top + mainHeight / 2)
       ctx.rotate(-Math.PI / 2)
       ctx.textAlign = 'center'
       ctx.fillText('Acceleration (m/s²)', 0, 0)
@@ -681,7 +891,9 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
       ctx.font = 'bold 20px Arial'
       ctx.fillStyle = '#ffffff'
       ctx.textAlign = 'left'
-      const title = showCropPreview ? 'Move Detection Analysis - CROP PREVIEW' : 'Move Detection Analysis'
+      const title = showCropPreview ? 'Move Detection Analysis - CROP PREVIEW'
+        : focusedMove ? `Move Detection Analysis - ${focusedMoveIndex === 0 ? 'START' : `MOVE ${focusedMoveIndex}`}`
+        : 'Move Detection Analysis'
       ctx.fillText(title, padding.left, 25)
 
       // Axis labels
@@ -703,11 +915,13 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
         ctx.textAlign = 'right'
         ctx.fillText(a.toFixed(1), padding.left - 10, y + 3)
       }
+      
+      drawPlaybackCursor()
 
     } catch (error) {
       console.error('Error updating plot:', error)
     }
-  }, [selectedBoulder, currentThreshold, globalMoves, getCroppedData, cropSelection, isMouseDown, showCropPreview])
+  }, [drawPlaybackCursor, selectedBoulder, currentThreshold, globalMoves, getCroppedData, cropSelection, isMouseDown, showCropPreview, bodyMass, moveSensorMetrics, fall, focusedMove, focusedMoveIndex])
 
   // Update plot when data changes
   useEffect(() => {
@@ -718,7 +932,8 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
 
   // Apply saved move detection settings to global store
   const applySavedMoveDetectionSettings = useCallback((settings: any) => {
-    if (settings.moveThreshold !== undefined ||
+    if (settings.moveDetectionStrategy !== undefined ||
+        settings.moveThreshold !== undefined ||
         settings.minStillDuration !== undefined ||
         settings.minMoveDuration !== undefined ||
         settings.maxMoveDuration !== undefined ||
@@ -726,6 +941,7 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
       
       const moveDetectionUpdates: any = {}
       
+      if (isMoveDetectionStrategy(settings.moveDetectionStrategy)) moveDetectionUpdates.moveDetectionStrategy = settings.moveDetectionStrategy
       if (settings.moveThreshold !== undefined) moveDetectionUpdates.moveThreshold = settings.moveThreshold
       if (settings.minStillDuration !== undefined) moveDetectionUpdates.minStillDuration = settings.minStillDuration
       if (settings.minMoveDuration !== undefined) moveDetectionUpdates.minMoveDuration = settings.minMoveDuration
@@ -740,17 +956,12 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
   // Load saved settings for this boulder
   useEffect(() => {
     if (selectedBoulder?.id) {
-      const savedSettings = localStorage.getItem(`boulder-settings-${selectedBoulder.id}`)
-      if (savedSettings) {
-        try {
-          const settings = JSON.parse(savedSettings)
-          // Apply saved move detection settings to global store
-          applySavedMoveDetectionSettings(settings)
-          
-          console.log(`🗂️ Loaded saved settings for boulder ${selectedBoulder.id}:`, settings)
-        } catch (error) {
-          console.error('Error loading boulder settings:', error)
-        }
+      const settings = getBoulderSettings(selectedBoulder.id)
+      if (settings) {
+        // Apply saved move detection settings to global store
+        applySavedMoveDetectionSettings(settings)
+        
+        console.log(`🗂️ Loaded saved settings for boulder ${selectedBoulder.id}:`, settings)
       }
       setSettingsChanged(false)
     }
@@ -767,6 +978,7 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
     
     const settings = {
       // Move detection algorithm settings
+      moveDetectionStrategy: moveDetectionSettings.moveDetectionStrategy,
       moveThreshold: moveDetectionSettings.moveThreshold,
       minStillDuration: moveDetectionSettings.minStillDuration,
       minMoveDuration: moveDetectionSettings.minMoveDuration,
@@ -777,7 +989,7 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
       savedAt: new Date().toISOString()
     }
     
-    localStorage.setItem(`boulder-settings-${selectedBoulder.id}`, JSON.stringify(settings))
+    saveBoulderSettings(selectedBoulder.id, settings)
     setSettingsChanged(false)
     
     console.log(`💾 Saved settings for boulder ${selectedBoulder.id}:`, settings)
@@ -798,7 +1010,7 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
   // Check if settings exist for this boulder
   const hasExistingSettings = useMemo(() => {
     if (!selectedBoulder?.id) return false
-    return localStorage.getItem(`boulder-settings-${selectedBoulder.id}`) !== null
+    return getBoulderSettings(selectedBoulder.id) !== null
   }, [selectedBoulder?.id])
 
   // Listen for crop events from ControlPanel
@@ -871,11 +1083,21 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
               </span>
             )}
           </div>
+          {focusedMove && (
+            <button
+              onClick={() => onFocusedMoveChange?.(null)}
+              className="text-sm text-white bg-white/10 px-3 py-1 rounded-full border border-white/20 flex items-center gap-2 hover:bg-white/20"
+              title="Show the whole recording"
+            >
+              {focusedMoveIndex === 0 ? 'Start' : `Move ${focusedMoveIndex}`} · {focusedMove.startTime.toFixed(1)}–{focusedMove.endTime.toFixed(1)}s
+              <X size={14} />
+            </button>
+          )}
         </div>
       </div>
 
       {/* Statistics Cards */}
-      <div className="grid grid-cols-4 gap-6 mb-6">
+      <div className={`grid ${['grid-cols-4', 'grid-cols-5', 'grid-cols-6', 'grid-cols-7'][(sensorSummary ? 2 : 0) + (fall ? 1 : 0)]} gap-6 mb-6`}>
         <div className="bg-black/70 border border-cyan-400/40 rounded-xl p-5 text-center backdrop-blur-sm">
           <div className="text-xl font-bold text-blue-400">{stats.moveCount}</div>
           <div className="text-xs text-gray-400">Moves Detected</div>
@@ -885,18 +1107,56 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
           <div className="text-xs text-gray-400">Duration</div>
         </div>
         <div className="bg-black/70 border border-cyan-400/40 rounded-xl p-5 text-center backdrop-blur-sm">
-          <div className="text-xl font-bold text-red-400">{stats.maxAccel.toFixed(1)}</div>
-          <div className="text-xs text-gray-400">Max Acceleration</div>
+          {bodyMass ? (
+            <>
+              <div className="text-xl font-bold text-red-400">{Math.round(accelerationToForce(stats.maxAccel, bodyMass))} N</div>
+              <div className="text-xs text-gray-400">Max Force ({stats.maxAccel.toFixed(1)} m/s²)</div>
+            </>
+          ) : (
+            <>
+              <div className="text-xl font-bold text-red-400">{stats.maxAccel.toFixed(1)}</div>
+              <div className="text-xs text-gray-400">Max Acceleration</div>
+            </>
+          )}
         </div>
         <div className="bg-black/70 border border-cyan-400/40 rounded-xl p-5 text-center backdrop-blur-sm">
-          <div className="text-xl font-bold text-green-400">{stats.avgAccel.toFixed(1)}</div>
-          <div className="text-xs text-gray-400">Avg Acceleration</div>
+          {bodyMass ? (
+            <>
+              <div className="text-xl font-bold text-green-400">{Math.round(accelerationToForce(stats.avgAccel, bodyMass))} N</div>
+              <div className="text-xs text-gray-400">Avg Force ({stats.avgAccel.toFixed(1)} m/s²)</div>
+            </>
+          ) : (
+            <>
+              <div className="text-xl font-bold text-green-400">{stats.avgAccel.toFixed(1)}</div>
+              <div className="text-xs text-gray-400">Avg Acceleration</div>
+            </>
+          )}
         </div>
+        {fall && (
+          <div className="bg-black/70 border border-red-400/40 rounded-xl p-5 text-center backdrop-blur-sm">
+            <div className="text-xl font-bold text-red-400">Move {fall.moveIndex}</div>
+            <div className="text-xs text-gray-400">Fall at {fall.impactTime.toFixed(1)}s</div>
+          </div>
+        )}
+        {sensorSummary && (
+          <>
+            <div className="bg-black/70 border border-cyan-400/40 rounded-xl p-5 text-center backdrop-blur-sm">
+              <div className="text-xl font-bold text-orange-400">{hasGyroscope ? sensorSummary.swingCount : '–'}</div>
+              <div className="text-xs text-gray-400">{hasGyroscope ? 'Swings' : 'Swings (no gyroscope)'}</div>
+            </div>
+            <div className="bg-black/70 border border-cyan-400/40 rounded-xl p-5 text-center backdrop-blur-sm">
+              <div className="text-xl font-bold text-purple-400">
+                {sensorSummary.maxHeight !== null ? `${sensorSummary.maxHeight.toFixed(1)} m` : '–'}
+              </div>
+              <div className="text-xs text-gray-400">{hasPressure ? 'Max Height' : 'Height (no barometer)'}</div>
+            </div>
+          </>
+        )}
       </div>
 
       {/* Plot Area */}
       <div className="flex-1 bg-black/70 border border-cyan-400/40 rounded-xl p-8 backdrop-blur-sm">
-        <div ref={plotRef} className="w-full h-full">
+        <div ref={plotRef} className="w-full h-full relative">
           <canvas 
             ref={canvasRef}
             className="w-full h-full cursor-crosshair" 
@@ -905,8 +1165,11 @@ export function StatisticsView({ selectedBoulder, onBoulderDataUpdate, isControl
             onMouseUp={handleMouseUp}
             onMouseLeave={handleMouseUp}
           />
+          <canvas ref={cursorCanvasRef} className="absolute inset-0 w-full h-full pointer-events-none" />
         </div>
       </div>
+      
+      <PlaybackBar recording={selectedBoulder} className="mt-4" />
     </div>
   )
 } 
\ No newline at end of file
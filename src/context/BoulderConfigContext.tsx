@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useCallback, useEffect } from 'react'
+import { getBoulderConfigs, saveBoulderConfigs } from '../utils/boulderStorage'
 
 export interface BoulderConfig {
   id: number
@@ -23,12 +24,11 @@ interface BoulderConfigContextType {
 const BoulderConfigContext = createContext<BoulderConfigContextType | null>(null)
 
 const DEFAULT_THRESHOLD = 12.0
-const STORAGE_KEY = 'climbing-viz-boulder-configs'
 
 export function BoulderConfigProvider({ children }: { children: React.ReactNode }) {
   const [configs, setConfigs] = useState<Map<number, BoulderConfig>>(new Map())
 
-  // Load configs from localStorage on mount
+  // Load configs from the boulder library on mount
   useEffect(() => {
     loadFromDisk()
   }, [])
@@ -90,42 +90,18 @@ export function BoulderConfigProvider({ children }: { children: React.ReactNode
   }, [configs])
 
   const saveToDisk = useCallback(() => {
-    try {
-      const serialized = JSON.stringify(
-        Array.from(configs.entries()).map(([id, config]) => [
-          id,
-          {
-            ...config,
-            lastModified: config.lastModified.toISOString()
-          }
-        ])
-      )
-      localStorage.setItem(STORAGE_KEY, serialized)
-      console.log(`[BoulderConfig] Saved ${configs.size} boulder configurations`)
-    } catch (error) {
-      console.error('[BoulderConfig] Failed to save to localStorage:', error)
-    }
+    saveBoulderConfigs(Array.from(configs.values()))
+      .then(() => console.log(`[BoulderConfig] Saved ${configs.size} boulder configurations`))
+      .catch(error => console.error('[BoulderConfig] Failed to save configurations:', error))
   }, [configs])
 
   const loadFromDisk = useCallback(() => {
-    try {
-      const stored = localStorage.getItem(STORAGE_KEY)
-      if (stored) {
-        const parsed = JSON.parse(stored)
-        const configMap = new Map<number, BoulderConfig>()
-        
-        parsed.forEach(([id, config]: [number, any]) => {
-          configMap.set(id, {
-            ...config,
-            lastModified: new Date(config.lastModified)
-          })
-        })
-        
-        setConfigs(configMap)
-        console.log(`[BoulderConfig] Loaded ${configMap.size} boulder configurations`)
-      }
-    } catch (error) {
-      console.error('[BoulderConfig] Failed to load from localStorage:', error)
+    const configMap = new Map<number, BoulderConfig>()
+    getBoulderConfigs().forEach(config => configMap.set(config.id, config))
+    
+    if (configMap.size > 0) {
+      setConfigs(configMap)
+      console.log(`[BoulderConfig] Loaded ${configMap.size} boulder configurations`)
     }
   }, [])
 
@@ -1,10 +1,26 @@
+import { ACCELERATION_BUFFERS, GYROSCOPE_BUFFERS, PRESSURE_BUFFERS } from '../utils/phyphoxPolling';
+import { DEFAULT_PHYPHOX_BUFFER_MAPPING } from '../utils/phyphoxConfig';
+import { resampleAxes, resampleValues } from '../utils/csvImport';
+import {
+    getPhyphoxServerUrl,
+    getPhyphoxConnection,
+    subscribeToPhyphoxConnection,
+    connectToPhyphox,
+    disconnectFromPhyphox,
+    confirmPhyphoxBufferMapping,
+    sendPhyphoxCommand
+} from '../utils/phyphoxConnection';
+
+// Polls through the shared Phyphox connection (see phyphoxConnection.ts), which handles the
+// connection states, reconnects with backoff and maps the experiment's buffers. This class only
+// turns its snapshots into the accumulated data and callbacks of the legacy app.
 class RemoteDataHandler {
     constructor() {
         this.isPolling = false;
         this.recordedData = [];
-        this.remoteUrl = 'http://10.237.1.101';
-        this.pollIntervalId = null;
-        this.pollRate = 200; // Keep fast polling for data collection
+        this.remoteUrl = getPhyphoxServerUrl(); // Same server the React app last connected to
+        this.unsubscribeConnection = null;
+        this.connectionState = 'disconnected';
         this.onDataCallback = null;
         this.onPollingStateChange = null;
         
@@ -14,18 +30,21 @@ class RemoteDataHandler {
         this.pendingVisualUpdate = false;
         
         this.lastTimestampProcessed = 0;
-        this.currentSession = null;  // Track Phyphox session
-        this.experimentConfig = null;  // Store experiment configuration
+        this.consumedSamples = {}; // Samples of the connection's buffers already processed, per sensor time buffer
+        this.firstSampleTime = null; // First acceleration sample, changes when the phone starts over
+        this.onBufferMappingNeeded = null; // Called with { config, detection } when the buffers are unclear
         this.deviceMetadata = null;  // Store device metadata
         this.experimentTimeInfo = null;  // Store experiment time information
         this.recordingStartTime = null; // Track when recording started
 
-        // Accumulated data structure for complete timeline
+        // Accumulated data structure for complete timeline.
+        // Gyroscope and pressure keep their own time base, they are only filled when the experiment has them.
         this.accumulatedData = {
             time: [],
             accX: [],
             accY: [],
-            accZ: []
+            accZ: [],
+            ...this.createSensorSeries()
         };
         
         // Current buffer for real-time display (last N points for performance)
@@ -44,6 +63,27 @@ class RemoteDataHandler {
         this.onDataCallback = callback;
     }
 
+    // Set callback for experiments whose buffers can't be mapped from /config.
+    // It gets { config, detection } and resolves to the mapping to use.
+    setBufferMappingCallback(callback) {
+        this.onBufferMappingNeeded = callback;
+    }
+
+    // The connection waits for a mapping when the experiment's buffers are unclear
+    async resolvePendingMapping() {
+        const pending = getPhyphoxConnection().pendingMapping;
+        if (!pending) return;
+
+        const { config, detection } = pending;
+        let mapping = this.onBufferMappingNeeded ? await this.onBufferMappingNeeded({ config, detection }) : null;
+        if (!mapping) {
+            console.warn('[RemoteDataHandler] Buffers of this experiment are unclear:', detection.reason);
+            mapping = detection.mapping || DEFAULT_PHYPHOX_BUFFER_MAPPING;
+        }
+        confirmPhyphoxBufferMapping(mapping);
+        console.log('[RemoteDataHandler] Buffer mapping:', mapping.acceleration);
+    }
+
     // Set callback for polling state changes
     setPollingStateCallback(callback) {
         this.onPollingStateChange = callback;
@@ -71,21 +111,15 @@ class RemoteDataHandler {
         if (this.isPolling) return;
 
         try {
-            await this.checkRemoteConnection();
-            
-            // Clear any existing polling
-            if (this.pollIntervalId) {
-                clearInterval(this.pollIntervalId);
-                this.pollIntervalId = null;
-            }
-
             // Reset data structures for new recording session
             this.isPolling = true;
-            this.recordedData = [];
-            this.accumulatedData = { time: [], accX: [], accY: [], accZ: [] };
-            this.displayBuffer = { time: [], accX: [], accY: [], accZ: [] };
-            this.lastTimestampProcessed = 0;
-            this.recordingStartTime = Date.now();
+            this.resetAccumulatedData();
+
+            await connectToPhyphox(this.remoteUrl);
+            await this.resolvePendingMapping();
+            if (!this.isPolling) return; // Stopped while connecting
+            this.connectionState = getPhyphoxConnection().state;
+            this.unsubscribeConnection = subscribeToPhyphoxConnection(connection => this.handleConnection(connection));
 
             console.log('[RemoteDataHandler] Starting remote data polling from', this.remoteUrl);
 
@@ -110,21 +144,6 @@ class RemoteDataHandler {
                 }
             }
 
-            // Fetch initial data immediately
-            await this.fetchRemoteData();
-
-            // Then start the polling interval
-            this.pollIntervalId = setInterval(() => {
-                if (!this.isPolling) {
-                    clearInterval(this.pollIntervalId);
-                    this.pollIntervalId = null;
-                    return;
-                }
-                this.fetchRemoteData().catch(error => {
-                    console.error('[RemoteDataHandler] Error in polling interval:', error);
-                });
-            }, this.pollRate);
-
             if (this.onPollingStateChange) {
                 this.onPollingStateChange(true);
             }
@@ -143,8 +162,9 @@ class RemoteDataHandler {
         if (!this.isPolling) return null;
 
         this.isPolling = false;
-        clearInterval(this.pollIntervalId);
-        this.pollIntervalId = null;
+        this.unsubscribeConnection?.();
+        this.unsubscribeConnection = null;
+        disconnectFromPhyphox();
 
         console.log('Stopped polling. Total data points accumulated:', this.accumulatedData.time.length);
 
@@ -155,59 +175,105 @@ class RemoteDataHandler {
         return this.accumulatedData.time.length > 0 ? this.generateCSVFile(this.recordedData, "Polled_Data") : null;
     }
 
-    // Fetch the latest data from the remote device
-    async fetchRemoteData() {
+    // Process the samples that arrived since the last snapshot of the connection
+    handleConnection(connection) {
         if (!this.isPolling) return;
 
-        try {
-            // Get all available data from Phyphox
-            const response = await fetch(`${this.remoteUrl}/get?acc_time=full&accX=full&accY=full&accZ=full`);
-            
-            if (!response.ok) {
-                console.warn('[RemoteDataHandler] Failed to fetch remote data, status:', response.status);
-                return;
+        if (connection.state !== this.connectionState) {
+            if (connection.state === 'error') {
+                console.warn('[RemoteDataHandler] Connection lost, reconnecting:', connection.error);
+            } else if (this.connectionState === 'error' && connection.state !== 'disconnected') {
+                console.log('[RemoteDataHandler] Reconnected to', connection.serverUrl);
             }
+            this.connectionState = connection.state;
+        }
+        // Disconnected somewhere else, e.g. from another view
+        if (connection.state === 'disconnected') {
+            this.stopPolling();
+            return;
+        }
 
-            const data = await response.json();
-            
-            // Don't stop polling when Phyphox stops measuring - keep polling so we can auto-resume
-            // This allows the app to automatically start updating when user hits play in Phyphox
-            if (data.status && !data.status.measuring) {
-                console.log('[RemoteDataHandler] Phyphox not measuring - continuing to poll for auto-resume');
-                // Still process the data (even if empty) to maintain UI state
-                this.processRemoteData(data);
-                return;
+        // A clear, a new session or a refetch after a stall replaces the buffers
+        const time = connection.buffers.acc_time?.buffer || [];
+        const consumed = this.consumedSamples.acc_time || 0;
+        if (time.length < consumed || (consumed > 0 && time[0] !== this.firstSampleTime)) {
+            console.log('[RemoteDataHandler] Phyphox buffers started over, resetting data');
+            this.resetAccumulatedData();
+        }
+        if (this.firstSampleTime === null && time.length > 0) {
+            this.firstSampleTime = time[0];
+        }
+
+        const newBuffers = {};
+        [ACCELERATION_BUFFERS, GYROSCOPE_BUFFERS, PRESSURE_BUFFERS].forEach(names => {
+            const buffers = names.map(name => connection.buffers[name]?.buffer);
+            if (buffers.some(buffer => !buffer)) return;
+
+            // Samples whose channels haven't all arrived yet wait for the next snapshot
+            const from = this.consumedSamples[names[0]] || 0;
+            const to = buffers.reduce((length, buffer) => Math.min(length, buffer.length), Infinity);
+            names.forEach((name, i) => { newBuffers[name] = { buffer: buffers[i].slice(from, to) }; });
+            this.consumedSamples[names[0]] = Math.max(from, to);
+        });
+
+        this.processRemoteData({
+            buffer: newBuffers,
+            status: {
+                measuring: connection.state === 'measuring' || connection.state === 'stalled',
+                timedRun: false,
+                countDown: 0
             }
+        });
+    }
 
-            // Process the data
-            this.processRemoteData(data);
+    createSensorSeries() {
+        return {
+            gyroscope: { time: [], x: [], y: [], z: [] },
+            pressure: { time: [], value: [] }
+        };
+    }
 
-        } catch (error) {
-            console.warn('[RemoteDataHandler] Error fetching remote data:', error);
-            if (error.message.includes('Failed to fetch')) {
-                console.error('[RemoteDataHandler] Network error - stopping polling');
-                await this.stopPolling();
+    // Append the new gyroscope and pressure samples of a response
+    appendSensorData(bufferData) {
+        const append = (series, bufferNames, keys) => {
+            const received = bufferNames.map(name => bufferData[name]?.buffer || []);
+            const count = Math.min(...received.map(values => values.length));
+            const lastTime = series.time.length > 0 ? series.time[series.time.length - 1] : -Infinity;
+
+            for (let i = 0; i < count; i++) {
+                if (!(received[0][i] > lastTime)) continue;
+                keys.forEach((key, k) => series[key].push(received[k][i]));
             }
+        };
+
+        if (bufferData[GYROSCOPE_BUFFERS[0]]) {
+            append(this.accumulatedData.gyroscope, GYROSCOPE_BUFFERS, ['time', 'x', 'y', 'z']);
+        }
+        if (bufferData[PRESSURE_BUFFERS[0]]) {
+            append(this.accumulatedData.pressure, PRESSURE_BUFFERS, ['time', 'value']);
         }
     }
+
+    // Forget everything received so far, e.g. for a new Phyphox session
+    resetAccumulatedData() {
+        this.recordedData = [];
+        this.accumulatedData = { time: [], accX: [], accY: [], accZ: [], ...this.createSensorSeries() };
+        this.displayBuffer = { time: [], accX: [], accY: [], accZ: [] };
+        this.lastTimestampProcessed = 0;
+        this.consumedSamples = {};
+        this.firstSampleTime = null;
+        this.recordingStartTime = Date.now();
+    }
     
     // Method to get all data from a completed Phyphox experiment
     async getPhyphoxExperimentData() {
-        let pollingWasActive = this.isPolling;
-        if (pollingWasActive) {
-            console.log("Temporarily stopping polling to fetch full experiment data.");
-            await this.stopPolling();
-        }
-
         try {
-            const response = await fetch(`${this.remoteUrl}/get?acc_time&acc_x&acc_y&acc_z`);
-            if (!response.ok) {
-                throw new Error(`Failed to fetch experiment data, status: ${response.status}`);
+            // The shared connection already holds every sample, samples processed before are skipped
+            const connection = getPhyphoxConnection();
+            if (connection.state === 'disconnected') {
+                throw new Error('Not connected to a Phyphox server');
             }
-            const data = await response.json();
-            console.log("Fetched full experiment data from Phyphox.");
-            
-            this.processRemoteData(data, false); 
+            this.processRemoteData({ buffer: connection.buffers, status: { measuring: false, timedRun: false, countDown: 0 } });
             
             if (this.recordedData.length > 0) {
                 return this.generateCSVFile(this.recordedData, "Phyphox_Experiment");
@@ -218,18 +284,6 @@ class RemoteDataHandler {
         } catch (error) {
             console.error('Error fetching full Phyphox experiment data:', error);
             throw error;
-        } finally {
-            if (pollingWasActive) {
-                console.log("Restarting polling after fetching experiment data.");
-                try {
-                    await this.startPolling();
-                } catch (startPollingError) {
-                    console.error("Error restarting polling:", startPollingError);
-                    if(this.onPollingStateChange) {
-                        this.onPollingStateChange(false, "Failed to restart polling after data fetch.");
-                    }
-                }
-            }
         }
     }
 
@@ -241,59 +295,16 @@ class RemoteDataHandler {
 
         try {
             // Handle Phyphox status information
-            const { measuring, session, timedRun, countDown } = data.status;
-            
-            // If session changed, we need to reset our data as it's a new experiment
-            if (this.currentSession && this.currentSession !== session) {
-                console.log('[RemoteDataHandler] New Phyphox session detected, resetting data');
-                this.recordedData = [];
-                this.accumulatedData = { time: [], accX: [], accY: [], accZ: [] };
-                this.displayBuffer = { time: [], accX: [], accY: [], accZ: [] };
-                this.lastTimestampProcessed = 0;
-                this.recordingStartTime = Date.now();
-            }
-            this.currentSession = session;
+            const { measuring, timedRun, countDown } = data.status;
 
-            // Process buffer data - handle different possible buffer names
+            // Buffers under the standard names, the connection maps the experiment's own ones
             const bufferData = data.buffer;
+            this.appendSensorData(bufferData);
             
-            // Try different possible buffer names that Phyphox might use
-            let timeData = [];
-            let accXData = [];
-            let accYData = [];
-            let accZData = [];
-
-            // Check for time data
-            if (bufferData.acc_time?.buffer) {
-                timeData = bufferData.acc_time.buffer;
-            } else if (bufferData.time?.buffer) {
-                timeData = bufferData.time.buffer;
-            }
-
-            // Check for acceleration data - try different naming conventions
-            if (bufferData.accX?.buffer) {
-                accXData = bufferData.accX.buffer;
-            } else if (bufferData.acc_x?.buffer) {
-                accXData = bufferData.acc_x.buffer;
-            } else if (bufferData['Acceleration x']?.buffer) {
-                accXData = bufferData['Acceleration x'].buffer;
-            }
-
-            if (bufferData.accY?.buffer) {
-                accYData = bufferData.accY.buffer;
-            } else if (bufferData.acc_y?.buffer) {
-                accYData = bufferData.acc_y.buffer;
-            } else if (bufferData['Acceleration y']?.buffer) {
-                accYData = bufferData['Acceleration y'].buffer;
-            }
-
-            if (bufferData.accZ?.buffer) {
-                accZData = bufferData.accZ.buffer;
-            } else if (bufferData.acc_z?.buffer) {
-                accZData = bufferData.acc_z.buffer;
-            } else if (bufferData['Acceleration z']?.buffer) {
-                accZData = bufferData['Acceleration z'].buffer;
-            }
+            let timeData = bufferData.acc_time?.buffer || [];
+            let accXData = bufferData.accX?.buffer || [];
+            let accYData = bufferData.accY?.buffer || [];
+            let accZData = bufferData.accZ?.buffer || [];
 
             // Check if we have any data
             const hasData = timeData.length > 0 && accXData.length > 0 && accYData.length > 0 && accZData.length > 0;
@@ -487,9 +498,21 @@ class RemoteDataHandler {
             return null;
         }
 
-        let csvContent = 'Time (s),Acceleration x (m/s^2),Acceleration y (m/s^2),Acceleration z (m/s^2)\n';
-        dataToExport.forEach(point => {
-            csvContent += `${point.time},${point.accX},${point.accY},${point.accZ}\n`;
+        // Gyroscope and pressure are resampled onto the acceleration samples, like CSV imports expect them
+        const time = dataToExport.map(point => point.time);
+        const { gyroscope, pressure } = this.accumulatedData;
+        const gyro = gyroscope.time.length > 0 ? resampleAxes(gyroscope.time, gyroscope, time) : null;
+        const pressureValues = pressure.time.length > 0 ? resampleValues(pressure.time, pressure.value, time) : null;
+
+        let csvContent = 'Time (s),Acceleration x (m/s^2),Acceleration y (m/s^2),Acceleration z (m/s^2)';
+        if (gyro) csvContent += ',Gyroscope x (rad/s),Gyroscope y (rad/s),Gyroscope z (rad/s)';
+        if (pressureValues) csvContent += ',Pressure (hPa)';
+        csvContent += '\n';
+        dataToExport.forEach((point, i) => {
+            csvContent += `${point.time},${point.accX},${point.accY},${point.accZ}`;
+            if (gyro) csvContent += `,${gyro.x[i]},${gyro.y[i]},${gyro.z[i]}`;
+            if (pressureValues) csvContent += `,${pressureValues[i]}`;
+            csvContent += '\n';
         });
 
         const timestampStr = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
@@ -625,21 +648,23 @@ class RemoteDataHandler {
 
     async clearPhyphoxData() {
         try {
-            const response = await fetch(`${this.remoteUrl}/control?cmd=clear`);
-            if (!response.ok) {
-                throw new Error(`Failed to clear data, status: ${response.status}`);
-            }
-            const result = await response.json();
-            if (!result.result) {
-                throw new Error('Phyphox failed to clear data');
+            if (this.isPolling) {
+                // The connection has to forget the cleared samples too
+                await sendPhyphoxCommand('clear');
+            } else {
+                const response = await fetch(`${this.remoteUrl}/control?cmd=clear`);
+                if (!response.ok) {
+                    throw new Error(`Failed to clear data, status: ${response.status}`);
+                }
+                const result = await response.json();
+                if (!result.result) {
+                    throw new Error('Phyphox failed to clear data');
+                }
             }
             console.log('[RemoteDataHandler] Cleared Phyphox data');
             
             // Reset our local data
-            this.recordedData = [];
-            this.accumulatedData = { time: [], accX: [], accY: [], accZ: [] };
-            this.displayBuffer = { time: [], accX: [], accY: [], accZ: [] };
-            this.lastTimestampProcessed = 0;
+            this.resetAccumulatedData();
             
             return true;
         } catch (error) {
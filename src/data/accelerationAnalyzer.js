@@ -3,6 +3,8 @@
  * Detects moves from acceleration data and calculates average speeds around move points
  */
 
+import { detectMoves } from '../utils/moveDetection';
+
 export class AccelerationAnalyzer {
     constructor() {
         this.smoothingWindow = 5; // Window size for data smoothing
@@ -170,49 +172,36 @@ export class AccelerationAnalyzer {
         const acceleration = smoothedData.absoluteAccel;
         const time = smoothedData.time;
         
-        // Calculate dynamic threshold based on data statistics
-        const mean = acceleration.reduce((sum, val) => sum + val, 0) / acceleration.length;
-        const variance = acceleration.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / acceleration.length;
-        const stdDev = Math.sqrt(variance);
-        
-        // Set threshold as mean + standard deviation for better peak detection
-        const dynamicThreshold = mean + stdDev * this.peakThreshold;
+        // The shared engine's prominence strategy does the peak picking. The data is already
+        // smoothed here, so its own smoothing is switched off.
+        const moves = detectMoves(
+            { time, magnitude: acceleration },
+            {
+                smoothingWindow: 1,
+                peakDeviation: this.peakThreshold,
+                minPeakDistance: this.minPeakDistance,
+                maxMoves: this.maxMoves
+            },
+            'prominence'
+        );
         
-        console.log(`Peak detection - Mean: ${mean.toFixed(2)}, StdDev: ${stdDev.toFixed(2)}, Threshold: ${dynamicThreshold.toFixed(2)}`);
-        
-        // Find peaks above threshold
-        const peaks = [];
-        for (let i = 1; i < acceleration.length - 1; i++) {
-            const current = acceleration[i];
-            const prev = acceleration[i - 1];
-            const next = acceleration[i + 1];
-            
-            // Check if current point is a local maximum above threshold
-            if (current > prev && current > next && current > dynamicThreshold) {
-                // Check minimum distance from previous peaks
-                const tooClose = peaks.some(peak => Math.abs(peak.index - i) < this.minPeakDistance);
-                
-                if (!tooClose) {
-                    peaks.push({
-                        index: i,
-                        time: time[i],
-                        acceleration: current,
-                        prominence: current - Math.min(prev, next)
-                    });
-                }
+        // Convert moves back to peaks (skip the start move)
+        const selectedPeaks = moves.slice(1).map(move => {
+            let index = time.findIndex(t => t >= move.startTime);
+            for (let i = index; i < time.length && time[i] <= move.endTime; i++) {
+                if (acceleration[i] > acceleration[index]) index = i;
             }
-        }
-        
-        // Sort peaks by prominence and select the best ones
-        peaks.sort((a, b) => b.prominence - a.prominence);
-        
-        // Limit to maximum number of moves
-        const selectedPeaks = peaks.slice(0, this.maxMoves);
-        
-        // Sort selected peaks by time order
-        selectedPeaks.sort((a, b) => a.time - b.time);
+            
+            const current = acceleration[index];
+            return {
+                index,
+                time: time[index],
+                acceleration: current,
+                prominence: current - Math.min(acceleration[index - 1] ?? current, acceleration[index + 1] ?? current)
+            };
+        });
         
-        console.log(`Selected ${selectedPeaks.length} peaks from ${peaks.length} candidates`);
+        console.log(`Selected ${selectedPeaks.length} peaks`);
         
         return selectedPeaks;
     }
@@ -1,248 +1,60 @@
 // Boulder data management for real CSV files only
+import { detectMoves, loadBoulderDetectionConfig } from '../utils/moveDetection';
+import { importCSVText } from '../utils/csvImport';
+import { loadRecordingManifest, getRecordingUrl } from '../utils/dataManifest';
+
 let csvFileCache = new Map();
 let lastCacheUpdate = 0;
 const CACHE_DURATION = 30000; // 30 seconds
 
-// Dynamically discover CSV files in the organized data directory structure
+// Discover CSV files from the recording manifest (public/data/index.json, see scripts/generate-data-manifest.js)
 async function discoverCSVFiles() {
-    const csvFiles = [];
-    
-    // Define organized folder structure
-    const folders = [
-        'routes',           // Main climbing routes
-        'samples',          // Sample/demo data  
-        'live-recordings'   // Live Phyphox recordings
-    ];
-    
-    // Common CSV file patterns to try in each folder
-    const commonPatterns = [
-        'Sample1.csv',     // Add the specific file ART has
-        'Raw Data.csv',
-        'Raw Data2.csv', 
-        'Raw Data3.csv',
-        'rawdata.csv',
-        'rawdata2.csv',
-        'rawdata3.csv',
-        'data.csv',
-        'climbing.csv',
-        'acceleration.csv'
-    ];
-    
-    // Search in organized folders
-    for (const folder of folders) {
-        console.log(`🔍 [boulderData] Searching for CSV files in /data/${folder}/`);
-        
-        // Try common patterns in this folder
-        for (const filename of commonPatterns) {
-            const filepath = `/data/${folder}/${filename}`;
-            console.log(`🔍 [boulderData] Trying to fetch: ${filepath}`);
-            try {
-                const response = await fetch(filepath);
-                console.log(`📡 [boulderData] Response for ${filepath}: ${response.status} ${response.ok ? 'OK' : 'FAILED'}`);
-                if (response.ok) {
-                    const text = await response.text();
-                    console.log(`📄 [boulderData] File content preview for ${filepath}:`, text.substring(0, 200));
-                    if (text.trim().startsWith('<!DOCTYPE html>') || 
-                        text.trim().startsWith('<html') ||
-                        text.includes('<title>404</title>') ||
-                        text.includes('Not Found')) {
-                        console.log(`❌ [boulderData] File ${filepath} is HTML error page`);
-                        continue;
-                    }
-                    
-                    // Basic CSV validation
-                    const firstLine = text.split('\n')[0];
-                    if (firstLine && firstLine.includes(',') && 
-                        (firstLine.toLowerCase().includes('time') || 
-                         firstLine.toLowerCase().includes('acceleration'))) {
-                        csvFiles.push(filepath);
-                        console.log(`✅ [boulderData] Found CSV file: ${filepath}`);
-                    } else {
-                        console.log(`❌ [boulderData] File ${filepath} failed CSV validation:`, {
-                            hasCommas: firstLine?.includes(','),
-                            hasTime: firstLine?.toLowerCase().includes('time'),
-                            hasAcceleration: firstLine?.toLowerCase().includes('acceleration'),
-                            firstLine: firstLine?.substring(0, 100)
-                        });
-                    }
-                }
-            } catch (error) {
-                console.log(`❌ [boulderData] Error fetching ${filepath}:`, error);
-                // File doesn't exist, continue
-            }
-        }
-        
-        // Also try common climbing route names
-        const routePatterns = [
-            'V0_Route.csv', 'V1_Route.csv', 'V2_Route.csv', 'V3_Route.csv', 'V4_Route.csv',
-            'V5_Route.csv', 'V6_Route.csv', 'V7_Route.csv', 'V8_Route.csv', 'V9_Route.csv',
-            'Sample_Route.csv', 'Demo_Route.csv', 'Test_Route.csv',
-            'Overhang_Problem.csv', 'Crimpy_Route.csv', 'Dynamic_Problem.csv',
-            'Slab_Route.csv', 'Roof_Problem.csv', 'Arete_Route.csv'
-        ];
-        
-        for (const filename of routePatterns) {
-            const filepath = `/data/${folder}/${filename}`;
-            try {
-                const response = await fetch(filepath);
-                if (response.ok) {
-                    const text = await response.text();
-                    if (text.trim().startsWith('<!DOCTYPE html>') || 
-                        text.trim().startsWith('<html') ||
-                        text.includes('<title>404</title>') ||
-                        text.includes('Not Found')) {
-                        continue;
-                    }
-                    
-                    const firstLine = text.split('\n')[0];
-                    if (firstLine && firstLine.includes(',') && 
-                        (firstLine.toLowerCase().includes('time') || 
-                         firstLine.toLowerCase().includes('acceleration'))) {
-                        csvFiles.push(filepath);
-                        console.log(`✅ Found route CSV file: ${filepath}`);
-                    }
-                }
-            } catch (error) {
-                // File doesn't exist, continue
-            }
-        }
-    }
-    
-    // Also check root data directory for backwards compatibility
-    for (const filename of commonPatterns) {
-        const filepath = `/data/${filename}`;
-        try {
-            const response = await fetch(filepath);
-            if (response.ok) {
-                const text = await response.text();
-                if (text.trim().startsWith('<!DOCTYPE html>') || 
-                    text.trim().startsWith('<html') ||
-                    text.includes('<title>404</title>') ||
-                    text.includes('Not Found')) {
-                    continue;
-                }
-                
-                const firstLine = text.split('\n')[0];
-                if (firstLine && firstLine.includes(',') && 
-                    (firstLine.toLowerCase().includes('time') || 
-                     firstLine.toLowerCase().includes('acceleration'))) {
-                    csvFiles.push(filepath);
-                    console.log(`✅ Found legacy CSV file: ${filepath}`);
-                }
-            }
-        } catch (error) {
-            // File doesn't exist, continue
-        }
-    }
-    
-    console.log(`🧗‍♂️ Discovered ${csvFiles.length} total CSV files:`, csvFiles);
-    return csvFiles;
+    const entries = await loadRecordingManifest();
+    console.log(`🧗‍♂️ Discovered ${entries.length} total CSV files:`, entries.map(entry => entry.file));
+    return entries;
 }
 
-// Parse real CSV data from Phyphox format
+// Parse real CSV data from Phyphox format (shared importer: any delimiter, decimal comma, quoted fields)
 function parsePhyphoxCSV(csvText, filename) {
     console.log(`Parsing CSV file: ${filename}`);
     
-    const lines = csvText.trim().split('\n');
-    if (lines.length < 2) {
-        throw new Error('CSV file is too short');
+    const { csvData, rowErrors, skippedRows } = importCSVText(csvText, filename);
+    if (skippedRows > 0) {
+        console.warn(`Skipped ${skippedRows} unreadable rows in ${filename}:`, rowErrors.slice(0, 5));
     }
-
-    // Parse headers
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    console.log('CSV Headers:', headers);
-
-    // Find required columns
-    let timeCol = -1, absAccelCol = -1;
     
-    for (let i = 0; i < headers.length; i++) {
-        const header = headers[i].toLowerCase();
-        if (header.includes('time') && header.includes('s')) {
-            timeCol = i;
-        } else if (header.includes('absolute acceleration') || 
-                   (header.includes('absolute') && header.includes('acceleration')) ||
-                   (header.includes('absolute') && (header.includes('m/s²') || header.includes('m/s^2')))) {
-            absAccelCol = i;
-        }
-    }
-
-    if (timeCol === -1) {
-        throw new Error('Could not find time column in CSV');
-    }
-    if (absAccelCol === -1) {
-        throw new Error('Could not find absolute acceleration column in CSV');
-    }
-
-    console.log(`Found columns - Time: ${timeCol}, Absolute Acceleration: ${absAccelCol}`);
-
-    // Parse data
-    const time = [];
-    const absoluteAcceleration = [];
-    let validRows = 0;
-
-    for (let i = 1; i < lines.length; i++) {
-        const values = lines[i].split(',').map(v => {
-            const trimmed = v.trim().replace(/"/g, '');
-            // Handle scientific notation properly and regular numbers
-            const num = parseFloat(trimmed);
-            return isNaN(num) ? 0 : num;
-        });
-
-        if (values.length <= Math.max(timeCol, absAccelCol)) continue;
-
-        const timeVal = values[timeCol];
-        const accelVal = values[absAccelCol];
-
-        // More lenient validation - allow zero acceleration values and handle scientific notation
-        if (!isNaN(timeVal) && !isNaN(accelVal) && isFinite(timeVal) && isFinite(accelVal) && accelVal >= 0) {
-            time.push(timeVal);
-            absoluteAcceleration.push(accelVal);
-            validRows++;
-        }
-    }
-
-    if (validRows === 0) {
-        throw new Error('No valid data rows found in CSV');
-    }
-
-    console.log(`Parsed ${validRows} valid data points from ${filename}`);
-    console.log(`Time range: ${Math.min(...time).toFixed(3)}s to ${Math.max(...time).toFixed(3)}s`);
-    console.log(`Acceleration range: ${Math.min(...absoluteAcceleration).toFixed(2)} to ${Math.max(...absoluteAcceleration).toFixed(2)} m/s²`);
-
-    return {
-        time,
-        absoluteAcceleration,
-        filename,
-        duration: Math.max(...time) - Math.min(...time),
-        maxAcceleration: Math.max(...absoluteAcceleration),
-        avgAcceleration: absoluteAcceleration.reduce((a, b) => a + b, 0) / absoluteAcceleration.length,
-        sampleCount: validRows
-    };
+    console.log(`Time range: ${Math.min(...csvData.time).toFixed(3)}s to ${Math.max(...csvData.time).toFixed(3)}s`);
+    console.log(`Acceleration range: ${Math.min(...csvData.absoluteAcceleration).toFixed(2)} to ${csvData.maxAcceleration.toFixed(2)} m/s²`);
+    
+    return csvData;
 }
 
-// Convert CSV data to boulder visualization format
-function convertCSVToBoulder(csvData, id) {
+// Convert CSV data to boulder visualization format (entry: optional recording manifest entry)
+function convertCSVToBoulder(csvData, id, entry) {
     const { time, absoluteAcceleration, filename, duration, maxAcceleration, avgAcceleration } = csvData;
     
-    // Detect significant moves based on acceleration peaks
-    const moves = detectMovesFromAcceleration(time, absoluteAcceleration);
+    // Detect moves with the shared engine and the strategy selected for this boulder
+    const moves = detectMovesFromAcceleration(time, absoluteAcceleration, id);
     
     // Determine grade based on acceleration characteristics
     const grade = estimateGradeFromData(maxAcceleration, avgAcceleration, moves.length);
     
     // Clean filename for display
-    const cleanName = filename.replace(/^.*\//, '').replace('.csv', '');
+    const cleanName = filename.replace(/^.*\//, '').replace(/\.(csv|tsv|txt)$/i, '');
     const csvFileName = filename.replace(/^.*\//, '');
     
     console.log(`Converting CSV to boulder - filename: "${filename}", csvFileName: "${csvFileName}", cleanName: "${cleanName}"`);
     
     const boulder = {
         id,
-        name: `${cleanName} (Real Data)`,
-        grade,
+        name: entry?.name || `${cleanName} (Real Data)`,
+        grade: entry?.grade || grade,
         type: 'csv',
-        description: `Real climbing data from ${cleanName}`,
-        csvFile: csvFileName, // Store just the filename without path
+        description: `Real climbing data from ${entry?.name || cleanName}`,
+        csvFile: entry?.file || csvFileName, // Path relative to public/data
+        routeSetter: entry?.setter,
+        recordedAt: entry?.date,
+        tags: entry?.tags || [],
         moves,
         csvData,
         stats: {
@@ -258,77 +70,47 @@ function convertCSVToBoulder(csvData, id) {
     return boulder;
 }
 
-// Detect climbing moves from acceleration data
-function detectMovesFromAcceleration(time, acceleration) {
-    const moves = [];
-    const threshold = 12.0; // m/s² threshold for significant moves
-    const minMoveDuration = 0.5; // minimum seconds between moves
-    
-    let lastMoveTime = -minMoveDuration;
+// Detect climbing moves from acceleration data, using the same detector as the React app
+function detectMovesFromAcceleration(time, acceleration, boulderId) {
+    const { strategy, settings } = loadBoulderDetectionConfig(boulderId);
+    const processedMoves = detectMoves({ time, magnitude: acceleration }, settings, strategy);
     
-    // First, detect all the actual moves
-    const detectedMoves = [];
-    for (let i = 1; i < acceleration.length - 1; i++) {
-        const currentAccel = acceleration[i];
-        const currentTime = time[i];
-        
-        // Look for peaks above threshold
-        if (currentAccel > threshold && 
-            currentAccel > acceleration[i-1] && 
-            currentAccel > acceleration[i+1] &&
-            (currentTime - lastMoveTime) > minMoveDuration) {
-            
-            // Determine move type based on acceleration magnitude
-            let moveType, dynamics, isCrux;
-            
-            if (currentAccel > 30) {
-                moveType = 'dyno';
-                dynamics = 0.9;
-                isCrux = true;
-            } else if (currentAccel > 20) {
-                moveType = 'dynamic';
-                dynamics = 0.8;
-                isCrux = currentAccel > 25;
-            } else if (currentAccel > 15) {
-                moveType = 'powerful';
-                dynamics = 0.7;
-                isCrux = false;
-            } else {
-                moveType = 'static';
-                dynamics = 0.6;
-                isCrux = false;
-            }
-            
-            detectedMoves.push({
-                time: currentTime,
-                type: moveType,
-                dynamics,
-                isCrux,
-                acceleration: currentAccel,
-                description: `${moveType} move (${currentAccel.toFixed(1)} m/s²)`
-            });
-            
-            lastMoveTime = currentTime;
+    // Convert to the legacy move format (move 0 is the starting position at 12 o'clock)
+    const moves = processedMoves.map((move) => {
+        if (move.index === 0) {
+            return {
+                time: 0,
+                type: 'start',
+                dynamics: 0,
+                isCrux: false,
+                acceleration: acceleration[0] || 9.8, // Use first acceleration value or gravity
+                description: 'Starting position'
+            };
         }
-    }
-    
-    // Add starting position at time 0 (this will be at 12 o'clock, move 0)
-    moves.push({
-        time: 0,
-        type: 'start',
-        dynamics: 0,
-        isCrux: false,
-        acceleration: acceleration[0] || 9.8, // Use first acceleration value or gravity
-        description: 'Starting position'
+        
+        const moveType = classifyMoveType(move.acceleration);
+        return {
+            time: move.startTime,
+            type: moveType,
+            dynamics: move.dynamics,
+            isCrux: move.isCrux,
+            acceleration: move.acceleration,
+            description: `${moveType} move (${move.acceleration.toFixed(1)} m/s²)`
+        };
     });
     
-    // Add all detected moves (these will be moves 1, 2, 3, etc. going clockwise)
-    moves.push(...detectedMoves);
-    
-    console.log(`Detected ${moves.length} moves from acceleration data (including start position)`);
+    console.log(`Detected ${moves.length} moves from acceleration data (including start position, strategy: ${strategy})`);
     return moves;
 }
 
+// Label a move by its peak acceleration
+function classifyMoveType(peakAcceleration) {
+    if (peakAcceleration > 30) return 'dyno';
+    if (peakAcceleration > 20) return 'dynamic';
+    if (peakAcceleration > 15) return 'powerful';
+    return 'static';
+}
+
 // Estimate boulder grade from acceleration data
 function estimateGradeFromData(maxAccel, avgAccel, moveCount) {
     // Simple heuristic based on acceleration characteristics
@@ -368,8 +150,8 @@ export async function getBoulderList() {
     // Dynamically discover CSV files
     const csvFiles = await discoverCSVFiles();
     
-    for (let i = 0; i < csvFiles.length; i++) {
-        const filepath = csvFiles[i];
+    for (const entry of csvFiles) {
+        const filepath = getRecordingUrl(entry);
         const cacheKey = filepath;
         
         try {
@@ -384,7 +166,7 @@ export async function getBoulderList() {
             
             // Load and parse CSV
             const csvData = await loadCSVFile(filepath);
-            const boulder = convertCSVToBoulder(csvData, i + 1);
+            const boulder = convertCSVToBoulder(csvData, entry.id, entry);
             
             // Cache the result
             csvFileCache.set(cacheKey, {
@@ -4,6 +4,7 @@ import { OrbitControls } from '@react-three/drei';
 import { useFrame, useThree } from '@react-three/fiber';
 import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js';
 import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
+import { getAttemptsForBoulder, getAttemptHighPoint } from '../utils/attemptLog';
 
 // Types (consider moving to a types.ts file)
 interface BoulderData {
@@ -522,23 +523,27 @@ export function useBoulderVisualizer(boulderData: BoulderData | null, userSettin
     const createAttemptLines = useCallback(() => {
         if (!boulderData || !settings.showAttemptLines) return;
         
-        console.log(`[useBoulderVisualizer] Creating ${settings.attemptCount} attempt lines`);
+        const attempts = getAttemptsForBoulder(boulderData.id).slice(-settings.attemptCount);
+        if (attempts.length === 0) return;
+        
+        console.log(`[useBoulderVisualizer] Creating ${attempts.length} attempt lines from attempt log`);
         
         const centerRadius = settings.baseRadius * settings.combinedSize;
         const maxRadius = (settings.baseRadius * settings.combinedSize + (settings.ringCount * settings.ringSpacing) + 8) * settings.maxRadiusScale;
+        const totalMoves = Math.max(0, boulderData.moves.length - 1); // Exclude the start move, like the attempts do
         
         let linesCreated = 0;
-        for (let i = 0; i < settings.attemptCount; i++) {
+        for (let i = 0; i < attempts.length; i++) {
             // Calculate base angle with equal spacing
-            const baseAngle = (i / settings.attemptCount) * Math.PI * 2;
+            const baseAngle = (i / attempts.length) * Math.PI * 2;
             
             // Add random distribution to the angle
-            const randomOffset = (seededRandom(i * 123.456) - 0.5) * settings.attemptWaveEffect * Math.PI * 2;
+            const randomOffset = (seededRandom(attempts[i].id * 123.456) - 0.5) * settings.attemptWaveEffect * Math.PI * 2;
             const angle = baseAngle + randomOffset;
             
-            // Generate random end radius (some complete, some fail at different points)
-            const completionRate = seededRandom(i * 789.123);
-            const endRadius = centerRadius + (maxRadius - centerRadius) * (0.2 + completionRate * 0.8);
+            // End radius follows the attempt's high point on this boulder
+            const highPoint = getAttemptHighPoint(attempts[i], totalMoves);
+            const endRadius = centerRadius + (maxRadius - centerRadius) * Math.max(0.05, highPoint);
             
             // Calculate Z height based on line length (shorter lines = higher Z)
             const lineLength = endRadius - centerRadius;
@@ -609,7 +614,7 @@ export function useBoulderVisualizer(boulderData: BoulderData | null, userSettin
             linesCreated++;
         }
         
-        console.log(`[useBoulderVisualizer] Successfully created ${linesCreated} attempt lines out of ${settings.attemptCount} attempted`);
+        console.log(`[useBoulderVisualizer] Successfully created ${linesCreated} attempt lines out of ${attempts.length} recorded`);
     }, [boulderData, settings, managedObjects]);
 
     const createVisualization = useCallback(() => {
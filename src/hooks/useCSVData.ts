@@ -1,6 +1,9 @@
 import { useState, useEffect, useCallback } from 'react'
 import { loadAvailableBoulders, handleFileUpload } from '../utils/csvLoader'
-import type { BoulderData } from '../utils/csvLoader'
+import type { BoulderData, UploadCSVFile } from '../utils/csvLoader'
+import type { CSVColumnMapping } from '../utils/csvImport'
+import { getStoredBoulders } from '../utils/boulderStorage'
+import { phyphoxBuffersToCSVData } from '../utils/phyphoxPolling'
 
 interface UseCSVDataResult {
   boulders: BoulderData[]
@@ -9,7 +12,7 @@ interface UseCSVDataResult {
   error: string | null
   selectBoulder: (id: number) => void
   refreshBoulders: () => Promise<void>
-  uploadFile: (file: File) => Promise<void>
+  uploadFile: UploadCSVFile
 }
 
 export function useCSVData(): UseCSVDataResult {
@@ -18,12 +21,11 @@ export function useCSVData(): UseCSVDataResult {
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState<string | null>(null)
 
-  // Load saved boulders from localStorage (both Phyphox recordings and uploaded CSV files)
+  // Load saved boulders from the boulder library (Phyphox recordings, uploaded CSV files and manual boulders)
   const loadSavedBoulders = useCallback((): BoulderData[] => {
     try {
-      const saved = localStorage.getItem('climbing-boulders')
-      if (saved) {
-        const savedBoulders = JSON.parse(saved)
+      const savedBoulders = getStoredBoulders()
+      if (savedBoulders.length > 0) {
         console.log('[useCSVData] Loaded saved boulders:', savedBoulders.length)
         
         // Convert saved data to BoulderData format
@@ -32,10 +34,12 @@ export function useCSVData(): UseCSVDataResult {
           if (saved.source === 'csv-upload' && saved.csvData) {
             return {
               id: saved.id || (1000 + index),
-              name: saved.name || saved.uploadedFile?.replace('.csv', '') || 'Uploaded CSV',
+              name: saved.name || saved.uploadedFile?.replace(/\.(csv|tsv|txt|zip|phyphox)$/i, '') || 'Uploaded CSV',
               grade: saved.grade || 'Unknown',
               type: 'csv',
-              description: `Uploaded CSV file: ${saved.uploadedFile || 'Unknown'}`,
+              description: saved.deviceMetadata
+                ? `Imported Phyphox archive: ${saved.uploadedFile}`
+                : `Uploaded CSV file: ${saved.uploadedFile || 'Unknown'}`,
               csvFile: saved.uploadedFile || 'uploaded.csv',
               routeSetter: saved.routeSetter || 'Uploaded',
               moves: saved.moves || [],
@@ -49,10 +53,37 @@ export function useCSVData(): UseCSVDataResult {
               },
               uploadedFile: saved.uploadedFile,
               recordedAt: saved.recordedAt,
+              deviceMetadata: saved.deviceMetadata,
+              fall: saved.fall,
               source: 'csv-upload'
             }
           }
           
+          // Handle manually designed boulders (no sensor data)
+          if (saved.source === 'manual') {
+            return {
+              id: saved.id || (1000 + index),
+              name: saved.name || 'Unnamed Boulder',
+              grade: saved.grade || 'Ungraded',
+              type: 'generated',
+              description: saved.betaInsight || `Designed by ${saved.routeSetter || 'Unknown'}`,
+              csvFile: '',
+              routeSetter: saved.routeSetter,
+              moves: saved.moves || [],
+              csvData: null,
+              stats: {
+                duration: '0',
+                maxAcceleration: '0',
+                avgAcceleration: '0',
+                moveCount: saved.numberOfMoves || 0,
+                sampleCount: 0
+              },
+              manualMoves: saved.manualMoves || [],
+              recordedAt: saved.recordedAt,
+              source: 'manual'
+            }
+          }
+          
           // Handle Phyphox recordings (existing logic)
           return {
             id: saved.id || (1000 + index),
@@ -64,7 +95,8 @@ export function useCSVData(): UseCSVDataResult {
           routeSetter: saved.routeSetter,
           numberOfMoves: saved.numberOfMoves,
           moves: saved.moves || [],
-          csvData: saved.rawData ? convertPhyphoxToCSV(saved.rawData) : null,
+          // Cropped recordings keep their processed data in csvData
+          csvData: saved.csvData || (saved.rawData ? convertPhyphoxToCSV(saved.rawData) : null),
           stats: {
             duration: saved.rawData ? calculateDuration(saved.rawData) : '0',
             maxAcceleration: saved.rawData ? calculateMaxAcceleration(saved.rawData) : 0,
@@ -74,9 +106,10 @@ export function useCSVData(): UseCSVDataResult {
           },
           phyphoxData: saved.rawData,
           recordedAt: saved.recordedAt,
+          fall: saved.fall,
           source: 'phyphox'
           }
-        })
+        }) as BoulderData[]
       }
     } catch (error) {
       console.error('[useCSVData] Error loading saved boulders:', error)
@@ -86,32 +119,7 @@ export function useCSVData(): UseCSVDataResult {
 
   // Convert Phyphox raw data to CSV format for compatibility
   const convertPhyphoxToCSV = useCallback((rawData: any) => {
-    if (!rawData || !rawData.acc_time || !rawData.accX || !rawData.accY || !rawData.accZ) {
-      return null
-    }
-    
-    const timeArray = rawData.acc_time.buffer || []
-    const accXArray = rawData.accX.buffer || []
-    const accYArray = rawData.accY.buffer || []
-    const accZArray = rawData.accZ.buffer || []
-    
-    const time = timeArray.map((t: number) => t - timeArray[0]) // Normalize to start at 0
-    const absoluteAcceleration = timeArray.map((_: number, i: number) => {
-      const x = accXArray[i] || 0
-      const y = accYArray[i] || 0  
-      const z = accZArray[i] || 0
-      return Math.sqrt(x * x + y * y + z * z)
-    })
-    
-    return {
-      time,
-      absoluteAcceleration,
-      filename: 'phyphox-recording.csv',
-      duration: time.length > 0 ? time[time.length - 1] - time[0] : 0,
-      maxAcceleration: Math.max(...absoluteAcceleration),
-      avgAcceleration: absoluteAcceleration.reduce((a: number, b: number) => a + b, 0) / absoluteAcceleration.length,
-      sampleCount: time.length
-    }
+    return rawData ? phyphoxBuffersToCSVData(rawData) : null
   }, [])
 
   // Helper functions for statistics
@@ -171,7 +179,8 @@ export function useCSVData(): UseCSVDataResult {
             console.log('[useCSVData] Auto-selecting first boulder:', allBoulders[0].name)
             return allBoulders[0]
           }
-          return prevSelected
+          // Pick up the reloaded copy so edits to the selected boulder show up
+          return allBoulders.find(b => b.id === prevSelected.id) || prevSelected
         })
       }
     } catch (err) {
@@ -195,15 +204,16 @@ export function useCSVData(): UseCSVDataResult {
     await loadBoulders()
   }, [loadBoulders])
 
-  const uploadFile = useCallback(async (file: File) => {
+  const uploadFile = useCallback(async (file: File, mapping?: CSVColumnMapping) => {
     try {
       setIsLoading(true)
       setError(null)
       
-      await handleFileUpload(file)
+      const result = await handleFileUpload(file, mapping)
       
       // Refresh boulders after upload
       await loadBoulders()
+      return result
     } catch (err) {
       console.error('[useCSVData] Error uploading file:', err)
       setError(err instanceof Error ? err.message : 'Failed to upload file')
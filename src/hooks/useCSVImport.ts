@@ -0,0 +1,89 @@
+import { useState, useCallback } from 'react'
+import { inspectCSVFile, isSupportedCSVFile } from '../utils/csvLoader'
+import type { UploadCSVFile, CSVUploadResult } from '../utils/csvLoader'
+import { isMappingComplete, summarizeRowErrors } from '../utils/csvImport'
+import { isPhyphoxArchiveFile } from '../utils/phyphoxArchive'
+import type { CSVColumnMapping, CSVTable } from '../utils/csvImport'
+
+export interface PendingCSVImport {
+  file: File
+  table: CSVTable
+  mapping: CSVColumnMapping // Detected columns, used as the starting point of the mapping dialog
+}
+
+interface UseCSVImportResult {
+  pendingImport: PendingCSVImport | null
+  importFile: (file: File) => Promise<CSVUploadResult | null>
+  confirmMapping: (mapping: CSVColumnMapping) => Promise<CSVUploadResult | null>
+  cancelMapping: () => void
+}
+
+// Upload flow shared by every CSV upload button: archives and files with recognized headers are
+// imported right away, others wait in pendingImport until the user maps the columns.
+export function useCSVImport(uploadFile: UploadCSVFile | undefined): UseCSVImportResult {
+  const [pendingImport, setPendingImport] = useState<PendingCSVImport | null>(null)
+
+  const upload = useCallback(async (file: File, mapping?: CSVColumnMapping): Promise<CSVUploadResult | null> => {
+    if (!uploadFile) return null
+
+    const result = await uploadFile(file, mapping)
+    if (result.skippedRows > 0) {
+      alert(`Imported ${result.boulder.csvData.sampleCount} rows from ${file.name}, skipped ${result.skippedRows} unreadable rows:\n\n${summarizeRowErrors(result.rowErrors, result.skippedRows)}`)
+    }
+    return result
+  }, [uploadFile])
+
+  const importFile = useCallback(async (file: File): Promise<CSVUploadResult | null> => {
+    if (!isSupportedCSVFile(file) && !isPhyphoxArchiveFile(file)) {
+      alert('Please select a CSV file or Phyphox archive')
+      return null
+    }
+
+    try {
+      // Archives are mapped per file by the archive importer
+      if (isPhyphoxArchiveFile(file)) {
+        return await upload(file)
+      }
+
+      const { table, mapping } = await inspectCSVFile(file)
+
+      if (!isMappingComplete(mapping)) {
+        console.log(`[useCSVImport] Headers of ${file.name} not recognized, asking for a column mapping`)
+        setPendingImport({ file, table, mapping })
+        return null
+      }
+
+      return await upload(file, mapping)
+    } catch (error) {
+      console.error('Upload failed:', error)
+      alert('Failed to upload file: ' + (error instanceof Error ? error.message : 'Unknown error'))
+      return null
+    }
+  }, [upload])
+
+  const confirmMapping = useCallback(async (mapping: CSVColumnMapping): Promise<CSVUploadResult | null> => {
+    if (!pendingImport) return null
+
+    const { file } = pendingImport
+    setPendingImport(null)
+
+    try {
+      return await upload(file, mapping)
+    } catch (error) {
+      console.error('Upload failed:', error)
+      alert('Failed to upload file: ' + (error instanceof Error ? error.message : 'Unknown error'))
+      return null
+    }
+  }, [pendingImport, upload])
+
+  const cancelMapping = useCallback(() => {
+    setPendingImport(null)
+  }, [])
+
+  return {
+    pendingImport,
+    importFile,
+    confirmMapping,
+    cancelMapping
+  }
+}
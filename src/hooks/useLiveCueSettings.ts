@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react'
+import { getLiveCueSettings, subscribeToLiveCueSettings } from '../utils/liveCues'
+import type { LiveCueSettings } from '../utils/liveCues'
+
+// Audio cue settings of the live recording, re-renders when they change
+export function useLiveCueSettings(): LiveCueSettings {
+  return useSyncExternalStore(subscribeToLiveCueSettings, getLiveCueSettings)
+}
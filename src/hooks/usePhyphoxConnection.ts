@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react'
+import { getPhyphoxConnection, subscribeToPhyphoxConnection } from '../utils/phyphoxConnection'
+import type { PhyphoxConnection } from '../utils/phyphoxConnection'
+
+// Current state of the shared Phyphox connection, re-renders on every change
+export function usePhyphoxConnection(): PhyphoxConnection {
+  return useSyncExternalStore(subscribeToPhyphoxConnection, getPhyphoxConnection)
+}
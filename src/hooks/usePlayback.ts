@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react'
+import { getPlaybackState, subscribeToPlayback } from '../utils/playback'
+import type { PlaybackState } from '../utils/playback'
+
+// Playback clock of the selected recording, re-renders on every frame while playing
+export function usePlayback(): PlaybackState {
+  return useSyncExternalStore(subscribeToPlayback, getPlaybackState)
+}
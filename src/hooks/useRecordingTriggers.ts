@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from 'react'
+import { getRecordingTriggerSettings, getRecordingTriggerStatus, subscribeToRecordingTriggers } from '../utils/recordingTriggers'
+import type { RecordingTriggerSettings, RecordingTriggerStatus } from '../utils/recordingTriggers'
+
+// State of the armed recording, re-renders when the triggers start or stop it
+export function useRecordingTriggerStatus(): RecordingTriggerStatus {
+  return useSyncExternalStore(subscribeToRecordingTriggers, getRecordingTriggerStatus)
+}
+
+export function useRecordingTriggerSettings(): RecordingTriggerSettings {
+  return useSyncExternalStore(subscribeToRecordingTriggers, getRecordingTriggerSettings)
+}
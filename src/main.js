@@ -5,6 +5,8 @@ import { BoulderControlPanel } from './controls/BoulderControlPanel.js';
 import { getBoulderById, addBoulderFromRemoteData } from './data/boulderData.js';
 import { DataVizIntegration } from './visualizer/DataVizIntegration.js';
 import RemoteDataHandler from './data/RemoteDataHandler.js';
+import { playStartCountdown } from './utils/liveCues';
+import { initBoulderStorage } from './utils/boulderStorage';
 
 console.log('main.js imports completed');
 
@@ -56,6 +58,9 @@ class BoulderVisualizerApp {
             this.showLoading('Initializing climbing visualizer...');
             console.log('Loading message shown');
             
+            // The boulder library (settings, attempts) is read synchronously from here on
+            await initBoulderStorage();
+            
             // Send clear command to all servers on page reload
             await this.clearAllServersOnReload();
             
@@ -1459,6 +1464,10 @@ class BoulderVisualizerApp {
         }
 
         try {
+            if (command === 'start') {
+                await playStartCountdown();
+            }
+            
             // Show command being sent
             this.showServerError(`Sending ${command.toUpperCase()} command...`, 5000);
             
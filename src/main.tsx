@@ -3,12 +3,16 @@ import ReactDOM from 'react-dom/client'
 import { ChakraProvider, defaultSystem } from '@chakra-ui/react'
 import App from './App.tsx'
 import { BoulderConfigProvider } from './context/BoulderConfigContext'
+import { initBoulderStorage } from './utils/boulderStorage'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')!).render(
-  <ChakraProvider value={defaultSystem}>
-    <BoulderConfigProvider>
-      <App />
-    </BoulderConfigProvider>
-  </ChakraProvider>
-) 
\ No newline at end of file
+// The boulder library has to be loaded before the first render, components read it synchronously
+initBoulderStorage().finally(() => {
+  ReactDOM.createRoot(document.getElementById('root')!).render(
+    <ChakraProvider value={defaultSystem}>
+      <BoulderConfigProvider>
+        <App />
+      </BoulderConfigProvider>
+    </ChakraProvider>
+  )
+}) 
\ No newline at end of file
@@ -0,0 +1,247 @@
+// Animation export
+// Captures the liquid and attempt wave animations for social media. The animations are stepped
+// to each frame's time rather than following the clock, so every frame is rendered completely
+// however long it takes and the same settings always give the same video. Frames are recorded to
+// WebM with the browser's MediaRecorder, or saved as a ZIP of PNGs for editing elsewhere.
+
+import type { BoulderData } from './csvLoader'
+import { getVisualizationState } from '../store/visualizationStore'
+import { downloadBlob, getExportFileName } from './posterExport'
+
+export type AnimationFormat = 'webm' | 'png'
+
+export interface AnimationExportOptions {
+  format: AnimationFormat
+  width: number // px
+  height: number // px
+  duration: number // s
+  fps: number
+  transparent: boolean // PNG frames only, otherwise filled with background
+  background: string
+}
+
+export interface AnimationExportProgress {
+  frame: number // Frames rendered so far
+  frames: number
+}
+
+// Draws the scene with its animations at time (s) into ctx from (0, 0), registered by the 3D view
+export type AnimationFrameRenderer = (ctx: CanvasRenderingContext2D, width: number, height: number, time: number) => void
+
+export const ANIMATION_SIZES = [
+  { label: 'Square 1080 px', width: 1080, height: 1080 },
+  { label: 'Portrait 1080×1350 px', width: 1080, height: 1350 },
+  { label: 'Story 1080×1920 px', width: 1080, height: 1920 },
+  { label: 'Landscape 1920×1080 px', width: 1920, height: 1080 }
+]
+
+export const ANIMATION_FRAME_RATES = [24, 30, 60]
+
+export const DEFAULT_ANIMATION_EXPORT_OPTIONS: AnimationExportOptions = {
+  format: 'webm',
+  width: 1080,
+  height: 1080,
+  duration: 6,
+  fps: 30,
+  transparent: false,
+  background: '#000000'
+}
+
+const MAX_ANIMATION_SIDE = 4096 // px
+const MAX_ANIMATION_DURATION = 60 // s
+const VIDEO_BITRATE = 12_000_000 // bit/s, enough for the fine ring lines at 1080 px
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+
+let frameRenderer: AnimationFrameRenderer | null = null
+
+// Returns the unregister function for the effect cleanup
+export function registerAnimationRenderer(renderer: AnimationFrameRenderer): () => void {
+  frameRenderer = renderer
+  return () => {
+    if (frameRenderer === renderer) frameRenderer = null
+  }
+}
+
+const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Records one frame per drawFrame call. The recorder is paused while a frame renders and runs for
+// exactly one frame duration after it, so slow frames don't shorten the ones before them.
+async function recordWebM(
+  canvas: HTMLCanvasElement,
+  frames: number,
+  fps: number,
+  drawFrame: (frame: number) => void,
+  onProgress?: (progress: AnimationExportProgress) => void
+): Promise<Blob> {
+  const mimeType = typeof MediaRecorder === 'undefined' ? undefined : WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type))
+  if (!mimeType || !canvas.captureStream) {
+    throw new Error('This browser cannot record WebM video, export PNG frames instead')
+  }
+
+  const stream = canvas.captureStream(0) // Frames only when requested
+  const track = stream.getVideoTracks()[0] as CanvasCaptureMediaStreamTrack
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_BITRATE })
+  const chunks: Blob[] = []
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data)
+  }
+  const stopped = new Promise(resolve => { recorder.onstop = resolve })
+
+  try {
+    recorder.start()
+    recorder.pause()
+    for (let frame = 0; frame < frames; frame++) {
+      drawFrame(frame)
+      recorder.resume()
+      track.requestFrame()
+      await wait(1000 / fps)
+      recorder.pause()
+      onProgress?.({ frame: frame + 1, frames })
+    }
+  } finally {
+    recorder.stop()
+    await stopped
+    stream.getTracks().forEach(streamTrack => streamTrack.stop())
+  }
+  return new Blob(chunks, { type: 'video/webm' })
+}
+
+let crcTable: Uint32Array | null = null
+
+function crc32(bytes: Uint8Array): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      crcTable[n] = c
+    }
+  }
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// Uncompressed ZIP of the files, the PNGs are compressed already
+async function createZip(files: { name: string; blob: Blob }[]): Promise<Blob> {
+  const now = new Date()
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1)
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+  const parts: BlobPart[] = []
+  const directory: Uint8Array[] = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = new TextEncoder().encode(file.name)
+    const crc = crc32(new Uint8Array(await file.blob.arrayBuffer()))
+    const size = file.blob.size
+    if (offset + 30 + name.length + size > 0xffffffff) {
+      throw new Error('Too many frames for one archive, shorten the animation')
+    }
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true) // Version needed
+    local.setUint16(10, dosTime, true)
+    local.setUint16(12, dosDate, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, size, true)
+    local.setUint32(22, size, true)
+    local.setUint16(26, name.length, true)
+    parts.push(local.buffer, name, file.blob)
+
+    const entry = new DataView(new ArrayBuffer(46))
+    entry.setUint32(0, 0x02014b50, true)
+    entry.setUint16(4, 20, true) // Version made by
+    entry.setUint16(6, 20, true) // Version needed
+    entry.setUint16(12, dosTime, true)
+    entry.setUint16(14, dosDate, true)
+    entry.setUint32(16, crc, true)
+    entry.setUint32(20, size, true)
+    entry.setUint32(24, size, true)
+    entry.setUint16(28, name.length, true)
+    entry.setUint32(42, offset, true)
+    directory.push(new Uint8Array(entry.buffer), name)
+
+    offset += 30 + name.length + size
+  }
+
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, directorySize, true)
+  end.setUint32(16, offset, true)
+  return new Blob([...parts, ...directory, end.buffer], { type: 'application/zip' })
+}
+
+// Renders and downloads the animation of the boulder shown in the 3D view
+export async function exportAnimation(
+  boulder: BoulderData,
+  options: AnimationExportOptions,
+  onProgress?: (progress: AnimationExportProgress) => void
+): Promise<void> {
+  if (!frameRenderer) {
+    throw new Error('Open the 3D view to export an animation')
+  }
+  if (!getVisualizationState().visualizerSettings.animationEnabled) {
+    throw new Error('Turn on the animation in the visualizer settings first')
+  }
+  const width = Math.round(options.width)
+  const height = Math.round(options.height)
+  if (!(width > 0 && height > 0) || width > MAX_ANIMATION_SIDE || height > MAX_ANIMATION_SIDE) {
+    throw new Error(`Animation sizes go from 1 to ${MAX_ANIMATION_SIDE} px per side`)
+  }
+  if (!(options.duration > 0 && options.duration <= MAX_ANIMATION_DURATION)) {
+    throw new Error(`Animations last up to ${MAX_ANIMATION_DURATION} s`)
+  }
+  // WebM players show no transparency, so videos always get the background
+  const transparent = options.transparent && options.format === 'png'
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+  if (!ctx) {
+    throw new Error('Canvas is not available for an image this large')
+  }
+
+  const renderer = frameRenderer
+  const frames = Math.max(1, Math.round(options.duration * options.fps))
+  const drawFrame = (frame: number) => {
+    ctx.clearRect(0, 0, width, height)
+    if (!transparent) {
+      ctx.fillStyle = options.background
+      ctx.fillRect(0, 0, width, height)
+    }
+    renderer(ctx, width, height, frame / options.fps)
+  }
+  console.log(`🎞️ [AnimationExport] Rendering ${frames} frames of "${boulder.name}" at ${width}×${height}, ${options.fps} fps`)
+
+  try {
+    if (options.format === 'webm') {
+      const video = await recordWebM(canvas, frames, options.fps, drawFrame, onProgress)
+      downloadBlob(video, getExportFileName(boulder, `${width}x${height}-${options.fps}fps.webm`))
+      console.log(`🎞️ [AnimationExport] Saved ${(video.size / 1024 / 1024).toFixed(1)} MB of video`)
+      return
+    }
+
+    const digits = String(frames).length
+    const files: { name: string; blob: Blob }[] = []
+    for (let frame = 0; frame < frames; frame++) {
+      drawFrame(frame)
+      const blob = await new Promise<Blob | null>(resolve => canvas.toBlob(resolve, 'image/png'))
+      if (!blob) {
+        throw new Error('The browser could not encode an animation frame')
+      }
+      files.push({ name: `frame-${String(frame + 1).padStart(digits, '0')}.png`, blob })
+      onProgress?.({ frame: frame + 1, frames })
+    }
+    const zip = await createZip(files)
+    downloadBlob(zip, getExportFileName(boulder, `${width}x${height}-${options.fps}fps-frames.zip`))
+    console.log(`🎞️ [AnimationExport] Saved ${frames} frames, ${(zip.size / 1024 / 1024).toFixed(1)} MB`)
+  } finally {
+    canvas.width = 0 // Frees the pixels right away
+  }
+}
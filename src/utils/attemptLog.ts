@@ -0,0 +1,112 @@
+// Attempt log - real attempt history per boulder
+// A recording (Phyphox or uploaded CSV) can be tagged as an attempt of another boulder in the library.
+// Its high point is the number of moves detected in that recording, compared to the boulder's move count.
+// A fall in the recording ends the attempt: only the moves before it count.
+
+import type { BoulderData } from './csvLoader'
+import type { AttemptRecord } from './boulderStorage'
+import { getStoredAttempts, saveStoredAttempt, deleteStoredAttempts } from './boulderStorage'
+import { detectRecordingMoves } from './moveDetection'
+import { getRecordingFall } from './fallDetection'
+
+export type { AttemptRecord }
+
+// Let the visualizer and control panel pick up the new history
+function notifyAttemptsUpdated(boulderId: number) {
+  window.dispatchEvent(new CustomEvent('attemptsUpdated', {
+    detail: { boulderId }
+  }))
+}
+
+// Count detected moves in a recording, excluding the start move that the detector always adds.
+// Each recording is detected with its own settings, so the count doesn't depend on the selection.
+export function countDetectedMoves(boulder: BoulderData): number {
+  if (boulder.csvData && boulder.csvData.time.length > 0) {
+    return Math.max(0, detectRecordingMoves(boulder).length - 1)
+  }
+  return boulder.moves?.length || 0
+}
+
+// Moves reached in an attempt and the move it fell on. After a fall the climber gets up and
+// walks away, so only the moves before it count.
+function measureAttempt(recording: BoulderData): { movesReached: number; fellAtMove: number | null } {
+  if (!recording.csvData || recording.csvData.time.length === 0) {
+    return { movesReached: recording.moves?.length || 0, fellAtMove: null }
+  }
+
+  const moves = detectRecordingMoves(recording)
+  const fall = getRecordingFall(recording, moves)
+  const detected = Math.max(0, moves.length - 1)
+  return fall
+    ? { movesReached: Math.min(detected, fall.moveIndex - 1), fellAtMove: fall.moveIndex }
+    : { movesReached: detected, fellAtMove: null }
+}
+
+export function getAllAttempts(): AttemptRecord[] {
+  return getStoredAttempts()
+}
+
+// Attempts on a boulder in chronological order
+export function getAttemptsForBoulder(boulderId: number): AttemptRecord[] {
+  return getStoredAttempts()
+    .filter(attempt => attempt.boulderId === boulderId)
+    .sort((a, b) => new Date(a.recordedAt).getTime() - new Date(b.recordedAt).getTime())
+}
+
+export function getAttemptForRecording(recordingId: number): AttemptRecord | null {
+  return getStoredAttempts().find(attempt => attempt.recordingId === recordingId) || null
+}
+
+// Tag a recording as an attempt of a boulder. A recording belongs to at most one boulder,
+// so re-tagging replaces any previous entry.
+export async function tagRecordingAsAttempt(recording: BoulderData, boulder: BoulderData): Promise<AttemptRecord> {
+  if (recording.id === boulder.id) {
+    throw new Error('A recording cannot be an attempt of itself')
+  }
+
+  const { movesReached, fellAtMove } = measureAttempt(recording)
+  const totalMoves = countDetectedMoves(boulder)
+  // Jumping off from the top looks like a fall too, with every move done it's a send
+  const completed = totalMoves > 0 && movesReached >= totalMoves
+
+  const attempt: AttemptRecord = {
+    id: Date.now(),
+    boulderId: boulder.id,
+    recordingId: recording.id,
+    recordingName: recording.name,
+    recordedAt: recording.recordedAt || new Date().toISOString(),
+    movesReached,
+    totalMoves,
+    completed,
+    fellAtMove: completed ? null : fellAtMove
+  }
+
+  const previous = getStoredAttempts().filter(existing => existing.recordingId === recording.id)
+  if (previous.length > 0) {
+    await deleteStoredAttempts(previous.map(existing => existing.id))
+  }
+  await saveStoredAttempt(attempt)
+  // The recording may have been an attempt of another boulder before
+  previous.forEach(existing => existing.boulderId !== boulder.id && notifyAttemptsUpdated(existing.boulderId))
+  notifyAttemptsUpdated(boulder.id)
+
+  console.log(`🧗 [AttemptLog] Tagged "${recording.name}" as attempt of "${boulder.name}" (${movesReached}/${totalMoves} moves${attempt.fellAtMove ? `, fell on move ${attempt.fellAtMove}` : ''})`)
+  return attempt
+}
+
+export async function untagRecording(recordingId: number): Promise<void> {
+  const existing = getStoredAttempts().filter(attempt => attempt.recordingId === recordingId)
+  if (existing.length === 0) return
+
+  await deleteStoredAttempts(existing.map(attempt => attempt.id))
+  new Set(existing.map(attempt => attempt.boulderId)).forEach(boulderId => notifyAttemptsUpdated(boulderId))
+  console.log(`🗑️ [AttemptLog] Removed attempt for recording ${recordingId}`)
+}
+
+// High point as a 0-1 fraction of the boulder. Pass the boulder's current move count to
+// follow changes in the move detection settings, otherwise the count at tagging time is used.
+export function getAttemptHighPoint(attempt: AttemptRecord, totalMoves: number = attempt.totalMoves): number {
+  if (attempt.completed) return 1.0
+  if (totalMoves <= 0) return 0
+  return Math.min(1.0, attempt.movesReached / totalMoves)
+}
@@ -0,0 +1,603 @@
+// Boulder library storage on IndexedDB
+// Boulders, their sensor data, move detection settings, threshold configs, climbing sessions, climber
+// profiles and the attempt log live in separate object stores, so long recordings no longer share the ~5 MB localStorage quota with everything else.
+// Everything is loaded into memory by initBoulderStorage() before the app renders: reads stay
+// synchronous, writes update the cache right away and are persisted in order in the background.
+
+import type { BoulderData, CSVData } from './csvLoader'
+import type { MoveDetectionStrategyId } from './moveDetection'
+import type { PhyphoxMetadata } from './phyphoxArchive'
+import type { RecordingFall } from './fallDetection'
+
+export type PhyphoxRawData = Record<string, { buffer: number[] }>
+
+// Library entry without its sensor data
+export interface BoulderRecord {
+  id: number
+  name: string
+  source?: BoulderData['source']
+  grade?: string
+  gradeSystem?: string
+  routeSetter?: string
+  numberOfMoves?: number
+  date?: string
+  recordedAt?: string
+  updatedAt?: string
+  moves?: any[]
+  stats?: BoulderData['stats']
+  // Manual boulders
+  betaInsight?: string
+  manualMoves?: BoulderData['manualMoves']
+  // Recordings
+  totalDataPoints?: number
+  uploadedFile?: string
+  deviceMetadata?: PhyphoxMetadata
+  isLiveRecording?: boolean
+  fall?: RecordingFall | null // First fall of the recording, null when there was none
+  error?: string
+}
+
+// Sensor data of a library entry, in its own store so listing boulders stays cheap
+export interface RecordingRecord {
+  boulderId: number
+  rawData?: PhyphoxRawData // Phyphox buffers (acc_time, accX, ...)
+  csvData?: CSVData // Processed data of uploads and cropped recordings
+}
+
+// A library entry as the app uses it, same shape as the old `climbing-boulders` entries
+export type StoredBoulder = BoulderRecord & Omit<RecordingRecord, 'boulderId'>
+
+// Move detection settings saved per boulder
+export interface BoulderSettingsRecord {
+  boulderId: number
+  moveDetectionStrategy?: MoveDetectionStrategyId
+  moveThreshold?: number
+  minStillDuration?: number
+  minMoveDuration?: number
+  maxMoveDuration?: number
+  maxMoveSequence?: number
+  savedAt: string
+}
+
+// Threshold config per boulder (BoulderConfigContext)
+export interface BoulderConfigRecord {
+  id: number
+  name: string
+  threshold: number
+  grade?: string
+  difficulty?: string
+  notes?: string
+  lastModified: Date
+}
+
+// Climbing session, owns the recordings made during it (see sessions.ts)
+export interface SessionRecord {
+  id: number
+  date: string // YYYY-MM-DD
+  location: string
+  climber: string
+  notes: string
+  hardMoveAcceleration?: number // m/s² above the resting level a hard move peaks at, missing in older sessions
+  recordingIds: number[]
+  createdAt: string
+}
+
+// Climber profile, owns the recordings climbed by them (see climbers.ts)
+export interface ClimberRecord {
+  id: number
+  name: string
+  height?: number // cm
+  apeIndex?: number // Arm span minus height, cm
+  bodyMass?: number // kg
+  recordingIds: number[]
+  createdAt: string
+}
+
+// Recording tagged as an attempt of a boulder (see attemptLog.ts)
+export interface AttemptRecord {
+  id: number
+  boulderId: number // Boulder this attempt was made on
+  recordingId: number // Library entry holding the sensor data of the attempt
+  recordingName: string
+  recordedAt: string
+  movesReached: number // Detected moves in the recording (start move excluded)
+  totalMoves: number // Moves on the boulder when the attempt was tagged (start move excluded)
+  completed: boolean
+  fellAtMove?: number | null // Move the climber fell on, missing for attempts tagged before falls were detected
+}
+
+export interface StorageQuota {
+  usage: number // Bytes used by this origin
+  quota: number // Bytes available to this origin
+  persisted: boolean // Whether the browser may evict the data under storage pressure
+}
+
+type StoreName = 'boulders' | 'recordings' | 'settings' | 'configs' | 'sessions' | 'climbers' | 'attempts'
+
+const DB_NAME = 'climbing-viz'
+const STORE_NAMES: StoreName[] = ['boulders', 'recordings', 'settings', 'configs', 'sessions', 'climbers', 'attempts']
+
+// Schema migrations, SCHEMA_MIGRATIONS[n] upgrades a database from version n to n + 1.
+// Add new steps at the end, never change old ones: existing databases have already run them.
+const SCHEMA_MIGRATIONS: Array<(db: IDBDatabase, transaction: IDBTransaction) => void> = [
+  // v1: initial stores
+  (db) => {
+    db.createObjectStore('boulders', { keyPath: 'id' })
+    db.createObjectStore('recordings', { keyPath: 'boulderId' })
+    db.createObjectStore('settings', { keyPath: 'boulderId' })
+    db.createObjectStore('configs', { keyPath: 'id' })
+  },
+  // v2: climbing sessions
+  (db) => {
+    db.createObjectStore('sessions', { keyPath: 'id' })
+  },
+  // v3: climber profiles
+  (db) => {
+    db.createObjectStore('climbers', { keyPath: 'id' })
+  },
+  // v4: attempt log, kept in localStorage before
+  (db) => {
+    db.createObjectStore('attempts', { keyPath: 'id' })
+  }
+]
+const DB_VERSION = SCHEMA_MIGRATIONS.length
+
+// localStorage keys used before IndexedDB, moved over on first start
+const LEGACY_BOULDERS_KEY = 'climbing-boulders'
+const LEGACY_CONFIGS_KEY = 'climbing-viz-boulder-configs'
+const LEGACY_SETTINGS_PREFIX = 'boulder-settings-'
+const LEGACY_ATTEMPTS_KEY = 'climbing-attempts'
+// Only written by the localStorage fallback
+const LEGACY_SESSIONS_KEY = 'climbing-sessions'
+const LEGACY_CLIMBERS_KEY = 'climbing-climbers'
+
+const cache = {
+  boulders: new Map<number, BoulderRecord>(),
+  recordings: new Map<number, RecordingRecord>(),
+  settings: new Map<number, BoulderSettingsRecord>(),
+  configs: new Map<number, BoulderConfigRecord>(),
+  sessions: new Map<number, SessionRecord>(),
+  climbers: new Map<number, ClimberRecord>(),
+  attempts: new Map<number, AttemptRecord>()
+}
+
+let db: IDBDatabase | null = null
+let initPromise: Promise<void> | null = null
+let writeQueue: Promise<void> = Promise.resolve()
+let useLegacyStorage = false // IndexedDB unavailable (e.g. some private browsing modes)
+
+function requestToPromise<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function transactionDone(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'))
+  })
+}
+
+function openDatabase(): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = (event) => {
+      const database = request.result
+      const transaction = request.transaction!
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        console.log(`🗄️ [BoulderStorage] Migrating database schema to v${version + 1}`)
+        SCHEMA_MIGRATIONS[version](database, transaction)
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+    request.onblocked = () => console.warn('⚠️ [BoulderStorage] Database upgrade blocked by another open tab')
+  })
+}
+
+// Split an app-side boulder into its library record and sensor data
+function splitBoulder(boulder: StoredBoulder): { record: BoulderRecord; recording: RecordingRecord | null } {
+  const { rawData, csvData, ...record } = boulder
+  return {
+    record,
+    recording: rawData || csvData ? { boulderId: boulder.id, rawData, csvData } : null
+  }
+}
+
+function joinBoulder(record: BoulderRecord): StoredBoulder {
+  const recording = cache.recordings.get(record.id)
+  return recording ? { ...record, rawData: recording.rawData, csvData: recording.csvData } : { ...record }
+}
+
+function readLegacyData() {
+  const boulders: StoredBoulder[] = []
+  const settings: BoulderSettingsRecord[] = []
+  const configs: BoulderConfigRecord[] = []
+  const sessions: SessionRecord[] = []
+  const climbers: ClimberRecord[] = []
+  const attempts: AttemptRecord[] = []
+  const keys: string[] = []
+
+  try {
+    const storedBoulders = localStorage.getItem(LEGACY_BOULDERS_KEY)
+    if (storedBoulders) {
+      boulders.push(...JSON.parse(storedBoulders).filter((boulder: any) => typeof boulder?.id === 'number'))
+      keys.push(LEGACY_BOULDERS_KEY)
+    }
+
+    const storedConfigs = localStorage.getItem(LEGACY_CONFIGS_KEY)
+    if (storedConfigs) {
+      JSON.parse(storedConfigs).forEach(([id, config]: [number, any]) => {
+        configs.push({ ...config, id, lastModified: new Date(config.lastModified) })
+      })
+      keys.push(LEGACY_CONFIGS_KEY)
+    }
+
+    const storedSessions = localStorage.getItem(LEGACY_SESSIONS_KEY)
+    if (storedSessions) {
+      sessions.push(...JSON.parse(storedSessions))
+      keys.push(LEGACY_SESSIONS_KEY)
+    }
+
+    const storedClimbers = localStorage.getItem(LEGACY_CLIMBERS_KEY)
+    if (storedClimbers) {
+      climbers.push(...JSON.parse(storedClimbers))
+      keys.push(LEGACY_CLIMBERS_KEY)
+    }
+
+    const storedAttempts = localStorage.getItem(LEGACY_ATTEMPTS_KEY)
+    if (storedAttempts) {
+      attempts.push(...JSON.parse(storedAttempts).filter((attempt: any) => typeof attempt?.id === 'number'))
+      keys.push(LEGACY_ATTEMPTS_KEY)
+    }
+
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(LEGACY_SETTINGS_PREFIX))
+      .forEach(key => {
+        const boulderId = Number(key.slice(LEGACY_SETTINGS_PREFIX.length))
+        if (!isFinite(boulderId)) return
+        settings.push({ savedAt: new Date().toISOString(), ...JSON.parse(localStorage.getItem(key) || '{}'), boulderId })
+        keys.push(key)
+      })
+  } catch (error) {
+    console.error('[BoulderStorage] Error reading legacy localStorage data:', error)
+  }
+
+  return { boulders, settings, configs, sessions, climbers, attempts, keys }
+}
+
+function fillCache({ boulders, settings, configs, sessions, climbers, attempts }: ReturnType<typeof readLegacyData>) {
+  boulders.forEach(boulder => {
+    const { record, recording } = splitBoulder(boulder)
+    cache.boulders.set(record.id, record)
+    if (recording) cache.recordings.set(record.id, recording)
+  })
+  settings.forEach(record => cache.settings.set(record.boulderId, record))
+  configs.forEach(record => cache.configs.set(record.id, record))
+  sessions.forEach(record => cache.sessions.set(record.id, record))
+  climbers.forEach(record => cache.climbers.set(record.id, record))
+  attempts.forEach(record => cache.attempts.set(record.id, record))
+}
+
+// Move data saved by older versions from localStorage into IndexedDB.
+// The localStorage keys are only removed once the data is safely written.
+async function migrateLegacyData(database: IDBDatabase) {
+  const legacy = readLegacyData()
+  if (legacy.keys.length === 0) return
+
+  console.log(`🗄️ [BoulderStorage] Moving ${legacy.boulders.length} boulders, ${legacy.settings.length} settings and ${legacy.configs.length} configs from localStorage`)
+
+  const transaction = database.transaction(STORE_NAMES, 'readwrite')
+  legacy.boulders.forEach(boulder => {
+    const { record, recording } = splitBoulder(boulder)
+    transaction.objectStore('boulders').put(record)
+    if (recording) transaction.objectStore('recordings').put(recording)
+  })
+  legacy.settings.forEach(record => transaction.objectStore('settings').put(record))
+  legacy.configs.forEach(record => transaction.objectStore('configs').put(record))
+  legacy.sessions.forEach(record => transaction.objectStore('sessions').put(record))
+  legacy.climbers.forEach(record => transaction.objectStore('climbers').put(record))
+  legacy.attempts.forEach(record => transaction.objectStore('attempts').put(record))
+  await transactionDone(transaction)
+
+  legacy.keys.forEach(key => localStorage.removeItem(key))
+  console.log('✅ [BoulderStorage] Legacy localStorage data migrated')
+}
+
+async function loadCache(database: IDBDatabase) {
+  const transaction = database.transaction(STORE_NAMES, 'readonly')
+  const [boulders, recordings, settings, configs, sessions, climbers, attempts] = await Promise.all([
+    requestToPromise(transaction.objectStore('boulders').getAll() as IDBRequest<BoulderRecord[]>),
+    requestToPromise(transaction.objectStore('recordings').getAll() as IDBRequest<RecordingRecord[]>),
+    requestToPromise(transaction.objectStore('settings').getAll() as IDBRequest<BoulderSettingsRecord[]>),
+    requestToPromise(transaction.objectStore('configs').getAll() as IDBRequest<BoulderConfigRecord[]>),
+    requestToPromise(transaction.objectStore('sessions').getAll() as IDBRequest<SessionRecord[]>),
+    requestToPromise(transaction.objectStore('climbers').getAll() as IDBRequest<ClimberRecord[]>),
+    requestToPromise(transaction.objectStore('attempts').getAll() as IDBRequest<AttemptRecord[]>)
+  ])
+
+  // Entries written before loading finished are newer than the stored ones
+  boulders.forEach(record => !cache.boulders.has(record.id) && cache.boulders.set(record.id, record))
+  recordings.forEach(record => !cache.recordings.has(record.boulderId) && cache.recordings.set(record.boulderId, record))
+  settings.forEach(record => !cache.settings.has(record.boulderId) && cache.settings.set(record.boulderId, record))
+  configs.forEach(record => !cache.configs.has(record.id) && cache.configs.set(record.id, record))
+  sessions.forEach(record => !cache.sessions.has(record.id) && cache.sessions.set(record.id, record))
+  climbers.forEach(record => !cache.climbers.has(record.id) && cache.climbers.set(record.id, record))
+  attempts.forEach(record => !cache.attempts.has(record.id) && cache.attempts.set(record.id, record))
+}
+
+// Open the database, migrate old data and load everything into memory. Safe to call more than once.
+export function initBoulderStorage(): Promise<void> {
+  if (!initPromise) {
+    initPromise = (async () => {
+      try {
+        db = await openDatabase()
+        await migrateLegacyData(db)
+        await loadCache(db)
+        console.log(`🗄️ [BoulderStorage] Loaded ${cache.boulders.size} boulders (${cache.recordings.size} with sensor data)`)
+      } catch (error) {
+        console.error('[BoulderStorage] IndexedDB unavailable, falling back to localStorage:', error)
+        console.warn('[BoulderStorage] Raw Phyphox buffers are kept for this visit only')
+        db = null
+        useLegacyStorage = true
+        const legacy = readLegacyData()
+        fillCache(legacy)
+        return
+      }
+
+      // Ask the browser not to evict the library under storage pressure
+      navigator.storage?.persist?.().catch(() => {})
+    })()
+  }
+  return initPromise
+}
+
+// Fallback persistence in the old localStorage format. Raw Phyphox buffers don't fit its quota, so
+// recordings keep only their processed data there. Phyphox recordings without any lose their
+// sensor data on reload.
+function writeLegacyData() {
+  const boulders = getStoredBoulders().map(({ rawData, ...boulder }) => boulder)
+  localStorage.setItem(LEGACY_BOULDERS_KEY, JSON.stringify(boulders))
+  localStorage.setItem(LEGACY_CONFIGS_KEY, JSON.stringify(
+    Array.from(cache.configs.values()).map(config => [config.id, { ...config, lastModified: config.lastModified.toISOString() }])
+  ))
+  Object.keys(localStorage)
+    .filter(key => key.startsWith(LEGACY_SETTINGS_PREFIX))
+    .forEach(key => localStorage.removeItem(key))
+  cache.settings.forEach(({ boulderId, ...settings }) => {
+    localStorage.setItem(`${LEGACY_SETTINGS_PREFIX}${boulderId}`, JSON.stringify(settings))
+  })
+  localStorage.setItem(LEGACY_SESSIONS_KEY, JSON.stringify(Array.from(cache.sessions.values())))
+  localStorage.setItem(LEGACY_CLIMBERS_KEY, JSON.stringify(Array.from(cache.climbers.values())))
+  localStorage.setItem(LEGACY_ATTEMPTS_KEY, JSON.stringify(Array.from(cache.attempts.values())))
+}
+
+// Queue a write so they reach the database in the order they were made
+function persist(write: (stores: (name: StoreName) => IDBObjectStore) => void): Promise<void> {
+  const run = async () => {
+    await initBoulderStorage()
+    if (useLegacyStorage || !db) {
+      writeLegacyData()
+      return
+    }
+    const transaction = db.transaction(STORE_NAMES, 'readwrite')
+    write(name => transaction.objectStore(name))
+    await transactionDone(transaction)
+  }
+
+  const result = writeQueue.then(run)
+  writeQueue = result.catch(error => {
+    console.error('[BoulderStorage] Failed to write to storage:', error)
+  })
+  return result
+}
+
+// --- Boulders ---
+
+export function getStoredBoulders(): StoredBoulder[] {
+  return Array.from(cache.boulders.values()).map(joinBoulder)
+}
+
+export function getStoredBoulder(id: number): StoredBoulder | null {
+  const record = cache.boulders.get(id)
+  return record ? joinBoulder(record) : null
+}
+
+// Add or replace a boulder together with its sensor data
+export function saveStoredBoulder(boulder: StoredBoulder): Promise<void> {
+  const { record, recording } = splitBoulder(boulder)
+  cache.boulders.set(record.id, record)
+  if (recording) {
+    cache.recordings.set(record.id, recording)
+  } else {
+    cache.recordings.delete(record.id)
+  }
+
+  return persist(store => {
+    store('boulders').put(record)
+    if (recording) {
+      store('recordings').put(recording)
+    } else {
+      store('recordings').delete(record.id)
+    }
+  })
+}
+
+// Merge changes into a stored boulder. Resolves to the updated boulder, or null when it doesn't exist.
+export async function updateStoredBoulder(id: number, changes: Partial<StoredBoulder>): Promise<StoredBoulder | null> {
+  const existing = getStoredBoulder(id)
+  if (!existing) return null
+
+  const updated = { ...existing, ...changes, id }
+  await saveStoredBoulder(updated)
+  return updated
+}
+
+// Delete boulders with everything that points at them: their attempts, as boulder or as recording,
+// go away, sessions and climbers only lose the recordings
+export function deleteStoredBoulders(ids: number[]): Promise<void> {
+  const deleted = new Set(ids)
+  const attemptIds = Array.from(cache.attempts.values())
+    .filter(attempt => deleted.has(attempt.boulderId) || deleted.has(attempt.recordingId))
+    .map(attempt => attempt.id)
+  const unlink = <T extends { recordingIds: number[] }>(records: T[]) => records
+    .filter(record => record.recordingIds.some(id => deleted.has(id)))
+    .map(record => ({ ...record, recordingIds: record.recordingIds.filter(id => !deleted.has(id)) }))
+  const sessions = unlink(Array.from(cache.sessions.values()))
+  const climbers = unlink(Array.from(cache.climbers.values()))
+
+  ids.forEach(id => {
+    cache.boulders.delete(id)
+    cache.recordings.delete(id)
+    cache.settings.delete(id)
+  })
+  attemptIds.forEach(id => cache.attempts.delete(id))
+  sessions.forEach(session => cache.sessions.set(session.id, session))
+  climbers.forEach(climber => cache.climbers.set(climber.id, climber))
+
+  return persist(store => {
+    ids.forEach(id => {
+      store('boulders').delete(id)
+      store('recordings').delete(id)
+      store('settings').delete(id)
+    })
+    attemptIds.forEach(id => store('attempts').delete(id))
+    sessions.forEach(session => store('sessions').put(session))
+    climbers.forEach(climber => store('climbers').put(climber))
+  })
+}
+
+// --- Move detection settings ---
+
+export function getBoulderSettings(boulderId: number): BoulderSettingsRecord | null {
+  return cache.settings.get(boulderId) || null
+}
+
+export function saveBoulderSettings(boulderId: number, settings: Omit<BoulderSettingsRecord, 'boulderId'>): Promise<void> {
+  const record = { ...settings, boulderId }
+  cache.settings.set(boulderId, record)
+  return persist(store => store('settings').put(record))
+}
+
+// --- Threshold configs ---
+
+export function getBoulderConfigs(): BoulderConfigRecord[] {
+  return Array.from(cache.configs.values())
+}
+
+// Replace all configs with the given ones
+export function saveBoulderConfigs(configs: BoulderConfigRecord[]): Promise<void> {
+  cache.configs.clear()
+  configs.forEach(config => cache.configs.set(config.id, config))
+
+  return persist(store => {
+    store('configs').clear()
+    configs.forEach(config => store('configs').put(config))
+  })
+}
+
+// --- Sessions ---
+
+export function getStoredSessions(): SessionRecord[] {
+  return Array.from(cache.sessions.values())
+}
+
+export function getStoredSession(id: number): SessionRecord | null {
+  return cache.sessions.get(id) || null
+}
+
+// Add or replace sessions, several at once when recordings move between them
+export function saveStoredSessions(sessions: SessionRecord[]): Promise<void> {
+  sessions.forEach(session => cache.sessions.set(session.id, session))
+  return persist(store => sessions.forEach(session => store('sessions').put(session)))
+}
+
+export function deleteStoredSession(id: number): Promise<void> {
+  cache.sessions.delete(id)
+  return persist(store => store('sessions').delete(id))
+}
+
+// --- Climbers ---
+
+export function getStoredClimbers(): ClimberRecord[] {
+  return Array.from(cache.climbers.values())
+}
+
+export function getStoredClimber(id: number): ClimberRecord | null {
+  return cache.climbers.get(id) || null
+}
+
+// Add or replace climbers, several at once when recordings move between them
+export function saveStoredClimbers(climbers: ClimberRecord[]): Promise<void> {
+  climbers.forEach(climber => cache.climbers.set(climber.id, climber))
+  return persist(store => climbers.forEach(climber => store('climbers').put(climber)))
+}
+
+export function deleteStoredClimber(id: number): Promise<void> {
+  cache.climbers.delete(id)
+  return persist(store => store('climbers').delete(id))
+}
+
+// --- Attempts ---
+
+export function getStoredAttempts(): AttemptRecord[] {
+  return Array.from(cache.attempts.values())
+}
+
+export function saveStoredAttempt(attempt: AttemptRecord): Promise<void> {
+  cache.attempts.set(attempt.id, attempt)
+  return persist(store => store('attempts').put(attempt))
+}
+
+export function deleteStoredAttempts(ids: number[]): Promise<void> {
+  ids.forEach(id => cache.attempts.delete(id))
+  return persist(store => ids.forEach(id => store('attempts').delete(id)))
+}
+
+// --- Maintenance ---
+
+// Remove everything from the library
+export function clearBoulderStorage(): Promise<void> {
+  Object.values(cache).forEach(map => map.clear())
+  return persist(store => STORE_NAMES.forEach(name => store(name).clear()))
+}
+
+// Entry counts and approximate size of what is stored
+export function getLibraryStats() {
+  let recordingSamples = 0
+  cache.recordings.forEach(recording => {
+    recordingSamples += recording.csvData?.sampleCount || recording.rawData?.acc_time?.buffer?.length || 0
+  })
+
+  return {
+    backend: useLegacyStorage ? 'localStorage' as const : 'indexedDB' as const,
+    boulders: cache.boulders.size,
+    recordings: cache.recordings.size,
+    recordingSamples,
+    settings: cache.settings.size,
+    configs: cache.configs.size,
+    sessions: cache.sessions.size,
+    climbers: cache.climbers.size,
+    attempts: cache.attempts.size
+  }
+}
+
+// Usage and quota of this origin's storage, null when the browser doesn't report it
+export async function getStorageQuota(): Promise<StorageQuota | null> {
+  if (!navigator.storage?.estimate) return null
+
+  try {
+    const [estimate, persisted] = await Promise.all([
+      navigator.storage.estimate(),
+      navigator.storage.persisted ? navigator.storage.persisted() : Promise.resolve(false)
+    ])
+    return { usage: estimate.usage || 0, quota: estimate.quota || 0, persisted }
+  } catch (error) {
+    console.error('[BoulderStorage] Could not estimate storage quota:', error)
+    return null
+  }
+}
@@ -0,0 +1,142 @@
+// Climber profiles - who climbed a recording
+// A profile has a name, height, ape index and body mass and owns the recordings climbed by them.
+// Comparisons use the recordings of one boulder: the boulder's own recording plus its tagged attempts.
+
+import type { BoulderData } from './csvLoader'
+import type { ProcessedMove } from './moveDetection'
+import { detectRecordingMoves } from './moveDetection'
+import type { ClimberRecord } from './boulderStorage'
+import { getStoredClimbers, getStoredClimber, saveStoredClimbers, deleteStoredClimber } from './boulderStorage'
+import { getAttemptsForBoulder } from './attemptLog'
+
+export type ClimberProfile = ClimberRecord
+export type ClimberDetails = Pick<ClimberProfile, 'name' | 'height' | 'apeIndex' | 'bodyMass'>
+
+export interface ClimberRecordingMoves {
+  recording: BoulderData
+  moves: ProcessedMove[] // Start move included
+}
+
+// One climber's recordings of the compared boulder, best first (most moves, then most recent)
+export interface ClimberComparisonEntry {
+  climber: ClimberProfile
+  recordings: ClimberRecordingMoves[]
+}
+
+function notifyClimbersUpdated(climberId: number) {
+  window.dispatchEvent(new CustomEvent('climbersUpdated', {
+    detail: { climberId }
+  }))
+}
+
+export function getClimbers(): ClimberProfile[] {
+  return getStoredClimbers().sort((a, b) => a.name.localeCompare(b.name))
+}
+
+export function getClimber(id: number): ClimberProfile | null {
+  return getStoredClimber(id)
+}
+
+export function getClimberForRecording(recordingId: number): ClimberProfile | null {
+  return getStoredClimbers().find(climber => climber.recordingIds.includes(recordingId)) || null
+}
+
+// Create a profile, or update the details of an existing one
+export async function saveClimber(details: ClimberDetails, existingId?: number): Promise<ClimberProfile> {
+  const existing = existingId !== undefined ? getStoredClimber(existingId) : null
+  if (existingId !== undefined && !existing) {
+    throw new Error(`Climber ${existingId} no longer exists`)
+  }
+  if (!details.name.trim()) {
+    throw new Error('A climber needs a name')
+  }
+  if (details.bodyMass !== undefined && !(details.bodyMass > 0)) {
+    throw new Error('Body mass must be a positive number of kg')
+  }
+
+  const climber: ClimberProfile = existing
+    ? { ...existing, ...details, name: details.name.trim() }
+    : { ...details, name: details.name.trim(), id: Date.now(), recordingIds: [], createdAt: new Date().toISOString() }
+
+  await saveStoredClimbers([climber])
+  notifyClimbersUpdated(climber.id)
+  console.log(`🧗 [Climbers] Saved climber "${climber.name}"`)
+  return climber
+}
+
+// Delete a profile. Its recordings stay in the library, unattributed.
+export async function deleteClimber(id: number): Promise<void> {
+  await deleteStoredClimber(id)
+  notifyClimbersUpdated(id)
+  console.log(`🗑️ [Climbers] Deleted climber ${id}`)
+}
+
+// Attribute a recording to a climber, or to nobody with null
+export async function assignRecordingToClimber(recordingId: number, climberId: number | null): Promise<void> {
+  if (climberId !== null && !getStoredClimber(climberId)) {
+    throw new Error(`Climber ${climberId} no longer exists`)
+  }
+
+  const changed = getStoredClimbers()
+    .filter(climber => climber.id === climberId
+      ? !climber.recordingIds.includes(recordingId)
+      : climber.recordingIds.includes(recordingId))
+    .map(climber => ({
+      ...climber,
+      recordingIds: climber.id === climberId
+        ? [...climber.recordingIds, recordingId]
+        : climber.recordingIds.filter(id => id !== recordingId)
+    }))
+  if (changed.length === 0) return
+
+  await saveStoredClimbers(changed)
+  notifyClimbersUpdated(climberId ?? changed[0].id)
+}
+
+// Force in newtons for an acceleration in m/s². The sensor magnitude includes gravity,
+// so a climber hanging still reads as their body weight.
+export function accelerationToForce(acceleration: number, bodyMass: number): number {
+  return acceleration * bodyMass
+}
+
+// Body mass of whoever climbed a recording, null when unknown
+export function getRecordingBodyMass(recordingId: number): number | null {
+  return getClimberForRecording(recordingId)?.bodyMass ?? null
+}
+
+// The boulder's own recording and the recordings tagged as attempts of it
+export function getBoulderRecordings(boulder: BoulderData, boulders: BoulderData[]): BoulderData[] {
+  const attemptIds = getAttemptsForBoulder(boulder.id).map(attempt => attempt.recordingId)
+  return [boulder, ...attemptIds.map(id => boulders.find(b => b.id === id))]
+    .filter((recording): recording is BoulderData => !!recording && recording.source !== 'manual' && (recording.csvData?.time.length ?? 0) > 0)
+}
+
+export function buildClimberComparison(boulder: BoulderData, boulders: BoulderData[]): ClimberComparisonEntry[] {
+  const recordings = getBoulderRecordings(boulder, boulders)
+
+  return getClimbers()
+    .map(climber => ({
+      climber,
+      recordings: recordings
+        .filter(recording => climber.recordingIds.includes(recording.id))
+        .map(recording => ({ recording, moves: detectRecordingMoves(recording) }))
+        .sort((a, b) => b.moves.length - a.moves.length
+          || new Date(b.recording.recordedAt || 0).getTime() - new Date(a.recording.recordedAt || 0).getTime())
+    }))
+    .filter(entry => entry.recordings.length > 0)
+}
+
+// Dynamics are normalized per recording (0.1-1.0 between its softest and hardest move).
+// Rescale them over all compared recordings so the same acceleration gets the same ring size.
+export function normalizeDynamicsAcross(moveSets: ProcessedMove[][]): ProcessedMove[][] {
+  const accelerations = moveSets.flatMap(moves => moves.slice(1).map(move => move.acceleration))
+  if (accelerations.length === 0) return moveSets
+
+  const min = Math.min(...accelerations)
+  const range = Math.max(...accelerations) - min
+
+  return moveSets.map(moves => moves.map((move, index) => ({
+    ...move,
+    dynamics: index === 0 ? 0 : range > 0 ? 0.1 + ((move.acceleration - min) / range) * 0.9 : 0.5
+  })))
+}
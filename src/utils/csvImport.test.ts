@@ -0,0 +1,107 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { detectDecimalSeparator, detectDelimiter, importCSVText, readCSVTable, summarizeRowErrors } from './csvImport'
+
+const PHYPHOX_HEADER = ['Time (s)', 'Acceleration x (m/s^2)', 'Acceleration y (m/s^2)', 'Acceleration z (m/s^2)', 'Absolute acceleration (m/s^2)']
+
+describe('csvImport', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('detectDelimiter', () => {
+    it('finds comma, semicolon and tab', () => {
+      expect(detectDelimiter('a,b,c\n1,2,3\n4,5,6')).toBe(',')
+      expect(detectDelimiter('a;b;c\n1;2;3\n4;5;6')).toBe(';')
+      expect(detectDelimiter('a\tb\tc\n1\t2\t3\n4\t5\t6')).toBe('\t')
+    })
+
+    it('picks semicolon when the values contain decimal commas', () => {
+      expect(detectDelimiter('"Time (s)";"Absolute acceleration (m/s^2)"\n0,01;9,81\n0,02;10,5')).toBe(';')
+    })
+
+    it('ignores delimiters inside quoted headers', () => {
+      expect(detectDelimiter('"Time; s"\t"Acc, abs"\n1\t2\n3\t4')).toBe('\t')
+    })
+  })
+
+  describe('detectDecimalSeparator', () => {
+    it('is always a dot for comma separated files', () => {
+      expect(detectDecimalSeparator([['1', '2']], ',')).toBe('.')
+    })
+
+    it('finds decimal commas and dots in semicolon separated files', () => {
+      expect(detectDecimalSeparator([['0,01', '9,81'], ['0,02', '-1,5e-3']], ';')).toBe(',')
+      expect(detectDecimalSeparator([['0.01', '9.81'], ['0.02', '10']], ';')).toBe('.')
+    })
+  })
+
+  describe('importCSVText', () => {
+    it('reads a German locale Phyphox export', () => {
+      const text = '\uFEFF' + [
+        PHYPHOX_HEADER.map(header => `"${header}"`).join(';'),
+        '1,0E-2;0,1;0,2;9,8;9,81',
+        '2,0E-2;0,3;-0,4;9,7;9,72'
+      ].join('\r\n')
+
+      const { csvData, table, rowErrors } = importCSVText(text, 'german.csv')
+
+      expect(table.delimiter).toBe(';')
+      expect(table.decimalSeparator).toBe(',')
+      expect(rowErrors).toEqual([])
+      expect(csvData.time).toEqual([0.01, 0.02])
+      expect(csvData.absoluteAcceleration).toEqual([9.81, 9.72])
+      expect(csvData.acceleration).toEqual({ x: [0.1, 0.3], y: [0.2, -0.4], z: [9.8, 9.7] })
+    })
+
+    it('skips and reports rows with unreadable values instead of reading them as 0', () => {
+      const text = [
+        PHYPHOX_HEADER.join(','),
+        '0.0,0,0,9.8,9.8',
+        '0.1,0,0,9.8,abc',
+        '0.2,0,0,9.8,',
+        '0.3,0,0,9.8,-1',
+        '',
+        '0.4,0,0,9.8,12abc',
+        '0.5,0,0,9.8,10.2'
+      ].join('\n')
+
+      const { csvData, rowErrors, skippedRows } = importCSVText(text, 'broken.csv')
+
+      expect(csvData.time).toEqual([0, 0.5])
+      expect(csvData.absoluteAcceleration).toEqual([9.8, 10.2])
+      expect(skippedRows).toBe(4)
+      expect(rowErrors.map(error => [error.line, error.message])).toEqual([
+        [3, '"abc" is not a number'],
+        [4, 'Missing value'],
+        [5, 'Absolute acceleration cannot be negative'],
+        [7, '"12abc" is not a number']
+      ])
+      expect(rowErrors[0].column).toBe('Absolute acceleration (m/s^2)')
+      expect(summarizeRowErrors(rowErrors, skippedRows, 2)).toBe(
+        'Line 3: "abc" is not a number in "Absolute acceleration (m/s^2)"\n' +
+        'Line 4: Missing value in "Absolute acceleration (m/s^2)"\n' +
+        '…and 2 more'
+      )
+    })
+
+    it('counts lines of quoted fields with embedded newlines', () => {
+      const text = 'Time (s),"Absolute\nacceleration (m/s^2)"\n0,9.8\n0.1,x'
+      const { rowErrors } = importCSVText(text, 'quoted.csv')
+      expect(rowErrors.map(error => error.line)).toEqual([4])
+    })
+
+    it('fails with the first row error when no row can be read', () => {
+      const text = 'Time (s),Absolute acceleration (m/s^2)\n0,abc\n0.1,def'
+      expect(() => importCSVText(text, 'empty.csv')).toThrow('line 2: "abc" is not a number')
+    })
+
+    it('fails on files without data rows', () => {
+      expect(() => readCSVTable('Time (s),Absolute acceleration (m/s^2)\n')).toThrow('CSV file is too short')
+    })
+  })
+})
@@ -0,0 +1,506 @@
+// CSV import layer - turns any sensor export into CSVData
+// Handles comma, semicolon and tab delimiters, decimal commas (e.g. German locale Phyphox exports),
+// quoted fields and header names from other logger apps. Rows with unreadable values are reported
+// instead of being read as 0.
+
+import type { CSVData, AxisChannels } from './csvLoader'
+
+export type CSVDelimiter = ',' | ';' | '\t'
+export type DecimalSeparator = '.' | ','
+
+export interface CSVTable {
+  headers: string[]
+  rows: string[][]
+  lineNumbers: number[] // Line in the file where each row starts (1-based, header is line 1)
+  delimiter: CSVDelimiter
+  decimalSeparator: DecimalSeparator
+}
+
+export interface AxisColumns {
+  x: number
+  y: number
+  z: number
+}
+
+export type SensorChannel = 'acceleration' | 'linearAcceleration' | 'gyroscope'
+export const SENSOR_CHANNELS: SensorChannel[] = ['acceleration', 'linearAcceleration', 'gyroscope']
+
+// Column indices for every field we import, null when the file doesn't have it
+export interface CSVColumnMapping {
+  time: number | null
+  timeScale: number // Multiplier to seconds (0.001 for millisecond columns)
+  absoluteAcceleration: number | null // null = calculated from the acceleration axes
+  acceleration: AxisColumns | null
+  linearAcceleration: AxisColumns | null
+  gyroscope: AxisColumns | null
+  pressure: number | null // Air pressure (hPa)
+}
+
+export interface CSVRowError {
+  file?: string // Set for files read from an archive
+  line: number
+  column: string
+  value: string
+  message: string
+}
+
+export interface CSVImportResult {
+  csvData: CSVData
+  rowErrors: CSVRowError[] // First rows that could not be read
+  skippedRows: number // All rows that could not be read
+  table: CSVTable
+  mapping: CSVColumnMapping
+}
+
+const DELIMITERS: CSVDelimiter[] = [',', ';', '\t']
+const MAX_REPORTED_ROW_ERRORS = 100
+
+// Split text into records, honouring quoted fields ("a;b", "say ""hi""", embedded newlines)
+function splitRecords(text: string, delimiter: CSVDelimiter): { fields: string[]; line: number }[] {
+  const records: { fields: string[]; line: number }[] = []
+  let fields: string[] = []
+  let field = ''
+  let inQuotes = false
+  let line = 1
+  let recordLine = 1
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"'
+          i++
+        } else {
+          inQuotes = false
+        }
+      } else {
+        if (char === '\n') line++
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      fields.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      fields.push(field)
+      records.push({ fields, line: recordLine })
+      fields = []
+      field = ''
+      line++
+      recordLine = line
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || fields.length > 0) {
+    fields.push(field)
+    records.push({ fields, line: recordLine })
+  }
+
+  // Drop blank lines
+  return records.filter(record => record.fields.some(value => value.trim() !== ''))
+}
+
+// The delimiter that splits the first lines into the same (largest) number of fields
+export function detectDelimiter(text: string): CSVDelimiter {
+  const sample = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 10).join('\n')
+  let best: CSVDelimiter = ','
+  let bestScore = -1
+
+  for (const delimiter of DELIMITERS) {
+    const records = splitRecords(sample, delimiter)
+    if (records.length === 0) continue
+    const headerCount = records[0].fields.length
+    if (headerCount < 2) continue
+
+    const consistentRows = records.filter(record => record.fields.length === headerCount).length
+    const score = consistentRows * 1000 + headerCount
+    if (score > bestScore) {
+      bestScore = score
+      best = delimiter
+    }
+  }
+
+  return best
+}
+
+// Decimal comma is only possible when commas don't separate fields
+export function detectDecimalSeparator(rows: string[][], delimiter: CSVDelimiter): DecimalSeparator {
+  if (delimiter === ',') return '.'
+
+  let commaValues = 0
+  let dotValues = 0
+  for (const row of rows.slice(0, 50)) {
+    for (const value of row) {
+      const trimmed = value.trim()
+      if (/^[-+]?\d*,\d+([eE][-+]?\d+)?$/.test(trimmed)) commaValues++
+      else if (/^[-+]?\d*\.\d+([eE][-+]?\d+)?$/.test(trimmed)) dotValues++
+    }
+  }
+
+  return commaValues > dotValues ? ',' : '.'
+}
+
+export function readCSVTable(text: string): CSVTable {
+  // Strip a UTF-8 byte order mark (Excel exports)
+  const cleanText = text.replace(/^\uFEFF/, '')
+  const delimiter = detectDelimiter(cleanText)
+  const records = splitRecords(cleanText, delimiter)
+
+  if (records.length < 2) {
+    throw new Error('CSV file is too short')
+  }
+
+  const headers = records[0].fields.map(header => header.trim())
+  const dataRecords = records.slice(1)
+  const rows = dataRecords.map(record => record.fields)
+  const decimalSeparator = detectDecimalSeparator(rows, delimiter)
+
+  console.log(`📄 [csvImport] ${rows.length} rows, delimiter ${delimiter === '\t' ? 'tab' : `"${delimiter}"`}, decimal "${decimalSeparator}"`)
+
+  return {
+    headers,
+    rows,
+    lineNumbers: dataRecords.map(record => record.line),
+    delimiter,
+    decimalSeparator
+  }
+}
+
+// Strict number parsing: "12abc" or "" is an error, not 12 or 0
+export function parseNumber(value: string, decimalSeparator: DecimalSeparator): number {
+  let trimmed = value.trim()
+  if (trimmed === '') return NaN
+  if (decimalSeparator === ',') trimmed = trimmed.replace(',', '.')
+  return Number(trimmed)
+}
+
+function normalizeHeader(header: string): string {
+  return header.toLowerCase().replace(/[_\-]+/g, ' ').replace(/\s+/g, ' ').trim()
+}
+
+// Axis letter of a header: "Acceleration x (m/s^2)", "acc_x", "gyroX", "x"
+function headerAxis(header: string): keyof AxisColumns | null {
+  const withoutUnit = header.replace(/\(.*?\)|\[.*?\]/g, '').trim()
+  const match = withoutUnit.match(/(?:^|[\s.])([xyz])$/) || withoutUnit.match(/^(?:acc|accel|gyro|rot)([xyz])$/)
+  return match ? match[1] as keyof AxisColumns : null
+}
+
+function headerChannel(header: string): SensorChannel | null {
+  if (/gyro|rotation rate|drehrate/.test(header)) return 'gyroscope'
+  if (/linear|user acc|without g|ohne g/.test(header)) return 'linearAcceleration'
+  if (/acc|beschleunigung/.test(header)) return 'acceleration'
+  // Bare "x"/"y"/"z" columns, e.g. per-sensor files of other logger apps
+  if (/^[xyz](\s*\(.*\))?$/.test(header)) return 'acceleration'
+  return null
+}
+
+// Recognize columns from Phyphox (English and German) and common logger app headers
+export function detectColumnMapping(headers: string[]): CSVColumnMapping {
+  const mapping: CSVColumnMapping = {
+    time: null,
+    timeScale: 1,
+    absoluteAcceleration: null,
+    acceleration: null,
+    linearAcceleration: null,
+    gyroscope: null,
+    pressure: null
+  }
+  const axes: Partial<Record<SensorChannel, Partial<AxisColumns>>> = {}
+
+  const normalizedHeaders = headers.map(normalizeHeader)
+
+  // Relative seconds beat absolute timestamps when a logger writes both
+  const elapsedIndex = normalizedHeaders.findIndex(header => /seconds elapsed|elapsed time/.test(header))
+  const timeIndex = elapsedIndex !== -1 ? elapsedIndex
+    : normalizedHeaders.findIndex(header => /\btime\b|timestamp|\bzeit\b|^t(\s*\(.*\))?$/.test(header))
+  if (timeIndex !== -1) {
+    mapping.time = timeIndex
+    mapping.timeScale = /\(ms\)|\bms\b|millis/.test(normalizedHeaders[timeIndex]) ? 0.001 : 1
+  }
+
+  normalizedHeaders.forEach((header, index) => {
+    if (index === mapping.time) return
+
+    if (mapping.absoluteAcceleration === null &&
+        /absolute|betrag|magnitude|\bnorm\b/.test(header) &&
+        /acc|beschleunigung/.test(header)) {
+      mapping.absoluteAcceleration = index
+      return
+    }
+
+    if (mapping.pressure === null && /pressure|druck|\bhpa\b/.test(header)) {
+      mapping.pressure = index
+      return
+    }
+
+    const axis = headerAxis(header)
+    const channel = axis ? headerChannel(header) : null
+    if (axis && channel && axes[channel]?.[axis] === undefined) {
+      axes[channel] = { ...axes[channel], [axis]: index }
+    }
+  })
+
+  // Only keep channels with all three axes
+  for (const channel of SENSOR_CHANNELS) {
+    const found = axes[channel]
+    if (found?.x !== undefined && found.y !== undefined && found.z !== undefined) {
+      mapping[channel] = { x: found.x, y: found.y, z: found.z }
+    }
+  }
+
+  return mapping
+}
+
+// Time plus either an absolute acceleration column or axes to calculate it from
+export function isMappingComplete(mapping: CSVColumnMapping): boolean {
+  return mapping.time !== null &&
+    (mapping.absoluteAcceleration !== null || mapping.acceleration !== null || mapping.linearAcceleration !== null)
+}
+
+// Read one numeric cell, with the error to report when it can't be read
+function readCell(table: CSVTable, rowIndex: number, column: number): { value: number; error: CSVRowError | null } {
+  const value = table.rows[rowIndex][column] ?? ''
+  const parsed = parseNumber(value, table.decimalSeparator)
+  if (isFinite(parsed)) return { value: parsed, error: null }
+  return {
+    value: parsed,
+    error: {
+      line: table.lineNumbers[rowIndex],
+      column: table.headers[column] || `Column ${column + 1}`,
+      value,
+      message: value.trim() === '' ? 'Missing value' : `"${value}" is not a number`
+    }
+  }
+}
+
+// Build CSVData from a table. Rows with unreadable values are skipped and reported.
+export function buildCSVData(
+  table: CSVTable,
+  mapping: CSVColumnMapping,
+  filename: string
+): { csvData: CSVData; rowErrors: CSVRowError[]; skippedRows: number; timeOffset: number } {
+  if (!isMappingComplete(mapping)) {
+    throw new Error('Could not find time and acceleration columns in CSV. Map the columns manually.')
+  }
+
+  const magnitudeChannel: SensorChannel | null = mapping.absoluteAcceleration !== null ? null
+    : mapping.acceleration ? 'acceleration' : 'linearAcceleration'
+  const channels = SENSOR_CHANNELS.filter(channel => mapping[channel] !== null)
+
+  const time: number[] = []
+  const absoluteAcceleration: number[] = []
+  const pressure: number[] = []
+  const channelData: Partial<Record<SensorChannel, AxisChannels>> = {}
+  channels.forEach(channel => { channelData[channel] = { x: [], y: [], z: [] } })
+  const rowErrors: CSVRowError[] = []
+  let errorCount = 0
+
+  table.rows.forEach((row, rowIndex) => {
+    const line = table.lineNumbers[rowIndex]
+    let rowError: CSVRowError | null = null
+
+    const read = (column: number): number => {
+      if (rowError) return NaN
+      const cell = readCell(table, rowIndex, column)
+      rowError = cell.error
+      return cell.value
+    }
+
+    const timeVal = read(mapping.time!) * mapping.timeScale
+    const rowChannels: Partial<Record<SensorChannel, [number, number, number]>> = {}
+    channels.forEach(channel => {
+      const cols = mapping[channel]!
+      rowChannels[channel] = [read(cols.x), read(cols.y), read(cols.z)]
+    })
+    const pressureVal = mapping.pressure !== null ? read(mapping.pressure) : NaN
+
+    let accelVal: number
+    if (magnitudeChannel) {
+      const [x, y, z] = rowChannels[magnitudeChannel] || [NaN, NaN, NaN]
+      accelVal = Math.sqrt(x * x + y * y + z * z)
+    } else {
+      accelVal = read(mapping.absoluteAcceleration!)
+      if (!rowError && accelVal < 0) {
+        rowError = {
+          line,
+          column: table.headers[mapping.absoluteAcceleration!],
+          value: row[mapping.absoluteAcceleration!],
+          message: 'Absolute acceleration cannot be negative'
+        }
+      }
+    }
+
+    if (rowError) {
+      errorCount++
+      if (rowErrors.length < MAX_REPORTED_ROW_ERRORS) rowErrors.push(rowError)
+      return
+    }
+
+    time.push(timeVal)
+    absoluteAcceleration.push(accelVal)
+    if (mapping.pressure !== null) pressure.push(pressureVal)
+    channels.forEach(channel => {
+      const [x, y, z] = rowChannels[channel]!
+      channelData[channel]!.x.push(x)
+      channelData[channel]!.y.push(y)
+      channelData[channel]!.z.push(z)
+    })
+  })
+
+  if (time.length === 0) {
+    const firstError = rowErrors[0]
+    throw new Error(`No valid data rows found in CSV${firstError ? ` (line ${firstError.line}: ${firstError.message} in "${firstError.column}")` : ''}`)
+  }
+
+  if (errorCount > 0) {
+    console.warn(`⚠️ [csvImport] Skipped ${errorCount} of ${table.rows.length} rows in ${filename}`)
+  }
+
+  // Loggers that write absolute timestamps (epoch seconds) start at 0 like Phyphox
+  const timeOffset = time[0] > 1e6 ? time[0] : 0
+  const normalizedTime = timeOffset ? time.map(t => t - timeOffset) : time
+
+  // reduce rather than Math.max(...values), spreading long recordings overflows the call stack
+  const duration = normalizedTime.reduce((max, t) => Math.max(max, t), -Infinity) - normalizedTime.reduce((min, t) => Math.min(min, t), Infinity)
+  const maxAcceleration = absoluteAcceleration.reduce((max, value) => Math.max(max, value), -Infinity)
+  const avgAcceleration = absoluteAcceleration.reduce((a, b) => a + b, 0) / absoluteAcceleration.length
+
+  console.log(`Parsed ${time.length} valid data points. Duration: ${duration.toFixed(2)}s, Max Accel: ${maxAcceleration.toFixed(2)} m/s², Channels: ${channels.join(', ') || 'none'}${mapping.pressure !== null ? ', pressure' : ''}`)
+
+  return {
+    csvData: {
+      time: normalizedTime,
+      absoluteAcceleration,
+      filename,
+      duration,
+      maxAcceleration,
+      avgAcceleration,
+      sampleCount: time.length,
+      ...channelData,
+      ...(mapping.pressure !== null ? { pressure } : {})
+    },
+    rowErrors,
+    skippedRows: errorCount,
+    timeOffset // Subtracted from every time value
+  }
+}
+
+// Read time and one x/y/z channel from a table without acceleration magnitude,
+// e.g. the gyroscope file of a multi-sensor export. Times are in seconds, not normalized.
+export function buildAxisSeries(
+  table: CSVTable,
+  mapping: CSVColumnMapping,
+  channel: SensorChannel
+): { time: number[]; axes: AxisChannels; rowErrors: CSVRowError[]; skippedRows: number } {
+  const columns = mapping[channel]
+  if (mapping.time === null || !columns) {
+    throw new Error(`No time or ${channel} columns mapped`)
+  }
+
+  const time: number[] = []
+  const axes: AxisChannels = { x: [], y: [], z: [] }
+  const rowErrors: CSVRowError[] = []
+  let errorCount = 0
+
+  table.rows.forEach((_, rowIndex) => {
+    const cells = [mapping.time!, columns.x, columns.y, columns.z].map(column => readCell(table, rowIndex, column))
+    const rowError = cells.find(cell => cell.error)?.error
+    if (rowError) {
+      errorCount++
+      if (rowErrors.length < MAX_REPORTED_ROW_ERRORS) rowErrors.push(rowError)
+      return
+    }
+
+    time.push(cells[0].value * mapping.timeScale)
+    axes.x.push(cells[1].value)
+    axes.y.push(cells[2].value)
+    axes.z.push(cells[3].value)
+  })
+
+  return { time, axes, rowErrors, skippedRows: errorCount }
+}
+
+// Read time and pressure from a table without acceleration, e.g. the barometer file of a
+// multi-sensor export. Times are in seconds, not normalized.
+export function buildPressureSeries(
+  table: CSVTable,
+  mapping: CSVColumnMapping
+): { time: number[]; pressure: number[]; rowErrors: CSVRowError[]; skippedRows: number } {
+  if (mapping.time === null || mapping.pressure === null) {
+    throw new Error('No time or pressure column mapped')
+  }
+
+  const time: number[] = []
+  const pressure: number[] = []
+  const rowErrors: CSVRowError[] = []
+  let errorCount = 0
+
+  table.rows.forEach((_, rowIndex) => {
+    const cells = [mapping.time!, mapping.pressure!].map(column => readCell(table, rowIndex, column))
+    const rowError = cells.find(cell => cell.error)?.error
+    if (rowError) {
+      errorCount++
+      if (rowErrors.length < MAX_REPORTED_ROW_ERRORS) rowErrors.push(rowError)
+      return
+    }
+
+    time.push(cells[0].value * mapping.timeScale)
+    pressure.push(cells[1].value)
+  })
+
+  return { time, pressure, rowErrors, skippedRows: errorCount }
+}
+
+// Linear interpolation of a series onto another time base, holding the edge values outside its range.
+// Sensors sample independently, this puts gyroscope and pressure on the accelerometer's time base.
+export function resampleValues(sourceTime: number[], values: number[], targetTime: number[]): number[] {
+  const resampled: number[] = []
+  if (sourceTime.length === 0) return resampled
+  let j = 0
+
+  for (const t of targetTime) {
+    while (j < sourceTime.length - 2 && sourceTime[j + 1] < t) j++
+
+    const next = Math.min(j + 1, sourceTime.length - 1)
+    const t0 = sourceTime[j]
+    const t1 = sourceTime[next]
+    const fraction = t1 > t0 ? Math.min(1, Math.max(0, (t - t0) / (t1 - t0))) : 0
+    resampled.push(values[j] + (values[next] - values[j]) * fraction)
+  }
+
+  return resampled
+}
+
+export function resampleAxes(sourceTime: number[], axes: AxisChannels, targetTime: number[]): AxisChannels {
+  return {
+    x: resampleValues(sourceTime, axes.x, targetTime),
+    y: resampleValues(sourceTime, axes.y, targetTime),
+    z: resampleValues(sourceTime, axes.z, targetTime)
+  }
+}
+
+// Parse a CSV text in one go, using the detected mapping unless one is given
+export function importCSVText(text: string, filename: string, mapping?: CSVColumnMapping): CSVImportResult {
+  const table = readCSVTable(text)
+  const columnMapping = mapping || detectColumnMapping(table.headers)
+  const { csvData, rowErrors, skippedRows } = buildCSVData(table, columnMapping, filename)
+  return { csvData, rowErrors, skippedRows, table, mapping: columnMapping }
+}
+
+// Short human readable summary for alerts
+export function summarizeRowErrors(rowErrors: CSVRowError[], skippedRows: number, maxLines: number = 5): string {
+  const lines = rowErrors.slice(0, maxLines).map(error =>
+    `${error.file ? `${error.file} line` : 'Line'} ${error.line}: ${error.message} in "${error.column}"`
+  )
+  const shown = Math.min(rowErrors.length, maxLines)
+  if (skippedRows > shown) {
+    lines.push(`…and ${skippedRows - shown} more`)
+  }
+  return lines.join('\n')
+}
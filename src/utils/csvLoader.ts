@@ -1,4 +1,22 @@
 // CSV loading utilities for React components
+import { importCSVText, readCSVTable, detectColumnMapping, detectDelimiter, SENSOR_CHANNELS } from './csvImport'
+import type { SensorChannel, CSVColumnMapping, CSVTable, CSVRowError } from './csvImport'
+import { importPhyphoxArchive, isPhyphoxArchiveFile, getArchiveRecordedAt } from './phyphoxArchive'
+import type { PhyphoxMetadata } from './phyphoxArchive'
+import { findRecordingFall } from './fallDetection'
+import type { RecordingFall } from './fallDetection'
+import { detectRecordingMoves } from './moveDetection'
+import { loadRecordingManifest, getRecordingUrl } from './dataManifest'
+import type { RecordingManifestEntry } from './dataManifest'
+import { saveStoredBoulder } from './boulderStorage'
+import type { StoredBoulder } from './boulderStorage'
+
+export interface AxisChannels {
+  x: number[]
+  y: number[]
+  z: number[]
+}
+
 export interface CSVData {
   time: number[]
   absoluteAcceleration: number[]
@@ -7,6 +25,46 @@ export interface CSVData {
   maxAcceleration: number
   avgAcceleration: number
   sampleCount: number
+  // Per-axis channels, sample-aligned with time. Absent when the source only has the magnitude.
+  acceleration?: AxisChannels // Acceleration x/y/z (m/s²)
+  linearAcceleration?: AxisChannels // Acceleration without g x/y/z (m/s²)
+  gyroscope?: AxisChannels // Rotation rate x/y/z (rad/s)
+  pressure?: number[] // Air pressure (hPa), for the barometric altitude
+  streams?: DeviceStream[] // More phones recording along, e.g. on a wrist or ankle
+}
+
+// Colours of the other devices, shared by their traces and ring layers
+export const DEVICE_STREAM_COLORS = ['#a78bfa', '#f472b6', '#facc15']
+
+// Acceleration of another phone worn during the same recording, resampled onto time so every
+// sample lines up with the main phone's
+export interface DeviceStream {
+  label: string // Where the phone was worn, e.g. "Wrist"
+  absoluteAcceleration: number[]
+  acceleration: AxisChannels
+  clockOffset: number | null // s added to the phone's experiment time, null when the clocks couldn't be aligned
+}
+
+// Slice every sensor channel to the same sample range as time (e.g. when cropping)
+export function sliceSensorChannels(csvData: CSVData, start: number, end: number): Pick<CSVData, SensorChannel | 'pressure' | 'streams'> {
+  const sliced: Pick<CSVData, SensorChannel | 'pressure' | 'streams'> = {}
+  for (const channel of SENSOR_CHANNELS) {
+    const axes = csvData[channel]
+    if (axes) {
+      sliced[channel] = { x: axes.x.slice(start, end), y: axes.y.slice(start, end), z: axes.z.slice(start, end) }
+    }
+  }
+  if (csvData.pressure) {
+    sliced.pressure = csvData.pressure.slice(start, end)
+  }
+  if (csvData.streams) {
+    sliced.streams = csvData.streams.map(stream => ({
+      ...stream,
+      absoluteAcceleration: stream.absoluteAcceleration.slice(start, end),
+      acceleration: { x: stream.acceleration.x.slice(start, end), y: stream.acceleration.y.slice(start, end), z: stream.acceleration.z.slice(start, end) }
+    }))
+  }
+  return sliced
 }
 
 // Import BoulderConfig to get saved thresholds
@@ -43,91 +101,22 @@ export interface BoulderData {
   }
   appliedThreshold?: number
   lastUpdated?: number
-  source?: 'csv' | 'csv-upload' | 'phyphox' | 'live' | 'generated'
+  recordedAt?: string
+  routeSetter?: string
+  manualMoves?: Array<{ id: string; name: string; moveType: number; isCrux: boolean }>
+  deviceMetadata?: PhyphoxMetadata // Device and start time info of imported Phyphox archives
+  tags?: string[] // From the recording manifest
+  fall?: RecordingFall | null // Stored with the recording, undefined for recordings saved before falls were detected
+  source?: 'csv' | 'csv-upload' | 'phyphox' | 'live' | 'generated' | 'manual'
 }
 
-// Parse Phyphox CSV format
-export function parsePhyphoxCSV(csvText: string, filename: string): CSVData {
-  const lines = csvText.trim().split('\n')
-  if (lines.length < 2) {
-    throw new Error('CSV file is too short')
-  }
-
-  // Parse headers
-  const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''))
-  console.log('CSV Headers:', headers)
-
-  // Find required columns - improved detection
-  let timeCol = -1, absAccelCol = -1
-  
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase()
-    // Look for time column
-    if (header.includes('time') && header.includes('s')) {
-      timeCol = i
-    }
-    // Look for absolute acceleration column - handle both m/s² and m/s^2 formats
-    if (header.includes('absolute acceleration') || 
-        (header.includes('absolute') && header.includes('acceleration')) ||
-        (header.includes('absolute') && (header.includes('m/s²') || header.includes('m/s^2')))) {
-      absAccelCol = i
-    }
-  }
-
-  if (timeCol === -1) {
-    throw new Error('Could not find time column in CSV. Expected column with "time" and "s".')
-  }
-  if (absAccelCol === -1) {
-    throw new Error('Could not find absolute acceleration column in CSV. Expected column with "absolute acceleration".')
-  }
-
-  console.log(`Found columns - Time: ${timeCol} (${headers[timeCol]}), Absolute Acceleration: ${absAccelCol} (${headers[absAccelCol]})`)
-
-  // Parse data
-  const time: number[] = []
-  const absoluteAcceleration: number[] = []
-  let validRows = 0
-
-  for (let i = 1; i < lines.length; i++) {
-    const values = lines[i].split(',').map(v => {
-      const trimmed = v.trim().replace(/"/g, '')
-      // Handle scientific notation properly and regular numbers
-      const num = parseFloat(trimmed)
-      return isNaN(num) ? 0 : num
-    })
-
-    if (values.length <= Math.max(timeCol, absAccelCol)) continue
-
-    const timeVal = values[timeCol]
-    const accelVal = values[absAccelCol]
-
-    // More lenient validation - allow zero acceleration values and handle scientific notation
-    if (!isNaN(timeVal) && !isNaN(accelVal) && isFinite(timeVal) && isFinite(accelVal) && accelVal >= 0) {
-      time.push(timeVal)
-      absoluteAcceleration.push(accelVal)
-      validRows++
-    }
-  }
-
-  if (validRows === 0) {
-    throw new Error('No valid data rows found in CSV')
-  }
-
-  const duration = Math.max(...time) - Math.min(...time)
-  const maxAcceleration = Math.max(...absoluteAcceleration)
-  const avgAcceleration = absoluteAcceleration.reduce((a, b) => a + b, 0) / absoluteAcceleration.length
-
-  console.log(`Parsed ${validRows} valid data points. Duration: ${duration.toFixed(2)}s, Max Accel: ${maxAcceleration.toFixed(2)} m/s²`)
-
-  return {
-    time,
-    absoluteAcceleration,
-    filename,
-    duration,
-    maxAcceleration,
-    avgAcceleration,
-    sampleCount: validRows
+// Parse Phyphox CSV format (any delimiter/decimal variant). Unreadable rows are skipped and logged.
+export function parsePhyphoxCSV(csvText: string, filename: string, mapping?: CSVColumnMapping): CSVData {
+  const { csvData, rowErrors, skippedRows } = importCSVText(csvText, filename, mapping)
+  if (skippedRows > 0) {
+    console.warn(`Skipped ${skippedRows} unreadable rows in ${filename}:`, rowErrors.slice(0, 5))
   }
+  return csvData
 }
 
 // Convert CSV data to boulder format - NO MOVE DETECTION, only raw data
@@ -144,7 +133,7 @@ export function convertCSVToBoulder(csvData: CSVData, id: number): BoulderData {
   else if (maxAccel > 12) grade = 'V1-V2'
   
   // Use original filename only, remove path and extension
-  const cleanName = csvData.filename.replace(/^.*\//, '').replace('.csv', '')
+  const cleanName = csvData.filename.replace(/^.*\//, '').replace(/\.(csv|tsv|txt|zip|phyphox)$/i, '')
   
   return {
     id,
@@ -166,11 +155,11 @@ export function convertCSVToBoulder(csvData: CSVData, id: number): BoulderData {
 }
 
 // Cache for CSV discovery to prevent repeated requests
-let csvDiscoveryCache: { files: string[], timestamp: number } | null = null
+let csvDiscoveryCache: { files: RecordingManifestEntry[], timestamp: number } | null = null
 const CACHE_DURATION = 30000 // 30 seconds
 
-// Discover available CSV files
-export async function discoverCSVFiles(): Promise<string[]> {
+// Discover available CSV files from the recording manifest (public/data/index.json)
+export async function discoverCSVFiles(): Promise<RecordingManifestEntry[]> {
   // Check cache first
   if (csvDiscoveryCache && (Date.now() - csvDiscoveryCache.timestamp) < CACHE_DURATION) {
     console.log('🔍 Using cached CSV discovery results')
@@ -179,10 +168,7 @@ export async function discoverCSVFiles(): Promise<string[]> {
   
   console.log('🔍 Starting CSV file discovery...')
   
-  // No CSV files in project - user prefers local storage
-  const csvFiles: string[] = []
-  
-  console.log('🔍 No CSV files configured - using local storage only')
+  const csvFiles = await loadRecordingManifest()
   
   // Cache the results
   csvDiscoveryCache = {
@@ -190,7 +176,7 @@ export async function discoverCSVFiles(): Promise<string[]> {
     timestamp: Date.now()
   }
   
-  console.log(`🧗‍♂️ Discovered ${csvFiles.length} CSV files (using local storage)`)
+  console.log(`🧗‍♂️ Discovered ${csvFiles.length} CSV files from the recording manifest`)
   return csvFiles
 }
 
@@ -213,15 +199,15 @@ function isValidCSVContent(text: string, filepath: string): boolean {
   }
   
   const firstLine = lines[0]
-  const hasCommas = firstLine.includes(',')
-  const hasTime = firstLine.toLowerCase().includes('time')
-  const hasAcceleration = firstLine.toLowerCase().includes('acceleration')
+  const hasDelimiter = firstLine.includes(detectDelimiter(text))
+  const hasTime = /time|zeit/.test(firstLine.toLowerCase())
+  const hasAcceleration = /acceleration|beschleunigung/.test(firstLine.toLowerCase())
   
-  const isValid = hasCommas && (hasTime || hasAcceleration)
+  const isValid = hasDelimiter && (hasTime || hasAcceleration)
   
   if (!isValid) {
     console.log(`❌ File ${filepath} failed validation:`, {
-      hasCommas,
+      hasDelimiter,
       hasTime,
       hasAcceleration,
       preview: firstLine.substring(0, 100)
@@ -260,12 +246,20 @@ export async function loadAvailableBoulders(): Promise<BoulderData[]> {
   try {
     const csvFiles = await discoverCSVFiles()
     
-    for (let i = 0; i < csvFiles.length; i++) {
-      const filepath = csvFiles[i]
+    for (const entry of csvFiles) {
+      const filepath = getRecordingUrl(entry)
       
       try {
         const csvData = await loadCSVFile(filepath)
-        const boulder = convertCSVToBoulder(csvData, i + 1)
+        const boulder = convertCSVToBoulder(csvData, entry.id)
+        
+        // Manifest details replace the guesses made from the data
+        boulder.name = entry.name || boulder.name
+        boulder.grade = entry.grade || boulder.grade
+        boulder.routeSetter = entry.setter
+        boulder.recordedAt = entry.date
+        boulder.tags = entry.tags
+        boulder.csvFile = entry.file
         boulders.push(boulder)
       } catch (error) {
         console.error(`Failed to load boulder from ${filepath}:`, error)
@@ -281,55 +275,71 @@ export async function loadAvailableBoulders(): Promise<BoulderData[]> {
   }
 }
 
-// Handle file upload
-export async function handleFileUpload(file: File): Promise<BoulderData> {
-  if (!file.name.endsWith('.csv')) {
-    throw new Error('Please select a CSV file')
+// File types the importer can read (Phyphox exports tab-separated data as .csv too)
+export function isSupportedCSVFile(file: File): boolean {
+  return /\.(csv|tsv|txt)$/i.test(file.name)
+}
+
+// Read a file's table and the columns we recognize, so the UI can ask for a mapping when needed
+export async function inspectCSVFile(file: File): Promise<{ table: CSVTable; mapping: CSVColumnMapping }> {
+  const table = readCSVTable(await file.text())
+  return { table, mapping: detectColumnMapping(table.headers) }
+}
+
+export interface CSVUploadResult {
+  boulder: BoulderData
+  rowErrors: CSVRowError[]
+  skippedRows: number
+}
+
+export type UploadCSVFile = (file: File, mapping?: CSVColumnMapping) => Promise<CSVUploadResult>
+
+// Handle file upload, with a manual column mapping when the headers weren't recognized.
+// Phyphox zip archives are merged into one recording and keep their device metadata.
+export async function handleFileUpload(file: File, mapping?: CSVColumnMapping): Promise<CSVUploadResult> {
+  if (!isSupportedCSVFile(file) && !isPhyphoxArchiveFile(file)) {
+    throw new Error('Please select a CSV file or Phyphox archive')
   }
   
   try {
-    const text = await file.text()
-    const csvData = parsePhyphoxCSV(text, file.name)
+    const { csvData, rowErrors, skippedRows, metadata } = isPhyphoxArchiveFile(file)
+      ? await importPhyphoxArchive(await file.arrayBuffer(), file.name)
+      : { ...importCSVText(await file.text(), file.name, mapping), metadata: undefined }
     const boulder = convertCSVToBoulder(csvData, Date.now())
+    const displayName = file.name.replace(/\.(csv|tsv|txt|zip|phyphox)$/i, '')
+    const recordedAt = (metadata && getArchiveRecordedAt(metadata)) || new Date().toISOString()
+    if (metadata) boulder.deviceMetadata = metadata
     
-    // Save to localStorage so it persists
-    const existingBoulders = JSON.parse(localStorage.getItem('climbing-boulders') || '[]')
-    
-    // Create a boulder data object compatible with localStorage format
-    const boulderForStorage = {
+    // Create a library entry so it persists
+    const boulderForStorage: StoredBoulder = {
       id: boulder.id,
-      name: file.name.replace('.csv', ''), // Use filename as name
+      name: displayName, // Use filename as name
       grade: 'Unknown', // Default grade
       gradeSystem: 'V-Scale',
       routeSetter: 'Uploaded',
       numberOfMoves: 0, // Will be calculated by move detection
-      date: new Date().toISOString().split('T')[0], // Today's date
-      recordedAt: new Date().toISOString(),
+      date: recordedAt.split('T')[0], // Recording date for archives, today otherwise
+      recordedAt,
       moves: [],
-      rawData: {
-        // Convert CSV data back to Phyphox-like format for compatibility
-        acc_time: { buffer: csvData.time },
-        accX: { buffer: csvData.time.map(() => 0) }, // Placeholder - we don't have individual axes
-        accY: { buffer: csvData.time.map(() => 0) }, // Placeholder
-        accZ: { buffer: csvData.absoluteAcceleration } // Store absolute acceleration as Z
-      },
       source: 'csv-upload',
       totalDataPoints: csvData.sampleCount,
       uploadedFile: file.name,
-      csvData: csvData // Store original CSV data for compatibility
+      csvData: csvData, // The axes live in csvData.acceleration, magnitude-only files have none
+      // On the moves shown for this recording, detected with its own settings
+      fall: findRecordingFall(csvData, detectRecordingMoves({ id: boulder.id, csvData })),
+      ...(metadata ? { deviceMetadata: metadata } : {})
     }
     
-    existingBoulders.push(boulderForStorage)
-    localStorage.setItem('climbing-boulders', JSON.stringify(existingBoulders))
+    await saveStoredBoulder(boulderForStorage)
     
-    console.log('Successfully saved uploaded CSV to localStorage:', file.name)
+    console.log('Successfully saved uploaded CSV to the boulder library:', file.name)
     
     // Dispatch event to notify other components
     window.dispatchEvent(new CustomEvent('boulderSaved', { 
       detail: { boulder: boulderForStorage } 
     }))
     
-    return boulder
+    return { boulder, rowErrors, skippedRows }
   } catch (error) {
     console.error('Error processing uploaded file:', error)
     throw error
@@ -1,4 +1,5 @@
 // Data cleanup utilities for removing old cached data and organizing storage
+import { getStoredBoulders, deleteStoredBoulders, clearBoulderStorage, getLibraryStats, getStorageQuota } from './boulderStorage'
 
 export function clearAllCachedData() {
   console.log('🧹 Clearing all cached climbing data...')
@@ -32,6 +33,11 @@ export function clearAllCachedData() {
     }
   })
   
+  // Recordings, settings and configs live in IndexedDB
+  clearBoulderStorage()
+    .then(() => console.log('✅ Cleared boulder library'))
+    .catch(error => console.error('Failed to clear boulder library:', error))
+  
   console.log('🧗‍♂️ All cached data cleared! Ready for fresh start.')
 }
 
@@ -57,11 +63,15 @@ export function manualClearAllData() {
   
   console.log(`🧹 Cleared ${clearedKeys.length} cached keys:`, clearedKeys)
   
-  // Force page reload to start completely fresh
-  setTimeout(() => {
-    console.log('🔄 Reloading page for fresh start...')
-    window.location.reload()
-  }, 500)
+  // Force page reload to start completely fresh, once the boulder library is empty
+  clearBoulderStorage()
+    .catch(error => console.error('Failed to clear boulder library:', error))
+    .finally(() => {
+      setTimeout(() => {
+        console.log('🔄 Reloading page for fresh start...')
+        window.location.reload()
+      }, 500)
+    })
   
   return clearedKeys.length
 }
@@ -69,14 +79,14 @@ export function manualClearAllData() {
 export function clearLiveRecordings() {
   console.log('🧹 Clearing live recording data...')
   
-  // Get existing boulders and filter out live recordings
-  const existingBoulders = JSON.parse(localStorage.getItem('climbing-boulders') || '[]')
-  const filteredBoulders = existingBoulders.filter((boulder: any) => 
-    boulder.source !== 'phyphox' && !boulder.isLiveRecording
-  )
+  // Remove Phyphox and live recordings from the library
+  const liveRecordingIds = getStoredBoulders()
+    .filter(boulder => boulder.source === 'phyphox' || boulder.isLiveRecording)
+    .map(boulder => boulder.id)
   
-  localStorage.setItem('climbing-boulders', JSON.stringify(filteredBoulders))
-  console.log(`✅ Removed ${existingBoulders.length - filteredBoulders.length} live recordings`)
+  deleteStoredBoulders(liveRecordingIds)
+    .catch(error => console.error('Failed to remove live recordings:', error))
+  console.log(`✅ Removed ${liveRecordingIds.length} live recordings`)
 }
 
 export function clearOldCacheEntries() {
@@ -95,7 +105,8 @@ export function clearOldCacheEntries() {
   }
 }
 
-export function getStorageInfo() {
+// localStorage keys, boulder library contents and how much of the browser's quota is used
+export async function getStorageInfo() {
   const info = {
     totalKeys: Object.keys(localStorage).length,
     climbingKeys: Object.keys(localStorage).filter(key => 
@@ -107,46 +118,39 @@ export function getStorageInfo() {
     totalSize: 0
   }
   
-  // Calculate approximate storage size
+  // Calculate approximate localStorage size
   for (let key in localStorage) {
     info.totalSize += localStorage[key].length
   }
   
+  const quota = await getStorageQuota()
+  
   return {
     ...info,
     totalSizeKB: Math.round(info.totalSize / 1024),
-    climbingKeyCount: info.climbingKeys.length
+    climbingKeyCount: info.climbingKeys.length,
+    library: getLibraryStats(),
+    usageKB: quota ? Math.round(quota.usage / 1024) : null,
+    quotaKB: quota ? Math.round(quota.quota / 1024) : null,
+    percentUsed: quota && quota.quota > 0 ? Math.round((quota.usage / quota.quota) * 1000) / 10 : null,
+    persisted: quota?.persisted ?? false
   }
 }
 
 // Auto-cleanup function to run on app start
-export function performStartupCleanup() {
+export async function performStartupCleanup() {
   console.log('🚀 Performing startup cleanup...')
   
-  const storageInfo = getStorageInfo()
+  const storageInfo = await getStorageInfo()
   console.log('📊 Storage info before cleanup:', storageInfo)
   
   // Clear old cache entries
   clearOldCacheEntries()
   
-  // Optionally clear live recordings older than 24 hours
-  const existingBoulders = JSON.parse(localStorage.getItem('climbing-boulders') || '[]')
-  const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000)
-  
-  const filteredBoulders = existingBoulders.filter((boulder: any) => {
-    if (boulder.isLiveRecording && boulder.recordedAt) {
-      const recordedTime = new Date(boulder.recordedAt).getTime()
-      return recordedTime > oneDayAgo
-    }
-    return true
-  })
-  
-  if (filteredBoulders.length !== existingBoulders.length) {
-    localStorage.setItem('climbing-boulders', JSON.stringify(filteredBoulders))
-    console.log(`✅ Cleaned up ${existingBoulders.length - filteredBoulders.length} old live recordings`)
-  }
+  // Live recordings are library entries like any other, sessions, attempts and climbers refer to
+  // them. They are only deleted on request.
   
-  const finalStorageInfo = getStorageInfo()
+  const finalStorageInfo = await getStorageInfo()
   console.log('📊 Storage info after cleanup:', finalStorageInfo)
   console.log('🧗‍♂️ Startup cleanup complete!')
 } 
\ No newline at end of file
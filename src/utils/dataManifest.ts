@@ -0,0 +1,52 @@
+// Recording manifest - lists the recordings shipped in public/data
+// The manifest (public/data/index.json) is generated by `npm run data:manifest`
+// (scripts/generate-data-manifest.js) so recordings can keep their real file names.
+
+export interface RecordingManifestEntry {
+  id: number // Stable across regenerations, per-boulder settings are keyed by it
+  file: string // Path relative to public/data, e.g. "routes/Moonboard 6B+.csv"
+  name: string
+  grade?: string
+  setter?: string
+  date?: string // YYYY-MM-DD
+  tags: string[]
+}
+
+export interface RecordingManifest {
+  version: number
+  lastId: number // Highest id handed out so far, ids of removed files aren't reused
+  recordings: RecordingManifestEntry[]
+}
+
+export const DATA_BASE_URL = `${import.meta.env.BASE_URL}data/`
+const MANIFEST_URL = `${DATA_BASE_URL}index.json`
+
+// URL to fetch a manifest entry's file from
+export function getRecordingUrl(entry: RecordingManifestEntry): string {
+  return DATA_BASE_URL + entry.file.split('/').map(encodeURIComponent).join('/')
+}
+
+// Load the manifest. A missing or broken manifest means no bundled recordings, not an error.
+export async function loadRecordingManifest(): Promise<RecordingManifestEntry[]> {
+  try {
+    const response = await fetch(MANIFEST_URL)
+    if (!response.ok) {
+      console.log(`🔍 [dataManifest] No recording manifest at ${MANIFEST_URL} (${response.status})`)
+      return []
+    }
+
+    const manifest = await response.json() as RecordingManifest
+    if (!Array.isArray(manifest.recordings)) {
+      console.warn('⚠️ [dataManifest] Manifest has no recordings list, ignoring it')
+      return []
+    }
+
+    const recordings = manifest.recordings.filter(entry => typeof entry.file === 'string' && typeof entry.id === 'number')
+    console.log(`🔍 [dataManifest] Manifest lists ${recordings.length} recordings`)
+    return recordings
+  } catch (error) {
+    // The dev server answers unknown paths with index.html, which fails to parse
+    console.warn('⚠️ [dataManifest] Could not read recording manifest:', error)
+    return []
+  }
+}
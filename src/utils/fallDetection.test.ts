@@ -0,0 +1,172 @@
+import { describe, expect, it } from 'vitest'
+import { createFallDetector, cropFall, detectFalls, findRecordingFall, getRestingLevel, GRAVITY, locateFall } from './fallDetection'
+import type { ProcessedMove } from './moveDetection'
+
+const SAMPLE_RATE = 100 // Hz, like Phyphox
+
+interface Segment {
+  duration: number // s
+  level: number // m/s²
+}
+
+// Piecewise constant magnitude with a little sensor noise, on exact sample times
+function createSignal(segments: Segment[]) {
+  const time: number[] = []
+  const magnitude: number[] = []
+  for (const { duration, level } of segments) {
+    const samples = Math.round(duration * SAMPLE_RATE)
+    for (let i = 0; i < samples; i++) {
+      time.push(time.length / SAMPLE_RATE)
+      magnitude.push(level + (time.length % 3 - 1) * 0.2)
+    }
+  }
+  return { time, magnitude }
+}
+
+function createMove(index: number, startTime: number, endTime: number): ProcessedMove {
+  return {
+    index,
+    startTime,
+    endTime,
+    duration: endTime - startTime,
+    acceleration: 12,
+    accelerationRange: { min: 0, max: 12, avg: 6 },
+    dynamics: 0,
+    isCrux: false
+  }
+}
+
+// Climbing, then 0.5 s of freefall from 10 s on and a hard landing
+function createFallWithGravity() {
+  return createSignal([
+    { duration: 5, level: GRAVITY },
+    { duration: 1, level: GRAVITY + 6 },
+    { duration: 4, level: GRAVITY },
+    { duration: 0.5, level: 0.5 },
+    { duration: 0.2, level: GRAVITY },
+    { duration: 0.05, level: GRAVITY + 30 },
+    { duration: 3, level: GRAVITY }
+  ])
+}
+
+describe('fallDetection', () => {
+  describe('getRestingLevel', () => {
+    it('is gravity for magnitudes with g and 0 for linear acceleration', () => {
+      expect(getRestingLevel(createFallWithGravity().magnitude)).toBe(GRAVITY)
+      expect(getRestingLevel(createSignal([{ duration: 5, level: 0.3 }, { duration: 1, level: GRAVITY }]).magnitude)).toBe(0)
+      expect(getRestingLevel([])).toBe(0)
+    })
+  })
+
+  describe('with gravity', () => {
+    it('finds the freefall and the landing after it', () => {
+      const { time, magnitude } = createFallWithGravity()
+      const falls = detectFalls(time, magnitude)
+
+      expect(falls).toHaveLength(1)
+      expect(falls[0].freefallStart).toBeCloseTo(10, 9)
+      expect(falls[0].impactTime).toBeCloseTo(10.7, 9)
+      expect(falls[0].impactAcceleration).toBeCloseTo(30, 0)
+    })
+
+    it('ignores dynamic moves without freefall', () => {
+      const { time, magnitude } = createSignal([
+        { duration: 5, level: GRAVITY },
+        { duration: 0.1, level: GRAVITY + 35 },
+        { duration: 5, level: GRAVITY }
+      ])
+      expect(detectFalls(time, magnitude)).toEqual([])
+    })
+
+    it('ignores freefall that is too short', () => {
+      const { time, magnitude } = createSignal([
+        { duration: 5, level: GRAVITY },
+        { duration: 0.1, level: 0.5 },
+        { duration: 0.05, level: GRAVITY + 30 },
+        { duration: 5, level: GRAVITY }
+      ])
+      expect(detectFalls(time, magnitude)).toEqual([])
+    })
+
+    it('ignores an impact that comes too long after the freefall', () => {
+      const { time, magnitude } = createSignal([
+        { duration: 5, level: GRAVITY },
+        { duration: 0.5, level: 0.5 },
+        { duration: 2, level: GRAVITY },
+        { duration: 0.05, level: GRAVITY + 30 },
+        { duration: 5, level: GRAVITY }
+      ])
+      expect(detectFalls(time, magnitude)).toEqual([])
+    })
+
+    it('finds the same fall when the samples arrive in chunks', () => {
+      const { time, magnitude } = createFallWithGravity()
+      const detector = createFallDetector(GRAVITY)
+      const falls = []
+      for (let i = 0; i < time.length; i += 7) {
+        falls.push(...detector.push(time.slice(i, i + 7), magnitude.slice(i, i + 7)))
+      }
+      expect(falls).toEqual(detectFalls(time, magnitude))
+    })
+  })
+
+  describe('without gravity', () => {
+    // Linear acceleration sits near 1 g in freefall, the phone subtracts the gravity it doesn't feel
+    const linear = createSignal([
+      { duration: 5, level: 0 },
+      { duration: 1, level: 6 },
+      { duration: 4, level: 0 },
+      { duration: 0.5, level: GRAVITY },
+      { duration: 0.2, level: 0 },
+      { duration: 0.05, level: 25 },
+      { duration: 3, level: 0 }
+    ])
+
+    it('finds the freefall and the landing after it', () => {
+      const falls = detectFalls(linear.time, linear.magnitude)
+
+      expect(falls).toHaveLength(1)
+      expect(falls[0].freefallStart).toBeCloseTo(10, 9)
+      expect(falls[0].impactTime).toBeCloseTo(10.7, 9)
+      expect(falls[0].impactAcceleration).toBeCloseTo(25, 0)
+    })
+
+    it('does not read resting as freefall', () => {
+      const { time, magnitude } = createSignal([
+        { duration: 5, level: 0 },
+        { duration: 0.05, level: 25 },
+        { duration: 5, level: 0 }
+      ])
+      expect(detectFalls(time, magnitude)).toEqual([])
+    })
+  })
+
+  describe('locateFall', () => {
+    it('puts the fall on the move after the last completed one', () => {
+      const { time, magnitude } = createFallWithGravity()
+      const moves = [createMove(0, 0, 0), createMove(1, 5, 6), createMove(2, 8, 9.5), createMove(3, 9.8, 10.6)]
+
+      const fall = findRecordingFall({ time, absoluteAcceleration: magnitude }, moves)
+
+      expect(fall?.moveIndex).toBe(3)
+      expect(locateFall(fall!, moves.slice(0, 1)).moveIndex).toBe(1)
+    })
+  })
+
+  describe('cropFall', () => {
+    const fall = { freefallStart: 10, impactTime: 10.7, impactAcceleration: 30 }
+
+    it('moves the fall onto the cropped time axis', () => {
+      const cropped = cropFall(fall, 4, 12)
+      expect(cropped?.freefallStart).toBeCloseTo(6, 9)
+      expect(cropped?.impactTime).toBeCloseTo(6.7, 9)
+      expect(cropped?.impactAcceleration).toBe(30)
+    })
+
+    it('drops falls that are cut off', () => {
+      expect(cropFall(fall, 10.5, 12)).toBeNull()
+      expect(cropFall(fall, 0, 10.5)).toBeNull()
+      expect(cropFall(null, 0, 20)).toBeNull()
+    })
+  })
+})
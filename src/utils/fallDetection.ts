@@ -0,0 +1,110 @@
+// Fall detection
+// A fall has a clear accelerometer signature: a moment of freefall, where the phone feels next to
+// no acceleration, followed by a hard landing. Recordings store their fall and the move it happened
+// on, attempts end there, and the recording triggers stop on it while recording.
+
+import type { CSVData } from './csvLoader'
+import type { ProcessedMove } from './moveDetection'
+
+export interface FallEvent {
+  freefallStart: number // s
+  impactTime: number // s
+  impactAcceleration: number // m/s² above the resting level
+}
+
+export interface RecordingFall extends FallEvent {
+  moveIndex: number // Move the climber fell on: 1 + the moves that ended before the freefall
+}
+
+export interface FallDetector {
+  push: (time: number[], magnitude: number[]) => FallEvent[] // Append samples
+}
+
+export const GRAVITY = 9.81
+const FREEFALL_TOLERANCE = 2.5 // m/s², what the phone feels in freefall is this close to nothing
+const FREEFALL_MIN_DURATION = 0.2 // s
+const IMPACT_ACCELERATION = 20 // m/s² above the resting level when landing
+const IMPACT_WINDOW = 1.5 // s after the freefall in which the impact has to follow
+
+// GRAVITY for magnitudes with g, 0 for linear acceleration (without g)
+export function getRestingLevel(magnitude: number[]): number {
+  if (magnitude.length === 0) return 0
+  const sorted = [...magnitude].sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)] > GRAVITY / 2 ? GRAVITY : 0
+}
+
+// Falls in a growing recording, each one reported on its impact
+export function createFallDetector(restingLevel: number): FallDetector {
+  let freefallStart: number | null = null
+  let pending: number | null = null // Start of a long enough freefall, waiting for the impact
+  let freefallEnd = 0
+
+  return {
+    push: (time, magnitude) => {
+      const falls: FallEvent[] = []
+      for (let i = 0; i < Math.min(time.length, magnitude.length); i++) {
+        const t = time[i]
+        const a = magnitude[i]
+
+        // With g the magnitude drops to near 0 in freefall. Without g the phone keeps subtracting
+        // the gravity it doesn't feel anymore, so the magnitude sits near 1 g.
+        const inFreefall = (restingLevel > 0 ? a : Math.abs(a - GRAVITY)) < FREEFALL_TOLERANCE
+        if (inFreefall) {
+          if (freefallStart === null) freefallStart = t
+          continue
+        }
+        if (freefallStart !== null && t - freefallStart >= FREEFALL_MIN_DURATION) {
+          pending = freefallStart
+          freefallEnd = t
+        }
+        freefallStart = null
+
+        if (pending !== null) {
+          if (t - freefallEnd > IMPACT_WINDOW) {
+            pending = null
+          } else if (a - restingLevel >= IMPACT_ACCELERATION) {
+            falls.push({ freefallStart: pending, impactTime: t, impactAcceleration: a - restingLevel })
+            pending = null
+          }
+        }
+      }
+      return falls
+    }
+  }
+}
+
+export function detectFalls(time: number[], magnitude: number[]): FallEvent[] {
+  return createFallDetector(getRestingLevel(magnitude)).push(time, magnitude)
+}
+
+// The move a fall happened on, for the moves currently detected (start move at index 0)
+export function locateFall(fall: FallEvent, moves: ProcessedMove[]): RecordingFall {
+  const completed = moves.slice(1).filter(move => move.endTime <= fall.freefallStart).length
+  return { freefallStart: fall.freefallStart, impactTime: fall.impactTime, impactAcceleration: fall.impactAcceleration, moveIndex: completed + 1 }
+}
+
+// First fall of a recording, which ends the attempt
+export function findRecordingFall(csvData: Pick<CSVData, 'time' | 'absoluteAcceleration'>, moves: ProcessedMove[]): RecordingFall | null {
+  const [fall] = detectFalls(csvData.time, csvData.absoluteAcceleration)
+  return fall ? locateFall(fall, moves) : null
+}
+
+// Fall of a recording, stored or - for recordings saved before falls were detected (fall
+// undefined) - analysed on the spot
+export function getRecordingFallEvent(recording: { csvData?: CSVData | null; fall?: FallEvent | null }): FallEvent | null {
+  if (recording.fall !== undefined) return recording.fall
+  if (!recording.csvData || recording.csvData.time.length === 0) return null
+  return detectFalls(recording.csvData.time, recording.csvData.absoluteAcceleration)[0] || null
+}
+
+// Fall of a recording on its current moves
+export function getRecordingFall(recording: { csvData?: CSVData | null; fall?: FallEvent | null }, moves: ProcessedMove[]): RecordingFall | null {
+  const fall = getRecordingFallEvent(recording)
+  return fall ? locateFall(fall, moves) : null
+}
+
+// Fall of a recording cropped to start..end, on the cropped time axis (starting at 0)
+export function cropFall(fall: FallEvent | null, start: number, end: number): FallEvent | null {
+  if (!fall || fall.freefallStart < start || fall.impactTime > end) return null
+  return { freefallStart: fall.freefallStart - start, impactTime: fall.impactTime - start, impactAcceleration: fall.impactAcceleration }
+}
@@ -0,0 +1,166 @@
+// Audio and haptic cues while recording live
+// Coaches use them for tempo drills: a tick on every move the live detector recognises, a higher
+// tone for crux-level moves, a low tone when the climber stalls and a countdown before the start.
+// The tones are Web Audio oscillators, phones additionally vibrate where navigator.vibrate exists.
+
+import type { MoveDetectionEvent } from './moveDetection'
+
+export interface LiveCueSettings {
+  enabled: boolean
+  volume: number // 0..1
+  moveTick: boolean // Tick when a move starts
+  cruxTone: boolean // Tone when a move ends at crux level
+  stallSeconds: number // Stall tone after this long without a move, 0 turns it off
+  countdownSeconds: number // Beeps before the start command is sent, 0 starts right away
+  vibrate: boolean
+}
+
+export type LiveCue = 'move' | 'crux' | 'stall' | 'countdown' | 'go'
+
+export const DEFAULT_LIVE_CUE_SETTINGS: LiveCueSettings = {
+  enabled: false,
+  volume: 0.6,
+  moveTick: true,
+  cruxTone: true,
+  stallSeconds: 8,
+  countdownSeconds: 3,
+  vibrate: true
+}
+
+const SETTINGS_KEY = 'live-cue-settings'
+const STALE_EVENT_AGE = 2 // s, events further behind the newest sample are not cued (e.g. after re-detection)
+
+const CUE_SOUNDS: Record<LiveCue, { frequency: number; duration: number; wave: OscillatorType; vibration: number | number[] }> = {
+  move: { frequency: 1200, duration: 0.05, wave: 'square', vibration: 30 },
+  crux: { frequency: 1760, duration: 0.25, wave: 'triangle', vibration: [60, 40, 60] },
+  stall: { frequency: 220, duration: 0.6, wave: 'sawtooth', vibration: 400 },
+  countdown: { frequency: 880, duration: 0.12, wave: 'sine', vibration: 80 },
+  go: { frequency: 1320, duration: 0.4, wave: 'sine', vibration: 200 }
+}
+
+function readSettings(): LiveCueSettings {
+  try {
+    return { ...DEFAULT_LIVE_CUE_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') }
+  } catch {
+    return { ...DEFAULT_LIVE_CUE_SETTINGS }
+  }
+}
+
+let settings = readSettings()
+const listeners = new Set<() => void>()
+let audioContext: AudioContext | null = null
+
+export function getLiveCueSettings(): LiveCueSettings {
+  return settings
+}
+
+export function saveLiveCueSettings(changes: Partial<LiveCueSettings>) {
+  settings = { ...settings, ...changes }
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+  listeners.forEach(listener => listener())
+}
+
+export function subscribeToLiveCueSettings(listener: () => void): () => void {
+  listeners.add(listener)
+  return () => { listeners.delete(listener) }
+}
+
+// Browsers only let audio start from a user gesture, so enabling the cues and pressing start
+// call this before the first cue has to sound
+export function unlockLiveCueAudio(): AudioContext | null {
+  if (typeof window === 'undefined' || !window.AudioContext) return null
+  if (!audioContext) {
+    audioContext = new AudioContext()
+  }
+  if (audioContext.state === 'suspended') {
+    audioContext.resume().catch(error => console.warn('[LiveCues] Could not resume audio:', error))
+  }
+  return audioContext
+}
+
+// Plays a cue delay seconds from now, does nothing while the cues are off
+export function playLiveCue(cue: LiveCue, delay = 0) {
+  if (!settings.enabled) return
+  const sound = CUE_SOUNDS[cue]
+
+  const context = unlockLiveCueAudio()
+  if (context && settings.volume > 0) {
+    const start = context.currentTime + delay
+    const oscillator = context.createOscillator()
+    const gain = context.createGain()
+    oscillator.type = sound.wave
+    oscillator.frequency.value = sound.frequency
+    // Short fade out, cutting the oscillator off clicks
+    gain.gain.setValueAtTime(settings.volume, start)
+    gain.gain.exponentialRampToValueAtTime(0.001, start + sound.duration)
+    oscillator.connect(gain).connect(context.destination)
+    oscillator.start(start)
+    oscillator.stop(start + sound.duration)
+  }
+
+  if (settings.vibrate && typeof navigator !== 'undefined' && navigator.vibrate) {
+    if (delay > 0) {
+      setTimeout(() => navigator.vibrate(sound.vibration), delay * 1000)
+    } else {
+      navigator.vibrate(sound.vibration)
+    }
+  }
+}
+
+// Beeps every second and resolves on the final tone, send the start command then. Call it from the
+// click on start, that click also unlocks the audio for the cues during the recording.
+export async function playStartCountdown(): Promise<void> {
+  if (!settings.enabled) return
+  unlockLiveCueAudio()
+
+  const seconds = Math.round(settings.countdownSeconds)
+  if (seconds <= 0) return
+
+  for (let i = 0; i < seconds; i++) {
+    playLiveCue('countdown', i)
+  }
+  playLiveCue('go', seconds)
+  await new Promise(resolve => setTimeout(resolve, seconds * 1000))
+}
+
+export interface LiveCueTracker {
+  // Events of the streaming detector and the time of the newest sample, in recording seconds
+  handle: (events: MoveDetectionEvent[], latestTime: number) => void
+}
+
+// Turns the move events of one live recording into cues. Create a new one with every new detector.
+export function createLiveCueTracker(): LiveCueTracker {
+  let moving = false
+  let lastActivity: number | null = null // End of the last move, or the first sample
+  let nextStallCue = Infinity
+
+  return {
+    handle: (events, latestTime) => {
+      if (lastActivity === null) lastActivity = latestTime
+
+      events.forEach(event => {
+        nextStallCue = Infinity
+        if (event.type === 'move-start') {
+          moving = true
+          if (settings.moveTick && event.index > 0 && latestTime - event.startTime <= STALE_EVENT_AGE) {
+            playLiveCue('move')
+          }
+        } else {
+          moving = false
+          lastActivity = event.move.endTime
+          if (settings.cruxTone && event.move.isCrux && latestTime - event.move.endTime <= STALE_EVENT_AGE) {
+            playLiveCue('crux')
+          }
+        }
+      })
+
+      // Repeats every stallSeconds until the climber moves again
+      if (moving || settings.stallSeconds <= 0) return
+      if (nextStallCue === Infinity) nextStallCue = lastActivity + settings.stallSeconds
+      if (latestTime >= nextStallCue) {
+        playLiveCue('stall')
+        nextStallCue = latestTime + settings.stallSeconds
+      }
+    }
+  }
+}
@@ -0,0 +1,91 @@
+// Manual boulders - problems designed move by move before any sensor data exists
+// Stored in the same boulder library as Phyphox recordings and uploaded CSV files
+
+import type { BoulderData } from './csvLoader'
+import { getStoredBoulder, saveStoredBoulder } from './boulderStorage'
+import type { StoredBoulder } from './boulderStorage'
+
+export interface DesignedMove {
+  id: string
+  name: string
+  moveType: number // -100 to 100: -100 = fully static, 0 = neutral, 100 = fully dynamic
+  isCrux: boolean
+}
+
+export interface ManualBoulderInput {
+  name: string
+  grade: string
+  gradeSystem: 'V' | 'Font' | 'YDS'
+  routeSetter: string
+  date: string
+  betaInsight: string
+  moves: DesignedMove[]
+}
+
+// Map the static/dynamic slider onto the 0.1-1.0 dynamics range the move detector produces
+export function moveTypeToDynamics(moveType: number): number {
+  const clamped = Math.max(-100, Math.min(100, moveType))
+  return 0.1 + ((clamped + 100) / 200) * 0.9
+}
+
+export function designedMovesToBoulderMoves(moves: DesignedMove[]): BoulderData['moves'] {
+  return moves.map((move, index) => ({
+    move_number: index + 1,
+    dynamics: moveTypeToDynamics(move.moveType),
+    isCrux: move.isCrux
+  }))
+}
+
+// Save a new manual boulder, or overwrite an existing one when an id is given. Resolves to its id
+// once it is stored.
+export async function saveManualBoulder(input: ManualBoulderInput, existingId?: number): Promise<number> {
+  const previous = existingId !== undefined ? getStoredBoulder(existingId) : null
+
+  const boulderForStorage: StoredBoulder = {
+    id: previous ? previous.id : Date.now(),
+    name: input.name.trim() || 'Unnamed Boulder',
+    grade: input.grade || 'Ungraded',
+    gradeSystem: input.gradeSystem,
+    routeSetter: input.routeSetter || 'Unknown',
+    numberOfMoves: input.moves.length,
+    date: input.date,
+    recordedAt: previous ? previous.recordedAt : new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    betaInsight: input.betaInsight,
+    moves: designedMovesToBoulderMoves(input.moves),
+    manualMoves: input.moves,
+    source: 'manual'
+  }
+
+  await saveStoredBoulder(boulderForStorage)
+
+  console.log(`💾 [ManualBoulders] ${previous ? 'Updated' : 'Saved'} manual boulder "${boulderForStorage.name}" (${input.moves.length} moves)`)
+
+  window.dispatchEvent(new CustomEvent('boulderSaved', {
+    detail: { boulder: boulderForStorage }
+  }))
+
+  return boulderForStorage.id
+}
+
+// Load the stored form data of a manual boulder for editing
+export function loadManualBoulder(id: number): (ManualBoulderInput & { id: number }) | null {
+  try {
+    const saved = getStoredBoulder(id)
+    if (!saved || saved.source !== 'manual') return null
+
+    return {
+      id: saved.id,
+      name: saved.name || '',
+      grade: saved.grade === 'Ungraded' ? '' : saved.grade || '',
+      gradeSystem: (saved.gradeSystem as ManualBoulderInput['gradeSystem']) || 'V',
+      routeSetter: saved.routeSetter === 'Unknown' ? '' : saved.routeSetter || '',
+      date: saved.date || new Date().toISOString().split('T')[0],
+      betaInsight: saved.betaInsight || '',
+      moves: saved.manualMoves || []
+    }
+  } catch (error) {
+    console.error('[ManualBoulders] Error loading manual boulder:', error)
+    return null
+  }
+}
@@ -0,0 +1,148 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createStreamingMoveDetector, detectMoves, getMoveDetectionStrategies } from './moveDetection'
+import type { MoveDetectionSettings } from './moveDetection'
+
+const SAMPLE_RATE = 100 // Hz, like Phyphox
+
+// Same numbers on every run, so a failure can be reproduced
+function createRandom(seed: number) {
+  let state = seed
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296
+    return state / 4294967296
+  }
+}
+
+// Holds with sensor noise between moves of random length and strength. Some moves are long enough
+// to be split, some pauses too short to count as holding still.
+function createClimb(random: () => number, duration: number) {
+  const time: number[] = []
+  const magnitude: number[] = []
+  let t = 0
+
+  while (t < duration) {
+    const pause = 0.1 + random() * 2
+    for (const end = t + pause; t < end; t += 1 / SAMPLE_RATE) {
+      time.push(t)
+      magnitude.push(random() * 0.3)
+    }
+
+    const moveDuration = 0.2 + random() * 7
+    const peak = 2 + random() * 18
+    const start = t
+    for (const end = t + moveDuration; t < end; t += 1 / SAMPLE_RATE) {
+      const phase = (t - start) / moveDuration
+      time.push(t)
+      magnitude.push(peak * Math.abs(Math.sin(phase * Math.PI * (1 + Math.floor(moveDuration)))) + random())
+    }
+  }
+  return { time, magnitude }
+}
+
+// Push the climb in chunks of 1 to maxChunk samples, checking the moves after every push
+function expectStreamMatchesBatch(strategyId: Parameters<typeof detectMoves>[2], settings: Partial<MoveDetectionSettings>, seed: number, maxChunk: number, duration = 90) {
+  const random = createRandom(seed)
+  const { time, magnitude } = createClimb(random, duration)
+  const detector = createStreamingMoveDetector(settings, strategyId)
+
+  let pushed = 0
+  while (pushed < time.length) {
+    const size = 1 + Math.floor(random() * maxChunk)
+    detector.push(time.slice(pushed, pushed + size), magnitude.slice(pushed, pushed + size))
+    pushed = Math.min(time.length, pushed + size)
+
+    expect(detector.getSampleCount()).toBe(pushed)
+    expect(detector.getMoves()).toEqual(detectMoves({ time: time.slice(0, pushed), magnitude: magnitude.slice(0, pushed) }, settings, strategyId))
+  }
+  return detector.getMoves()
+}
+
+describe('createStreamingMoveDetector', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  const streamingStrategies = getMoveDetectionStrategies().filter(strategy => strategy.createSegmenter)
+
+  it('covers every strategy that can run on a stream', () => {
+    expect(streamingStrategies.map(strategy => strategy.id).sort()).toEqual(['live-peak', 'peak-threshold', 'stillness'])
+  })
+
+  streamingStrategies.forEach(strategy => {
+    describe(strategy.id, () => {
+      [1, 2, 3].forEach(seed => {
+        it(`finds the moves of a batch run for random chunks (seed ${seed})`, () => {
+          const moves = expectStreamMatchesBatch(strategy.id, {}, seed, 250)
+          expect(moves.length).toBeGreaterThan(5)
+        })
+      })
+
+      it('finds the moves of a batch run one sample at a time', () => {
+        expectStreamMatchesBatch(strategy.id, {}, 4, 1, 20)
+      })
+
+      it('finds the moves of a batch run with other settings', () => {
+        expectStreamMatchesBatch(strategy.id, { moveThreshold: 2.5, minStillDuration: 0.3, maxMoveDuration: 2, peakThreshold: 8 }, 5, 400)
+      })
+    })
+  })
+
+  describe('prominence', () => {
+    it('finds the moves of a batch run while no move left the window', () => {
+      const climb = createClimb(createRandom(7), 10)
+      const samples = climb.time.filter(t => t < 10).length // Moves are final 10 s after they ended
+      const time = climb.time.slice(0, samples)
+      const magnitude = climb.magnitude.slice(0, samples)
+      const detector = createStreamingMoveDetector({}, 'prominence')
+
+      for (let i = 0; i < time.length; i += 50) {
+        detector.push(time.slice(i, i + 50), magnitude.slice(i, i + 50))
+        const pushed = Math.min(time.length, i + 50)
+        expect(detector.getMoves()).toEqual(detectMoves({ time: time.slice(0, pushed), magnitude: magnitude.slice(0, pushed) }, {}, 'prominence'))
+      }
+      expect(detector.getMoves().length).toBeGreaterThan(2)
+    })
+
+    it('keeps moves that left the window and finds moves past the batch limit', () => {
+      const { time, magnitude } = createClimb(createRandom(8), 300)
+      const detector = createStreamingMoveDetector({}, 'prominence')
+      const settled: ReturnType<typeof detector.getMoves> = []
+
+      for (let i = 0; i < time.length; i += 200) {
+        detector.push(time.slice(i, i + 200), magnitude.slice(i, i + 200))
+        const moves = detector.getMoves()
+        // Moves from more than a window (20 s) ago don't change anymore
+        settled.forEach(move => expect(moves[move.index]).toMatchObject({ startTime: move.startTime, endTime: move.endTime }))
+        const lastTime = time[Math.min(time.length, i + 200) - 1]
+        moves.slice(settled.length + 1).filter(move => move.endTime < lastTime - 20).forEach(move => settled.push(move))
+      }
+
+      expect(detector.getMoves().length - 1).toBeGreaterThan(30) // A batch run keeps the 15 most prominent
+    })
+  })
+
+  it('announces every move before it ends, once', () => {
+    const { time, magnitude } = createClimb(createRandom(6), 60)
+    const detector = createStreamingMoveDetector({}, 'stillness')
+    const started = new Set<number>()
+    const ended: number[] = []
+
+    for (let i = 0; i < time.length; i += 37) {
+      detector.push(time.slice(i, i + 37), magnitude.slice(i, i + 37)).forEach(event => {
+        if (event.type === 'move-start') {
+          expect(started.has(event.index)).toBe(false)
+          started.add(event.index)
+        } else {
+          expect(started.has(event.move.index)).toBe(true)
+          ended.push(event.move.index)
+        }
+      })
+    }
+
+    expect(ended).toEqual(ended.map((_, i) => i + 1))
+  })
+})
@@ -0,0 +1,604 @@
+// Move Detection Engine - one detector for every part of the app
+// Strategies only decide WHERE the moves are (sample ranges). The engine turns those ranges into
+// ProcessedMove objects, adds the start move and calculates dynamics and crux the same way for all
+// strategies, so the React views, live mode and the legacy visualizer report the same numbers.
+// Strategies that only look back (stillness, peaks) also come as segmenters that consume samples as
+// they arrive. Their batch detection runs the same segmenter over all samples at once, so the
+// streaming detector for live recordings finds exactly the moves a batch run over the data would.
+
+import { getBoulderSettings, getBoulderConfigs } from './boulderStorage'
+import type { CSVData } from './csvLoader'
+
+export interface ProcessedMove {
+  index: number
+  startTime: number
+  endTime: number
+  duration: number
+  acceleration: number // Peak acceleration (for backwards compatibility)
+  accelerationRange: { min: number; max: number; avg: number } // NEW: Full range during move
+  dynamics: number
+  isCrux: boolean
+}
+
+export interface MoveDetectionInput {
+  time: number[]
+  magnitude: number[] // Absolute acceleration (m/s²)
+  x?: number[] // Optional raw axes, not every source provides them
+  y?: number[]
+  z?: number[]
+}
+
+export interface MoveDetectionSettings {
+  // Stillness strategy
+  moveThreshold: number
+  minStillDuration: number
+  minMoveDuration: number
+  maxMoveDuration: number
+  maxMoveSequence: number
+
+  // Peak strategies
+  peakThreshold: number // Absolute acceleration a peak has to exceed (m/s²)
+
+  // Prominence strategy
+  smoothingWindow: number // Moving average window (samples)
+  peakDeviation: number // Peaks must exceed mean + stdDev * peakDeviation
+  minPeakDistance: number // Minimum distance between peaks (samples)
+  maxMoves: number // Keep the most prominent peaks only
+}
+
+export type MoveDetectionStrategyId = 'stillness' | 'peak-threshold' | 'prominence' | 'live-peak'
+
+// A detected move as a sample range: samples [startIndex, endIndex) belong to the move
+export interface MoveSegment {
+  startIndex: number
+  endIndex: number
+}
+
+// Incremental form of a strategy. Every call consumes the samples appended to input since the last
+// call and returns the segments that became final, plus the move still in progress (it may grow).
+export interface MoveSegmenter {
+  advance: (input: MoveDetectionInput) => { closed: MoveSegment[]; open: MoveSegment | null }
+}
+
+export interface MoveDetectionStrategy {
+  id: MoveDetectionStrategyId
+  name: string
+  description: string
+  detect: (input: MoveDetectionInput, settings: MoveDetectionSettings) => MoveSegment[]
+  createSegmenter?: (settings: MoveDetectionSettings) => MoveSegmenter // Strategies that can run on a stream
+}
+
+// Emitted by the streaming detector while samples arrive. Every move-end follows the move-start of
+// the same move.
+export type MoveDetectionEvent =
+  | { type: 'move-start'; index: number; startTime: number }
+  | { type: 'move-end'; move: ProcessedMove } // dynamics and crux relative to the moves so far
+
+export interface StreamingMoveDetector {
+  push: (time: number[], magnitude: number[]) => MoveDetectionEvent[] // Append samples
+  getMoves: () => ProcessedMove[] // What detectMoves() returns for every sample pushed so far
+  getSampleCount: () => number
+}
+
+export const DEFAULT_MOVE_DETECTION_STRATEGY: MoveDetectionStrategyId = 'stillness'
+
+export const DEFAULT_MOVE_DETECTION_SETTINGS: MoveDetectionSettings = {
+  moveThreshold: 1.0,
+  minStillDuration: 0.65,
+  minMoveDuration: 0.5,
+  maxMoveDuration: 4.7,
+  maxMoveSequence: 2,
+  peakThreshold: 12.0,
+  smoothingWindow: 5,
+  peakDeviation: 0.5,
+  minPeakDistance: 10,
+  maxMoves: 15
+}
+
+// Still/moving state machine: a move starts when acceleration rises above the move threshold
+// after holding still, and ends when it drops below the still threshold
+function createStillnessSegmenter(settings: MoveDetectionSettings): MoveSegmenter {
+  const MOVE_THRESHOLD = settings.moveThreshold
+  const STILL_THRESHOLD = MOVE_THRESHOLD / 2.5 // Auto-calculate: still = move/2.5 (logical gap)
+  const MIN_STILL_DURATION = settings.minStillDuration // seconds - minimum time to be considered "holding"
+  const MIN_MOVE_DURATION = settings.minMoveDuration // seconds - minimum time for a movement to count
+  const MAX_MOVE_DURATION = settings.maxMoveDuration // seconds - longer moves get split
+  const MAX_MOVE_SEQUENCE = settings.maxMoveSequence // maximum consecutive moves without still period
+
+  // State tracking
+  let currentState: 'still' | 'moving' = 'still'
+  let stateStartIdx = 0
+  let stateStartTime = 0
+  let moveSequenceCount = 0 // Track consecutive moves without still period
+  let next = 0 // First sample not consumed yet
+
+  return {
+    advance: ({ time, magnitude: acceleration }) => {
+      const closed: MoveSegment[] = []
+      if (next === 0 && acceleration.length > 0) {
+        stateStartTime = time[0] || 0
+      }
+
+      for (let i = next; i < acceleration.length; i++) {
+        const currentAccel = acceleration[i]
+        const currentTime = time[i]
+        const timeSinceStateStart = currentTime - stateStartTime
+
+        if (currentState === 'still') {
+          // Only transition if we've been still long enough
+          if (currentAccel >= MOVE_THRESHOLD && timeSinceStateStart >= MIN_STILL_DURATION) {
+            currentState = 'moving'
+            stateStartIdx = i
+            stateStartTime = currentTime
+            moveSequenceCount = 0
+          }
+        } else if (currentAccel < STILL_THRESHOLD) {
+          // Only count as a move if movement lasted long enough
+          if (timeSinceStateStart >= MIN_MOVE_DURATION) {
+            if (timeSinceStateStart > MAX_MOVE_DURATION) {
+              // Split the move at natural low points
+              const splitPoints = findMoveSplitPoints(
+                acceleration.slice(stateStartIdx, i),
+                time.slice(stateStartIdx, i),
+                MAX_MOVE_DURATION
+              )
+
+              let lastSplitIdx = 0
+              for (const splitPoint of splitPoints) {
+                closed.push({ startIndex: stateStartIdx + lastSplitIdx, endIndex: stateStartIdx + splitPoint.index + 1 })
+                lastSplitIdx = splitPoint.index
+              }
+              closed.push({ startIndex: stateStartIdx + lastSplitIdx, endIndex: i })
+            } else {
+              closed.push({ startIndex: stateStartIdx, endIndex: i })
+            }
+
+            moveSequenceCount++
+          }
+
+          // Transition back to still
+          currentState = 'still'
+          stateStartIdx = i
+          stateStartTime = currentTime
+
+          // Check if we've had too many moves in sequence
+          if (moveSequenceCount >= MAX_MOVE_SEQUENCE) {
+            moveSequenceCount = 0
+          }
+        }
+      }
+      next = acceleration.length
+
+      // Still moving at the last sample: counts once it lasted long enough
+      const lastTime = time[time.length - 1]
+      const open = currentState === 'moving' && time[stateStartIdx] !== lastTime && lastTime - stateStartTime >= MIN_MOVE_DURATION
+        ? { startIndex: stateStartIdx, endIndex: acceleration.length }
+        : null
+
+      return { closed, open }
+    }
+  }
+}
+
+// Every segment of a whole recording, the open move at its end included
+function segmentAll(segmenter: MoveSegmenter, input: MoveDetectionInput): MoveSegment[] {
+  const { closed, open } = segmenter.advance(input)
+  return open ? [...closed, open] : closed
+}
+
+const stillnessStrategy: MoveDetectionStrategy = {
+  id: 'stillness',
+  name: 'Stillness',
+  description: 'Moves are movement phases between periods of holding still',
+  detect: (input, settings) => segmentAll(createStillnessSegmenter(settings), input),
+  createSegmenter: createStillnessSegmenter
+}
+
+// Local maxima above a fixed threshold, spaced by a minimum time. Used by the legacy CSV
+// loader (1 neighbour each side) and legacy live mode (2 neighbours each side).
+// A peak needs its neighbours to be known and its move lasts until the acceleration stops falling,
+// so the last peak stays open until then.
+function createThresholdPeakSegmenter(threshold: number, neighbours: number, minSpacing: number): MoveSegmenter {
+  let lastPeakTime = -Infinity
+  let openPeak: number | null = null
+  let next = neighbours // First sample not checked for a peak yet
+
+  return {
+    advance: ({ time, magnitude }) => {
+      const closed: MoveSegment[] = []
+
+      for (; next < magnitude.length - neighbours; next++) {
+        const i = next
+        const current = magnitude[i]
+        if (!isFinite(current) || current <= threshold) continue
+
+        let isPeak = true
+        for (let offset = 1; offset <= neighbours && isPeak; offset++) {
+          isPeak = current > magnitude[i - offset] && current > magnitude[i + offset]
+        }
+
+        if (isPeak && time[i] - lastPeakTime > minSpacing) {
+          if (openPeak !== null) closed.push(segmentAroundPeak(magnitude, openPeak))
+          openPeak = i
+          lastPeakTime = time[i]
+        }
+      }
+
+      let open: MoveSegment | null = null
+      if (openPeak !== null) {
+        const segment = segmentAroundPeak(magnitude, openPeak)
+        if (segment.endIndex < magnitude.length) {
+          closed.push(segment)
+          openPeak = null
+        } else {
+          open = segment
+        }
+      }
+
+      return { closed, open }
+    }
+  }
+}
+
+const peakThresholdStrategy: MoveDetectionStrategy = {
+  id: 'peak-threshold',
+  name: 'Peak Threshold',
+  description: 'Every acceleration peak above the threshold is a move',
+  detect: (input, settings) => segmentAll(createThresholdPeakSegmenter(settings.peakThreshold, 1, 0.5), input),
+  createSegmenter: (settings) => createThresholdPeakSegmenter(settings.peakThreshold, 1, 0.5)
+}
+
+const livePeakStrategy: MoveDetectionStrategy = {
+  id: 'live-peak',
+  name: 'Live Peaks',
+  description: 'Wider peak window for noisy live sensor data',
+  detect: (input, settings) => segmentAll(createThresholdPeakSegmenter(settings.peakThreshold, 2, 0.3), input),
+  createSegmenter: (settings) => createThresholdPeakSegmenter(settings.peakThreshold, 2, 0.3)
+}
+
+// Smoothed signal, adaptive threshold (mean + stdDev * deviation), most prominent peaks first
+const prominenceStrategy: MoveDetectionStrategy = {
+  id: 'prominence',
+  name: 'Prominence',
+  description: 'Most prominent peaks of the smoothed signal above an adaptive threshold',
+  detect: ({ time, magnitude }, settings) => {
+    const smoothed = smoothArray(magnitude, settings.smoothingWindow)
+    if (smoothed.length === 0) return []
+
+    const mean = smoothed.reduce((sum, val) => sum + val, 0) / smoothed.length
+    const variance = smoothed.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / smoothed.length
+    const dynamicThreshold = mean + Math.sqrt(variance) * settings.peakDeviation
+
+    const peaks: Array<{ index: number; prominence: number }> = []
+    for (let i = 1; i < smoothed.length - 1; i++) {
+      const current = smoothed[i]
+      const prev = smoothed[i - 1]
+      const next = smoothed[i + 1]
+
+      if (current > prev && current > next && current > dynamicThreshold) {
+        const tooClose = peaks.some(peak => Math.abs(peak.index - i) < settings.minPeakDistance)
+        if (!tooClose) {
+          peaks.push({ index: i, prominence: current - Math.min(prev, next) })
+        }
+      }
+    }
+
+    return peaks
+      .sort((a, b) => b.prominence - a.prominence)
+      .slice(0, settings.maxMoves)
+      .sort((a, b) => time[a.index] - time[b.index])
+      .map(peak => segmentAroundPeak(smoothed, peak.index))
+  }
+}
+
+const strategies = new Map<MoveDetectionStrategyId, MoveDetectionStrategy>([
+  [stillnessStrategy.id, stillnessStrategy],
+  [peakThresholdStrategy.id, peakThresholdStrategy],
+  [prominenceStrategy.id, prominenceStrategy],
+  [livePeakStrategy.id, livePeakStrategy]
+])
+
+export function getMoveDetectionStrategies(): MoveDetectionStrategy[] {
+  return Array.from(strategies.values())
+}
+
+export function isMoveDetectionStrategy(id: unknown): id is MoveDetectionStrategyId {
+  return typeof id === 'string' && strategies.has(id as MoveDetectionStrategyId)
+}
+
+// Detect moves with the given strategy. The result always starts with the start move at index 0.
+export function detectMoves(
+  input: MoveDetectionInput,
+  settings: Partial<MoveDetectionSettings> = {},
+  strategyId: MoveDetectionStrategyId = DEFAULT_MOVE_DETECTION_STRATEGY
+): ProcessedMove[] {
+  const strategy = strategies.get(strategyId) || stillnessStrategy
+  const fullSettings = { ...DEFAULT_MOVE_DETECTION_SETTINGS, ...settings }
+  const { time, magnitude } = input
+  const moves: ProcessedMove[] = [createStartMove(input)]
+
+  if (time.length === 0 || time.length !== magnitude.length) {
+    return moves
+  }
+
+  strategy.detect(input, fullSettings).forEach(segment => {
+    const move = segmentToMove(input, segment, moves.length)
+    if (move) moves.push(move)
+  })
+
+  calculateDynamics(moves)
+  return moves
+}
+
+// Seconds of recent samples that strategies without a segmenter detect on again with every push.
+// Their moves that ended in the older half are final.
+const STREAM_WINDOW = 20
+
+// Detector for a recording that is still growing, e.g. live data. Keeps its state between pushes and
+// only looks at the new samples. Prominence needs a whole signal for its threshold, it runs on the
+// last STREAM_WINDOW seconds instead, so its moves match detectMoves() only for shorter recordings.
+export function createStreamingMoveDetector(
+  settings: Partial<MoveDetectionSettings> = {},
+  strategyId: MoveDetectionStrategyId = DEFAULT_MOVE_DETECTION_STRATEGY
+): StreamingMoveDetector {
+  const strategy = strategies.get(strategyId) || stillnessStrategy
+  const fullSettings = { ...DEFAULT_MOVE_DETECTION_SETTINGS, ...settings }
+  const segmenter = strategy.createSegmenter?.(fullSettings) || null
+  const input: MoveDetectionInput = { time: [], magnitude: [] }
+
+  let closedMoves: ProcessedMove[] = [] // Final, without the start move
+  let openMove: ProcessedMove | null = null
+  let announcedStart: number | null = null // startIndex of the move whose move-start went out last
+  let reportedCount = 0 // Moves reported without a segmenter
+  const finalMoves: ProcessedMove[] = [] // Without a segmenter: moves that left the window, without the start move
+  let windowStart = 0 // Without a segmenter: first sample detected on again
+
+  const getMoves = () => {
+    const moves = [createStartMove(input), ...[...closedMoves, ...(openMove ? [openMove] : [])].map(move => ({ ...move }))]
+    calculateDynamics(moves)
+    return moves
+  }
+
+  const push = (time: number[], magnitude: number[]): MoveDetectionEvent[] => {
+    const count = Math.min(time.length, magnitude.length)
+    if (count === 0) return []
+    for (let i = 0; i < count; i++) {
+      input.time.push(time[i])
+      input.magnitude.push(magnitude[i])
+    }
+
+    const events: MoveDetectionEvent[] = []
+    const startMove = (move: ProcessedMove) => events.push({ type: 'move-start', index: move.index, startTime: move.startTime })
+    const endMove = (move: ProcessedMove) => events.push({ type: 'move-end', move })
+
+    if (!segmenter) {
+      // Moves in the window may move or vanish, events only go out when there are more than ever before
+      const lastTime = input.time[input.time.length - 1]
+      while (windowStart < input.time.length - 1 && input.time[windowStart] < lastTime - STREAM_WINDOW) windowStart++
+      const offset = windowStart
+      const recent = { time: input.time.slice(offset), magnitude: input.magnitude.slice(offset) }
+
+      closedMoves = [...finalMoves]
+      let final = true
+      strategy.detect(recent, fullSettings).forEach(({ startIndex, endIndex }) => {
+        const move = segmentToMove(input, { startIndex: offset + startIndex, endIndex: offset + endIndex }, closedMoves.length + 1)
+        if (!move) return
+        closedMoves.push(move)
+        // Ended in the older half of the window: final, the next windows start after it
+        final = final && move.endTime < lastTime - STREAM_WINDOW / 2
+        if (final) {
+          finalMoves.push(move)
+          windowStart = offset + endIndex
+        }
+      })
+      closedMoves.slice(reportedCount).forEach(move => { startMove(move); endMove(move) })
+      reportedCount = Math.max(reportedCount, closedMoves.length)
+    } else {
+      const { closed, open } = segmenter.advance(input)
+
+      closed.forEach(segment => {
+        const move = segmentToMove(input, segment, closedMoves.length + 1)
+        if (!move) return
+        // Long moves are split when they end, only the first part was announced
+        if (announcedStart !== segment.startIndex) startMove(move)
+        announcedStart = null
+        closedMoves.push(move)
+        endMove(move)
+      })
+
+      openMove = open ? segmentToMove(input, open, closedMoves.length + 1) : null
+      if (open && openMove && announcedStart !== open.startIndex) {
+        startMove(openMove)
+        announcedStart = open.startIndex
+      }
+    }
+
+    // Ended moves with the dynamics of the moves so far
+    const moves = getMoves()
+    return events.map(event => event.type === 'move-end' ? { ...event, move: moves[event.move.index] } : event)
+  }
+
+  return {
+    push,
+    getMoves,
+    getSampleCount: () => input.time.length
+  }
+}
+
+// Always the first move, at the first sample with dynamics 0
+function createStartMove({ time, magnitude }: MoveDetectionInput): ProcessedMove {
+  return {
+    index: 0,
+    startTime: time[0] || 0,
+    endTime: time[0] || 0,
+    duration: 0,
+    acceleration: magnitude[0] || 0,
+    accelerationRange: { min: 0, max: 0, avg: 0 },
+    dynamics: 0, // Start move always has dynamics 0
+    isCrux: false
+  }
+}
+
+// Min, max and average in one pass. Math.min(...values) overflows the call stack on long segments.
+function measureRange(values: number[]): ProcessedMove['accelerationRange'] {
+  let min = Infinity
+  let max = -Infinity
+  let sum = 0
+  for (const value of values) {
+    if (value < min) min = value
+    if (value > max) max = value
+    sum += value
+  }
+  return { min, max, avg: sum / values.length }
+}
+
+// Move of a sample range, dynamics and crux are set by calculateDynamics(). null for empty ranges.
+function segmentToMove({ time, magnitude }: MoveDetectionInput, segment: MoveSegment, index: number): ProcessedMove | null {
+  const segmentAccelerations = magnitude.slice(segment.startIndex, segment.endIndex)
+  if (segmentAccelerations.length === 0) return null
+
+  const startTime = time[segment.startIndex]
+  const endTime = time[Math.min(segment.endIndex, time.length - 1)]
+  const range = measureRange(segmentAccelerations)
+
+  return {
+    index,
+    startTime,
+    endTime,
+    duration: endTime - startTime,
+    acceleration: range.max,
+    accelerationRange: range,
+    dynamics: 0, // Calculated by calculateDynamics()
+    isCrux: false
+  }
+}
+
+// Normalize dynamics between 0.1 and 1.0 and mark moves 20% above average as crux
+// (skips the start move at index 0)
+function calculateDynamics(moves: ProcessedMove[]) {
+  const actualMoves = moves.slice(1)
+  if (actualMoves.length === 0) return
+
+  const { min: minAccel, max: maxAccel, avg: avgAccel } = measureRange(actualMoves.map(m => m.acceleration))
+  const range = maxAccel - minAccel
+  const cruxThreshold = avgAccel * 1.2
+
+  actualMoves.forEach(move => {
+    move.dynamics = range > 0 ? 0.1 + ((move.acceleration - minAccel) / range) * 0.9 : 0.5
+    move.isCrux = move.acceleration >= cruxThreshold
+  })
+}
+
+// The same moves measured on another signal, e.g. a phone on the wrist recording along with the
+// main one. Timing stays, peak, range, dynamics and crux come from magnitude.
+export function measureMovesOn(moves: ProcessedMove[], time: number[], magnitude: number[]): ProcessedMove[] {
+  const measured = moves.map((move, index) => {
+    if (index === 0) return { ...move, acceleration: magnitude[0] || 0 }
+
+    const startIndex = time.findIndex(t => t >= move.startTime)
+    const endIndex = time.findIndex(t => t >= move.endTime)
+    if (startIndex === -1) return { ...move }
+
+    const segmentAccelerations = magnitude.slice(startIndex, Math.max(endIndex === -1 ? time.length : endIndex, startIndex + 1))
+    const range = measureRange(segmentAccelerations)
+    return { ...move, acceleration: range.max, accelerationRange: range, isCrux: false }
+  })
+
+  calculateDynamics(measured)
+  return measured
+}
+
+// Per-boulder strategy and settings, stored with the other move detection settings. The peak
+// threshold comes from the boulder's threshold config.
+export function loadBoulderDetectionConfig(boulderId: number | string): {
+  strategy: MoveDetectionStrategyId
+  settings: Partial<MoveDetectionSettings>
+} {
+  try {
+    const saved: Record<string, any> = getBoulderSettings(Number(boulderId)) || {}
+    const settings: Partial<MoveDetectionSettings> = {}
+    for (const key of Object.keys(DEFAULT_MOVE_DETECTION_SETTINGS) as Array<keyof MoveDetectionSettings>) {
+      if (typeof saved[key] === 'number') settings[key] = saved[key]
+    }
+    const threshold = getBoulderConfigs().find(config => config.id === Number(boulderId))?.threshold
+    if (threshold) settings.peakThreshold = threshold
+    return {
+      strategy: isMoveDetectionStrategy(saved.moveDetectionStrategy) ? saved.moveDetectionStrategy : DEFAULT_MOVE_DETECTION_STRATEGY,
+      settings
+    }
+  } catch (error) {
+    console.error('[Move Detection] Error loading boulder settings:', error)
+    return { strategy: DEFAULT_MOVE_DETECTION_STRATEGY, settings: {} }
+  }
+}
+
+// Moves of a stored recording with its own detection config, whichever boulder is selected. The
+// start move is included, recordings without sensor data have none.
+export function detectRecordingMoves(recording: { id: number; csvData?: CSVData | null }): ProcessedMove[] {
+  if (!recording.csvData || recording.csvData.time.length === 0) return []
+  const { strategy, settings } = loadBoulderDetectionConfig(recording.id)
+  return detectMoves({ time: recording.csvData.time, magnitude: recording.csvData.absoluteAcceleration }, settings, strategy)
+}
+
+// Extend a peak to the surrounding local minima
+function segmentAroundPeak(values: number[], peakIndex: number): MoveSegment {
+  let start = peakIndex
+  while (start > 0 && values[start - 1] < values[start]) start--
+  let end = peakIndex
+  while (end < values.length - 1 && values[end + 1] < values[end]) end++
+  return { startIndex: start, endIndex: end + 1 }
+}
+
+// Moving average smoothing
+function smoothArray(data: number[], windowSize: number): number[] {
+  const halfWindow = Math.floor(windowSize / 2)
+  return data.map((_, i) => {
+    let sum = 0
+    let count = 0
+    for (let j = Math.max(0, i - halfWindow); j <= Math.min(data.length - 1, i + halfWindow); j++) {
+      sum += data[j]
+      count++
+    }
+    return sum / count
+  })
+}
+
+// Helper function to find natural split points in a long move
+function findMoveSplitPoints(
+  accelerations: number[],
+  times: number[],
+  maxDuration: number
+): Array<{ index: number; time: number }> {
+  const splitPoints: Array<{ index: number; time: number }> = []
+  const totalDuration = times[times.length - 1] - times[0]
+  const numSplits = Math.ceil(totalDuration / maxDuration) - 1
+
+  if (numSplits <= 0) return splitPoints
+
+  // Find local minima as natural split points
+  const windowSize = Math.floor(accelerations.length / (numSplits + 1))
+
+  for (let split = 1; split <= numSplits; split++) {
+    const targetIdx = split * windowSize
+    const searchStart = Math.max(0, Math.floor(targetIdx - windowSize / 2))
+    const searchEnd = Math.min(accelerations.length - 1, Math.floor(targetIdx + windowSize / 2))
+
+    // Find minimum acceleration in this window
+    let minIdx = searchStart
+    let minAccel = accelerations[searchStart]
+
+    for (let i = searchStart + 1; i <= searchEnd; i++) {
+      if (accelerations[i] < minAccel) {
+        minAccel = accelerations[i]
+        minIdx = i
+      }
+    }
+
+    splitPoints.push({
+      index: minIdx,
+      time: times[minIdx]
+    })
+  }
+
+  return splitPoints
+}
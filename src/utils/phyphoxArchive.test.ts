@@ -0,0 +1,171 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { getArchiveRecordedAt, importPhyphoxArchive } from './phyphoxArchive'
+
+const ACCELEROMETER_HEADER = '"Time (s)","Acceleration x (m/s^2)","Acceleration y (m/s^2)","Acceleration z (m/s^2)","Absolute acceleration (m/s^2)"'
+const GYROSCOPE_HEADER = '"Time (s)","Gyroscope x (rad/s)","Gyroscope y (rad/s)","Gyroscope z (rad/s)"'
+const PRESSURE_HEADER = '"Time (s)","Pressure (hPa)"'
+
+async function deflate(data: Uint8Array): Promise<Uint8Array> {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+// Zip like the Phyphox export, stored or deflated. The reader doesn't check checksums, so they stay 0.
+async function createZip(files: Record<string, string>, compress = false): Promise<ArrayBuffer> {
+  const parts: Uint8Array[] = []
+  const directory: Uint8Array[] = []
+  let offset = 0
+
+  for (const [filename, text] of Object.entries(files)) {
+    const name = new TextEncoder().encode(filename)
+    const content = new TextEncoder().encode(text)
+    const data = compress ? await deflate(content) : content
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(8, compress ? 8 : 0, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, content.length, true)
+    local.setUint16(26, name.length, true)
+    parts.push(new Uint8Array(local.buffer), name, data)
+
+    const entry = new DataView(new ArrayBuffer(46))
+    entry.setUint32(0, 0x02014b50, true)
+    entry.setUint16(10, compress ? 8 : 0, true)
+    entry.setUint32(20, data.length, true)
+    entry.setUint32(24, content.length, true)
+    entry.setUint16(28, name.length, true)
+    entry.setUint32(42, offset, true)
+    directory.push(new Uint8Array(entry.buffer), name)
+
+    offset += 30 + name.length + data.length
+  }
+
+  const directorySize = directory.reduce((size, part) => size + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, Object.keys(files).length, true)
+  end.setUint16(10, Object.keys(files).length, true)
+  end.setUint32(12, directorySize, true)
+  end.setUint32(16, offset, true)
+
+  return new Blob([...parts, ...directory, new Uint8Array(end.buffer)]).arrayBuffer()
+}
+
+const EXPORT_FILES = {
+  'Accelerometer.csv': [
+    ACCELEROMETER_HEADER,
+    '0.0,0,0,9.8,9.8',
+    '0.1,1,0,9.8,9.9',
+    '0.2,2,0,9.8,10.0',
+    '0.3,3,0,9.8,10.2',
+    '0.4,4,0,9.8,10.6'
+  ].join('\n'),
+  // Starts later and samples at a different rate than the accelerometer
+  'Gyroscope.csv': [
+    GYROSCOPE_HEADER,
+    '0.05,0,1,2',
+    '0.25,2,1,0',
+    '0.45,4,1,-2'
+  ].join('\n'),
+  'Pressure.csv': [
+    PRESSURE_HEADER,
+    '0.1,950',
+    '0.3,949'
+  ].join('\n'),
+  'meta/device.csv': [
+    '"property","value"',
+    '"deviceModel","Pixel 7"',
+    '"version","1.2.0"'
+  ].join('\n'),
+  'meta/time.csv': [
+    '"event","experiment time","system time","system time text"',
+    '"START",0.000000000E0,1.700000000000E9,"2023-11-14 22:13:20.000 UTC+00:00"',
+    '"PAUSE",4.000000000E-1,1.700000000400E9,"2023-11-14 22:13:20.400 UTC+00:00"'
+  ].join('\n')
+}
+
+function expectValues(actual: number[] | undefined, expected: number[]) {
+  expect(actual).toHaveLength(expected.length)
+  expected.forEach((value, i) => expect(actual![i]).toBeCloseTo(value, 9))
+}
+
+describe('importPhyphoxArchive', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('merges every sensor onto the time base of the accelerometer', async () => {
+    const { csvData, metadata, rowErrors } = await importPhyphoxArchive(await createZip(EXPORT_FILES), 'export.zip')
+
+    expect(csvData.time).toEqual([0, 0.1, 0.2, 0.3, 0.4])
+    expect(csvData.absoluteAcceleration).toEqual([9.8, 9.9, 10.0, 10.2, 10.6])
+    expect(csvData.acceleration?.x).toEqual([0, 1, 2, 3, 4])
+
+    // Interpolated between the gyroscope samples, held at the first one before it starts
+    expectValues(csvData.gyroscope?.x, [0, 0.5, 1.5, 2.5, 3.5])
+    expectValues(csvData.gyroscope?.y, [1, 1, 1, 1, 1])
+    expectValues(csvData.gyroscope?.z, [2, 1.5, 0.5, -0.5, -1.5])
+    expectValues(csvData.pressure, [950, 950, 949.5, 949, 949])
+
+    expect(rowErrors).toEqual([])
+    expect(metadata.sensorFiles).toEqual(['Accelerometer.csv', 'Gyroscope.csv', 'Pressure.csv'])
+    expect(metadata.device).toEqual({ deviceModel: 'Pixel 7', version: '1.2.0' })
+    expect(metadata.timeEvents.map(event => event.event)).toEqual(['START', 'PAUSE'])
+    expect(getArchiveRecordedAt(metadata)).toBe('2023-11-14T22:13:20.000Z')
+  })
+
+  it('reads deflated entries', async () => {
+    const stored = await importPhyphoxArchive(await createZip(EXPORT_FILES), 'stored.zip')
+    const deflated = await importPhyphoxArchive(await createZip(EXPORT_FILES, true), 'deflated.zip')
+    expect({ ...deflated.csvData, filename: 'stored.zip' }).toEqual(stored.csvData)
+  })
+
+  it('aligns absolute timestamps of the other sensors with the accelerometer', async () => {
+    const zip = await createZip({
+      'Accelerometer.csv': [
+        ACCELEROMETER_HEADER,
+        '1700000000.0,0,0,9.8,9.8',
+        '1700000000.5,0,0,9.8,9.8',
+        '1700000001.0,0,0,9.8,9.8'
+      ].join('\n'),
+      'Gyroscope.csv': [
+        GYROSCOPE_HEADER,
+        '1700000000.5,0,0,0',
+        '1700000001.0,2,0,0'
+      ].join('\n')
+    })
+
+    const { csvData } = await importPhyphoxArchive(zip, 'epoch.zip')
+
+    expect(csvData.time).toEqual([0, 0.5, 1])
+    expectValues(csvData.gyroscope?.x, [0, 0, 2])
+  })
+
+  it('reports unreadable rows with the file they are in', async () => {
+    const zip = await createZip({
+      ...EXPORT_FILES,
+      'Gyroscope.csv': [
+        GYROSCOPE_HEADER,
+        '0.05,0,1,2',
+        '0.15,x,1,2',
+        '0.25,2,1,0'
+      ].join('\n')
+    })
+
+    const { rowErrors, skippedRows } = await importPhyphoxArchive(zip, 'broken.zip')
+
+    expect(skippedRows).toBe(1)
+    expect(rowErrors).toEqual([{ file: 'Gyroscope.csv', line: 3, column: 'Gyroscope x (rad/s)', value: 'x', message: '"x" is not a number' }])
+  })
+
+  it('fails on archives without accelerometer data', async () => {
+    const zip = await createZip({ 'Pressure.csv': EXPORT_FILES['Pressure.csv'] })
+    await expect(importPhyphoxArchive(zip, 'pressure.zip')).rejects.toThrow('No accelerometer data found in pressure.zip')
+  })
+})
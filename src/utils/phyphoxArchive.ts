@@ -0,0 +1,311 @@
+// Phyphox archive import - reads the zip that Phyphox exports for a whole experiment
+// (one CSV per sensor plus meta/device.csv and meta/time.csv) and merges the sensors
+// onto the time base of the accelerometer. Saved experiment states (.phyphox) are read too.
+
+import type { CSVData, AxisChannels } from './csvLoader'
+import { readCSVTable, detectColumnMapping, isMappingComplete, buildCSVData, buildAxisSeries, buildPressureSeries, resampleAxes, resampleValues, parseNumber, SENSOR_CHANNELS } from './csvImport'
+import type { CSVColumnMapping, CSVRowError, CSVTable, SensorChannel } from './csvImport'
+import { detectPhyphoxBufferMapping, getSavedBufferMapping } from './phyphoxConfig'
+import type { PhyphoxConfig } from './phyphoxConfig'
+import { phyphoxBuffersToCSVData, toStandardPhyphoxBuffers } from './phyphoxPolling'
+import type { PhyphoxBuffers } from './phyphoxPolling'
+
+// One entry of meta/time.csv, same shape as the /time response of the Phyphox remote interface
+export interface PhyphoxTimeEvent {
+  event: string // START or PAUSE
+  experimentTime: number
+  systemTime: number // Unix time in seconds
+  systemTimeText?: string
+}
+
+// What RemoteDataHandler.getPhyphoxMetadata() and getPhyphoxTimeInfo() return for live recordings
+export interface PhyphoxMetadata {
+  device: Record<string, string> // deviceModel, deviceBrand, version, ...
+  timeEvents: PhyphoxTimeEvent[]
+  sensorFiles: string[] // Files in the archive the data was read from
+}
+
+export interface PhyphoxArchiveImport {
+  csvData: CSVData
+  metadata: PhyphoxMetadata
+  rowErrors: CSVRowError[]
+  skippedRows: number
+}
+
+interface ZipEntry {
+  name: string
+  read: () => Promise<Uint8Array>
+}
+
+const ZIP_LOCAL_HEADER = 0x04034b50
+const ZIP_CENTRAL_HEADER = 0x02014b50
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50
+
+export function isPhyphoxArchiveFile(file: File): boolean {
+  return /\.(zip|phyphox)$/i.test(file.name)
+}
+
+function isZip(buffer: ArrayBuffer): boolean {
+  return buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === ZIP_LOCAL_HEADER
+}
+
+// Minimal zip reader for the archives Phyphox writes (stored or deflated entries, no zip64)
+function readZipEntries(buffer: ArrayBuffer): ZipEntry[] {
+  const view = new DataView(buffer)
+  const bytes = new Uint8Array(buffer)
+  const decoder = new TextDecoder()
+
+  // The end of central directory record sits at the end, followed by an optional comment
+  let endOffset = -1
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i
+      break
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Archive is not a valid zip file')
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true)
+  let offset = view.getUint32(endOffset + 16, true)
+  const entries: ZipEntry[] = []
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_HEADER) {
+      throw new Error('Archive is damaged (invalid central directory)')
+    }
+
+    const flags = view.getUint16(offset + 8, true)
+    const method = view.getUint16(offset + 10, true)
+    const compressedSize = view.getUint32(offset + 20, true)
+    const nameLength = view.getUint16(offset + 28, true)
+    const extraLength = view.getUint16(offset + 30, true)
+    const commentLength = view.getUint16(offset + 32, true)
+    const localOffset = view.getUint32(offset + 42, true)
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+    offset += 46 + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/')) continue
+
+    entries.push({
+      name,
+      read: async () => {
+        if (flags & 0x1) throw new Error(`${name} is encrypted`)
+        if (compressedSize === 0xffffffff) throw new Error(`${name} is too large to import`)
+
+        // Local headers may carry a different extra field than the central directory
+        const localNameLength = view.getUint16(localOffset + 26, true)
+        const localExtraLength = view.getUint16(localOffset + 28, true)
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength
+        const data = bytes.subarray(dataStart, dataStart + compressedSize)
+
+        if (method === 0) return data
+        if (method !== 8) throw new Error(`${name} uses an unsupported compression method (${method})`)
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+        return new Uint8Array(await new Response(stream).arrayBuffer())
+      }
+    })
+  }
+
+  return entries
+}
+
+// Sensor a file belongs to by its name, for exports whose columns are just "X (m/s^2)" etc.
+function channelFromFilename(name: string): SensorChannel | null {
+  const lower = name.toLowerCase()
+  if (/gyro|rotation|drehrate/.test(lower)) return 'gyroscope'
+  if (/linear|without g|ohne g/.test(lower)) return 'linearAcceleration'
+  if (/acceler|beschleunig|raw data|rohdaten/.test(lower)) return 'acceleration'
+  return null
+}
+
+function archiveMapping(table: CSVTable, name: string): CSVColumnMapping {
+  const mapping = detectColumnMapping(table.headers)
+  const fileChannel = channelFromFilename(name)
+
+  // Bare axis headers are read as acceleration, the file name tells which sensor it really is
+  if (fileChannel && fileChannel !== 'acceleration' && mapping.acceleration && !mapping[fileChannel]) {
+    return { ...mapping, [fileChannel]: mapping.acceleration, acceleration: null, absoluteAcceleration: null }
+  }
+  return mapping
+}
+
+function parseDeviceMetadata(text: string): Record<string, string> {
+  const table = readCSVTable(text)
+  const device: Record<string, string> = {}
+  table.rows.forEach(([property, value]) => {
+    if (property) device[property] = value ?? ''
+  })
+  return device
+}
+
+function parseTimeEvents(text: string): PhyphoxTimeEvent[] {
+  const table = readCSVTable(text)
+  const number = (value: string | undefined) => parseNumber(value ?? '', table.decimalSeparator)
+  return table.rows
+    .filter(row => row[0])
+    .map(([event, experimentTime, systemTime, systemTimeText]) => ({
+      event,
+      experimentTime: number(experimentTime),
+      systemTime: number(systemTime),
+      ...(systemTimeText ? { systemTimeText } : {})
+    }))
+}
+
+function childElement(parent: Element, tag: string): Element | undefined {
+  return Array.from(parent.children).find(child => child.tagName === tag)
+}
+
+// A saved state is the experiment's XML with the values of every buffer in the init attribute of
+// its container. Its sensor inputs and export sets describe the buffers like /config does.
+function readPhyphoxState(text: string, filename: string): { config: PhyphoxConfig; buffers: PhyphoxBuffers } {
+  const root = new DOMParser().parseFromString(text, 'application/xml').documentElement
+  if (root.tagName !== 'phyphox') {
+    throw new Error(`${filename} is not a Phyphox experiment`)
+  }
+
+  const buffers: PhyphoxBuffers = {}
+  const containers = childElement(root, 'data-containers')
+  Array.from(containers?.getElementsByTagName('container') || []).forEach(container => {
+    const name = container.textContent?.trim()
+    const init = container.getAttribute('init')?.trim()
+    if (name) buffers[name] = { buffer: init ? init.split(',').map(Number) : [] }
+  })
+
+  const sensors = Array.from(childElement(root, 'input')?.children || []).filter(input => input.tagName === 'sensor')
+  const exportSets = Array.from(childElement(root, 'export')?.children || []).filter(set => set.tagName === 'set')
+  const config: PhyphoxConfig = {
+    title: childElement(root, 'title')?.textContent?.trim(),
+    buffers: Object.entries(buffers).map(([name, { buffer }]) => ({ name, size: buffer.length })),
+    inputs: sensors.map(sensor => ({
+      source: sensor.getAttribute('type') || '',
+      outputs: Array.from(sensor.getElementsByTagName('output'))
+        .map(output => ({ [output.getAttribute('component') || 'x']: output.textContent?.trim() || '' }))
+    })),
+    export: exportSets.map(set => ({
+      set: set.getAttribute('name') || '',
+      sources: Array.from(set.getElementsByTagName('data'))
+        .map(data => ({ label: data.getAttribute('name') || '', buffer: data.textContent?.trim() || '' }))
+    }))
+  }
+  return { config, buffers }
+}
+
+// Import a saved experiment state. Its buffers are found like those of a live experiment, a state
+// holds no device info or time events.
+function importPhyphoxState(text: string, filename: string): PhyphoxArchiveImport {
+  const { config, buffers } = readPhyphoxState(text, filename)
+  const detection = detectPhyphoxBufferMapping(config)
+  const mapping = getSavedBufferMapping(config) || detection.mapping
+  if (!mapping) {
+    throw new Error(`No accelerometer data found in ${filename}`)
+  }
+  if (detection.ambiguous && mapping === detection.mapping) {
+    console.warn(`⚠️ [phyphoxArchive] Buffers of ${filename} are unclear, using the best guess:`, detection.reason)
+  }
+
+  const csvData = phyphoxBuffersToCSVData(toStandardPhyphoxBuffers(buffers, mapping), filename)
+  if (!csvData || csvData.sampleCount === 0) {
+    throw new Error(`${filename} has no recorded data. Save the experiment state after recording, or export the data as a zip archive.`)
+  }
+
+  console.log(`📦 [phyphoxArchive] Imported saved state ${filename}${config.title ? ` of "${config.title}"` : ''} (${csvData.sampleCount} samples)`)
+  return {
+    csvData,
+    metadata: { device: {}, timeEvents: [], sensorFiles: [filename] },
+    rowErrors: [],
+    skippedRows: 0
+  }
+}
+
+// Import a Phyphox zip export: the accelerometer table gives the time base,
+// gyroscope, linear acceleration and pressure files are resampled onto it.
+// Saved experiment states (.phyphox XML) are read from their buffers instead.
+export async function importPhyphoxArchive(buffer: ArrayBuffer, filename: string): Promise<PhyphoxArchiveImport> {
+  if (!isZip(buffer)) {
+    const text = new TextDecoder().decode(buffer)
+    if (/^\s*</.test(text)) {
+      return importPhyphoxState(text, filename)
+    }
+    throw new Error(`${filename} has no recorded data. Export the experiment data from Phyphox as a zip archive.`)
+  }
+
+  const entries = readZipEntries(buffer)
+  const readText = async (entry: ZipEntry) => new TextDecoder().decode(await entry.read())
+  const findMeta = (file: string) => entries.find(entry => entry.name.toLowerCase().endsWith(`meta/${file}`))
+
+  const tables: { name: string; table: CSVTable; mapping: CSVColumnMapping }[] = []
+  for (const entry of entries) {
+    if (!/\.(csv|tsv|txt)$/i.test(entry.name) || /(^|\/)meta\//i.test(entry.name)) continue
+    try {
+      const table = readCSVTable(await readText(entry))
+      tables.push({ name: entry.name, table, mapping: archiveMapping(table, entry.name) })
+    } catch (error) {
+      console.warn(`⚠️ [phyphoxArchive] Skipping ${entry.name}:`, error)
+    }
+  }
+
+  // Acceleration with g is preferred as time base, linear acceleration works too
+  const primary = tables.find(({ mapping }) => isMappingComplete(mapping) && (mapping.acceleration || mapping.absoluteAcceleration !== null))
+    || tables.find(({ mapping }) => isMappingComplete(mapping))
+  if (!primary) {
+    throw new Error(`No accelerometer data found in ${filename}`)
+  }
+
+  const imported = buildCSVData(primary.table, primary.mapping, filename)
+  const csvData = imported.csvData
+  const rowErrors = imported.rowErrors.map(error => ({ ...error, file: primary.name }))
+  let skippedRows = imported.skippedRows
+  const sensorFiles = [primary.name]
+
+  for (const channel of SENSOR_CHANNELS) {
+    if (csvData[channel]) continue
+
+    const source = tables.find(({ name, mapping }) => name !== primary.name && mapping.time !== null && mapping[channel])
+    if (!source) continue
+
+    const series = buildAxisSeries(source.table, source.mapping, channel)
+    rowErrors.push(...series.rowErrors.map(error => ({ ...error, file: source.name })))
+    skippedRows += series.skippedRows
+    if (series.time.length === 0) continue
+
+    // Shift like the primary table so absolute timestamps stay aligned
+    const time = series.time.map(t => t - imported.timeOffset)
+    csvData[channel] = resampleAxes(time, series.axes, csvData.time)
+    if (!sensorFiles.includes(source.name)) sensorFiles.push(source.name)
+    console.log(`📦 [phyphoxArchive] Merged ${channel} from ${source.name} (${series.time.length} samples)`)
+  }
+
+  const pressureSource = !csvData.pressure && tables.find(({ name, mapping }) => name !== primary.name && mapping.time !== null && mapping.pressure !== null)
+  if (pressureSource) {
+    const series = buildPressureSeries(pressureSource.table, pressureSource.mapping)
+    rowErrors.push(...series.rowErrors.map(error => ({ ...error, file: pressureSource.name })))
+    skippedRows += series.skippedRows
+
+    if (series.time.length > 0) {
+      const time = series.time.map(t => t - imported.timeOffset)
+      csvData.pressure = resampleValues(time, series.pressure, csvData.time)
+      sensorFiles.push(pressureSource.name)
+      console.log(`📦 [phyphoxArchive] Merged pressure from ${pressureSource.name} (${series.time.length} samples)`)
+    }
+  }
+
+  const deviceEntry = findMeta('device.csv')
+  const timeEntry = findMeta('time.csv')
+  const metadata: PhyphoxMetadata = {
+    device: deviceEntry ? parseDeviceMetadata(await readText(deviceEntry)) : {},
+    timeEvents: timeEntry ? parseTimeEvents(await readText(timeEntry)) : [],
+    sensorFiles
+  }
+
+  console.log(`📦 [phyphoxArchive] Imported ${filename}: ${sensorFiles.join(', ')}`, metadata.device)
+  return { csvData, metadata, rowErrors, skippedRows }
+}
+
+// When the recording started, from the first START event
+export function getArchiveRecordedAt(metadata: PhyphoxMetadata): string | null {
+  const start = metadata.timeEvents.find(event => event.event.toUpperCase() === 'START' && isFinite(event.systemTime))
+  return start ? new Date(start.systemTime * 1000).toISOString() : null
+}
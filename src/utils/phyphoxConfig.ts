@@ -0,0 +1,162 @@
+// Buffer discovery from the Phyphox /config experiment description
+// Every experiment names its buffers freely, so instead of guessing names we read which sensor
+// output feeds which buffer ("inputs"). Experiments without inputs (e.g. built from other data)
+// fall back to the export labels and buffer names, read like CSV headers.
+
+import { detectColumnMapping } from './csvImport'
+
+export interface PhyphoxConfig {
+  crc32?: string
+  title?: string
+  localTitle?: string
+  category?: string
+  buffers: { name: string; size: number }[]
+  inputs?: { source: string; outputs: Record<string, string>[] }[]
+  export?: { set: string; sources: { label: string; buffer: string }[] }[]
+}
+
+export interface PhyphoxAxisBuffers {
+  time: string
+  x: string
+  y: string
+  z: string
+}
+
+// Which buffers carry what. Acceleration is required, the other sensors are used when present.
+export interface PhyphoxBufferMapping {
+  acceleration: PhyphoxAxisBuffers
+  gyroscope: PhyphoxAxisBuffers | null
+  pressure: { time: string; value: string } | null
+}
+
+export interface PhyphoxMappingDetection {
+  mapping: PhyphoxBufferMapping | null // Best guess, null when no acceleration buffers were found
+  ambiguous: boolean // Ask the user before using the guess
+  reason: string | null // Why it's ambiguous, shown in the mapping dialog
+}
+
+// The "Acceleration with g" experiment
+export const DEFAULT_PHYPHOX_BUFFER_MAPPING: PhyphoxBufferMapping = {
+  acceleration: { time: 'acc_time', x: 'accX', y: 'accY', z: 'accZ' },
+  gyroscope: null,
+  pressure: null
+}
+
+const SAVED_MAPPINGS_KEY = 'phyphox-buffer-mappings'
+
+export function getMappedBufferNames(mapping: PhyphoxBufferMapping): string[] {
+  const { acceleration, gyroscope, pressure } = mapping
+  return [
+    acceleration.time, acceleration.x, acceleration.y, acceleration.z,
+    ...(gyroscope ? [gyroscope.time, gyroscope.x, gyroscope.y, gyroscope.z] : []),
+    ...(pressure ? [pressure.time, pressure.value] : [])
+  ]
+}
+
+// Buffers of one sensor input by output component: { t: 'acc_time', x: 'accX', ... }
+function inputComponents(input: NonNullable<PhyphoxConfig['inputs']>[number]): Record<string, string> {
+  return Object.assign({}, ...(input.outputs || []))
+}
+
+function inputAxes(input: NonNullable<PhyphoxConfig['inputs']>[number]): PhyphoxAxisBuffers | null {
+  const { t, x, y, z } = inputComponents(input)
+  return t && x && y && z ? { time: t, x, y, z } : null
+}
+
+function inputsOf(config: PhyphoxConfig, source: string) {
+  return (config.inputs || []).filter(input => input.source?.toLowerCase() === source)
+}
+
+// Acceleration from export labels ("Time (s)", "Acceleration x (m/s^2)") or buffer names
+function detectFromNames(config: PhyphoxConfig): PhyphoxMappingDetection {
+  const sources = (config.export || []).flatMap(set => set.sources || [])
+  const columns = sources.length > 0
+    ? sources.map(source => ({ header: source.label, buffer: source.buffer }))
+    : config.buffers.map(buffer => ({ header: buffer.name, buffer: buffer.name }))
+
+  const detected = detectColumnMapping(columns.map(column => column.header))
+  const axes = detected.acceleration || detected.linearAcceleration
+  if (detected.time === null || !axes) {
+    return { mapping: null, ambiguous: true, reason: 'No acceleration buffers were found in this experiment.' }
+  }
+
+  const bufferAt = (index: number) => columns[index].buffer
+  const timeBuffers = new Set(columns.filter(column => /time|zeit|^t$/i.test(column.header)).map(column => column.buffer))
+
+  return {
+    mapping: {
+      acceleration: { time: bufferAt(detected.time), x: bufferAt(axes.x), y: bufferAt(axes.y), z: bufferAt(axes.z) },
+      gyroscope: null, // Its time buffer can't be told apart by name
+      pressure: null
+    },
+    // With several time buffers we can't tell which one belongs to the acceleration
+    ambiguous: timeBuffers.size > 1,
+    reason: timeBuffers.size > 1
+      ? `This experiment doesn't say which sensor its buffers come from and has ${timeBuffers.size} time buffers.`
+      : null
+  }
+}
+
+export function detectPhyphoxBufferMapping(config: PhyphoxConfig): PhyphoxMappingDetection {
+  // Acceleration with g is what the app expects, without g still shows the moves
+  const accelerometers = inputsOf(config, 'accelerometer').map(inputAxes).filter((axes): axes is PhyphoxAxisBuffers => !!axes)
+  const linear = inputsOf(config, 'linear_acceleration').map(inputAxes).filter((axes): axes is PhyphoxAxisBuffers => !!axes)
+  const candidates = accelerometers.length > 0 ? accelerometers : linear
+
+  if (candidates.length === 0) {
+    return detectFromNames(config)
+  }
+
+  const gyroscope = inputsOf(config, 'gyroscope').map(inputAxes).find(axes => !!axes) || null
+  const pressureInput = inputsOf(config, 'pressure').map(inputComponents).find(components => components.t && components.x)
+
+  return {
+    mapping: {
+      acceleration: candidates[0],
+      gyroscope,
+      pressure: pressureInput ? { time: pressureInput.t, value: pressureInput.x } : null
+    },
+    ambiguous: candidates.length > 1,
+    reason: candidates.length > 1 ? `This experiment records acceleration ${candidates.length} times, pick the buffers to use.` : null
+  }
+}
+
+function mappingKey(config: PhyphoxConfig): string {
+  return config.crc32 || config.title || 'untitled'
+}
+
+function readSavedMappings(): Record<string, PhyphoxBufferMapping> {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_MAPPINGS_KEY) || '{}')
+  } catch {
+    return {}
+  }
+}
+
+// Mapping the user picked for this experiment before, if its buffers still exist
+export function getSavedBufferMapping(config: PhyphoxConfig): PhyphoxBufferMapping | null {
+  const saved = readSavedMappings()[mappingKey(config)]
+  if (!saved) return null
+
+  const names = new Set(config.buffers.map(buffer => buffer.name))
+  return getMappedBufferNames(saved).every(name => names.has(name)) ? saved : null
+}
+
+export function saveBufferMapping(config: PhyphoxConfig, mapping: PhyphoxBufferMapping) {
+  localStorage.setItem(SAVED_MAPPINGS_KEY, JSON.stringify({ ...readSavedMappings(), [mappingKey(config)]: mapping }))
+}
+
+// null when the server has no /config (Phyphox before 1.1), the default buffers are used then
+export async function fetchPhyphoxConfig(serverUrl: string, init?: RequestInit): Promise<PhyphoxConfig | null> {
+  const response = await fetch(`${serverUrl}/config`, init)
+  if (response.status === 404) return null
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+  }
+
+  const config = await response.json() as PhyphoxConfig
+  if (!Array.isArray(config.buffers)) {
+    throw new Error('Phyphox sent an experiment description without buffers')
+  }
+  return config
+}
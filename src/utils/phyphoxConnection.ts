@@ -0,0 +1,520 @@
+// Connection to the Phyphox remote interface - one per app
+// The tutorial, the control panel and the visualizer all talk to the phone through this module and
+// subscribe to its snapshot, so a recording started in one place (or on the phone) shows everywhere.
+//
+// More phones can record along with the main one (e.g. one on the harness, one on a wrist). Each is
+// polled on its own, commands go to all of them at once, and their clocks are aligned from the
+// START events of /time: Phyphox stamps each start with the experiment time and the phone's system
+// time, so the difference of the two between phones is how far their experiment times are apart.
+//
+// States (of every device):
+//   disconnected - not connected, nothing is polled. error says why when a connect failed.
+//   connecting   - first request to a server, or a reconnect attempt after an error. Also while
+//                  pendingMapping waits for the user to pick the buffers of an unclear experiment.
+//   idle         - connected, Phyphox is not measuring
+//   measuring    - connected, Phyphox is measuring and samples are arriving
+//   stalled      - Phyphox says it is measuring but no new samples arrived for a while
+//   error        - the connection was lost, reconnecting with backoff
+
+import type { PhyphoxBuffers, PhyphoxBufferAccumulator } from './phyphoxPolling'
+import { createPhyphoxAccumulator, pollPhyphoxSensors, readPhyphoxDeviceStream, toStandardPhyphoxBuffers } from './phyphoxPolling'
+import type { PhyphoxTimeEvent } from './phyphoxArchive'
+import type { DeviceStream } from './csvLoader'
+import type { PhyphoxConfig, PhyphoxBufferMapping, PhyphoxMappingDetection } from './phyphoxConfig'
+import { fetchPhyphoxConfig, detectPhyphoxBufferMapping, getSavedBufferMapping, saveBufferMapping, DEFAULT_PHYPHOX_BUFFER_MAPPING } from './phyphoxConfig'
+
+export type PhyphoxConnectionState = 'disconnected' | 'connecting' | 'idle' | 'measuring' | 'stalled' | 'error'
+export type PhyphoxCommand = 'start' | 'stop' | 'clear'
+
+// Experiment whose buffers couldn't be mapped with certainty
+export interface PhyphoxPendingMapping {
+  config: PhyphoxConfig
+  detection: PhyphoxMappingDetection
+}
+
+export interface PhyphoxDevice {
+  id: string
+  label: string // Where the phone is worn, e.g. "Harness" or "Wrist"
+  state: PhyphoxConnectionState
+  serverUrl: string
+  error: string | null
+  // Whole recording so far, a new object whenever samples arrive. Always under the names of the
+  // "Acceleration with g" experiment (acc_time, accX, accY, accZ), whatever the experiment calls them.
+  // Mapped gyroscope and pressure buffers follow as gyr_time/gyrX/gyrY/gyrZ and pressure_time/pressure.
+  buffers: PhyphoxBuffers
+  sampleCount: number // Acceleration samples
+  reconnectAttempt: number // 0 while connected, counts failed requests in a row
+  experimentTitle: string | null
+  bufferMapping: PhyphoxBufferMapping
+  pendingMapping: PhyphoxPendingMapping | null
+  // s to add to this device's experiment time to get the main device's. 0 for the main device,
+  // null until both sent a START event (or when the phone has no /time).
+  clockOffset: number | null
+}
+
+// The main device, plus the devices recording along with it
+export interface PhyphoxConnection extends PhyphoxDevice {
+  devices: PhyphoxDevice[]
+}
+
+export const PHYPHOX_STATE_LABELS: Record<PhyphoxConnectionState, string> = {
+  disconnected: 'Disconnected',
+  connecting: 'Connecting...',
+  idle: 'Connected',
+  measuring: 'Recording',
+  stalled: 'No new data',
+  error: 'Reconnecting...'
+}
+
+export const DEFAULT_PHYPHOX_SERVER_URL = 'http://10.237.1.101'
+// scripts/phyphox-simulator.js with its default port (npm run simulator)
+export const PHYPHOX_SIMULATOR_URL = 'http://127.0.0.1:8080'
+const SERVER_URL_KEY = 'phyphox-server-url'
+const DEVICES_KEY = 'phyphox-devices'
+export const MAIN_PHYPHOX_DEVICE_ID = 'main'
+
+const POLL_INTERVAL = 500 // ms
+const REQUEST_TIMEOUT = 5000 // ms
+const STALL_TIMEOUT = 3000 // ms without new samples while measuring
+const MAX_RECONNECT_DELAY = 30000 // ms
+
+// Polling state of one device, the snapshot is in device
+interface DeviceRuntime {
+  device: PhyphoxDevice
+  accumulator: PhyphoxBufferAccumulator
+  sensorAccumulators: PhyphoxBufferAccumulator[] // Gyroscope and pressure, when mapped
+  pollTimer: ReturnType<typeof setTimeout> | null
+  lastNewSamplesAt: number
+  connectionId: number // Bumped on connect/disconnect so late responses of an old connection are ignored
+  timeEvents: PhyphoxTimeEvent[] // Last /time response
+}
+
+function createRuntime(id: string, label: string, serverUrl: string): DeviceRuntime {
+  return {
+    device: {
+      id,
+      label,
+      state: 'disconnected',
+      serverUrl,
+      error: null,
+      buffers: createPhyphoxAccumulator().buffers,
+      sampleCount: 0,
+      reconnectAttempt: 0,
+      experimentTitle: null,
+      bufferMapping: DEFAULT_PHYPHOX_BUFFER_MAPPING,
+      pendingMapping: null,
+      clockOffset: id === MAIN_PHYPHOX_DEVICE_ID ? 0 : null
+    },
+    accumulator: createAccumulator(DEFAULT_PHYPHOX_BUFFER_MAPPING),
+    sensorAccumulators: [],
+    pollTimer: null,
+    lastNewSamplesAt: 0,
+    connectionId: 0,
+    timeEvents: []
+  }
+}
+
+const main = createRuntime(MAIN_PHYPHOX_DEVICE_ID, 'Main', getPhyphoxServerUrl())
+let others: DeviceRuntime[] = readSavedDevices().map(({ id, label, serverUrl }) => createRuntime(id, label, serverUrl))
+let connection: PhyphoxConnection = { ...main.device, devices: others.map(runtime => runtime.device) }
+const listeners = new Set<(connection: PhyphoxConnection) => void>()
+
+// Accepts "10.237.1.101", "10.237.1.101:8080/" or a full URL
+export function normalizePhyphoxUrl(input: string): string {
+  let url = input.trim().replace(/\/+$/, '')
+  if (!url.startsWith('http://') && !url.startsWith('https://')) {
+    url = 'http://' + url
+  }
+  return url
+}
+
+export function getPhyphoxServerUrl(): string {
+  try {
+    return localStorage.getItem(SERVER_URL_KEY) || DEFAULT_PHYPHOX_SERVER_URL
+  } catch {
+    return DEFAULT_PHYPHOX_SERVER_URL
+  }
+}
+
+// The other devices, reconnected whenever the main device connects
+function readSavedDevices(): { id: string; label: string; serverUrl: string }[] {
+  try {
+    return JSON.parse(localStorage.getItem(DEVICES_KEY) || '[]')
+  } catch {
+    return []
+  }
+}
+
+function saveDevices() {
+  localStorage.setItem(DEVICES_KEY, JSON.stringify(others.map(({ device }) => ({ id: device.id, label: device.label, serverUrl: device.serverUrl }))))
+}
+
+function findRuntime(deviceId: string): DeviceRuntime | undefined {
+  return deviceId === MAIN_PHYPHOX_DEVICE_ID ? main : others.find(runtime => runtime.device.id === deviceId)
+}
+
+export function getPhyphoxConnection(): PhyphoxConnection {
+  return connection
+}
+
+// Called with the new snapshot on every change. Returns the unsubscribe function.
+export function subscribeToPhyphoxConnection(listener: (connection: PhyphoxConnection) => void): () => void {
+  listeners.add(listener)
+  return () => { listeners.delete(listener) }
+}
+
+export function isPhyphoxConnected(state: PhyphoxConnectionState = connection.state): boolean {
+  return state === 'idle' || state === 'measuring' || state === 'stalled'
+}
+
+function createAccumulator(mapping: PhyphoxBufferMapping): PhyphoxBufferAccumulator {
+  const { time, x, y, z } = mapping.acceleration
+  return createPhyphoxAccumulator([time, x, y, z], time)
+}
+
+function createSensorAccumulators(mapping: PhyphoxBufferMapping): PhyphoxBufferAccumulator[] {
+  const { gyroscope, pressure } = mapping
+  return [
+    ...(gyroscope ? [createPhyphoxAccumulator([gyroscope.time, gyroscope.x, gyroscope.y, gyroscope.z], gyroscope.time)] : []),
+    ...(pressure ? [createPhyphoxAccumulator([pressure.time, pressure.value], pressure.time)] : [])
+  ]
+}
+
+// Start over with empty buffers for every sensor
+function resetAccumulators(runtime: DeviceRuntime) {
+  runtime.accumulator = createAccumulator(runtime.device.bufferMapping)
+  runtime.sensorAccumulators = createSensorAccumulators(runtime.device.bufferMapping)
+}
+
+function accumulatedBuffers(runtime: DeviceRuntime): PhyphoxBuffers {
+  const { accumulator, sensorAccumulators, device } = runtime
+  return toStandardPhyphoxBuffers(Object.assign({}, ...sensorAccumulators.map(sensor => sensor.buffers), accumulator.buffers), device.bufferMapping)
+}
+
+function publish() {
+  connection = { ...main.device, devices: others.map(runtime => runtime.device) }
+  listeners.forEach(listener => listener(connection))
+}
+
+function updateDevice(runtime: DeviceRuntime, changes: Partial<PhyphoxDevice>) {
+  runtime.device = { ...runtime.device, ...changes }
+  publish()
+}
+
+function describeError(error: unknown): string {
+  const err = error as Error
+  if (err?.name === 'AbortError' || err?.name === 'TimeoutError') {
+    return 'Connection timeout - check if Phyphox is running and accessible'
+  }
+  if (err?.message?.includes('Failed to fetch')) {
+    return 'Cannot reach server - check IP address and WiFi connection'
+  }
+  return err?.message || 'Unknown error'
+}
+
+// System time minus experiment time at the latest START, null before the first start
+function startOffset(events: PhyphoxTimeEvent[]): number | null {
+  const start = [...events].reverse().find(event => event.event === 'START')
+  return start ? start.systemTime - start.experimentTime : null
+}
+
+// Relies on the phones' system clocks, which are network synced to a few ms
+function updateClockOffsets() {
+  const mainOffset = startOffset(main.timeEvents)
+  others.forEach(runtime => {
+    const offset = startOffset(runtime.timeEvents)
+    const clockOffset = mainOffset !== null && offset !== null ? offset - mainOffset : null
+    if (clockOffset !== runtime.device.clockOffset) {
+      console.log(`⏱️ [phyphoxConnection] Clock offset of ${runtime.device.label}:`, clockOffset === null ? 'unknown' : `${clockOffset.toFixed(3)}s`)
+      updateDevice(runtime, { clockOffset })
+    }
+  })
+}
+
+// Read the START/PAUSE events of a device and align the clocks with them
+async function refreshTimeEvents(runtime: DeviceRuntime) {
+  const id = runtime.connectionId
+  try {
+    const response = await fetch(`${runtime.device.serverUrl}/time`, {
+      method: 'GET',
+      mode: 'cors',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    })
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+    }
+    const events = await response.json() as PhyphoxTimeEvent[]
+    if (id !== runtime.connectionId) return
+    runtime.timeEvents = Array.isArray(events) ? events : []
+  } catch (error) {
+    console.warn(`⚠️ [phyphoxConnection] No time events from ${runtime.device.label}, its clock can't be aligned:`, error)
+    return
+  }
+  updateClockOffsets()
+}
+
+function schedulePoll(runtime: DeviceRuntime, delay: number) {
+  if (runtime.pollTimer) clearTimeout(runtime.pollTimer)
+  runtime.pollTimer = setTimeout(() => poll(runtime), delay)
+}
+
+async function poll(runtime: DeviceRuntime) {
+  runtime.pollTimer = null
+  const id = runtime.connectionId
+  const target = runtime.accumulator
+  const sensors = runtime.sensorAccumulators
+
+  if (runtime.device.state === 'error') {
+    updateDevice(runtime, { state: 'connecting' })
+  }
+
+  try {
+    const result = await pollPhyphoxSensors(runtime.device.serverUrl, [target, ...sensors], {
+      method: 'GET',
+      mode: 'cors',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    })
+    if (id !== runtime.connectionId) return
+    // A clear replaced the accumulator while this request ran, its samples are stale
+    if (!result || target !== runtime.accumulator) {
+      schedulePoll(runtime, POLL_INTERVAL)
+      return
+    }
+
+    const now = Date.now()
+    const { state } = runtime.device
+    const changes: Partial<PhyphoxDevice> = { error: null, reconnectAttempt: 0 }
+
+    // -1 means a new Phyphox session emptied the buffers, which is a change listeners need too.
+    // Only acceleration counts as progress, the other sensors may sample much slower.
+    const [newSamples, ...newSensorSamples] = result.newSamples
+    if (newSamples !== 0) {
+      runtime.lastNewSamplesAt = now
+    }
+    if (newSamples !== 0 || newSensorSamples.some(count => count !== 0)) {
+      changes.buffers = accumulatedBuffers(runtime)
+      changes.sampleCount = runtime.accumulator.buffers[runtime.accumulator.timeBuffer].buffer.length
+    }
+
+    if (!result.data.status?.measuring) {
+      changes.state = 'idle'
+    } else if (state !== 'measuring' && state !== 'stalled') {
+      runtime.lastNewSamplesAt = now // Give a measurement that just started time to deliver its first samples
+      changes.state = 'measuring'
+      refreshTimeEvents(runtime) // A new START event to align the clocks with
+    } else if (now - runtime.lastNewSamplesAt > STALL_TIMEOUT) {
+      // Start over with a full request. This also recovers from buffers cleared on the phone,
+      // whose samples are older than our threshold and would never be returned otherwise.
+      if (state !== 'stalled') {
+        console.warn(`⚠️ [phyphoxConnection] ${runtime.device.label} is measuring but sends no new samples, fetching the full buffers again`)
+        resetAccumulators(runtime)
+      }
+      changes.state = 'stalled'
+    } else {
+      changes.state = 'measuring'
+    }
+
+    updateDevice(runtime, changes)
+    schedulePoll(runtime, POLL_INTERVAL)
+  } catch (error) {
+    if (id !== runtime.connectionId) return
+
+    // Back off 1s, 2s, 4s ... up to 30s between attempts
+    const reconnectAttempt = runtime.device.reconnectAttempt + 1
+    const delay = Math.min(1000 * 2 ** (reconnectAttempt - 1), MAX_RECONNECT_DELAY)
+    console.warn(`[phyphoxConnection] Poll of ${runtime.device.label} failed, retrying in ${delay / 1000}s:`, error)
+
+    updateDevice(runtime, { state: 'error', error: describeError(error), reconnectAttempt })
+    schedulePoll(runtime, delay)
+  }
+}
+
+async function connectDevice(runtime: DeviceRuntime, serverUrl: string): Promise<void> {
+  stopDevice(runtime)
+  const id = runtime.connectionId
+  const url = normalizePhyphoxUrl(serverUrl)
+
+  updateDevice(runtime, {
+    state: 'connecting',
+    serverUrl: url,
+    error: null,
+    buffers: createPhyphoxAccumulator().buffers,
+    sampleCount: 0,
+    reconnectAttempt: 0,
+    experimentTitle: null,
+    pendingMapping: null
+  })
+  runtime.timeEvents = []
+
+  let config: PhyphoxConfig | null
+  try {
+    config = await fetchPhyphoxConfig(url, {
+      method: 'GET',
+      mode: 'cors',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    })
+  } catch (error) {
+    if (id === runtime.connectionId) {
+      updateDevice(runtime, { state: 'disconnected', error: describeError(error) })
+    }
+    throw new Error(describeError(error))
+  }
+  if (id !== runtime.connectionId) return
+
+  if (runtime === main) {
+    localStorage.setItem(SERVER_URL_KEY, url)
+  } else {
+    saveDevices()
+  }
+  console.log(`📡 [phyphoxConnection] ${runtime.device.label} connected to`, url, config ? `running "${config.title}"` : '(no experiment description)')
+
+  if (!config) {
+    startPolling(runtime, DEFAULT_PHYPHOX_BUFFER_MAPPING)
+    return
+  }
+
+  updateDevice(runtime, { experimentTitle: config.localTitle || config.title || null })
+  const detection = detectPhyphoxBufferMapping(config)
+  const mapping = getSavedBufferMapping(config) || (!detection.ambiguous ? detection.mapping : null)
+
+  if (mapping) {
+    startPolling(runtime, mapping)
+  } else {
+    console.log(`📡 [phyphoxConnection] Buffers of the experiment on ${runtime.device.label} are unclear, asking for a mapping:`, detection.reason)
+    updateDevice(runtime, { pendingMapping: { config, detection } })
+  }
+}
+
+function startPolling(runtime: DeviceRuntime, mapping: PhyphoxBufferMapping) {
+  runtime.accumulator = createAccumulator(mapping)
+  runtime.sensorAccumulators = createSensorAccumulators(mapping)
+  updateDevice(runtime, { state: 'idle', bufferMapping: mapping, pendingMapping: null })
+  schedulePoll(runtime, 0)
+}
+
+function stopDevice(runtime: DeviceRuntime) {
+  runtime.connectionId++
+  if (runtime.pollTimer) {
+    clearTimeout(runtime.pollTimer)
+    runtime.pollTimer = null
+  }
+  if (runtime.device.state !== 'disconnected') {
+    console.log(`📡 [phyphoxConnection] ${runtime.device.label} disconnected`)
+    updateDevice(runtime, { state: 'disconnected', error: null, reconnectAttempt: 0, pendingMapping: null })
+  }
+}
+
+// Connect to a server and keep polling it. Resolves once the experiment description was read,
+// rejects with a readable message when that failed. A failed connect is not retried.
+// Experiments whose buffers can't be mapped with certainty wait in pendingMapping until
+// confirmPhyphoxBufferMapping() is called.
+// The other devices connect again too, their failures end up in their own error.
+export async function connectToPhyphox(serverUrl: string = main.device.serverUrl): Promise<void> {
+  others.forEach(runtime => {
+    connectDevice(runtime, runtime.device.serverUrl)
+      .catch(error => console.warn(`[phyphoxConnection] ${runtime.device.label} didn't connect:`, error))
+  })
+  await connectDevice(main, serverUrl)
+}
+
+// Use the buffers picked in the mapping dialog, remembered for the next connect to this experiment
+export function confirmPhyphoxBufferMapping(mapping: PhyphoxBufferMapping, deviceId: string = MAIN_PHYPHOX_DEVICE_ID) {
+  const runtime = findRuntime(deviceId)
+  const pending = runtime?.device.pendingMapping
+  if (!runtime || !pending) return
+
+  saveBufferMapping(pending.config, mapping)
+  console.log(`📡 [phyphoxConnection] Using buffer mapping on ${runtime.device.label}`, mapping)
+  startPolling(runtime, mapping)
+}
+
+// Disconnects every device, the other devices stay in the list
+export function disconnectFromPhyphox() {
+  [main, ...others].forEach(stopDevice)
+}
+
+// Record with another phone along with the main one, e.g. strapped to a wrist.
+// The device stays in the list (and reconnects with the main device) until it's removed.
+export async function addPhyphoxDevice(serverUrl: string, label: string): Promise<void> {
+  const runtime = createRuntime(`device-${Date.now()}`, label.trim() || `Device ${others.length + 2}`, normalizePhyphoxUrl(serverUrl))
+  others = [...others, runtime]
+  saveDevices()
+  publish()
+  await connectDevice(runtime, runtime.device.serverUrl)
+}
+
+export async function connectPhyphoxDevice(deviceId: string): Promise<void> {
+  const runtime = findRuntime(deviceId)
+  if (runtime) {
+    await connectDevice(runtime, runtime.device.serverUrl)
+  }
+}
+
+export function disconnectPhyphoxDevice(deviceId: string) {
+  const runtime = findRuntime(deviceId)
+  if (runtime) stopDevice(runtime)
+}
+
+export function removePhyphoxDevice(deviceId: string) {
+  const runtime = others.find(other => other.device.id === deviceId)
+  if (!runtime) return
+
+  stopDevice(runtime)
+  others = others.filter(other => other !== runtime)
+  saveDevices()
+  publish()
+}
+
+async function sendDeviceCommand(runtime: DeviceRuntime, command: PhyphoxCommand): Promise<void> {
+  const id = runtime.connectionId
+
+  const response = await fetch(`${runtime.device.serverUrl}/control?cmd=${command}`, {
+    method: 'GET',
+    mode: 'cors',
+    headers: {
+      'Accept': 'application/json'
+    },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  })
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+  }
+
+  const result = await response.json()
+  if (result.result !== true) {
+    throw new Error(`Phyphox refused "${command}": ${result.message || 'Unknown error'}`)
+  }
+  console.log(`✅ [phyphoxConnection] ${command.toUpperCase()} successful on ${runtime.device.label}`)
+  if (id !== runtime.connectionId) return
+
+  if (command === 'clear') {
+    resetAccumulators(runtime)
+    updateDevice(runtime, { buffers: accumulatedBuffers(runtime), sampleCount: 0 })
+  }
+  schedulePoll(runtime, 0)
+}
+
+// Run a remote control command on every connected device at once. The measuring state follows
+// from the next poll, which is requested right away so every subscriber sees the change within
+// one request.
+export async function sendPhyphoxCommand(command: PhyphoxCommand): Promise<void> {
+  if (main.device.state === 'disconnected' || main.device.pendingMapping) {
+    throw new Error('Not connected to a Phyphox server')
+  }
+
+  const targets = [main, ...others.filter(runtime => isPhyphoxConnected(runtime.device.state) && !runtime.device.pendingMapping)]
+  const results = await Promise.allSettled(targets.map(runtime => sendDeviceCommand(runtime, command)))
+
+  const failed = results.findIndex(result => result.status === 'rejected')
+  if (failed !== -1) {
+    const message = describeError((results[failed] as PromiseRejectedResult).reason)
+    throw new Error(targets[failed] === main ? message : `${targets[failed].device.label}: ${message}`)
+  }
+}
+
+// What the other devices recorded so far, on the time base of the main device's acc_time
+export function getPhyphoxDeviceStreams(mainTime: number[], devices: PhyphoxDevice[] = connection.devices): DeviceStream[] {
+  return devices
+    .map(device => readPhyphoxDeviceStream(device.buffers, mainTime, device.label, device.clockOffset))
+    .filter((stream): stream is DeviceStream => !!stream)
+}
@@ -0,0 +1,227 @@
+// Incremental polling of the Phyphox remote interface
+// The first /get request asks for the full buffers, after that only for samples newer than the
+// last one received: `acc_time=<last>&accX=<last>|acc_time` returns the values whose acc_time
+// is greater than <last>. Responses stay small no matter how long the recording runs.
+// Every sensor has its own time buffer, so each gets an accumulator and all of them are read
+// with one request.
+
+import { resampleAxes, resampleValues } from './csvImport'
+import type { CSVData, DeviceStream } from './csvLoader'
+import type { PhyphoxBufferMapping } from './phyphoxConfig'
+
+export type PhyphoxBuffers = Record<string, { buffer: number[] }>
+
+export interface PhyphoxGetResponse {
+  buffer: PhyphoxBuffers
+  status?: {
+    session?: string
+    measuring?: boolean
+    timedRun?: boolean
+    countDown?: number
+  }
+}
+
+// Buffers of the acceleration (with g) experiment
+export const ACCELERATION_BUFFERS = ['acc_time', 'accX', 'accY', 'accZ']
+export const ACCELERATION_TIME_BUFFER = 'acc_time'
+// Names stored recordings use for the other sensors, whatever the experiment calls them
+export const GYROSCOPE_BUFFERS = ['gyr_time', 'gyrX', 'gyrY', 'gyrZ']
+export const PRESSURE_BUFFERS = ['pressure_time', 'pressure']
+
+// Mapped buffers of an experiment under the names every consumer reads
+export function toStandardPhyphoxBuffers(buffers: PhyphoxBuffers, mapping: PhyphoxBufferMapping): PhyphoxBuffers {
+  const { acceleration, gyroscope, pressure } = mapping
+  const read = (name: string) => buffers[name] || { buffer: [] }
+  const standard: PhyphoxBuffers = { acc_time: read(acceleration.time), accX: read(acceleration.x), accY: read(acceleration.y), accZ: read(acceleration.z) }
+
+  if (gyroscope) {
+    [gyroscope.time, gyroscope.x, gyroscope.y, gyroscope.z].forEach((name, index) => { standard[GYROSCOPE_BUFFERS[index]] = read(name) })
+  }
+  if (pressure) {
+    [pressure.time, pressure.value].forEach((name, index) => { standard[PRESSURE_BUFFERS[index]] = read(name) })
+  }
+  return standard
+}
+
+// Everything received so far in one polling run
+export interface PhyphoxBufferAccumulator {
+  bufferNames: string[]
+  timeBuffer: string
+  buffers: PhyphoxBuffers
+  session: string | null
+  requestPending: boolean
+}
+
+// Query for /get: full buffers without a threshold, otherwise only samples with time > since
+export function buildPhyphoxQuery(bufferNames: string[], timeBuffer: string, since: number | null): string {
+  return bufferNames
+    .map(name => {
+      if (since === null) return `${encodeURIComponent(name)}=full`
+      const threshold = String(since)
+      return name === timeBuffer
+        ? `${encodeURIComponent(name)}=${threshold}`
+        : `${encodeURIComponent(name)}=${threshold}|${encodeURIComponent(timeBuffer)}`
+    })
+    .join('&')
+}
+
+export function createPhyphoxAccumulator(bufferNames: string[] = ACCELERATION_BUFFERS, timeBuffer: string = ACCELERATION_TIME_BUFFER): PhyphoxBufferAccumulator {
+  const buffers: PhyphoxBuffers = {}
+  bufferNames.forEach(name => { buffers[name] = { buffer: [] } })
+  return { bufferNames, timeBuffer, buffers, session: null, requestPending: false }
+}
+
+export function resetPhyphoxAccumulator(accumulator: PhyphoxBufferAccumulator) {
+  accumulator.bufferNames.forEach(name => { accumulator.buffers[name] = { buffer: [] } })
+  accumulator.session = null
+}
+
+// Time of the last sample received, null before the first one
+export function getLastSampleTime(accumulator: PhyphoxBufferAccumulator): number | null {
+  const time = accumulator.buffers[accumulator.timeBuffer].buffer
+  return time.length > 0 ? time[time.length - 1] : null
+}
+
+// Append a /get response. Returns the number of new samples, or -1 when Phyphox started a new
+// session: the accumulator is emptied and the next request fetches the full buffers again.
+export function mergePhyphoxResponse(accumulator: PhyphoxBufferAccumulator, data: PhyphoxGetResponse, incremental: boolean): number {
+  const session = data.status?.session ?? null
+  if (accumulator.session !== null && session !== null && session !== accumulator.session) {
+    console.log('📡 [phyphoxPolling] New Phyphox session, fetching the full buffers again')
+    resetPhyphoxAccumulator(accumulator)
+    if (incremental) return -1
+  }
+  if (session !== null) accumulator.session = session
+
+  // Buffers are read one after another on the phone, so they can differ by a sample or two.
+  // Samples past the shortest buffer are requested again with the next threshold.
+  const received = accumulator.bufferNames.map(name => data.buffer?.[name]?.buffer || [])
+  const count = Math.min(...received.map(values => values.length))
+  if (count === 0) return 0
+
+  // Full responses repeat what we already have when polling resumes, skip those samples
+  const lastTime = getLastSampleTime(accumulator)
+  const time = received[accumulator.bufferNames.indexOf(accumulator.timeBuffer)]
+  let start = 0
+  while (start < count && lastTime !== null && time[start] <= lastTime) start++
+
+  accumulator.bufferNames.forEach((name, index) => {
+    const target = accumulator.buffers[name].buffer
+    for (let i = start; i < count; i++) target.push(received[index][i])
+  })
+  return count - start
+}
+
+// Request what is new since the last poll and merge it. Resolves to null while a previous
+// request is still running, so slow responses never add the same samples twice.
+export async function pollPhyphoxBuffers(serverUrl: string, accumulator: PhyphoxBufferAccumulator, init?: RequestInit): Promise<{ data: PhyphoxGetResponse; newSamples: number } | null> {
+  const result = await pollPhyphoxSensors(serverUrl, [accumulator], init)
+  return result && { data: result.data, newSamples: result.newSamples[0] }
+}
+
+// Same for several sensors in one request, newSamples per accumulator
+export async function pollPhyphoxSensors(serverUrl: string, accumulators: PhyphoxBufferAccumulator[], init?: RequestInit): Promise<{ data: PhyphoxGetResponse; newSamples: number[] } | null> {
+  if (accumulators.some(accumulator => accumulator.requestPending)) return null
+  accumulators.forEach(accumulator => { accumulator.requestPending = true })
+
+  try {
+    const sinces = accumulators.map(getLastSampleTime)
+    const query = accumulators
+      .map((accumulator, index) => buildPhyphoxQuery(accumulator.bufferNames, accumulator.timeBuffer, sinces[index]))
+      .join('&')
+    const response = await fetch(`${serverUrl}/get?${query}`, init)
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+    }
+
+    const data = await response.json() as PhyphoxGetResponse
+    return { data, newSamples: accumulators.map((accumulator, index) => mergePhyphoxResponse(accumulator, data, sinces[index] !== null)) }
+  } finally {
+    accumulators.forEach(accumulator => { accumulator.requestPending = false })
+  }
+}
+
+// Gyroscope and pressure of a recording stored under the standard names, resampled onto the
+// accelerometer's time base like the channels of CSV imports
+export function readPhyphoxSensorChannels(buffers: PhyphoxBuffers): Pick<CSVData, 'gyroscope' | 'pressure'> {
+  const read = (name: string) => buffers[name]?.buffer || []
+  const time = read(ACCELERATION_TIME_BUFFER)
+  const channels: Pick<CSVData, 'gyroscope' | 'pressure'> = {}
+
+  const [gyroTime, gyroX, gyroY, gyroZ] = GYROSCOPE_BUFFERS.map(read)
+  const gyroSamples = Math.min(gyroTime.length, gyroX.length, gyroY.length, gyroZ.length)
+  if (time.length > 0 && gyroSamples > 0) {
+    channels.gyroscope = resampleAxes(gyroTime.slice(0, gyroSamples), { x: gyroX, y: gyroY, z: gyroZ }, time)
+  }
+
+  const [pressureTime, pressure] = PRESSURE_BUFFERS.map(read)
+  const pressureSamples = Math.min(pressureTime.length, pressure.length)
+  if (time.length > 0 && pressureSamples > 0) {
+    channels.pressure = resampleValues(pressureTime.slice(0, pressureSamples), pressure, time)
+  }
+
+  return channels
+}
+
+// Acceleration of another phone, stored under the standard names, on the time base of the main
+// phone's acc_time. clockOffset (s) moves the phone's experiment time onto the main phone's.
+export function readPhyphoxDeviceStream(buffers: PhyphoxBuffers, targetTime: number[], label: string, clockOffset: number | null): DeviceStream | null {
+  const [time, x, y, z] = ACCELERATION_BUFFERS.map(name => buffers[name]?.buffer || [])
+  const samples = Math.min(time.length, x.length, y.length, z.length)
+  if (samples === 0 || targetTime.length === 0) return null
+
+  const shiftedTime = time.slice(0, samples).map(t => t + (clockOffset ?? 0))
+  const acceleration = resampleAxes(shiftedTime, { x: x.slice(0, samples), y: y.slice(0, samples), z: z.slice(0, samples) }, targetTime)
+  return {
+    label,
+    absoluteAcceleration: acceleration.x.map((ax, i) => Math.sqrt(ax * ax + acceleration.y[i] * acceleration.y[i] + acceleration.z[i] * acceleration.z[i])),
+    acceleration,
+    clockOffset
+  }
+}
+
+// CSVData of a recording stored under the standard names, null without acceleration
+export function phyphoxBuffersToCSVData(buffers: PhyphoxBuffers, filename = 'phyphox-recording.csv'): CSVData | null {
+  const [timeArray, accX, accY, accZ] = ACCELERATION_BUFFERS.map(name => buffers[name]?.buffer)
+  if (!timeArray || !accX || !accY || !accZ) return null
+
+  const time = timeArray.map(t => t - timeArray[0]) // Normalize to start at 0
+  const absoluteAcceleration = timeArray.map((_, i) => {
+    const x = accX[i] || 0
+    const y = accY[i] || 0
+    const z = accZ[i] || 0
+    return Math.sqrt(x * x + y * y + z * z)
+  })
+
+  return {
+    time,
+    absoluteAcceleration,
+    filename,
+    duration: time.length > 0 ? time[time.length - 1] - time[0] : 0,
+    maxAcceleration: absoluteAcceleration.reduce((max, value) => Math.max(max, value), -Infinity), // Spreading long recordings overflows the stack
+    avgAcceleration: absoluteAcceleration.reduce((a, b) => a + b, 0) / absoluteAcceleration.length,
+    sampleCount: time.length,
+    acceleration: { x: accX, y: accY, z: accZ },
+    ...readPhyphoxSensorChannels(buffers)
+  }
+}
+
+// Samples of every sensor between start and stop (experiment time, s), each sensor cut by its own
+// time buffer. A null bound keeps that end as recorded.
+export function trimPhyphoxBuffers(buffers: PhyphoxBuffers, start: number | null, stop: number | null): PhyphoxBuffers {
+  const trimmed: PhyphoxBuffers = { ...buffers }
+  for (const [timeName, ...valueNames] of [ACCELERATION_BUFFERS, GYROSCOPE_BUFFERS, PRESSURE_BUFFERS]) {
+    const time = buffers[timeName]?.buffer
+    if (!time) continue
+
+    let first = 0
+    while (start !== null && first < time.length && time[first] < start) first++
+    let end = time.length
+    while (stop !== null && end > first && time[end - 1] > stop) end--
+
+    for (const name of [timeName, ...valueNames]) {
+      if (buffers[name]) trimmed[name] = { buffer: buffers[name].buffer.slice(first, end) }
+    }
+  }
+  return trimmed
+}
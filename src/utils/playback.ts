@@ -0,0 +1,132 @@
+// Playback of a stored recording
+// A shared clock on the recording's time axis: the visualizer grows the rings up to the current
+// time and the statistics plot follows it with a cursor. Both views read the same state, so
+// switching between them keeps the position.
+
+import { getVisualizationState } from '../store/visualizationStore'
+import type { ProcessedMove } from './moveDetection'
+
+export interface PlaybackState {
+  active: boolean // The visualizer shows the recording up to time instead of the finished boulder
+  playing: boolean
+  time: number // s on the recording's time axis
+  speed: number
+}
+
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4]
+
+const INACTIVE: PlaybackState = { active: false, playing: false, time: 0, speed: 1 }
+
+let state = INACTIVE
+const listeners = new Set<() => void>()
+let boulderId: number | null = null // Recording the playback belongs to
+let frame: number | null = null
+let lastFrameTime = 0
+
+function publish(changes: Partial<PlaybackState>) {
+  state = { ...state, ...changes }
+  listeners.forEach(listener => listener())
+}
+
+// Time axis of the selected recording, null for boulders without sensor data
+export function getPlaybackRange(): { start: number; end: number } | null {
+  const time = getVisualizationState().selectedBoulder?.csvData?.time
+  if (!time || time.length < 2) return null
+  return { start: time[0], end: time[time.length - 1] }
+}
+
+function tick(now: number) {
+  const range = getPlaybackRange()
+  if (!range || getVisualizationState().selectedBoulder?.id !== boulderId) {
+    stopPlayback() // Another recording was selected
+    return
+  }
+
+  const time = Math.min(range.end, state.time + (now - lastFrameTime) / 1000 * state.speed)
+  lastFrameTime = now
+  const playing = time < range.end
+  publish({ time, playing })
+  frame = playing ? requestAnimationFrame(tick) : null
+}
+
+function cancelFrame() {
+  if (frame !== null) cancelAnimationFrame(frame)
+  frame = null
+}
+
+export function getPlaybackState(): PlaybackState {
+  return state
+}
+
+export function subscribeToPlayback(listener: () => void): () => void {
+  listeners.add(listener)
+  return () => { listeners.delete(listener) }
+}
+
+// Plays from the current position, from the start when the end was reached
+export function playPlayback() {
+  const range = getPlaybackRange()
+  if (!range) return
+
+  const selectedId = getVisualizationState().selectedBoulder?.id ?? null
+  const restart = !state.active || boulderId !== selectedId || state.time >= range.end
+  boulderId = selectedId
+  cancelFrame()
+  lastFrameTime = performance.now()
+  publish({ active: true, playing: true, time: restart ? range.start : state.time })
+  frame = requestAnimationFrame(tick)
+}
+
+export function pausePlayback() {
+  cancelFrame()
+  publish({ playing: false })
+}
+
+// Jumps to a time, entering playback paused when it wasn't running
+export function seekPlayback(time: number) {
+  const range = getPlaybackRange()
+  if (!range) return
+
+  if (!state.active) {
+    boulderId = getVisualizationState().selectedBoulder?.id ?? null
+  }
+  lastFrameTime = performance.now()
+  publish({ active: true, time: Math.min(range.end, Math.max(range.start, time)) })
+}
+
+export function setPlaybackSpeed(speed: number) {
+  publish({ speed })
+}
+
+// Back to the finished boulder
+export function stopPlayback() {
+  cancelFrame()
+  boulderId = null
+  publish({ ...INACTIVE, speed: state.speed })
+}
+
+// How much of the ring is drawn at a time, 0..1 clockwise from 12 o'clock where the rings start.
+// Move i sits at i / moves.length and the ring grows towards it while the move happens; after the
+// last move it closes over the rest of the recording.
+export function getPlaybackRevealFraction(moves: ProcessedMove[], time: number, end: number): number {
+  const moveCount = moves.length
+  if (moveCount < 2) return 1
+
+  let position = 0
+  for (let i = 1; i < moveCount; i++) {
+    const move = moves[i]
+    if (time >= move.endTime) {
+      position = i
+      continue
+    }
+    if (time > move.startTime) {
+      position = i - 1 + (time - move.startTime) / Math.max(move.endTime - move.startTime, 1e-6)
+    }
+    return position / moveCount
+  }
+
+  // Closing segment back to the start move
+  const lastEnd = moves[moveCount - 1].endTime
+  const closing = end > lastEnd ? Math.min(1, Math.max(0, (time - lastEnd) / (end - lastEnd))) : 1
+  return (moveCount - 1 + closing) / moveCount
+}
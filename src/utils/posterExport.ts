@@ -0,0 +1,186 @@
+// Poster export
+// Renders the ring art at print resolution, e.g. 8000×8000 px for an A1 poster next to the
+// problem. The scene is drawn tile by tile through the on-screen renderer, so sizes beyond what
+// the GPU draws at once work and the colours match the screen. Caption and background are added
+// on a 2D canvas that is saved as PNG.
+
+import * as THREE from 'three'
+import type { BoulderData } from './csvLoader'
+
+export interface PosterExportOptions {
+  width: number // px
+  height: number // px
+  transparent: boolean // Otherwise filled with background
+  background: string
+  caption: boolean // Name, grade and setter under the rings
+  captionColor: string
+  circularText: boolean
+}
+
+// Draws the scene into ctx from (0, 0) at width × height, registered by the 3D view
+export type PosterSceneRenderer = (ctx: CanvasRenderingContext2D, width: number, height: number, options: PosterExportOptions) => void
+
+export const POSTER_SIZES = [
+  { label: 'Square 4000 px', width: 4000, height: 4000 },
+  { label: 'Square 8000 px (A1)', width: 8000, height: 8000 },
+  { label: 'A1 portrait, 300 dpi', width: 7016, height: 9933 },
+  { label: 'A2 portrait, 300 dpi', width: 4961, height: 7016 },
+  { label: 'A3 portrait, 300 dpi', width: 3508, height: 4961 }
+]
+
+export const DEFAULT_POSTER_EXPORT_OPTIONS: PosterExportOptions = {
+  width: 8000,
+  height: 8000,
+  transparent: false,
+  background: '#000000',
+  caption: true,
+  captionColor: '#ffffff',
+  circularText: true
+}
+
+const MAX_POSTER_SIDE = 16384 // px, the largest canvas browsers reliably allocate
+const MAX_TILE_SIZE = 2048 // px rendered at once
+const CAPTION_BAND = 0.14 // Height of the caption band relative to the shorter side
+
+let sceneRenderer: PosterSceneRenderer | null = null
+
+// Returns the unregister function for the effect cleanup
+export function registerPosterRenderer(renderer: PosterSceneRenderer): () => void {
+  sceneRenderer = renderer
+  return () => {
+    if (sceneRenderer === renderer) sceneRenderer = null
+  }
+}
+
+// The screen's camera for an export of width × height. It keeps its position; its field of view
+// is widened for portrait formats so the shorter side shows what the screen's height shows.
+export function createExportCamera(camera: THREE.Camera, width: number, height: number): THREE.Camera {
+  const exportCamera = camera.clone() as THREE.Camera
+  if (exportCamera instanceof THREE.PerspectiveCamera) {
+    exportCamera.aspect = width / height
+    if (exportCamera.aspect < 1) {
+      const halfFov = THREE.MathUtils.degToRad(exportCamera.fov / 2)
+      exportCamera.fov = THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(halfFov) / exportCamera.aspect))
+    }
+    exportCamera.updateProjectionMatrix()
+  }
+  return exportCamera
+}
+
+// Renders scene as seen through camera into ctx, one tile at a time
+export function renderSceneTiles(
+  gl: THREE.WebGLRenderer,
+  scene: THREE.Scene,
+  camera: THREE.Camera,
+  ctx: CanvasRenderingContext2D,
+  width: number,
+  height: number
+) {
+  const posterCamera = createExportCamera(camera, width, height)
+
+  const originalSize = gl.getSize(new THREE.Vector2())
+  const originalPixelRatio = gl.getPixelRatio()
+  const tileSize = Math.min(MAX_TILE_SIZE, gl.capabilities.maxTextureSize)
+
+  try {
+    gl.setPixelRatio(1)
+    gl.setSize(tileSize, tileSize, false)
+
+    for (let y = 0; y < height; y += tileSize) {
+      for (let x = 0; x < width; x += tileSize) {
+        // Tiles at the edges reach past the poster, only their inside part is copied
+        if (posterCamera instanceof THREE.PerspectiveCamera || posterCamera instanceof THREE.OrthographicCamera) {
+          posterCamera.setViewOffset(width, height, x, y, tileSize, tileSize)
+        }
+        gl.render(scene, posterCamera)
+        const tileWidth = Math.min(tileSize, width - x)
+        const tileHeight = Math.min(tileSize, height - y)
+        // Copied right away, the drawing buffer is only valid until control returns to the browser
+        ctx.drawImage(gl.domElement, 0, 0, tileWidth, tileHeight, x, y, tileWidth, tileHeight)
+      }
+    }
+  } finally {
+    gl.setPixelRatio(originalPixelRatio)
+    gl.setSize(originalSize.x, originalSize.y, false)
+  }
+}
+
+// File name for an export of the boulder, e.g. "crimp-line-poster-8000x8000.png"
+export function getExportFileName(boulder: BoulderData, suffix: string): string {
+  const name = boulder.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'boulder'
+  return `${name}-${suffix}`
+}
+
+function drawCaption(ctx: CanvasRenderingContext2D, boulder: BoulderData, width: number, height: number, band: number, color: string) {
+  const fontFamily = 'TT-Supermolot-Neue-Trial-Expanded-Bold, Arial, sans-serif'
+  const details = [boulder.grade, boulder.routeSetter ? `Set by ${boulder.routeSetter}` : null].filter(Boolean).join(' · ')
+  const nameSize = Math.round(band * 0.32)
+  const detailSize = Math.round(band * 0.16)
+
+  ctx.save()
+  ctx.fillStyle = color
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.font = `bold ${nameSize}px ${fontFamily}`
+  const nameY = height - band + (details ? band * 0.38 : band * 0.5)
+  ctx.fillText(boulder.name.toUpperCase(), width / 2, nameY, width * 0.9)
+  if (details) {
+    ctx.globalAlpha = 0.75
+    ctx.font = `${detailSize}px ${fontFamily}`
+    ctx.fillText(details, width / 2, nameY + nameSize * 0.5 + detailSize, width * 0.9)
+  }
+  ctx.restore()
+}
+
+export function downloadBlob(blob: Blob, filename: string) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Renders and downloads the poster of the boulder shown in the 3D view
+export async function exportPoster(boulder: BoulderData, options: PosterExportOptions): Promise<void> {
+  if (!sceneRenderer) {
+    throw new Error('Open the 3D view to export a poster')
+  }
+  const width = Math.round(options.width)
+  const height = Math.round(options.height)
+  if (!(width > 0 && height > 0) || width > MAX_POSTER_SIDE || height > MAX_POSTER_SIDE) {
+    throw new Error(`Poster sizes go from 1 to ${MAX_POSTER_SIDE} px per side`)
+  }
+
+  // Let the button show that the export runs, the rendering blocks the page for a moment
+  await new Promise(resolve => setTimeout(resolve, 50))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+  if (!ctx) {
+    throw new Error('Canvas is not available for an image this large')
+  }
+
+  if (!options.transparent) {
+    ctx.fillStyle = options.background
+    ctx.fillRect(0, 0, width, height)
+  }
+
+  const band = options.caption ? Math.round(Math.min(width, height) * CAPTION_BAND) : 0
+  console.log(`🖼️ [PosterExport] Rendering "${boulder.name}" at ${width}×${height}`)
+  sceneRenderer(ctx, width, height - band, options)
+  if (options.caption) {
+    drawCaption(ctx, boulder, width, height, band, options.captionColor)
+  }
+
+  const blob = await new Promise<Blob | null>(resolve => canvas.toBlob(resolve, 'image/png'))
+  canvas.width = 0 // Frees the pixels right away
+  if (!blob) {
+    throw new Error('The browser could not encode an image this large')
+  }
+
+  downloadBlob(blob, getExportFileName(boulder, `poster-${width}x${height}.png`))
+  console.log(`🖼️ [PosterExport] Saved ${(blob.size / 1024 / 1024).toFixed(1)} MB`)
+}
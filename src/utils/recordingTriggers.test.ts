@@ -0,0 +1,153 @@
+import { describe, expect, it } from 'vitest'
+import { applyRecordingTriggers, createRecordingTrigger, DEFAULT_RECORDING_TRIGGER_SETTINGS } from './recordingTriggers'
+import type { RecordingTriggerEvent, RecordingTriggerSettings } from './recordingTriggers'
+import { GRAVITY } from './fallDetection'
+
+const SAMPLE_RATE = 100 // Hz, like Phyphox
+
+interface Segment {
+  duration: number // s
+  level: number // m/s²
+}
+
+// Piecewise constant magnitude with a little sensor noise, on exact sample times
+function createSignal(segments: Segment[]) {
+  const time: number[] = []
+  const magnitude: number[] = []
+  for (const { duration, level } of segments) {
+    const samples = Math.round(duration * SAMPLE_RATE)
+    for (let i = 0; i < samples; i++) {
+      time.push(time.length / SAMPLE_RATE)
+      magnitude.push(level + (time.length % 3 - 1) * 0.2)
+    }
+  }
+  return { time, magnitude }
+}
+
+// All events of a recording pushed in chunks, like the polling delivers them
+function runTrigger(signal: { time: number[]; magnitude: number[] }, changes: Partial<RecordingTriggerSettings> = {}, chunk = 13) {
+  const trigger = createRecordingTrigger({ ...DEFAULT_RECORDING_TRIGGER_SETTINGS, ...changes })
+  const events: RecordingTriggerEvent[] = []
+  for (let i = 0; i < signal.time.length; i += chunk) {
+    events.push(...trigger.push(signal.time.slice(i, i + chunk), signal.magnitude.slice(i, i + chunk)))
+  }
+  return events
+}
+
+// Standing at the wall, climbing from 3 s to 8 s, then resting at the top
+const CLIMB_TO_TOP = createSignal([
+  { duration: 3, level: GRAVITY },
+  { duration: 5, level: GRAVITY + 4 },
+  { duration: 12, level: GRAVITY }
+])
+
+// Climbing from 3 s on, 0.5 s of freefall from 10 s on and a landing at 10.7 s
+const CLIMB_AND_FALL = createSignal([
+  { duration: 3, level: GRAVITY },
+  { duration: 5, level: GRAVITY + 4 },
+  { duration: 2, level: GRAVITY },
+  { duration: 0.5, level: 0.5 },
+  { duration: 0.2, level: GRAVITY },
+  { duration: 0.05, level: GRAVITY + 30 },
+  { duration: 3, level: GRAVITY }
+])
+
+describe('createRecordingTrigger', () => {
+  describe('start', () => {
+    it('starts the margin before sustained motion began', () => {
+      const [start] = runTrigger(CLIMB_TO_TOP)
+      expect(start.type).toBe('start')
+      expect(start.time).toBeCloseTo(2, 9)
+    })
+
+    it('does not start before the first sample', () => {
+      const signal = createSignal([
+        { duration: 0.5, level: GRAVITY },
+        { duration: 3, level: GRAVITY + 4 }
+      ])
+      expect(runTrigger(signal)).toEqual([{ type: 'start', time: 0 }])
+    })
+
+    it('waits for motion that lasts the start duration', () => {
+      const signal = createSignal([
+        { duration: 3, level: GRAVITY },
+        { duration: 0.5, level: GRAVITY + 4 },
+        { duration: 1, level: GRAVITY },
+        { duration: 0.8, level: GRAVITY + 4 },
+        { duration: 3, level: GRAVITY }
+      ])
+      expect(runTrigger(signal)).toEqual([])
+      expect(runTrigger(signal, { startDuration: 0.4 })[0].time).toBeCloseTo(2, 9)
+    })
+
+    it('keeps motion sustained across short pauses', () => {
+      const signal = createSignal([
+        { duration: 3, level: GRAVITY },
+        { duration: 0.6, level: GRAVITY + 4 },
+        { duration: 0.2, level: GRAVITY },
+        { duration: 0.6, level: GRAVITY + 4 },
+        { duration: 3, level: GRAVITY }
+      ])
+      expect(runTrigger(signal)[0].time).toBeCloseTo(2, 9)
+    })
+
+    it('starts at the first sample without auto start', () => {
+      const signal = createSignal([{ duration: 3, level: GRAVITY }])
+      const trigger = createRecordingTrigger({ ...DEFAULT_RECORDING_TRIGGER_SETTINGS, autoStart: false })
+      expect(trigger.push(signal.time.map(t => t + 5), signal.magnitude)).toEqual([{ type: 'start', time: 5 }])
+    })
+
+    it('reads linear acceleration (without g) as well', () => {
+      const linear = { time: CLIMB_TO_TOP.time, magnitude: CLIMB_TO_TOP.magnitude.map(a => a - GRAVITY) }
+      expect(runTrigger(linear)).toEqual(runTrigger(CLIMB_TO_TOP))
+    })
+  })
+
+  describe('stop', () => {
+    it('stops the margin after the last motion once the climber stayed still at the top', () => {
+      const events = runTrigger(CLIMB_TO_TOP)
+      expect(events).toHaveLength(2)
+      expect(events[1]).toMatchObject({ type: 'stop', reason: 'top' })
+      expect(events[1].time).toBeCloseTo(8.99, 9)
+    })
+
+    it('waits for the configured time at the top', () => {
+      expect(runTrigger(CLIMB_TO_TOP, { topStillSeconds: 15 })).toHaveLength(1)
+      expect(runTrigger(CLIMB_TO_TOP, { stopOnTop: false })).toHaveLength(1)
+    })
+
+    it('stops the margin after the landing of a fall', () => {
+      const events = runTrigger(CLIMB_AND_FALL, { margin: 0.5 })
+      expect(events).toHaveLength(2)
+      expect(events[0].time).toBeCloseTo(2.5, 9)
+      expect(events[1]).toMatchObject({ type: 'stop', reason: 'fall' })
+      expect(events[1].time).toBeCloseTo(11.2, 9)
+    })
+
+    it('ignores falls when stopping on falls is off', () => {
+      // Freefall and landing count as motion, the climber lies still from 10.75 s on
+      const events = runTrigger(CLIMB_AND_FALL, { stopOnFall: false, topStillSeconds: 2.5 })
+      expect(events[1]).toMatchObject({ type: 'stop', reason: 'top' })
+      expect(events[1].time).toBeCloseTo(11.74, 9)
+    })
+
+    it('reports nothing after the stop', () => {
+      const trigger = createRecordingTrigger(DEFAULT_RECORDING_TRIGGER_SETTINGS)
+      trigger.push(CLIMB_AND_FALL.time, CLIMB_AND_FALL.magnitude)
+      expect(trigger.push(CLIMB_TO_TOP.time.map(t => t + 20), CLIMB_TO_TOP.magnitude)).toEqual([])
+    })
+
+    it('finds the same bounds for any chunk size', () => {
+      const events = runTrigger(CLIMB_AND_FALL, {}, CLIMB_AND_FALL.time.length)
+      expect(runTrigger(CLIMB_AND_FALL, {}, 1)).toEqual(events)
+      expect(runTrigger(CLIMB_AND_FALL, {}, 50)).toEqual(events)
+    })
+  })
+})
+
+describe('applyRecordingTriggers', () => {
+  it('keeps the buffers unchanged while the triggers are off', () => {
+    const buffers = { acc_time: { buffer: [0, 0.01] } }
+    expect(applyRecordingTriggers(buffers)).toBe(buffers)
+  })
+})
@@ -0,0 +1,247 @@
+// Recording triggers: start and stop a live recording from the climb itself
+// Armed, the phone measures but nothing counts until sustained motion begins. The recording stops
+// on a fall - freefall followed by an impact - or once the climber stayed still at the top. The
+// saved recording is trimmed to those bounds, so there's no walking to the wall or stepping off
+// left to crop by hand.
+
+import { getPhyphoxConnection, subscribeToPhyphoxConnection, sendPhyphoxCommand } from './phyphoxConnection'
+import type { PhyphoxConnection } from './phyphoxConnection'
+import { ACCELERATION_BUFFERS, trimPhyphoxBuffers } from './phyphoxPolling'
+import type { PhyphoxBuffers } from './phyphoxPolling'
+import { playLiveCue } from './liveCues'
+import { createFallDetector, GRAVITY } from './fallDetection'
+import type { FallDetector } from './fallDetection'
+
+export interface RecordingTriggerSettings {
+  autoStart: boolean // Wait for motion after arming, otherwise the recording starts right away
+  startMotion: number // m/s² away from the resting level that counts as motion
+  startDuration: number // s the motion has to last before the recording starts
+  stopOnFall: boolean
+  stopOnTop: boolean
+  topStillSeconds: number // s without motion that end the climb
+  margin: number // s kept before the start and after the stop
+}
+
+export type RecordingTriggerState = 'off' | 'armed' | 'recording' | 'stopped'
+export type RecordingStopReason = 'fall' | 'top' | 'manual'
+
+export interface RecordingTriggerStatus {
+  state: RecordingTriggerState
+  startTime: number | null // Experiment time (s) the recording is trimmed to
+  stopTime: number | null
+  stopReason: RecordingStopReason | null
+}
+
+export type RecordingTriggerEvent =
+  | { type: 'start'; time: number }
+  | { type: 'stop'; time: number; reason: 'fall' | 'top' }
+
+export interface RecordingTrigger {
+  push: (time: number[], magnitude: number[]) => RecordingTriggerEvent[] // Append samples
+}
+
+export const DEFAULT_RECORDING_TRIGGER_SETTINGS: RecordingTriggerSettings = {
+  autoStart: true,
+  startMotion: 1.5,
+  startDuration: 1.0,
+  stopOnFall: true,
+  stopOnTop: true,
+  topStillSeconds: 10,
+  margin: 1.0
+}
+
+export const RECORDING_TRIGGER_STATE_LABELS: Record<RecordingTriggerState, string> = {
+  off: 'Off',
+  armed: 'Armed, waiting for motion',
+  recording: 'Recording',
+  stopped: 'Stopped'
+}
+
+const SETTINGS_KEY = 'recording-trigger-settings'
+const MOTION_GAP = 0.3 // s below the motion level that don't break sustained motion
+
+// Start and stop points of a growing recording. Works on the magnitude with or without g, the
+// first sample tells which one it is. Falls are recognised like in saved recordings.
+export function createRecordingTrigger(settings: RecordingTriggerSettings): RecordingTrigger {
+  let restingLevel: number | null = null
+  let firstTime = 0
+  let phase: 'waiting' | 'recording' | 'stopped' = 'waiting'
+  let motionStart: number | null = null // First sample of the current run of motion
+  let lastMotion: number | null = null
+  let falls: FallDetector | null = null
+
+  return {
+    push: (time, magnitude) => {
+      const events: RecordingTriggerEvent[] = []
+      const stop = (stopTime: number, reason: 'fall' | 'top') => {
+        phase = 'stopped'
+        events.push({ type: 'stop', time: stopTime, reason })
+      }
+
+      for (let i = 0; i < Math.min(time.length, magnitude.length) && phase !== 'stopped'; i++) {
+        const t = time[i]
+        const a = magnitude[i]
+        if (restingLevel === null) {
+          restingLevel = a > GRAVITY / 2 ? GRAVITY : 0
+          firstTime = t
+          falls = createFallDetector(restingLevel)
+          if (!settings.autoStart) {
+            phase = 'recording'
+            lastMotion = t
+            events.push({ type: 'start', time: t })
+          }
+        }
+
+        const moving = Math.abs(a - restingLevel) >= settings.startMotion
+        if (moving) {
+          if (lastMotion === null || t - lastMotion > MOTION_GAP) motionStart = t
+          lastMotion = t
+        }
+
+        if (phase === 'waiting') {
+          if (moving && motionStart !== null && t - motionStart >= settings.startDuration) {
+            phase = 'recording'
+            events.push({ type: 'start', time: Math.max(firstTime, motionStart - settings.margin) })
+          }
+          continue
+        }
+
+        const [fall] = falls?.push([t], [a]) || []
+        if (settings.stopOnFall && fall) {
+          stop(fall.impactTime + settings.margin, 'fall')
+        }
+        if (phase === 'recording' && settings.stopOnTop && lastMotion !== null && t - lastMotion >= settings.topStillSeconds) {
+          stop(lastMotion + settings.margin, 'top')
+        }
+      }
+      return events
+    }
+  }
+}
+
+function readSettings(): RecordingTriggerSettings {
+  try {
+    return { ...DEFAULT_RECORDING_TRIGGER_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') }
+  } catch {
+    return { ...DEFAULT_RECORDING_TRIGGER_SETTINGS }
+  }
+}
+
+const OFF: RecordingTriggerStatus = { state: 'off', startTime: null, stopTime: null, stopReason: null }
+
+let settings = readSettings()
+let status = OFF
+const listeners = new Set<() => void>()
+let trigger: RecordingTrigger | null = null
+let processedSamples = 0 // Samples of the main device the trigger has seen
+let wasMeasuring = false
+let subscribed = false
+
+function publish(changes: Partial<RecordingTriggerStatus>) {
+  status = { ...status, ...changes }
+  listeners.forEach(listener => listener())
+}
+
+function isMeasuring(connection: PhyphoxConnection): boolean {
+  return connection.state === 'measuring' || connection.state === 'stalled'
+}
+
+function handleConnection(connection: PhyphoxConnection) {
+  const measuring = isMeasuring(connection)
+
+  if (trigger && (status.state === 'armed' || status.state === 'recording')) {
+    const [time, x, y, z] = ACCELERATION_BUFFERS.map(name => connection.buffers[name]?.buffer || [])
+    const samples = Math.min(time.length, x.length, y.length, z.length)
+    if (samples < processedSamples) {
+      // Cleared on the phone: wait for motion in the new samples
+      trigger = createRecordingTrigger(settings)
+      processedSamples = 0
+      publish({ state: 'armed', startTime: null })
+    }
+
+    if (samples > processedSamples) {
+      const magnitude = []
+      for (let i = processedSamples; i < samples; i++) {
+        magnitude.push(Math.sqrt(x[i] * x[i] + y[i] * y[i] + z[i] * z[i]))
+      }
+      trigger.push(time.slice(processedSamples, samples), magnitude).forEach(event => {
+        if (event.type === 'start') {
+          console.log(`🎬 [RecordingTriggers] Motion started, recording from ${event.time.toFixed(2)}s`)
+          publish({ state: 'recording', startTime: event.time })
+          playLiveCue('go')
+        } else {
+          console.log(`🛑 [RecordingTriggers] Stopping at ${event.time.toFixed(2)}s (${event.reason})`)
+          publish({ state: 'stopped', stopTime: event.time, stopReason: event.reason })
+          sendPhyphoxCommand('stop').catch(error => console.error('[RecordingTriggers] Stop command failed:', error))
+        }
+      })
+      processedSamples = samples
+    }
+
+    // Stopped by hand: an armed recording never began, a running one keeps everything up to here
+    if (wasMeasuring && connection.state === 'idle') {
+      publish(status.state === 'armed' ? OFF : { state: 'stopped', stopReason: 'manual' })
+    }
+  } else if (status.state === 'stopped' && measuring && !wasMeasuring) {
+    // Started by hand after a triggered recording, that one is untouched
+    publish(OFF)
+  }
+
+  wasMeasuring = measuring
+}
+
+export function getRecordingTriggerSettings(): RecordingTriggerSettings {
+  return settings
+}
+
+export function saveRecordingTriggerSettings(changes: Partial<RecordingTriggerSettings>) {
+  settings = { ...settings, ...changes }
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+  listeners.forEach(listener => listener())
+}
+
+export function getRecordingTriggerStatus(): RecordingTriggerStatus {
+  return status
+}
+
+export function subscribeToRecordingTriggers(listener: () => void): () => void {
+  listeners.add(listener)
+  return () => { listeners.delete(listener) }
+}
+
+// Starts measuring on the phone (unless it already is) and waits for the triggers. Only samples
+// from now on count.
+export async function armRecording(): Promise<void> {
+  const connection = getPhyphoxConnection()
+  trigger = createRecordingTrigger(settings)
+  processedSamples = connection.buffers[ACCELERATION_BUFFERS[0]]?.buffer.length || 0
+  wasMeasuring = isMeasuring(connection)
+  if (!subscribed) {
+    subscribeToPhyphoxConnection(handleConnection)
+    subscribed = true
+  }
+  publish({ ...OFF, state: 'armed' })
+
+  if (!wasMeasuring) {
+    try {
+      await sendPhyphoxCommand('start')
+    } catch (error) {
+      disarmRecording()
+      throw error
+    }
+  }
+}
+
+// Back to manual recording, the phone keeps measuring
+export function disarmRecording() {
+  trigger = null
+  publish(OFF)
+}
+
+// What a live recording consists of with the triggers: null while armed and waiting for motion,
+// afterwards the samples between the bounds. Buffers are unchanged while the triggers are off.
+export function applyRecordingTriggers(buffers: PhyphoxBuffers): PhyphoxBuffers | null {
+  if (status.state === 'off') return buffers
+  if (status.state === 'armed') return null
+  return trimPhyphoxBuffers(buffers, status.startTime, status.stopTime)
+}
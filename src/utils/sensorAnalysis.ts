@@ -0,0 +1,122 @@
+// Gyroscope and barometer analysis of a recording
+// Rotation peaks flag body swings - a barn door is the body pivoting off the wall around one side -
+// and the barometric altitude estimates how much height each move gained. Both are optional
+// channels of CSVData, every result is null when the recording doesn't have them.
+
+import type { CSVData, AxisChannels } from './csvLoader'
+import type { ProcessedMove } from './moveDetection'
+
+export const SWING_RATE_THRESHOLD = 2.5 // rad/s, rotation peak that counts as a swing
+const SWING_WINDOW_AFTER_MOVE = 0.5 // s, barn doors open right after the catch
+const ALTITUDE_SMOOTHING = 1.0 // s, moving average against barometer noise
+const REFERENCE_DURATION = 1.0 // s, pressure at the start of the recording is altitude 0
+
+export interface MoveSensorMetrics {
+  rotationEnergy: number | null // Mean squared rotation rate (rad²/s²), null without gyroscope
+  peakRotationRate: number | null // rad/s
+  isSwing: boolean // Rotation peak above SWING_RATE_THRESHOLD
+  heightGain: number | null // m since the previous move, null without pressure
+}
+
+export interface SensorSummary {
+  swingCount: number
+  maxHeight: number | null // m above the start
+}
+
+// Rotation rate magnitude per sample (rad/s)
+export function getRotationRate(gyroscope: AxisChannels): number[] {
+  return gyroscope.x.map((x, i) => {
+    const y = gyroscope.y[i] || 0
+    const z = gyroscope.z[i] || 0
+    return Math.sqrt(x * x + y * y + z * z)
+  })
+}
+
+// International barometric formula, altitude in m above where referencePressure was measured
+export function pressureToAltitude(pressure: number, referencePressure: number): number {
+  return 44330 * (1 - Math.pow(pressure / referencePressure, 1 / 5.255))
+}
+
+// First sample at or after t
+function indexAtTime(time: number[], t: number): number {
+  let low = 0
+  let high = time.length
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (time[mid] < t) low = mid + 1
+    else high = mid
+  }
+  return Math.min(low, time.length - 1)
+}
+
+function movingAverage(values: number[], halfWindow: number): number[] {
+  const sums = [0]
+  values.forEach(value => sums.push(sums[sums.length - 1] + value))
+  return values.map((_, i) => {
+    const start = Math.max(0, i - halfWindow)
+    const end = Math.min(values.length, i + halfWindow + 1)
+    return (sums[end] - sums[start]) / (end - start)
+  })
+}
+
+// Smoothed altitude per sample relative to the start of the recording (m), null without pressure
+export function getRelativeAltitude(csvData: CSVData): number[] | null {
+  const { time, pressure } = csvData
+  if (!pressure || pressure.length === 0 || pressure.length !== time.length) return null
+
+  const duration = time[time.length - 1] - time[0]
+  const sampleRate = duration > 0 ? (time.length - 1) / duration : 1
+  const smoothed = movingAverage(pressure, Math.round(sampleRate * ALTITUDE_SMOOTHING / 2))
+
+  const referenceEnd = Math.max(1, indexAtTime(time, time[0] + REFERENCE_DURATION))
+  const referencePressure = smoothed.slice(0, referenceEnd).reduce((a, b) => a + b, 0) / referenceEnd
+  if (!(referencePressure > 0)) return null
+
+  return smoothed.map(p => pressureToAltitude(p, referencePressure))
+}
+
+// Rotation and height of every move, in the order of moves (start move included)
+export function analyzeMoveSensors(csvData: CSVData, moves: ProcessedMove[]): MoveSensorMetrics[] {
+  const { time, gyroscope } = csvData
+  const rotationRate = gyroscope && gyroscope.x.length === time.length ? getRotationRate(gyroscope) : null
+  const altitude = getRelativeAltitude(csvData)
+
+  return moves.map((move, index) => {
+    let rotationEnergy: number | null = null
+    let peakRotationRate: number | null = null
+
+    if (rotationRate && index > 0) {
+      const nextStart = moves[index + 1]?.startTime ?? Infinity
+      const start = indexAtTime(time, move.startTime)
+      const end = indexAtTime(time, Math.min(move.endTime + SWING_WINDOW_AFTER_MOVE, nextStart))
+      const window = rotationRate.slice(start, end + 1)
+      rotationEnergy = window.reduce((sum, rate) => sum + rate * rate, 0) / window.length
+      peakRotationRate = window.reduce((max, rate) => Math.max(max, rate), -Infinity)
+    }
+
+    const heightGain = altitude && index > 0
+      ? altitude[indexAtTime(time, move.endTime)] - altitude[indexAtTime(time, moves[index - 1].endTime)]
+      : altitude ? 0 : null
+
+    return {
+      rotationEnergy,
+      peakRotationRate,
+      isSwing: peakRotationRate !== null && peakRotationRate > SWING_RATE_THRESHOLD,
+      heightGain
+    }
+  })
+}
+
+export function summarizeSensors(csvData: CSVData, moves: ProcessedMove[]): SensorSummary {
+  const altitude = getRelativeAltitude(csvData)
+  return {
+    swingCount: analyzeMoveSensors(csvData, moves).filter(metrics => metrics.isSwing).length,
+    maxHeight: altitude ? altitude.reduce((max, height) => Math.max(max, height), -Infinity) : null // Too long to spread
+  }
+}
+
+// Rotation energy of every move scaled to 0..1 (the most rotating move is 1), for colouring rings
+export function getRotationLevels(metrics: MoveSensorMetrics[]): number[] {
+  const maxEnergy = Math.max(0, ...metrics.map(move => move.rotationEnergy ?? 0))
+  return metrics.map(move => maxEnergy > 0 ? (move.rotationEnergy ?? 0) / maxEnergy : 0)
+}
@@ -0,0 +1,171 @@
+// Climbing sessions - group the recordings of one day at the wall
+// A session has a date, location, climber and notes and owns any number of recordings.
+// A recording belongs to at most one session, like it belongs to at most one attempt log entry.
+
+import type { BoulderData } from './csvLoader'
+import type { ProcessedMove } from './moveDetection'
+import { detectRecordingMoves } from './moveDetection'
+import { getRestingLevel } from './fallDetection'
+import type { SessionRecord } from './boulderStorage'
+import { getStoredSessions, getStoredSession, saveStoredSessions, deleteStoredSession } from './boulderStorage'
+
+export type ClimbingSession = SessionRecord
+export type SessionDetails = Pick<ClimbingSession, 'date' | 'location' | 'climber' | 'notes' | 'hardMoveAcceleration'>
+
+// Sessions without their own threshold count moves peaking this far above the resting level as hard
+export const DEFAULT_HARD_MOVE_ACCELERATION = 8 // m/s²
+
+// One recording placed on the session timeline
+export interface SessionTimelineEntry {
+  recording: BoulderData
+  startedAt: number // Unix time in ms
+  duration: number // Seconds on the wall
+  moves: ProcessedMove[] // Detected moves, start move included like everywhere else
+  moveCount: number // Start move excluded
+  hardMoveCount: number // Moves above the session's hard move threshold, comparable across recordings
+  restBefore: number // Seconds since the previous recording ended, 0 for the first
+}
+
+export interface SessionTotals {
+  recordings: number
+  moves: number
+  hardMoves: number
+  timeOnWall: number // Seconds
+  restTime: number // Seconds between recordings
+  restRatio: number // Rest time per second on the wall, 0 without time on the wall
+}
+
+function notifySessionsUpdated(sessionId: number) {
+  window.dispatchEvent(new CustomEvent('sessionsUpdated', {
+    detail: { sessionId }
+  }))
+}
+
+export function todayDateString(): string {
+  const now = new Date()
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`
+}
+
+// Newest session first
+export function getSessions(): ClimbingSession[] {
+  return getStoredSessions().sort((a, b) => b.date.localeCompare(a.date) || b.createdAt.localeCompare(a.createdAt))
+}
+
+export function getSession(id: number): ClimbingSession | null {
+  return getStoredSession(id)
+}
+
+export function getSessionForRecording(recordingId: number): ClimbingSession | null {
+  return getStoredSessions().find(session => session.recordingIds.includes(recordingId)) || null
+}
+
+// Create a session, or update the details of an existing one
+export async function saveSession(details: SessionDetails, existingId?: number): Promise<ClimbingSession> {
+  const existing = existingId !== undefined ? getStoredSession(existingId) : null
+  if (existingId !== undefined && !existing) {
+    throw new Error(`Session ${existingId} no longer exists`)
+  }
+  if (!details.date) {
+    throw new Error('A session needs a date')
+  }
+  if (details.hardMoveAcceleration !== undefined && !(details.hardMoveAcceleration > 0)) {
+    throw new Error('The hard move threshold has to be above 0 m/s²')
+  }
+
+  const session: ClimbingSession = existing
+    ? { ...existing, ...details }
+    : { ...details, id: Date.now(), recordingIds: [], createdAt: new Date().toISOString() }
+
+  await saveStoredSessions([session])
+  notifySessionsUpdated(session.id)
+  console.log(`📅 [Sessions] Saved session ${session.date}${session.location ? ` at ${session.location}` : ''}`)
+  return session
+}
+
+// Delete a session. Its recordings stay in the library.
+export async function deleteSession(id: number): Promise<void> {
+  await deleteStoredSession(id)
+  notifySessionsUpdated(id)
+  console.log(`🗑️ [Sessions] Deleted session ${id}`)
+}
+
+// Move a recording into a session, or out of every session with null
+export async function assignRecordingToSession(recordingId: number, sessionId: number | null): Promise<void> {
+  if (sessionId !== null && !getStoredSession(sessionId)) {
+    throw new Error(`Session ${sessionId} no longer exists`)
+  }
+
+  const changed = getStoredSessions()
+    .filter(session => session.id === sessionId
+      ? !session.recordingIds.includes(recordingId)
+      : session.recordingIds.includes(recordingId))
+    .map(session => ({
+      ...session,
+      recordingIds: session.id === sessionId
+        ? [...session.recordingIds, recordingId]
+        : session.recordingIds.filter(id => id !== recordingId)
+    }))
+  if (changed.length === 0) return
+
+  await saveStoredSessions(changed)
+  notifySessionsUpdated(sessionId ?? changed[0].id)
+}
+
+// When a recording started, recordings without a timestamp are placed at the session date.
+// Phyphox recordings are stamped when they are saved after the climb, so their duration is
+// taken off. Imports carry the time the phone started recording.
+function getRecordingStart(recording: BoulderData, session: ClimbingSession): number {
+  const recordedAt = recording.recordedAt ? new Date(recording.recordedAt).getTime() : NaN
+  if (isFinite(recordedAt)) {
+    return recording.source === 'phyphox' ? recordedAt - (recording.csvData?.duration || 0) * 1000 : recordedAt
+  }
+  const sessionDate = new Date(session.date).getTime()
+  return isFinite(sessionDate) ? sessionDate : 0
+}
+
+// Recordings of a session in the order they were made. Recordings missing from the library are left out.
+export function buildSessionTimeline(session: ClimbingSession, boulders: BoulderData[]): SessionTimelineEntry[] {
+  const hardMoveAcceleration = session.hardMoveAcceleration ?? DEFAULT_HARD_MOVE_ACCELERATION
+  const entries = session.recordingIds
+    .map(id => boulders.find(boulder => boulder.id === id))
+    .filter((recording): recording is BoulderData => !!recording)
+    .map(recording => {
+      const moves = detectRecordingMoves(recording)
+      // Measured from the resting level, so recordings with and without g compare. Crux flags are
+      // relative to each recording and can't be added up.
+      const restingLevel = getRestingLevel(recording.csvData?.absoluteAcceleration || [])
+      return {
+        recording,
+        startedAt: getRecordingStart(recording, session),
+        duration: recording.csvData?.duration || 0,
+        moves,
+        moveCount: Math.max(0, moves.length - 1),
+        hardMoveCount: moves.slice(1).filter(move => move.acceleration - restingLevel >= hardMoveAcceleration).length,
+        restBefore: 0
+      }
+    })
+    .sort((a, b) => a.startedAt - b.startedAt || a.recording.id - b.recording.id)
+
+  // Overlapping or undated recordings count as no rest
+  entries.forEach((entry, index) => {
+    if (index === 0) return
+    const previous = entries[index - 1]
+    entry.restBefore = Math.max(0, (entry.startedAt - previous.startedAt) / 1000 - previous.duration)
+  })
+
+  return entries
+}
+
+export function computeSessionTotals(timeline: SessionTimelineEntry[]): SessionTotals {
+  const timeOnWall = timeline.reduce((sum, entry) => sum + entry.duration, 0)
+  const restTime = timeline.reduce((sum, entry) => sum + entry.restBefore, 0)
+
+  return {
+    recordings: timeline.length,
+    moves: timeline.reduce((sum, entry) => sum + entry.moveCount, 0),
+    hardMoves: timeline.reduce((sum, entry) => sum + entry.hardMoveCount, 0),
+    timeOnWall,
+    restTime,
+    restRatio: timeOnWall > 0 ? restTime / timeOnWall : 0
+  }
+}
@@ -0,0 +1,355 @@
+// Vector export
+// The rings, attempt lines and move lines are curves in space, so the 3D view can be saved as
+// SVG or PDF for T-shirts and route cards. Every visible object is projected through the screen's
+// camera: tubes become strokes along their centre line, split into segments where their vertex
+// colour or opacity changes, spheres become dots and the canvas text becomes real text. The CSS
+// post-processing (glow, blur) has no vector equivalent and is left out.
+
+import * as THREE from 'three'
+import type { BoulderData } from './csvLoader'
+import { createExportCamera, downloadBlob, getExportFileName } from './posterExport'
+
+export type VectorFormat = 'svg' | 'pdf'
+
+export interface VectorExportOptions {
+  format: VectorFormat
+  width: number // mm
+  height: number // mm
+  transparent: boolean // Otherwise filled with background
+  background: string
+}
+
+// Text drawn into a canvas texture, exported as text instead of its plane
+export interface VectorText {
+  text: string
+  size: number // Font size in world units
+  color: string
+  fontFamily: string
+}
+
+// What the 3D view shows: the objects to export and the camera they're seen through
+export interface VectorSceneSource {
+  root: THREE.Object3D
+  camera: THREE.Camera
+  screenWidth: number // px, line widths are given in screen pixels
+}
+
+export const VECTOR_SIZES = [
+  { label: 'Square 300 mm', width: 300, height: 300 },
+  { label: 'A6 route card', width: 105, height: 148 },
+  { label: 'A4 portrait', width: 210, height: 297 },
+  { label: 'A3 portrait', width: 297, height: 420 }
+]
+
+export const DEFAULT_VECTOR_EXPORT_OPTIONS: VectorExportOptions = {
+  format: 'svg',
+  width: 300,
+  height: 300,
+  transparent: false,
+  background: '#000000'
+}
+
+const MAX_VECTOR_SIDE = 5000 // mm
+const PT_PER_MM = 72 / 25.4
+const PDF_CHAR_WIDTH = 0.6 // Average Helvetica Bold advance relative to the font size, for centering
+const CIRCLE_KAPPA = 0.5523 // Bézier handle length of a quarter circle
+
+type VectorPrimitive =
+  | { type: 'polyline'; points: THREE.Vector2[]; color: string; opacity: number; width: number; depth: number }
+  | { type: 'circle'; x: number; y: number; radius: number; color: string; opacity: number; depth: number }
+  | { type: 'text'; x: number; y: number; angle: number; size: number; text: string; fontFamily: string; color: string; opacity: number; depth: number }
+
+interface PagePoint {
+  point: THREE.Vector2
+  depth: number
+}
+
+interface StrokeSample extends PagePoint {
+  color: string
+  opacity: number
+  width: number
+}
+
+let sceneSource: (() => VectorSceneSource | null) | null = null
+
+// Returns the unregister function for the effect cleanup
+export function registerVectorSource(source: () => VectorSceneSource | null): () => void {
+  sceneSource = source
+  return () => {
+    if (sceneSource === source) sceneSource = null
+  }
+}
+
+export function setVectorText(object: THREE.Object3D, text: VectorText) {
+  object.userData.vectorText = text
+}
+
+function getOpacity(material: THREE.Material): number {
+  return material.transparent ? material.opacity : 1
+}
+
+// Hex colour as it appears on screen. Colours are kept in linear space and converted on output,
+// except in the attempt lines' shader, which writes its uniform straight to the screen.
+function getMaterialColor(material: THREE.Material): THREE.Color {
+  if (material instanceof THREE.ShaderMaterial) {
+    const color = material.uniforms.color?.value
+    return color instanceof THREE.Color ? new THREE.Color().setRGB(color.r, color.g, color.b, THREE.SRGBColorSpace) : new THREE.Color(1, 1, 1)
+  }
+  return 'color' in material && material.color instanceof THREE.Color ? material.color : new THREE.Color(1, 1, 1)
+}
+
+// Runs of equally coloured samples as polylines. Each run ends on the first sample of the next, so
+// the stroke stays connected.
+function splitStroke(samples: StrokeSample[], closed: boolean): VectorPrimitive[] {
+  const points = closed && samples.length > 2 ? [...samples, samples[0]] : samples
+  const primitives: VectorPrimitive[] = []
+  let start = 0
+  for (let i = 1; i < points.length; i++) {
+    const first = points[start]
+    const last = i === points.length - 1
+    if (!last && points[i].color === first.color && points[i].opacity === first.opacity) continue
+
+    const run = points.slice(start, i + 1)
+    if (first.opacity > 0) {
+      primitives.push({
+        type: 'polyline',
+        points: run.map(sample => sample.point),
+        color: first.color,
+        opacity: first.opacity,
+        width: first.width,
+        depth: run.reduce((sum, sample) => sum + sample.depth, 0) / run.length
+      })
+    }
+    start = i
+  }
+  return primitives
+}
+
+// The scene's visible objects as page primitives in mm, farthest first
+function collectPrimitives(source: VectorSceneSource, width: number, height: number): VectorPrimitive[] {
+  const camera = createExportCamera(source.camera, width, height)
+  const cameraRight = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0).normalize()
+  const pixelSize = width / source.screenWidth // mm per screen pixel
+
+  const toPage = (world: THREE.Vector3): PagePoint => {
+    const ndc = world.clone().project(camera)
+    return { point: new THREE.Vector2((ndc.x + 1) / 2 * width, (1 - ndc.y) / 2 * height), depth: ndc.z }
+  }
+  // Page size of a world size at a point, measured across the view
+  const sizeAt = (world: THREE.Vector3, size: number) =>
+    toPage(world).point.distanceTo(toPage(world.clone().addScaledVector(cameraRight, size)).point)
+
+  const primitives: VectorPrimitive[] = []
+  source.root.updateMatrixWorld(true)
+  source.root.traverseVisible(object => {
+    const material = (object as THREE.Mesh).material
+    if (!material || Array.isArray(material) || !material.visible || !material.colorWrite) return
+    const geometry = (object as THREE.Mesh).geometry
+    const scale = object.getWorldScale(new THREE.Vector3()).x
+    const color = getMaterialColor(material)
+    const opacity = getOpacity(material)
+
+    if (object instanceof THREE.Mesh && geometry instanceof THREE.TubeGeometry) {
+      // Centre line through the cross-sections, as far as the draw range (playback) shows them
+      const { tubularSegments, radialSegments, radius } = geometry.parameters
+      const drawn = Number.isFinite(geometry.drawRange.count)
+        ? Math.min(tubularSegments, Math.floor(geometry.drawRange.count / (radialSegments * 6)))
+        : tubularSegments
+      const vertices = geometry.attributes.position
+      const colors = material.vertexColors ? geometry.attributes.color : undefined
+      const alphas = geometry.attributes.alpha
+
+      const samples: StrokeSample[] = []
+      for (let i = 0; i <= drawn; i++) {
+        const first = i * (radialSegments + 1)
+        const center = new THREE.Vector3()
+        for (let j = 0; j < radialSegments; j++) {
+          center.add(new THREE.Vector3().fromBufferAttribute(vertices, first + j))
+        }
+        center.divideScalar(radialSegments).applyMatrix4(object.matrixWorld)
+        const sampleColor = colors ? new THREE.Color().fromBufferAttribute(colors, first) : color
+        samples.push({
+          ...toPage(center),
+          color: sampleColor.getHexString(),
+          opacity: Number((opacity * (alphas ? alphas.getX(first) : 1)).toFixed(2)),
+          width: sizeAt(center, radius * 2 * scale)
+        })
+      }
+      // A closed tube repeats its first cross-section at the end, so the ring closes by itself
+      primitives.push(...splitStroke(samples, false))
+    } else if (object instanceof THREE.Line) {
+      const vertices = geometry.attributes.position
+      const lineWidth = material instanceof THREE.LineBasicMaterial ? material.linewidth : 1
+      const samples: StrokeSample[] = []
+      for (let i = 0; i < vertices.count; i++) {
+        const point = new THREE.Vector3().fromBufferAttribute(vertices, i).applyMatrix4(object.matrixWorld)
+        samples.push({ ...toPage(point), color: color.getHexString(), opacity, width: lineWidth * pixelSize })
+      }
+      primitives.push(...splitStroke(samples, object instanceof THREE.LineLoop))
+    } else if (object instanceof THREE.Mesh && geometry instanceof THREE.SphereGeometry) {
+      const center = object.getWorldPosition(new THREE.Vector3())
+      const { point, depth } = toPage(center)
+      primitives.push({ type: 'circle', x: point.x, y: point.y, radius: sizeAt(center, geometry.parameters.radius * scale), color: color.getHexString(), opacity, depth })
+    } else if (object.userData.vectorText) {
+      const text: VectorText = object.userData.vectorText
+      const center = object.getWorldPosition(new THREE.Vector3())
+      const { point, depth } = toPage(center)
+      const baseline = toPage(new THREE.Vector3(1, 0, 0).applyMatrix4(object.matrixWorld)).point.sub(point)
+      primitives.push({
+        type: 'text',
+        x: point.x,
+        y: point.y,
+        angle: Math.atan2(baseline.y, baseline.x),
+        size: sizeAt(center, text.size * scale),
+        text: text.text,
+        fontFamily: text.fontFamily,
+        color: new THREE.Color(text.color).getHexString(),
+        opacity,
+        depth
+      })
+    }
+  })
+
+  return primitives
+    .map((primitive, order) => ({ primitive, order }))
+    .sort((a, b) => b.primitive.depth - a.primitive.depth || a.order - b.order)
+    .map(({ primitive }) => primitive)
+}
+
+// Up to 3 decimals, which is 1 µm on the page
+function formatNumber(value: number): string {
+  return Number(value.toFixed(3)).toString()
+}
+
+function escapeXML(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function toSVG(primitives: VectorPrimitive[], options: VectorExportOptions): string {
+  const { width, height } = options
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">`
+  ]
+  if (!options.transparent) {
+    lines.push(`<rect width="${width}" height="${height}" fill="${escapeXML(options.background)}"/>`)
+  }
+
+  primitives.forEach(primitive => {
+    const opacity = primitive.opacity < 1 ? ` ${primitive.type === 'polyline' ? 'stroke' : 'fill'}-opacity="${formatNumber(primitive.opacity)}"` : ''
+    if (primitive.type === 'polyline') {
+      const points = primitive.points.map(point => `${formatNumber(point.x)},${formatNumber(point.y)}`).join(' ')
+      // Round caps would overlap into darker beads where translucent segments meet
+      const cap = primitive.opacity < 1 ? 'butt' : 'round'
+      lines.push(`<polyline points="${points}" fill="none" stroke="#${primitive.color}"${opacity} stroke-width="${formatNumber(primitive.width)}" stroke-linecap="${cap}" stroke-linejoin="round"/>`)
+    } else if (primitive.type === 'circle') {
+      lines.push(`<circle cx="${formatNumber(primitive.x)}" cy="${formatNumber(primitive.y)}" r="${formatNumber(primitive.radius)}" fill="#${primitive.color}"${opacity}/>`)
+    } else {
+      const x = formatNumber(primitive.x)
+      const y = formatNumber(primitive.y)
+      const rotation = Math.abs(primitive.angle) > 1e-3 ? ` transform="rotate(${formatNumber(THREE.MathUtils.radToDeg(primitive.angle))} ${x} ${y})"` : ''
+      lines.push(`<text x="${x}" y="${y}"${rotation} font-family="${escapeXML(primitive.fontFamily)}" font-weight="bold" font-size="${formatNumber(primitive.size)}" text-anchor="middle" dominant-baseline="central" fill="#${primitive.color}"${opacity}>${escapeXML(primitive.text)}</text>`)
+    }
+  })
+
+  lines.push('</svg>')
+  return lines.join('\n')
+}
+
+// PDF colour operands of a hex colour
+function pdfColor(hex: string): string {
+  const color = parseInt(hex.replace('#', ''), 16)
+  return [(color >> 16) & 255, (color >> 8) & 255, color & 255].map(channel => formatNumber(channel / 255)).join(' ')
+}
+
+// String literal in the standard encoding, characters outside ASCII become '?'
+function pdfString(text: string): string {
+  return '(' + text.replace(/[^\x20-\x7e]/g, '?').replace(/([\\()])/g, '\\$1') + ')'
+}
+
+// A single-page PDF drawn in mm from the top left like the SVG, with the text in Helvetica Bold
+function toPDF(primitives: VectorPrimitive[], options: VectorExportOptions): string {
+  const { width, height } = options
+  const opacityStates = new Map<number, string>()
+  const useOpacity = (opacity: number) => {
+    if (!opacityStates.has(opacity)) opacityStates.set(opacity, `GS${opacityStates.size}`)
+    return `/${opacityStates.get(opacity)} gs`
+  }
+
+  const content = [`${formatNumber(PT_PER_MM)} 0 0 ${formatNumber(-PT_PER_MM)} 0 ${formatNumber(height * PT_PER_MM)} cm`]
+  if (!options.transparent) {
+    content.push(`${pdfColor(options.background)} rg 0 0 ${width} ${height} re f`)
+  }
+
+  primitives.forEach(primitive => {
+    content.push(useOpacity(primitive.opacity))
+    if (primitive.type === 'polyline') {
+      const [first, ...rest] = primitive.points
+      content.push(`${pdfColor(primitive.color)} RG ${formatNumber(primitive.width)} w ${primitive.opacity < 1 ? 0 : 1} J 1 j`)
+      content.push(`${formatNumber(first.x)} ${formatNumber(first.y)} m ${rest.map(point => `${formatNumber(point.x)} ${formatNumber(point.y)} l`).join(' ')} S`)
+    } else if (primitive.type === 'circle') {
+      const { x, y, radius: r } = primitive
+      const k = r * CIRCLE_KAPPA
+      const n = formatNumber
+      content.push(`${pdfColor(primitive.color)} rg ${n(x + r)} ${n(y)} m`
+        + ` ${n(x + r)} ${n(y + k)} ${n(x + k)} ${n(y + r)} ${n(x)} ${n(y + r)} c`
+        + ` ${n(x - k)} ${n(y + r)} ${n(x - r)} ${n(y + k)} ${n(x - r)} ${n(y)} c`
+        + ` ${n(x - r)} ${n(y - k)} ${n(x - k)} ${n(y - r)} ${n(x)} ${n(y - r)} c`
+        + ` ${n(x + k)} ${n(y - r)} ${n(x + r)} ${n(y - k)} ${n(x + r)} ${n(y)} c f`)
+    } else {
+      // The text matrix turns the glyphs upright again on the flipped page
+      const cos = Math.cos(primitive.angle) * primitive.size
+      const sin = Math.sin(primitive.angle) * primitive.size
+      const matrix = [cos, sin, sin, -cos, primitive.x, primitive.y].map(formatNumber).join(' ')
+      const offset = formatNumber(-primitive.text.length * PDF_CHAR_WIDTH / 2)
+      content.push(`BT ${pdfColor(primitive.color)} rg /F1 1 Tf ${matrix} Tm ${offset} -0.35 Td ${pdfString(primitive.text)} Tj ET`)
+    }
+  })
+  const stream = content.join('\n')
+
+  const states = [...opacityStates].map(([opacity, name]) => `/${name} << /Type /ExtGState /CA ${opacity} /ca ${opacity} >>`).join(' ')
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(width * PT_PER_MM)} ${formatNumber(height * PT_PER_MM)}]`
+      + ` /Resources << /Font << /F1 5 0 R >> /ExtGState << ${states} >> >> /Contents 4 0 R >>`,
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ]
+
+  // Everything is ASCII, so string lengths are byte offsets
+  let pdf = '%PDF-1.4\n'
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`
+    return offset
+  })
+  const xref = pdf.length
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+  return pdf
+}
+
+// Projects and downloads the boulder shown in the 3D view as SVG or PDF
+export function exportVector(boulder: BoulderData, options: VectorExportOptions) {
+  const source = sceneSource?.()
+  if (!source) {
+    throw new Error('Open the 3D view to export vectors')
+  }
+  const { width, height } = options
+  if (!(width > 0 && height > 0) || width > MAX_VECTOR_SIDE || height > MAX_VECTOR_SIDE) {
+    throw new Error(`Vector sizes go up to ${MAX_VECTOR_SIDE} mm per side`)
+  }
+
+  const primitives = collectPrimitives(source, width, height)
+  if (primitives.length === 0) {
+    throw new Error('The visualization is empty')
+  }
+  console.log(`✒️ [VectorExport] Exporting "${boulder.name}" as ${options.format.toUpperCase()} with ${primitives.length} shapes`)
+
+  const blob = options.format === 'svg'
+    ? new Blob([toSVG(primitives, options)], { type: 'image/svg+xml' })
+    : new Blob([toPDF(primitives, options)], { type: 'application/pdf' })
+  downloadBlob(blob, getExportFileName(boulder, `${width}x${height}mm.${options.format}`))
+}
@@ -1,4 +1,9 @@
 import * as THREE from 'three';
+import { getAttemptsForBoulder, getAttemptHighPoint } from '../utils/attemptLog';
+import { createStreamingMoveDetector, DEFAULT_MOVE_DETECTION_STRATEGY } from '../utils/moveDetection';
+import { analyzeMoveSensors, getRotationLevels } from '../utils/sensorAnalysis';
+import { resampleAxes } from '../utils/csvImport';
+import { createLiveCueTracker } from '../utils/liveCues';
 
 export class BoulderVisualizer {
     constructor(container) {
@@ -29,12 +34,17 @@ export class BoulderVisualizer {
         this.updateTimeout = null;
         this.liveDataUpdateTimeout = null;
         this.lastLiveDataUpdate = 0;
+        this.liveMoveDetector = null; // Streaming move detector of the live recording
+        this.liveMoveDetectorThreshold = null;
+        this.liveMoveDetectorSpan = null; // First and last time pushed to it, to notice a new recording
+        this.liveCueTracker = null; // Audio cues for the moves of the live recording
         this.lastAppliedSettings = null;
         
         // Color variables that can be changed
         this.colors = {
             cruxMove: 0xDE501B,      // Magenta/purple for crux moves
             normalMove: 0x0CFFDB,    // Purple for normal moves
+            rotation: 0xF97316,      // Orange for moves with a lot of body rotation
             gradeColors: {
                 'V1': 0x60e2e8,     // Light blue (3)
                 'V2': 0x60e2e8,     // Light blue (3)
@@ -62,6 +72,7 @@ export class BoulderVisualizer {
             liquidEffect: true,      // Enable liquid wave effect
             organicNoise: 0.1,       // Amount of organic noise (was 0.05, now 0.1 as shown)
             cruxEmphasis: 3.0,       // How much to emphasize crux moves (matches current)
+            colorByRotation: false,  // Color rings by the rotation energy of the moves (needs gyroscope data)
             moveEmphasis: 0.0,       // How much to emphasize all moves equally (matches current)
             waveComplexity: 1.0,     // Complexity of wave patterns
             depthEffect: 2.0,        // 3D depth effect strength (was 0.6, now 2.0 as shown)
@@ -1032,6 +1043,12 @@ export class BoulderVisualizer {
             const geometry = new THREE.BufferGeometry().setFromPoints(validSmoothPoints);
             const colors = [];
             
+            // Rotation mode: color follows the rotation energy of the moves instead of the crux
+            const hasRotation = this.boulder.moves.some(move => isFinite(move.rotationEnergy) && move.rotationEnergy > 0);
+            const rotationLevels = this.settings.colorByRotation && hasRotation
+                ? getRotationLevels(this.boulder.moves.map(move => ({ rotationEnergy: isFinite(move.rotationEnergy) ? move.rotationEnergy : null })))
+                : null;
+            
             for (let i = 0; i < validSmoothPoints.length; i++) {
                 const normalizedPosition = i / validSmoothPoints.length;
                 
@@ -1068,8 +1085,15 @@ export class BoulderVisualizer {
                 
                 // Interpolate between normal and crux colors
                 const normalColor = new THREE.Color(this.colors.normalMove);
-                const cruxColor = new THREE.Color(this.colors.cruxMove);
-                const finalColor = normalColor.lerp(cruxColor, cruxInfluence);
+                let finalColor;
+                if (rotationLevels) {
+                    const lerpFactor = normalizedPosition * moveCount - Math.floor(normalizedPosition * moveCount);
+                    const level = rotationLevels[moveIndex1] * (1 - lerpFactor) + rotationLevels[moveIndex2] * lerpFactor;
+                    finalColor = normalColor.lerp(new THREE.Color(this.colors.rotation), level);
+                } else {
+                    const cruxColor = new THREE.Color(this.colors.cruxMove);
+                    finalColor = normalColor.lerp(cruxColor, cruxInfluence);
+                }
                 
                 colors.push(finalColor.r, finalColor.g, finalColor.b);
             }
@@ -1421,7 +1445,7 @@ export class BoulderVisualizer {
         });
 
         // Detect moves using the improved algorithm
-        const detectedMoves = this.detectMovesFromLiveData(rawData, magnitudes);
+        const detectedMoves = this.detectMovesFromLiveData(rawData, magnitudes, dataBuffer.gyroscope);
         
         // Convert detected moves to boulder format
         const moves = [];
@@ -1434,6 +1458,7 @@ export class BoulderVisualizer {
                 type: 'start',
                 dynamics: 0, // Start move always has dynamics 0
                 isCrux: false,
+                rotationEnergy: 0,
                 x: 0,
                 y: 0,
                 z: 0,
@@ -1455,7 +1480,8 @@ export class BoulderVisualizer {
                 time: move.time,
                 type: 'move',
                 dynamics: Math.max(0.1, Math.min(1.0, move.intensity || 0.5)),
-                isCrux: move.magnitude > (this.settings.magnitudeThreshold * 1.5),
+                isCrux: move.isCrux,
+                rotationEnergy: move.rotationEnergy,
                 x: x,
                 y: y,
                 z: z,
@@ -1524,7 +1550,8 @@ export class BoulderVisualizer {
         return liveBoulder;
     }
 
-    detectMovesFromLiveData(rawData, magnitudes) {
+    // gyroscope is the handler's rotation rate series ({ time, x, y, z }) when the experiment records it
+    detectMovesFromLiveData(rawData, magnitudes, gyroscope = null) {
         if (!rawData || !magnitudes || rawData.length < 10) {
             console.log('[BoulderVisualizer] Insufficient data for move detection:', rawData?.length || 0);
             return [];
@@ -1547,63 +1574,69 @@ export class BoulderVisualizer {
             console.warn('[BoulderVisualizer] Could not get threshold from DataViz, using default:', threshold);
         }
         
-        const minMoveDuration = 0.3; // Minimum duration for a valid move
-        const maxTimeBetweenMoves = 2.0; // Maximum time between moves
-        
-        let lastMoveTime = -maxTimeBetweenMoves;
+        const time = rawData.map(point => point.time);
         
         console.log(`[BoulderVisualizer] Live move detection with threshold: ${threshold}, data points: ${rawData.length}`);
         console.log(`[BoulderVisualizer] Magnitude range: ${Math.min(...magnitudes).toFixed(2)} - ${Math.max(...magnitudes).toFixed(2)}`);
         
-        // Look for peaks above threshold with improved detection
-        for (let i = 2; i < magnitudes.length - 2; i++) {
-            const currentTime = rawData[i].time;
-            const currentMagnitude = magnitudes[i];
-            
-            // Validate data point
-            if (!isFinite(currentTime) || !isFinite(currentMagnitude)) {
-                continue;
+        // Use the shared detector so live mode counts the same moves as the React app. It keeps its
+        // state between updates and only gets the new samples, a new recording or threshold starts over.
+        // The samples it has must still start the buffer, otherwise the phone was cleared or restarted.
+        const span = this.liveMoveDetectorSpan;
+        const pushedSamples = this.liveMoveDetector ? this.liveMoveDetector.getSampleCount() : 0;
+        const continuesRecording = span !== null && time.length >= pushedSamples &&
+            (pushedSamples === 0 || (time[0] === span.first && time[pushedSamples - 1] === span.last));
+        if (!this.liveMoveDetector || this.liveMoveDetectorThreshold !== threshold || !continuesRecording) {
+            this.liveMoveDetector = createStreamingMoveDetector({ peakThreshold: threshold }, DEFAULT_MOVE_DETECTION_STRATEGY);
+            this.liveMoveDetectorThreshold = threshold;
+            this.liveCueTracker = createLiveCueTracker();
+        }
+        const detectedSamples = this.liveMoveDetector.getSampleCount();
+        const events = this.liveMoveDetector.push(time.slice(detectedSamples), magnitudes.slice(detectedSamples));
+        this.liveMoveDetectorSpan = { first: time[0], last: time[time.length - 1] };
+        this.liveCueTracker.handle(events, time[time.length - 1]);
+        const processedMoves = this.liveMoveDetector.getMoves();
+        
+        // Rotation energy per move for the rotation color mode
+        const sensorMetrics = gyroscope && gyroscope.time.length > 0
+            ? analyzeMoveSensors({ time, gyroscope: resampleAxes(gyroscope.time, gyroscope, time) }, processedMoves)
+            : null;
+        
+        // Skip the start move, createLiveBoulder adds its own starting position
+        processedMoves.slice(1).forEach((processedMove, moveIndex) => {
+            // Sample with the peak acceleration of this move
+            let peakIndex = time.findIndex(t => t >= processedMove.startTime);
+            for (let i = peakIndex; i < time.length && time[i] <= processedMove.endTime; i++) {
+                if (magnitudes[i] > magnitudes[peakIndex]) peakIndex = i;
             }
             
-            // Check if this is a significant peak above threshold
-            // Use a wider window for peak detection to be more robust
-            const prevMag1 = magnitudes[i - 1];
-            const prevMag2 = magnitudes[i - 2];
-            const nextMag1 = magnitudes[i + 1];
-            const nextMag2 = magnitudes[i + 2];
-            
-            const isPeak = currentMagnitude > threshold && 
-                          currentMagnitude > prevMag1 && 
-                          currentMagnitude > prevMag2 &&
-                          currentMagnitude > nextMag1 && 
-                          currentMagnitude > nextMag2 &&
-                          (currentTime - lastMoveTime) > minMoveDuration;
-            
-            if (isPeak) {
-                // Calculate move position based on time progression and magnitude
-                const timeProgress = (currentTime - rawData[0].time) / (rawData[rawData.length - 1].time - rawData[0].time);
-                const angle = timeProgress * Math.PI * 2; // Full circle progression
-                const baseRadius = 25;
-                const radiusVariation = Math.min(15, currentMagnitude - threshold); // Vary radius based on intensity
-                const radius = baseRadius + radiusVariation + (moves.length * 3); // Increasing radius for each move
-                
-                const move = {
-                    time: currentTime,
-                    index: i,
-                    magnitude: currentMagnitude,
-                    intensity: Math.min(1.0, currentMagnitude / 30), // Normalize intensity
-                    duration: minMoveDuration, // Simplified duration
-                    x: Math.cos(angle) * radius,
-                    y: Math.sin(angle) * radius,
-                    z: Math.max(0, moves.length * 2 + (currentMagnitude - threshold) * 0.5) // Height based on move count and intensity
-                };
-                
-                moves.push(move);
-                lastMoveTime = currentTime;
-                
-                console.log(`[BoulderVisualizer] Detected move ${moves.length}: time=${currentTime.toFixed(2)}s, magnitude=${currentMagnitude.toFixed(2)}, position=(${move.x.toFixed(1)}, ${move.y.toFixed(1)}, ${move.z.toFixed(1)})`);
-            }
-        }
+            const currentTime = time[peakIndex];
+            const currentMagnitude = processedMove.acceleration;
+            
+            // Calculate move position based on time progression and magnitude
+            const timeProgress = (currentTime - time[0]) / (time[time.length - 1] - time[0]);
+            const angle = timeProgress * Math.PI * 2; // Full circle progression
+            const baseRadius = 25;
+            const radiusVariation = Math.max(0, Math.min(15, currentMagnitude - threshold)); // Vary radius based on intensity
+            const radius = baseRadius + radiusVariation + (moves.length * 3); // Increasing radius for each move
+            
+            const move = {
+                time: currentTime,
+                index: peakIndex,
+                magnitude: currentMagnitude,
+                intensity: processedMove.dynamics,
+                isCrux: processedMove.isCrux,
+                rotationEnergy: sensorMetrics ? sensorMetrics[moveIndex + 1].rotationEnergy : null,
+                duration: processedMove.duration,
+                x: Math.cos(angle) * radius,
+                y: Math.sin(angle) * radius,
+                z: Math.max(0, moves.length * 2 + (currentMagnitude - threshold) * 0.5) // Height based on move count and intensity
+            };
+            
+            moves.push(move);
+            
+            console.log(`[BoulderVisualizer] Detected move ${moves.length}: time=${currentTime.toFixed(2)}s, magnitude=${currentMagnitude.toFixed(2)}, position=(${move.x.toFixed(1)}, ${move.y.toFixed(1)}, ${move.z.toFixed(1)})`);
+        });
         
         console.log(`[BoulderVisualizer] Detected ${moves.length} moves from live data`);
         return moves;
@@ -1645,51 +1678,17 @@ export class BoulderVisualizer {
     }
 
     generateAttemptData() {
-        // Generate realistic attempt data for the boulder
-        const attempts = [];
-        // const moveCount = this.boulder.moves.length; // Not directly used for attempt generation anymore
-        
-        // Use boulder ID as seed for consistent attempt positioning
-        const boulderSeed = (typeof this.boulder.id === 'string' ? this.boulder.id.length * 789.123 : this.boulder.id * 789.123) || 789.123;
-        
-        // Loop up to maxAttempts, creating fully independent attempts
-        for (let i = 0; i < this.settings.maxAttempts; i++) {
-            // Each attempt gets a completely random angle
-            const angle = this.seededRandom(boulderSeed + i * 100.123) * Math.PI * 2;
-            
-            // Generate more shorter attempts - weighted towards early failure
-            // Use exponential distribution to favor shorter attempts
-            const randomValue = this.seededRandom(boulderSeed + i * 200.456);
-            
-            // Create exponential falloff for completion percentage
-            // Most attempts should fail in the first 30-50% of the route
-            let completionPercent;
-            if (randomValue < 0.4) {
-                // 40% of attempts fail very early (10-30%)
-                completionPercent = 0.1 + randomValue * 0.5; // 10-30%
-            } else if (randomValue < 0.7) {
-                // 30% of attempts fail in middle section (30-60%)
-                completionPercent = 0.3 + (randomValue - 0.4) * 1.0; // 30-60%
-            } else if (randomValue < 0.9) {
-                // 20% of attempts get further (60-85%)
-                completionPercent = 0.6 + (randomValue - 0.7) * 1.25; // 60-85%
-            } else {
-                // Only 10% of attempts complete or nearly complete (85-100%)
-                completionPercent = 0.85 + (randomValue - 0.9) * 1.5; // 85-100%
-            }
-            
-            // Ensure completion percentage stays within bounds
-            completionPercent = Math.min(1.0, Math.max(0.1, completionPercent));
-
-            attempts.push({
-                angle: angle,
-                completionPercent: completionPercent,
-                attemptIndex: i, // Index within all attempts
-                totalAttempts: this.settings.maxAttempts, // Total attempts for context if needed by fade
-                // personId: i // Each attempt is its own "person" effectively
-            });
-        }
-        
-        return attempts;
+        // Build attempt data from the recorded attempt log of this boulder
+        const recorded = getAttemptsForBoulder(this.boulder.id).slice(-this.settings.maxAttempts);
+        const moveCount = Math.max(0, this.boulder.moves.length - 1); // Attempts count moves without the start move
+        
+        return recorded.map((attempt, i) => ({
+            // Spread attempts evenly around the circle with the golden angle
+            angle: i * Math.PI * (3 - Math.sqrt(5)),
+            // Keep a short stub for attempts that fell before the first move
+            completionPercent: Math.max(0.05, getAttemptHighPoint(attempt, moveCount)),
+            attemptIndex: i, // Index within all attempts
+            totalAttempts: recorded.length // Total attempts for context if needed by fade
+        }));
     }
 } 
\ No newline at end of file